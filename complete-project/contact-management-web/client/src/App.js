@@ -1,11 +1,34 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ContactManager from './ContactManager';
+import LoginForm from './LoginForm';
+import { getSession, setSessionExpiredHandler, refreshUser, logout } from './api';
 import './App.css';
 
 function App() {
+    const [session, setSession] = useState(getSession);
+
+    useEffect(() => {
+        setSessionExpiredHandler(() => setSession(null));
+        // Pick up role changes made since the session was saved
+        if (getSession()) {
+            refreshUser()
+                .then(updated => updated && setSession(updated))
+                .catch(err => console.error('Error refreshing user:', err));
+        }
+    }, []);
+
+    const handleLogout = async () => {
+        await logout();
+        setSession(null);
+    };
+
     return (
         <div className="App">
-            <ContactManager />
+            {session ? (
+                <ContactManager user={session.user} onLogout={handleLogout} />
+            ) : (
+                <LoginForm onLogin={setSession} />
+            )}
         </div>
     );
 }
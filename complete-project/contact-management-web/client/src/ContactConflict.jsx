@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { CONTACT_COLLECTIONS } from 'contact-management-shared';
+import { entriesOf, EntryList } from './ContactMethods';
+
+// Collections are compared and chosen as a whole
+const FIELDS = [
+    { name: 'firstName', label: 'First name' },
+    { name: 'lastName', label: 'Last name' },
+    { name: 'phones', label: 'Phones' },
+    { name: 'emails', label: 'Emails' },
+    { name: 'addresses', label: 'Addresses' }
+];
+
+const valueOf = (contact, field) => CONTACT_COLLECTIONS[field] ? entriesOf(contact, field) : contact[field] ?? '';
+
+// Collections are arrays, so values are compared by content
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compares the user's edits and the server copy against the version the edit started from.
+ * Fields changed on one side only merge cleanly; fields changed differently on both sides conflict.
+ * @param {Object} base - Contact as it was when editing started.
+ * @param {Object} mine - Contact as edited by the user.
+ * @param {Object} theirs - Current server copy.
+ * @returns {Object[]} One row per field: { name, label, mine, theirs, conflict, source }.
+ */
+const compareFields = (base, mine, theirs) => FIELDS.map(({ name, label }) => {
+    const mineChanged = !sameValue(valueOf(mine, name), valueOf(base, name));
+    const theirsChanged = !sameValue(valueOf(theirs, name), valueOf(base, name));
+    const conflict = mineChanged && theirsChanged && !sameValue(valueOf(mine, name), valueOf(theirs, name));
+    return {
+        name,
+        label,
+        mine: valueOf(mine, name),
+        theirs: valueOf(theirs, name),
+        conflict,
+        source: mineChanged ? 'mine' : 'theirs'
+    };
+});
+
+/**
+ * Shown when saving an edit fails because someone else changed the contact first. Lists both versions
+ * side by side and lets the user merge them, overwrite the server copy or discard their edits.
+ * @param {Object} base - Contact as it was when editing started.
+ * @param {Object} mine - Contact as edited by the user.
+ * @param {Object} theirs - Current server copy, including its version.
+ * @param {Function} onSave - Called with the contact to save over the server copy.
+ * @param {Function} onDiscard - Called when the user drops their edits in favor of the server copy.
+ * @returns {JSX.Element} Rendered conflict resolver.
+ */
+function ContactConflict({ base, mine, theirs, onSave, onDiscard }) {
+    const rows = compareFields(base, mine, theirs);
+    const [choices, setChoices] = useState(() => Object.fromEntries(rows.map(row => [row.name, row.source])));
+
+    const merged = {
+        ...theirs,
+        ...Object.fromEntries(rows.map(row => [row.name, choices[row.name] === 'mine' ? row.mine : row.theirs]))
+    };
+    const formatValue = (value) => value.length === 0 ? <em className="text-muted">empty</em>
+        : Array.isArray(value) ? <EntryList entries={value} /> : value;
+
+    return (
+        <div className="conflict-panel">
+            <div className="alert alert-warning py-2 small mb-2">
+                <i className="fas fa-exclamation-triangle me-2"></i>
+                Someone else saved this contact while you were editing it. Choose which value to keep for each field.
+            </div>
+            <table className="table table-sm conflict-table mb-2">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Yours</th>
+                        <th>Saved</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.filter(row => !sameValue(row.mine, row.theirs)).map(row => (
+                        <tr key={row.name} className={row.conflict ? 'table-warning' : ''}>
+                            <th scope="row">{row.label}</th>
+                            {['mine', 'theirs'].map(source => (
+                                <td key={source}>
+                                    <label className="d-flex align-items-start gap-1">
+                                        <input
+                                            type="radio"
+                                            className="form-check-input mt-1"
+                                            name={`conflict-${row.name}`}
+                                            checked={choices[row.name] === source}
+                                            onChange={() => setChoices({ ...choices, [row.name]: source })}
+                                        />
+                                        <span>{formatValue(row[source])}</span>
+                                    </label>
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="d-flex flex-wrap gap-2">
+                <button type="button" className="btn btn-success btn-sm" onClick={() => onSave(merged)}>
+                    <i className="fas fa-code-branch me-1"></i>
+                    Save merged
+                </button>
+                <button type="button" className="btn btn-outline-danger btn-sm" onClick={() => onSave({ ...theirs, ...mine })}>
+                    Overwrite with mine
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={onDiscard}>
+                    Discard mine
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ContactConflict;
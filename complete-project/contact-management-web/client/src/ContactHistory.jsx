@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+import { EntryList } from './ContactMethods';
+
+const FIELD_LABELS = {
+    id: 'ID',
+    firstName: 'First name',
+    lastName: 'Last name',
+    phone: 'Phone',
+    address: 'Address',
+    email: 'Email',
+    phones: 'Phones',
+    emails: 'Emails',
+    addresses: 'Addresses'
+};
+
+// Single field to the collection whose primary entry it copies; a change to both is shown once, as the collection
+const COLLECTION_OF_FIELD = { phone: 'phones', email: 'emails', address: 'addresses' };
+
+const ACTION_BADGES = {
+    create: 'bg-success',
+    update: 'bg-primary',
+    delete: 'bg-danger',
+    revert: 'bg-warning text-dark',
+    restore: 'bg-info text-dark',
+    merge: 'bg-secondary',
+    purge: 'bg-dark'
+};
+
+/**
+ * Change history of one contact, newest version first, with field-level diffs and revert.
+ * @param {string} contactId - Contact whose history is shown.
+ * @param {boolean} canRevert - Whether to offer reverting to earlier versions.
+ * @param {Function} onReverted - Called with the restored contact after a revert.
+ * @param {Function} onClose - Called when the user closes the history.
+ * @returns {JSX.Element} Rendered history view.
+ */
+function ContactHistory({ contactId, canRevert, onReverted, onClose }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reverting, setReverting] = useState(null);
+
+    const fetchHistory = useCallback(async () => {
+        try {
+            const response = await apiFetch(`/contacts/${encodeURIComponent(contactId)}/history`);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to load history');
+            setVersions(body.data);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [contactId]);
+
+    useEffect(() => {
+        fetchHistory();
+    }, [fetchHistory]);
+
+    const handleRevert = async (version) => {
+        if (!window.confirm(`Restore this contact to version ${version}?`)) return;
+        setReverting(version);
+        try {
+            const response = await apiFetch(`/contacts/${encodeURIComponent(contactId)}/revert`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ version }),
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to revert contact');
+            onReverted(body.contact);
+            await fetchHistory();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setReverting(null);
+        }
+    };
+
+    const formatValue = (value) => value === null || value.length === 0 ? <em className="text-muted">empty</em>
+        : Array.isArray(value) ? <EntryList entries={value} /> : value;
+
+    const shownChanges = (changes) => changes.filter(change =>
+        !changes.some(other => other.field === COLLECTION_OF_FIELD[change.field]));
+
+    return (
+        <div className="card-body history-mode">
+            <div className="edit-header d-flex justify-content-between align-items-center mb-3">
+                <h6 className="text-primary mb-0">
+                    <i className="fas fa-history me-2"></i>
+                    History
+                </h6>
+                <button className="btn btn-outline-secondary btn-sm" onClick={onClose} title="Close history">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+            {error && <div className="alert alert-danger py-2 small">{error}</div>}
+            {loading ? (
+                <div className="text-center py-3">
+                    <div className="spinner-border spinner-border-sm text-primary" role="status">
+                        <span className="visually-hidden">Loading...</span>
+                    </div>
+                </div>
+            ) : (
+                <ol className="history-list list-unstyled mb-0">
+                    {versions.map((entry, index) => (
+                        <li key={entry.version} className="history-entry">
+                            <div className="d-flex justify-content-between align-items-start">
+                                <div>
+                                    <span className={`badge ${ACTION_BADGES[entry.action] || 'bg-secondary'} me-2`}>
+                                        v{entry.version} {entry.action}
+                                    </span>
+                                    <span className="small text-muted">
+                                        {entry.actor.name || 'unknown'} &middot; {new Date(entry.changedAt).toLocaleString()}
+                                    </span>
+                                    {entry.revertedTo && (
+                                        <div className="small text-muted">Restored version {entry.revertedTo}</div>
+                                    )}
+                                    {entry.mergedWith && (
+                                        <div className="small text-muted">
+                                            {entry.contact ? 'Merged in' : 'Merged into'} {entry.mergedWith.join(', ')}
+                                        </div>
+                                    )}
+                                </div>
+                                {canRevert && index > 0 && entry.contact && (
+                                    <button
+                                        className="btn btn-outline-warning btn-sm"
+                                        onClick={() => handleRevert(entry.version)}
+                                        disabled={reverting !== null}
+                                        title={`Revert to version ${entry.version}`}
+                                    >
+                                        <i className="fas fa-undo"></i>
+                                    </button>
+                                )}
+                            </div>
+                            {shownChanges(entry.changes).length > 0 && (
+                                <table className="table table-sm history-diff mt-2 mb-0">
+                                    <tbody>
+                                        {shownChanges(entry.changes).map(change => (
+                                            <tr key={change.field}>
+                                                <th scope="row">{FIELD_LABELS[change.field] || change.field}</th>
+                                                <td className="diff-from">{formatValue(change.from)}</td>
+                                                <td className="diff-to">{formatValue(change.to)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+export default ContactHistory;
@@ -1,103 +1,174 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch, canManageContacts, fetchSchemaOptions } from './api';
+import ContactHistory from './ContactHistory';
+import ContactTrash from './ContactTrash';
+import ContactMerge from './ContactMerge';
+import ContactConflict from './ContactConflict';
+import ContactMethodsField, { entriesOf, labelName } from './ContactMethods';
+import { CONTACT_SCHEMA, CONTACT_COLLECTIONS, validateContact, normalizeContact, errorMessages } from 'contact-management-shared';
+import { formatPhone } from './phone';
+import { formatAddress } from './address';
 import './ContactManager.css';
 
+const PAGE_SIZE = 30;
+
+// New contacts start with one phone number and one email address to fill in, as both are required
+const EMPTY_CONTACT = {
+    firstName: '',
+    lastName: '',
+    phones: [{ label: 'mobile', value: '', primary: true }],
+    emails: [{ label: 'home', value: '', primary: true }],
+    addresses: []
+};
+
+// Icon shown next to the entries of each collection on a contact card
+const COLLECTION_ICONS = {
+    phones: 'fa-phone',
+    emails: 'fa-envelope',
+    addresses: 'fa-map-marker-alt'
+};
+
+const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV', icon: 'fa-file-csv' },
+    { format: 'jsonl', label: 'JSON Lines', icon: 'fa-file-code' },
+    { format: 'xlsx', label: 'Excel (XLSX)', icon: 'fa-file-excel' },
+    { format: 'vcf', label: 'vCard', icon: 'fa-address-card' },
+    { format: 'labels', label: 'Mailing labels', icon: 'fa-envelope-open-text' },
+    { format: 'csv', profile: 'google', label: 'Google Contacts (CSV)', icon: 'fa-file-csv' },
+    { format: 'csv', profile: 'outlook', label: 'Outlook (CSV)', icon: 'fa-file-csv' }
+];
+
+/**
+ * Shows a stored phone number the way the viewer writes numbers from their own country, with its kind when known.
+ * @param {string} phone - Phone number, normally E.164.
+ * @returns {JSX.Element} Rendered phone number.
+ */
+function PhoneNumber({ phone }) {
+    const { text, type } = formatPhone(phone);
+    return (
+        <span>
+            {text}
+            {type && <span className="badge bg-light text-secondary border ms-2">{type}</span>}
+        </span>
+    );
+}
+
 /**
  * Manages contact display, addition, update, and deletion via React UI.
+ * @param {Object} user - Signed-in user whose contacts are shown.
+ * @param {Function} onLogout - Called when the user signs out.
  * @returns {JSX.Element} Rendered contact management interface.
  * @supports {Enhancement 2: Develop React UI for CRUD operations}
  */
-function ContactManager() {
+function ContactManager({ user, onLogout }) {
     const [contacts, setContacts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [editingContact, setEditingContact] = useState(null);
+    const [editBase, setEditBase] = useState(null);
+    const [conflict, setConflict] = useState(null);
     const [showForm, setShowForm] = useState(false);
-    const [newContact, setNewContact] = useState({
-        id: '',
-        firstName: '',
-        lastName: '',
-        phone: '',
-        address: '',
-        email: ''
-    });
+    const [newContact, setNewContact] = useState(EMPTY_CONTACT);
     const [validationErrors, setValidationErrors] = useState({});
+    const [searchQuery, setSearchQuery] = useState('');
+    const [sortOrder, setSortOrder] = useState('lastName,firstName');
+    const [nextCursor, setNextCursor] = useState(null);
+    const [totalContacts, setTotalContacts] = useState(0);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [historyContactId, setHistoryContactId] = useState(null);
+    const [showTrash, setShowTrash] = useState(false);
+    const [showDuplicates, setShowDuplicates] = useState(false);
+    // Options of the schema as the server applies it, e.g. the country of numbers without a country code; null until loaded
+    const [schemaOptions, setSchemaOptions] = useState(null);
 
-    // Validation functions
-    const validateEmail = (email) => {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email) ? null : 'Please enter a valid email address';
-    };
-
-    const validatePhone = (phone) => {
-        const cleanedPhone = phone.replace(/[\s\-\(\)]/g, '');
-        const phoneRegex = /^(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/;
-        const digitsOnly = cleanedPhone.replace(/[^\d]/g, '');
-        if (digitsOnly.length < 10) return 'Phone number must have at least 10 digits';
-        return phoneRegex.test(phone) ? null : 'Please enter a valid phone number (e.g., +1-555-123-4567 or 555-123-4567)';
-    };
-
-    const validateId = (id) => {
-        if (!id.trim()) return 'ID is required';
-        if (id.trim().length > 10) return 'ID must be 10 characters or less';
-        if (!editingContact && contacts.find(c => c.id === id.trim())) return 'ID already exists. Please choose a different ID.';
-        return null;
-    };
+    // The role's permissions decide which actions are offered; the server enforces them regardless
+    const canCreate = canManageContacts(user, 'create');
+    const canUpdate = canManageContacts(user, 'update');
+    const canDelete = canManageContacts(user, 'delete');
 
-    const validateForm = (contact) => {
-        const errors = {};
-        if (!contact.id.trim()) errors.id = 'ID is required';
-        else if (contact.id.trim().length > 10) errors.id = 'ID must be 10 characters or less';
-        else if (!editingContact && contacts.find(c => c.id === contact.id.trim())) errors.id = 'ID already exists. Please choose a different ID.';
-        if (!contact.firstName.trim()) errors.firstName = 'First name is required';
-        if (!contact.lastName.trim()) errors.lastName = 'Last name is required';
-        if (!contact.phone.trim()) errors.phone = validatePhone(contact.phone) || 'Phone number is required';
-        if (!contact.email.trim()) errors.email = validateEmail(contact.email) || 'Email address is required';
-        if (contact.address && contact.address.trim().length > 200) errors.address = 'Address must be 200 characters or less';
-        return errors;
-    };
+    /**
+     * Validates the form with the shared contact schema, so it shows the messages the server would answer with.
+     * @param {Object} contact - Contact as entered.
+     * @returns {Object} Field name to error message.
+     */
+    const validateForm = (contact) => errorMessages(validateContact(contact, schemaOptions));
 
-    // Fetch contacts on component mount
+    // Contacts are checked and normalized with the options the server uses, so both read phone numbers the same way
     useEffect(() => {
-        fetchContacts();
+        fetchSchemaOptions()
+            .then(setSchemaOptions)
+            .catch((err) => {
+                setError('Failed to load the contact settings');
+                console.error('Error loading contact settings:', err);
+            });
     }, []);
 
-    const fetchContacts = async () => {
-        setLoading(true);
+    /**
+     * Loads one page of contacts from the API.
+     * @param {string} query - Search text; empty lists every contact.
+     * @param {string} sort - Sort order; ignored while searching so results stay ranked by relevance.
+     * @param {string|null} after - Cursor of the page to continue from, or null to start over.
+     */
+    const fetchContacts = useCallback(async (query = '', sort = sortOrder, after = null) => {
+        const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+        if (query.trim()) params.set('q', query.trim());
+        else params.set('sort', sort);
+        if (after) params.set('after', after);
         try {
-            const response = await fetch('http://localhost:3000/contacts');
-            const data = await response.json();
-            // Remove client-side sorting since MySQL handles ORDER BY id
-            setContacts(data);
+            const response = await apiFetch(`/contacts?${params}`, {
+                headers: { 'Accept-Language': navigator.language || 'en' }
+            });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to fetch contacts');
+            setContacts(prev => after ? [...prev, ...body.data] : body.data);
+            setNextCursor(body.page.nextCursor);
+            setTotalContacts(body.page.total);
         } catch (error) {
             setError('Failed to fetch contacts');
         } finally {
             setLoading(false);
+            setLoadingMore(false);
         }
+    }, [sortOrder]);
+
+    // Fetch the first page on mount and whenever the sort changes, and re-run the search shortly after the user stops typing
+    useEffect(() => {
+        const timer = setTimeout(() => fetchContacts(searchQuery, sortOrder), searchQuery ? 300 : 0);
+        return () => clearTimeout(timer);
+    }, [searchQuery, sortOrder, fetchContacts]);
+
+    const loadMore = () => {
+        setLoadingMore(true);
+        fetchContacts(searchQuery, sortOrder, nextCursor);
     };
 
     const handleAdd = async (e) => {
         e.preventDefault();
+        if (!schemaOptions) return;
         const errors = validateForm(newContact);
         if (Object.keys(errors).length > 0) {
             setValidationErrors(errors);
             return;
         }
         try {
-            const contactToAdd = {
-                ...newContact,
-                id: newContact.id.trim()
-            };
-            const response = await fetch('http://localhost:3000/contacts', {
+            // Sent trimmed and in E.164, read as the server reads numbers without a country code
+            const contactToAdd = normalizeContact(newContact, schemaOptions);
+            const response = await apiFetch('/contacts', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(contactToAdd),
             });
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to add contact');
+            const body = await response.json();
+            // Field errors from the server come from the same schema, so they are shown next to their fields
+            if (response.status === 400 && body.codes) {
+                setValidationErrors(body.details);
+                return;
             }
-            setContacts([...contacts, contactToAdd]);
-            setNewContact({ id: '', firstName: '', lastName: '', phone: '', address: '', email: '' });
+            if (!response.ok) throw new Error(body.error || 'Failed to add contact');
+            // The server allocates the ID
+            setContacts([...contacts, { ...contactToAdd, id: body.id, version: body.version }]);
+            setTotalContacts(total => total + 1);
+            setNewContact(EMPTY_CONTACT);
             setShowForm(false);
             setError(null);
             setValidationErrors({});
@@ -107,24 +178,50 @@ function ContactManager() {
         }
     };
 
-    const handleUpdate = async (contact) => {
+    /**
+     * Builds the If-Match header that makes a write fail if the contact changed since it was loaded.
+     * @param {number} [version] - Version the client last saw.
+     * @returns {Object} Headers to send; empty when the version is unknown.
+     */
+    const ifMatch = (version) => version ? { 'If-Match': `"${version}"` } : {};
+
+    /**
+     * Saves an edited contact. A 412 means someone else saved it first; the server copy is then shown
+     * next to the user's edits so they can be merged.
+     * @param {Object} contact - Edited contact.
+     * @param {number} [version] - Version the edit is based on.
+     */
+    const handleUpdate = async (contact, version = editBase && editBase.version) => {
+        if (!schemaOptions) return;
         const errors = validateForm(contact);
         if (Object.keys(errors).length > 0) {
             setValidationErrors(errors);
             return;
         }
+        const saved = normalizeContact(contact, schemaOptions);
         try {
-            const response = await fetch(`http://localhost:3000/contacts/${contact.id}`, {
+            const response = await apiFetch(`/contacts/${contact.id}`, {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(contact),
+                headers: { 'Content-Type': 'application/json', ...ifMatch(version) },
+                body: JSON.stringify(saved),
             });
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Failed to update contact');
+            const body = await response.json();
+            if (response.status === 412) {
+                // A merged save is based on the copy the previous conflict showed
+                if (conflict) setEditBase(conflict);
+                setEditingContact(contact);
+                setConflict(body.current);
+                return;
             }
-            setContacts(contacts.map(c => c.id === contact.id ? contact : c));
+            if (response.status === 400 && body.codes) {
+                setValidationErrors(body.details);
+                return;
+            }
+            if (!response.ok) throw new Error(body.error || 'Failed to update contact');
+            setContacts(contacts.map(c => c.id === contact.id ? { ...saved, version: body.version } : c));
             setEditingContact(null);
+            setEditBase(null);
+            setConflict(null);
             setError(null);
             setValidationErrors({});
         } catch (err) {
@@ -133,14 +230,23 @@ function ContactManager() {
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this contact?')) return;
+    const handleDelete = async (contact) => {
+        const { id } = contact;
+        if (!window.confirm('Move this contact to the trash? You can restore it from the Trash page.')) return;
         try {
-            const response = await fetch(`http://localhost:3000/contacts/${id}`, {
+            const response = await apiFetch(`/contacts/${id}`, {
                 method: 'DELETE',
+                headers: ifMatch(contact.version),
             });
+            if (response.status === 412) {
+                const body = await response.json();
+                setContacts(contacts.map(c => c.id === id ? body.current : c));
+                setError('This contact was changed by someone else. Review the latest version before deleting it.');
+                return;
+            }
             if (!response.ok) throw new Error('Failed to delete contact');
             setContacts(contacts.filter(c => c.id !== id));
+            setTotalContacts(total => total - 1);
             setError(null);
         } catch (err) {
             setError('Failed to delete contact');
@@ -148,16 +254,78 @@ function ContactManager() {
         }
     };
 
+    /**
+     * Downloads every contact matching the current search and sort order.
+     * @param {string} format - csv, jsonl, xlsx, vcf or labels.
+     * @param {string} [profile] - google or outlook, for a CSV in that application's columns.
+     */
+    const handleExport = async (format, profile) => {
+        const params = new URLSearchParams({ format });
+        if (profile) params.set('profile', profile);
+        if (searchQuery.trim()) params.set('q', searchQuery.trim());
+        else params.set('sort', sortOrder);
+        try {
+            const response = await apiFetch(`/contacts/export?${params}`, {
+                headers: { 'Accept-Language': navigator.language || 'en' }
+            });
+            if (!response.ok) {
+                const body = await response.json();
+                throw new Error(body.error || 'Failed to export contacts');
+            }
+            const blob = await response.blob();
+            const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename ? filename[1] : `contacts.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError(err.message);
+            console.error('Error exporting contacts:', err);
+        }
+    };
+
+    // Reverts and restores from the trash can bring back a deleted contact, so it may not be in the list yet
+    const handleRestored = (restored) => {
+        if (contacts.some(c => c.id === restored.id)) {
+            setContacts(contacts.map(c => c.id === restored.id ? { ...c, ...restored } : c));
+        } else {
+            setContacts([...contacts, restored]);
+            setTotalContacts(total => total + 1);
+        }
+    };
+
+    // A merge updates the contact kept and moves the others to the trash
+    const handleMerged = (merged, mergedIds) => {
+        const remaining = contacts.filter(c => !mergedIds.includes(c.id));
+        setContacts(remaining.map(c => c.id === merged.id ? { ...c, ...merged } : c));
+        setTotalContacts(total => total - (contacts.length - remaining.length));
+    };
+
     const startEdit = (contact) => {
-        setEditingContact({ ...contact });
+        setEditingContact({
+            ...contact,
+            ...Object.fromEntries(Object.keys(CONTACT_COLLECTIONS).map(name => [name, entriesOf(contact, name)]))
+        });
+        setEditBase(contact);
+        setConflict(null);
         setValidationErrors({});
     };
 
     const cancelEdit = () => {
         setEditingContact(null);
+        setEditBase(null);
+        setConflict(null);
         setValidationErrors({});
     };
 
+    // Drops the user's edits and shows the copy someone else saved
+    const discardEdit = () => {
+        setContacts(contacts.map(c => c.id === conflict.id ? conflict : c));
+        cancelEdit();
+    };
+
     const handleInputChange = (field, value) => {
         if (validationErrors[field]) {
             setValidationErrors(prev => {
@@ -173,6 +341,18 @@ function ContactManager() {
         }
     };
 
+    // Errors of a collection are keyed by its name, its single field or one of its entries (e.g. phones.1.value)
+    const handleCollectionChange = (name, entries) => {
+        const { field } = CONTACT_COLLECTIONS[name];
+        setValidationErrors(prev => Object.fromEntries(Object.entries(prev).filter(([key]) =>
+            key !== name && key !== field && !key.startsWith(`${name}.`))));
+        if (editingContact) {
+            setEditingContact({ ...editingContact, [name]: entries });
+        } else {
+            setNewContact({ ...newContact, [name]: entries });
+        }
+    };
+
     const getFieldClassName = (fieldName) => `form-control ${validationErrors[fieldName] ? 'is-invalid' : ''}`;
 
     if (loading) {
@@ -188,6 +368,14 @@ function ContactManager() {
         );
     }
 
+    if (showTrash) {
+        return <ContactTrash onRestored={handleRestored} onBack={() => setShowTrash(false)} />;
+    }
+
+    if (showDuplicates) {
+        return <ContactMerge onMerged={handleMerged} onBack={() => setShowDuplicates(false)} />;
+    }
+
     return (
         <div className="container mt-4">
             <div className="row">
@@ -199,17 +387,74 @@ function ContactManager() {
                                     <i className="fas fa-address-book me-2"></i>
                                     Contact Manager
                                 </h2>
-                                <button 
-                                    className="btn btn-light btn-sm"
-                                    onClick={() => setShowForm(!showForm)}
-                                >
-                                    {showForm ? 'Cancel' : (
-                                        <>
-                                            <i className="fas fa-plus me-1"></i>
-                                            Add Contact
-                                        </>
+                                <div className="d-flex align-items-center gap-2">
+                                    {canCreate && (
+                                        <button 
+                                            className="btn btn-light btn-sm"
+                                            onClick={() => setShowForm(!showForm)}
+                                        >
+                                            {showForm ? 'Cancel' : (
+                                                <>
+                                                    <i className="fas fa-plus me-1"></i>
+                                                    Add Contact
+                                                </>
+                                            )}
+                                        </button>
                                     )}
-                                </button>
+                                    <div className="dropdown">
+                                        <button
+                                            className="btn btn-outline-light btn-sm dropdown-toggle"
+                                            type="button"
+                                            data-bs-toggle="dropdown"
+                                            aria-expanded="false"
+                                            title="Download the contacts matching the current search"
+                                        >
+                                            <i className="fas fa-file-export me-1"></i>
+                                            Export
+                                        </button>
+                                        <ul className="dropdown-menu dropdown-menu-end">
+                                            {EXPORT_FORMATS.map(({ format, profile, label, icon }) => (
+                                                <li key={profile || format}>
+                                                    <button className="dropdown-item" type="button" onClick={() => handleExport(format, profile)}>
+                                                        <i className={`fas ${icon} me-2`}></i>
+                                                        {label}
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                    {canUpdate && canDelete && (
+                                        <button
+                                            className="btn btn-outline-light btn-sm"
+                                            onClick={() => setShowDuplicates(true)}
+                                            title="Find and merge duplicate contacts"
+                                        >
+                                            <i className="fas fa-clone me-1"></i>
+                                            Duplicates
+                                        </button>
+                                    )}
+                                    {canDelete && (
+                                        <button
+                                            className="btn btn-outline-light btn-sm"
+                                            onClick={() => setShowTrash(true)}
+                                            title="Deleted contacts"
+                                        >
+                                            <i className="fas fa-trash-alt me-1"></i>
+                                            Trash
+                                        </button>
+                                    )}
+                                    <span className="small" title={`Role: ${user.role}`}>
+                                        <i className="fas fa-user-circle me-1"></i>
+                                        {user.username}
+                                    </span>
+                                    <button
+                                        className="btn btn-outline-light btn-sm"
+                                        onClick={onLogout}
+                                        title="Sign out"
+                                    >
+                                        <i className="fas fa-sign-out-alt"></i>
+                                    </button>
+                                </div>
                             </div>
                         </div>
                         <div className="card-body">
@@ -220,7 +465,7 @@ function ContactManager() {
                                     <button type="button" className="btn-close" onClick={() => setError(null)}></button>
                                 </div>
                             )}
-                            {showForm && (
+                            {showForm && canCreate && (
                                 <div className="card mb-4 border-primary">
                                     <div className="card-header bg-light">
                                         <h5 className="mb-0">
@@ -231,19 +476,6 @@ function ContactManager() {
                                     <div className="card-body">
                                         <form onSubmit={handleAdd}>
                                             <div className="row">
-                                                <div className="col-md-6 mb-3">
-                                                    <label className="form-label">ID *</label>
-                                                    <input
-                                                        type="text"
-                                                        className={getFieldClassName('id')}
-                                                        value={newContact.id}
-                                                        onChange={(e) => handleInputChange('id', e.target.value)}
-                                                        placeholder="Enter unique ID (max 10 chars)"
-                                                        maxLength="10"
-                                                        required
-                                                    />
-                                                    {validationErrors.id && <div className="invalid-feedback">{validationErrors.id}</div>}
-                                                </div>
                                                 <div className="col-md-6 mb-3">
                                                     <label className="form-label">First Name *</label>
                                                     <input
@@ -251,12 +483,11 @@ function ContactManager() {
                                                         className={getFieldClassName('firstName')}
                                                         value={newContact.firstName}
                                                         onChange={(e) => handleInputChange('firstName', e.target.value)}
+                                                        maxLength={CONTACT_SCHEMA.firstName.maxLength}
                                                         required
                                                     />
                                                     {validationErrors.firstName && <div className="invalid-feedback">{validationErrors.firstName}</div>}
                                                 </div>
-                                            </div>
-                                            <div className="row">
                                                 <div className="col-md-6 mb-3">
                                                     <label className="form-label">Last Name *</label>
                                                     <input
@@ -264,51 +495,26 @@ function ContactManager() {
                                                         className={getFieldClassName('lastName')}
                                                         value={newContact.lastName}
                                                         onChange={(e) => handleInputChange('lastName', e.target.value)}
+                                                        maxLength={CONTACT_SCHEMA.lastName.maxLength}
                                                         required
                                                     />
                                                     {validationErrors.lastName && <div className="invalid-feedback">{validationErrors.lastName}</div>}
                                                 </div>
-                                                <div className="col-md-6 mb-3">
-                                                    <label className="form-label">Phone *</label>
-                                                    <input
-                                                        type="tel"
-                                                        className={getFieldClassName('phone')}
-                                                        value={newContact.phone}
-                                                        onChange={(e) => handleInputChange('phone', e.target.value)}
-                                                        placeholder="e.g., +1-555-123-4567"
-                                                        required
-                                                    />
-                                                    {validationErrors.phone && <div className="invalid-feedback">{validationErrors.phone}</div>}
-                                                </div>
                                             </div>
                                             <div className="row">
-                                                <div className="col-md-6 mb-3">
-                                                    <label className="form-label">Email *</label>
-                                                    <input
-                                                        type="email"
-                                                        className={getFieldClassName('email')}
-                                                        value={newContact.email}
-                                                        onChange={(e) => handleInputChange('email', e.target.value)}
-                                                        placeholder="e.g., john.doe@example.com"
-                                                        required
-                                                    />
-                                                    {validationErrors.email && <div className="invalid-feedback">{validationErrors.email}</div>}
-                                                </div>
-                                                <div className="col-md-6 mb-3">
-                                                    <label className="form-label">Address</label>
-                                                    <textarea
-                                                        className={getFieldClassName('address')}
-                                                        rows="2"
-                                                        value={newContact.address}
-                                                        onChange={(e) => handleInputChange('address', e.target.value)}
-                                                        placeholder="Enter address (optional, max 200 chars)"
-                                                        maxLength="200"
-                                                    ></textarea>
-                                                    {validationErrors.address && <div className="invalid-feedback">{validationErrors.address}</div>}
-                                                </div>
+                                                {Object.keys(CONTACT_COLLECTIONS).map(name => (
+                                                    <div key={name} className={`${name === 'addresses' ? 'col-12' : 'col-md-6'} mb-3`}>
+                                                        <ContactMethodsField
+                                                            name={name}
+                                                            entries={newContact[name]}
+                                                            errors={validationErrors}
+                                                            onChange={(entries) => handleCollectionChange(name, entries)}
+                                                        />
+                                                    </div>
+                                                ))}
                                             </div>
                                             <div className="d-flex gap-2">
-                                                <button type="submit" className="btn btn-primary">
+                                                <button type="submit" className="btn btn-primary" disabled={!schemaOptions}>
                                                     <i className="fas fa-save me-1"></i>
                                                     Save Contact
                                                 </button>
@@ -327,19 +533,58 @@ function ContactManager() {
                                     </div>
                                 </div>
                             )}
+                            <div className="search-bar d-flex gap-2 mb-4">
+                                <div className="input-group">
+                                    <span className="input-group-text">
+                                        <i className="fas fa-search"></i>
+                                    </span>
+                                    <input
+                                        type="search"
+                                        className="form-control"
+                                        value={searchQuery}
+                                        onChange={(e) => setSearchQuery(e.target.value)}
+                                        placeholder="Search by name, email, phone or address"
+                                        aria-label="Search contacts"
+                                    />
+                                </div>
+                                <select
+                                    className="form-select w-auto"
+                                    value={sortOrder}
+                                    onChange={(e) => setSortOrder(e.target.value)}
+                                    disabled={Boolean(searchQuery.trim())}
+                                    aria-label="Sort contacts"
+                                    title={searchQuery.trim() ? 'Search results are sorted by relevance' : 'Sort contacts'}
+                                >
+                                    <option value="lastName,firstName">Last name</option>
+                                    <option value="firstName,lastName">First name</option>
+                                    <option value="-lastName,-firstName">Last name (Z-A)</option>
+                                    <option value="country,city,lastName">City</option>
+                                    <option value="country,postalCode,lastName">Postal code</option>
+                                    <option value="id">ID</option>
+                                </select>
+                            </div>
                             <div className="contacts-list">
-                                {contacts.length === 0 ? (
+                                {contacts.length === 0 && searchQuery.trim() ? (
+                                    <div className="text-center py-5">
+                                        <i className="fas fa-search fa-3x text-muted mb-3"></i>
+                                        <h5 className="text-muted">No contacts match "{searchQuery.trim()}"</h5>
+                                    </div>
+                                ) : contacts.length === 0 ? (
                                     <div className="text-center py-5">
                                         <i className="fas fa-address-book fa-3x text-muted mb-3"></i>
                                         <h5 className="text-muted">No contacts found</h5>
-                                        <p className="text-muted">Add your first contact to get started!</p>
-                                        <button 
-                                            className="btn btn-primary"
-                                            onClick={() => setShowForm(true)}
-                                        >
-                                            <i className="fas fa-plus me-1"></i>
-                                            Add Contact
-                                        </button>
+                                        {canCreate && (
+                                            <>
+                                                <p className="text-muted">Add your first contact to get started!</p>
+                                                <button 
+                                                    className="btn btn-primary"
+                                                    onClick={() => setShowForm(true)}
+                                                >
+                                                    <i className="fas fa-plus me-1"></i>
+                                                    Add Contact
+                                                </button>
+                                            </>
+                                        )}
                                     </div>
                                 ) : (
                                     <div className="row">
@@ -354,104 +599,97 @@ function ContactManager() {
                                                                     Edit Contact
                                                                 </h6>
                                                             </div>
-                                                            <form onSubmit={(e) => {
-                                                                e.preventDefault();
-                                                                handleUpdate(editingContact);
-                                                            }}>
-                                                                <div className="row">
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">ID *</label>
-                                                                        <input
-                                                                            type="text"
-                                                                            className={`form-control form-control-sm ${validationErrors.id ? 'is-invalid' : ''}`}
-                                                                            value={editingContact.id}
-                                                                            onChange={(e) => handleInputChange('id', e.target.value)}
-                                                                            placeholder="ID"
-                                                                            disabled
-                                                                            required
-                                                                        />
-                                                                        {validationErrors.id && <div className="invalid-feedback">{validationErrors.id}</div>}
-                                                                    </div>
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">First Name *</label>
-                                                                        <input
-                                                                            type="text"
-                                                                            className={`form-control form-control-sm ${validationErrors.firstName ? 'is-invalid' : ''}`}
-                                                                            value={editingContact.firstName}
-                                                                            onChange={(e) => handleInputChange('firstName', e.target.value)}
-                                                                            placeholder="First Name"
-                                                                            required
-                                                                        />
-                                                                        {validationErrors.firstName && <div className="invalid-feedback">{validationErrors.firstName}</div>}
-                                                                    </div>
-                                                                </div>
-                                                                <div className="row">
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">Last Name *</label>
-                                                                        <input
-                                                                            type="text"
-                                                                            className={`form-control form-control-sm ${validationErrors.lastName ? 'is-invalid' : ''}`}
-                                                                            value={editingContact.lastName}
-                                                                            onChange={(e) => handleInputChange('lastName', e.target.value)}
-                                                                            placeholder="Last Name"
-                                                                            required
-                                                                        />
-                                                                        {validationErrors.lastName && <div className="invalid-feedback">{validationErrors.lastName}</div>}
-                                                                    </div>
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">Phone *</label>
-                                                                        <input
-                                                                            type="tel"
-                                                                            className={`form-control form-control-sm ${validationErrors.phone ? 'is-invalid' : ''}`}
-                                                                            value={editingContact.phone}
-                                                                            onChange={(e) => handleInputChange('phone', e.target.value)}
-                                                                            placeholder="Phone"
-                                                                            required
-                                                                        />
-                                                                        {validationErrors.phone && <div className="invalid-feedback">{validationErrors.phone}</div>}
+                                                            {conflict ? (
+                                                                <ContactConflict
+                                                                    key={conflict.version}
+                                                                    base={editBase}
+                                                                    mine={editingContact}
+                                                                    theirs={conflict}
+                                                                    onSave={(merged) => handleUpdate(merged, conflict.version)}
+                                                                    onDiscard={discardEdit}
+                                                                />
+                                                            ) : (
+                                                                <form onSubmit={(e) => {
+                                                                    e.preventDefault();
+                                                                    handleUpdate(editingContact);
+                                                                }}>
+                                                                    <div className="row">
+                                                                        <div className="col-6 mb-3">
+                                                                            <label className="form-label small fw-bold">ID *</label>
+                                                                            <input
+                                                                                type="text"
+                                                                                className={`form-control form-control-sm ${validationErrors.id ? 'is-invalid' : ''}`}
+                                                                                value={editingContact.id}
+                                                                                onChange={(e) => handleInputChange('id', e.target.value)}
+                                                                                placeholder="ID"
+                                                                                disabled
+                                                                                required
+                                                                            />
+                                                                            {validationErrors.id && <div className="invalid-feedback">{validationErrors.id}</div>}
+                                                                        </div>
+                                                                        <div className="col-6 mb-3">
+                                                                            <label className="form-label small fw-bold">First Name *</label>
+                                                                            <input
+                                                                                type="text"
+                                                                                className={`form-control form-control-sm ${validationErrors.firstName ? 'is-invalid' : ''}`}
+                                                                                value={editingContact.firstName}
+                                                                                onChange={(e) => handleInputChange('firstName', e.target.value)}
+                                                                                maxLength={CONTACT_SCHEMA.firstName.maxLength}
+                                                                                placeholder="First Name"
+                                                                                required
+                                                                            />
+                                                                            {validationErrors.firstName && <div className="invalid-feedback">{validationErrors.firstName}</div>}
+                                                                        </div>
                                                                     </div>
-                                                                </div>
-                                                                <div className="row">
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">Email *</label>
-                                                                        <input
-                                                                            type="email"
-                                                                            className={`form-control form-control-sm ${validationErrors.email ? 'is-invalid' : ''}`}
-                                                                            value={editingContact.email}
-                                                                            onChange={(e) => handleInputChange('email', e.target.value)}
-                                                                            placeholder="Email"
-                                                                            required
-                                                                        />
-                                                                        {validationErrors.email && <div className="invalid-feedback">{validationErrors.email}</div>}
+                                                                    <div className="row">
+                                                                        <div className="col-6 mb-3">
+                                                                            <label className="form-label small fw-bold">Last Name *</label>
+                                                                            <input
+                                                                                type="text"
+                                                                                className={`form-control form-control-sm ${validationErrors.lastName ? 'is-invalid' : ''}`}
+                                                                                value={editingContact.lastName}
+                                                                                onChange={(e) => handleInputChange('lastName', e.target.value)}
+                                                                                maxLength={CONTACT_SCHEMA.lastName.maxLength}
+                                                                                placeholder="Last Name"
+                                                                                required
+                                                                            />
+                                                                            {validationErrors.lastName && <div className="invalid-feedback">{validationErrors.lastName}</div>}
+                                                                        </div>
                                                                     </div>
-                                                                    <div className="col-6 mb-3">
-                                                                        <label className="form-label small fw-bold">Address</label>
-                                                                        <textarea
-                                                                            className={`form-control form-control-sm ${validationErrors.address ? 'is-invalid' : ''}`}
-                                                                            rows="2"
-                                                                            value={editingContact.address}
-                                                                            onChange={(e) => handleInputChange('address', e.target.value)}
-                                                                            placeholder="Address (max 200 chars)"
-                                                                            maxLength="200"
-                                                                        ></textarea>
-                                                                        {validationErrors.address && <div className="invalid-feedback">{validationErrors.address}</div>}
+                                                                    {Object.keys(CONTACT_COLLECTIONS).map(name => (
+                                                                        <div key={name} className="mb-3">
+                                                                            <ContactMethodsField
+                                                                                name={name}
+                                                                                entries={editingContact[name]}
+                                                                                errors={validationErrors}
+                                                                                onChange={(entries) => handleCollectionChange(name, entries)}
+                                                                                small
+                                                                            />
+                                                                        </div>
+                                                                    ))}
+                                                                    <div className="d-flex gap-2">
+                                                                        <button type="submit" className="btn btn-success btn-sm" disabled={!schemaOptions}>
+                                                                            <i className="fas fa-check me-1"></i>
+                                                                            Save
+                                                                        </button>
+                                                                        <button 
+                                                                            type="button" 
+                                                                            className="btn btn-secondary btn-sm"
+                                                                            onClick={cancelEdit}
+                                                                        >
+                                                                            Cancel
+                                                                        </button>
                                                                     </div>
-                                                                </div>
-                                                                <div className="d-flex gap-2">
-                                                                    <button type="submit" className="btn btn-success btn-sm">
-                                                                        <i className="fas fa-check me-1"></i>
-                                                                        Save
-                                                                    </button>
-                                                                    <button 
-                                                                        type="button" 
-                                                                        className="btn btn-secondary btn-sm"
-                                                                        onClick={cancelEdit}
-                                                                    >
-                                                                        Cancel
-                                                                    </button>
-                                                                </div>
-                                                            </form>
+                                                                </form>
+                                                            )}
                                                         </div>
+                                                    ) : historyContactId === contact.id ? (
+                                                        <ContactHistory
+                                                            contactId={contact.id}
+                                                            canRevert={canUpdate}
+                                                            onReverted={handleRestored}
+                                                            onClose={() => setHistoryContactId(null)}
+                                                        />
                                                     ) : (
                                                         <>
                                                             <div className="card-body">
@@ -464,20 +702,31 @@ function ContactManager() {
                                                                             {contact.firstName} {contact.lastName}
                                                                         </h6>
                                                                         <div className="contact-actions">
-                                                                            <button 
-                                                                                className="btn btn-outline-primary btn-sm me-1"
-                                                                                onClick={() => startEdit(contact)}
-                                                                                title="Edit Contact"
-                                                                            >
-                                                                                <i className="fas fa-edit"></i>
-                                                                            </button>
-                                                                            <button 
-                                                                                className="btn btn-outline-danger btn-sm"
-                                                                                onClick={() => handleDelete(contact.id)}
-                                                                                title="Delete Contact"
+                                                                            <button
+                                                                                className="btn btn-outline-secondary btn-sm me-1"
+                                                                                onClick={() => setHistoryContactId(contact.id)}
+                                                                                title="History"
                                                                             >
-                                                                                <i className="fas fa-trash"></i>
+                                                                                <i className="fas fa-history"></i>
                                                                             </button>
+                                                                            {canUpdate && (
+                                                                                <button 
+                                                                                    className="btn btn-outline-primary btn-sm me-1"
+                                                                                    onClick={() => startEdit(contact)}
+                                                                                    title="Edit Contact"
+                                                                                >
+                                                                                    <i className="fas fa-edit"></i>
+                                                                                </button>
+                                                                            )}
+                                                                            {canDelete && (
+                                                                                <button 
+                                                                                    className="btn btn-outline-danger btn-sm"
+                                                                                    onClick={() => handleDelete(contact)}
+                                                                                    title="Delete Contact"
+                                                                                >
+                                                                                    <i className="fas fa-trash"></i>
+                                                                                </button>
+                                                                            )}
                                                                         </div>
                                                                     </div>
                                                                 </div>
@@ -486,25 +735,27 @@ function ContactManager() {
                                                                         <i className="fas fa-id-card text-primary"></i>
                                                                         <span>ID: {contact.id}</span>
                                                                     </div>
-                                                                    {contact.phone && (
-                                                                        <div className="contact-detail-item">
-                                                                            <i className="fas fa-phone text-primary"></i>
-                                                                            <span>{contact.phone}</span>
-                                                                        </div>
-                                                                    )}
-                                                                    {contact.email && (
-                                                                        <div className="contact-detail-item">
-                                                                            <i className="fas fa-envelope text-primary"></i>
-                                                                            <span>{contact.email}</span>
-                                                                        </div>
-                                                                    )}
-                                                                    {contact.address && (
-                                                                        <div className="contact-detail-item">
-                                                                            <i className="fas fa-map-marker-alt text-primary"></i>
-                                                                            <span>{contact.address}</span>
-                                                                        </div>
-                                                                    )}
+                                                                    {Object.keys(CONTACT_COLLECTIONS).flatMap(name => {
+                                                                        const entries = entriesOf(contact, name);
+                                                                        return entries.map((entry, index) => (
+                                                                            <div key={`${name}-${index}`} className="contact-detail-item">
+                                                                                <i className={`fas ${COLLECTION_ICONS[name]} text-primary`}></i>
+                                                                                <span className="method-label">{labelName(entry.label)}</span>
+                                                                                {name === 'phones' ? <PhoneNumber phone={entry.value} />
+                                                                                    : name === 'addresses' ? <span className="address-lines">{formatAddress(entry)}</span>
+                                                                                        : <span>{entry.value}</span>}
+                                                                                {entry.primary && entries.length > 1 && (
+                                                                                    <i className="fas fa-star text-warning ms-auto" title="Primary"></i>
+                                                                                )}
+                                                                            </div>
+                                                                        ));
+                                                                    })}
                                                                 </div>
+                                                                {contact.matchedFields && (
+                                                                    <div className="search-match mt-2 small text-muted">
+                                                                        Matched {contact.matchedFields.join(', ')}
+                                                                    </div>
+                                                                )}
                                                             </div>
                                                         </>
                                                     )}
@@ -513,6 +764,20 @@ function ContactManager() {
                                         ))}
                                     </div>
                                 )}
+                                {contacts.length > 0 && (
+                                    <div className="text-center text-muted small py-3">
+                                        <p className="mb-2">Showing {contacts.length} of {totalContacts} contacts</p>
+                                        {nextCursor && (
+                                            <button
+                                                className="btn btn-outline-primary btn-sm"
+                                                onClick={loadMore}
+                                                disabled={loadingMore}
+                                            >
+                                                {loadingMore ? 'Loading...' : 'Load more'}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+import { CONTACT_COLLECTIONS } from 'contact-management-shared';
+import { entriesOf, EntryList } from './ContactMethods';
+
+// The fields the API merges; the chosen contact's phones, emails and addresses come first and the others' are added
+const FIELDS = [
+    { name: 'firstName', label: 'First name' },
+    { name: 'lastName', label: 'Last name' },
+    { name: 'phones', label: 'Phones' },
+    { name: 'emails', label: 'Emails' },
+    { name: 'addresses', label: 'Addresses' }
+];
+
+const valueOf = (contact, field) => CONTACT_COLLECTIONS[field] ? entriesOf(contact, field) : contact[field] || '';
+
+const MATCH_LABELS = {
+    email: 'Same email',
+    phone: 'Same phone',
+    name: 'Similar name'
+};
+
+/**
+ * Picks, for each field, the contact whose value the merge keeps unless the user chooses otherwise:
+ * the contact kept, or the first other one with a value when the kept contact has none.
+ * @param {Object[]} contacts - Contacts in the group.
+ * @param {string} targetId - ID of the contact that is kept.
+ * @returns {Object} Field name to contact ID.
+ */
+const defaultChoices = (contacts, targetId) => {
+    const target = contacts.find(contact => contact.id === targetId);
+    const ordered = [target, ...contacts.filter(contact => contact.id !== targetId)];
+    return Object.fromEntries(FIELDS.map(({ name }) => [name, (ordered.find(contact => valueOf(contact, name).length > 0) || target).id]));
+};
+
+/**
+ * Duplicates page: groups of contacts that are probably the same person, and a side-by-side screen for
+ * merging one group into a single contact field by field.
+ * @param {Function} onMerged - Called with the merged contact and the IDs of the contacts merged into it.
+ * @param {Function} onBack - Called when the user returns to the contact list.
+ * @returns {JSX.Element} Rendered duplicates page.
+ */
+function ContactMerge({ onMerged, onBack }) {
+    const [groups, setGroups] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [group, setGroup] = useState(null);
+    const [targetId, setTargetId] = useState(null);
+    const [choices, setChoices] = useState({});
+
+    const fetchDuplicates = useCallback(async () => {
+        try {
+            const response = await apiFetch('/contacts/duplicates');
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to find duplicates');
+            setGroups(body.data);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchDuplicates();
+    }, [fetchDuplicates]);
+
+    const startReview = (selected) => {
+        setGroup(selected);
+        setTargetId(selected.contacts[0].id);
+        setChoices(defaultChoices(selected.contacts, selected.contacts[0].id));
+    };
+
+    const changeTarget = (id) => {
+        setTargetId(id);
+        setChoices(defaultChoices(group.contacts, id));
+    };
+
+    const handleMerge = async () => {
+        const sourceIds = group.contacts.map(contact => contact.id).filter(id => id !== targetId);
+        if (!window.confirm(`Merge ${sourceIds.length + 1} contacts into one? The others will be moved to the trash.`)) return;
+        setBusy(true);
+        try {
+            const response = await apiFetch('/contacts/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    targetId,
+                    sourceIds,
+                    fields: choices,
+                    versions: Object.fromEntries(group.contacts.map(contact => [contact.id, contact.version]))
+                }),
+            });
+            const body = await response.json();
+            if (response.status === 412) {
+                // Someone edited one of the contacts; show the current values before merging
+                const current = { ...group, contacts: body.current };
+                setGroups(groups.map(g => g === group ? current : g));
+                setGroup(current);
+                throw new Error('Someone else changed these contacts. Check the current values and merge again.');
+            }
+            if (!response.ok) {
+                const details = body.details ? `: ${Object.values(body.details).flat().join(', ')}` : '';
+                throw new Error(`${body.error || 'Failed to merge contacts'}${details}`);
+            }
+            setGroups(groups.filter(g => g !== group));
+            setGroup(null);
+            setError(null);
+            onMerged(body.contact, body.merged);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const formatValue = (value) => value.length === 0 ? <em className="text-muted">empty</em>
+        : Array.isArray(value) ? <EntryList entries={value} /> : value;
+    const fullName = (contact) => `${contact.firstName || ''} ${contact.lastName || ''}`.trim() || contact.id;
+
+    const renderGroups = () => groups.length === 0 ? (
+        <div className="text-center py-5">
+            <i className="fas fa-check-circle fa-3x text-muted mb-3"></i>
+            <h5 className="text-muted">No likely duplicates found</h5>
+        </div>
+    ) : (
+        <ul className="list-group">
+            {groups.map(g => (
+                <li key={g.contacts.map(contact => contact.id).join(',')} className="list-group-item d-flex justify-content-between align-items-center">
+                    <div>
+                        <div className="fw-semibold">{g.contacts.map(fullName).join(' / ')}</div>
+                        <div className="small text-muted">
+                            {Math.round(g.confidence * 100)}% confidence &middot;{' '}
+                            {[...new Set(g.pairs.flatMap(pair => pair.matchedFields))].map(field => MATCH_LABELS[field] || field).join(', ')}
+                        </div>
+                    </div>
+                    <button className="btn btn-outline-primary btn-sm" onClick={() => startReview(g)} disabled={busy}>
+                        <i className="fas fa-code-branch me-1"></i>
+                        Review
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+
+    const renderReview = () => (
+        <>
+            <p className="text-muted small">
+                Choose the contact to keep and which value to keep for each field. Phones, emails and addresses the
+                chosen contact lacks are added from the others. The other contacts are moved to the trash, and the
+                merge is recorded in each contact's history.
+            </p>
+            <div className="table-responsive">
+                <table className="table table-sm align-middle merge-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            {group.contacts.map(contact => (
+                                <th key={contact.id}>
+                                    <label className="d-flex align-items-center gap-1">
+                                        <input
+                                            type="radio"
+                                            className="form-check-input mt-0"
+                                            name="merge-target"
+                                            checked={targetId === contact.id}
+                                            onChange={() => changeTarget(contact.id)}
+                                        />
+                                        <span>Keep {contact.id}</span>
+                                    </label>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {FIELDS.map(({ name, label }) => {
+                            const differs = new Set(group.contacts.map(contact => JSON.stringify(valueOf(contact, name)))).size > 1;
+                            return (
+                                <tr key={name} className={differs ? 'table-warning' : ''}>
+                                    <th scope="row">{label}</th>
+                                    {group.contacts.map(contact => (
+                                        <td key={contact.id}>
+                                            <label className="d-flex align-items-start gap-1">
+                                                <input
+                                                    type="radio"
+                                                    className="form-check-input mt-1"
+                                                    name={`merge-${name}`}
+                                                    checked={choices[name] === contact.id}
+                                                    onChange={() => setChoices({ ...choices, [name]: contact.id })}
+                                                />
+                                                <span>{formatValue(valueOf(contact, name))}</span>
+                                            </label>
+                                        </td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <div className="d-flex flex-wrap gap-2">
+                <button className="btn btn-success btn-sm" onClick={handleMerge} disabled={busy}>
+                    <i className="fas fa-code-branch me-1"></i>
+                    Merge into {targetId}
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => setGroup(null)} disabled={busy}>
+                    Not now
+                </button>
+            </div>
+        </>
+    );
+
+    return (
+        <div className="container mt-4">
+            <div className="card shadow-sm">
+                <div className="card-header bg-secondary text-white">
+                    <div className="d-flex justify-content-between align-items-center">
+                        <h2 className="mb-0">
+                            <i className="fas fa-clone me-2"></i>
+                            Duplicates
+                        </h2>
+                        <button className="btn btn-light btn-sm" onClick={group ? () => setGroup(null) : onBack}>
+                            <i className="fas fa-arrow-left me-1"></i>
+                            {group ? 'Back to Duplicates' : 'Back to Contacts'}
+                        </button>
+                    </div>
+                </div>
+                <div className="card-body">
+                    {error && (
+                        <div className="alert alert-danger alert-dismissible fade show" role="alert">
+                            <i className="fas fa-exclamation-triangle me-2"></i>
+                            {error}
+                            <button type="button" className="btn-close" onClick={() => setError(null)}></button>
+                        </div>
+                    )}
+                    {loading ? (
+                        <div className="text-center py-5">
+                            <div className="spinner-border text-primary" role="status">
+                                <span className="visually-hidden">Loading...</span>
+                            </div>
+                        </div>
+                    ) : group ? renderReview() : renderGroups()}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ContactMerge;
@@ -0,0 +1,249 @@
+import React from 'react';
+import { CONTACT_SCHEMA, CONTACT_COLLECTIONS, ADDRESS_SCHEMA, DEFAULT_LABEL, addressFormat } from 'contact-management-shared';
+import { viewerRegion } from './phone';
+import { countryOptions } from './address';
+
+const LABEL_NAMES = {
+    mobile: 'Mobile',
+    home: 'Home',
+    work: 'Work',
+    other: 'Other'
+};
+
+// Input and example value per kind of entry; addresses are entered in their parts
+const INPUTS = {
+    phone: { type: 'tel', placeholder: 'e.g., 555-123-4567 or +44 20 7946 0958' },
+    email: { type: 'email', placeholder: 'e.g., john.doe@example.com' }
+};
+
+const COUNTRY_OPTIONS = countryOptions();
+
+/**
+ * Reads the parts of an address entry for editing. Entries that only have a value, as made from the single address
+ * field, start with it as their street.
+ * @param {Object} entry - Address entry.
+ * @returns {Object} { street, city, region, postalCode, country }.
+ */
+const addressParts = (entry) => ({
+    street: entry.street || (entry.value ? [entry.value] : []),
+    city: entry.city || '',
+    region: entry.region || '',
+    postalCode: entry.postalCode || '',
+    country: entry.country || ''
+});
+
+/**
+ * Lists the entries of one of a contact's collections, falling back on its single field for contacts
+ * that come without the collection.
+ * @param {Object} contact - Contact as received from the API.
+ * @param {string} name - phones, emails or addresses.
+ * @returns {Object[]} Entries of { label, value, primary }.
+ */
+export const entriesOf = (contact, name) => {
+    if (Array.isArray(contact[name])) return contact[name];
+    const value = contact[CONTACT_COLLECTIONS[name].field];
+    return value ? [{ label: DEFAULT_LABEL, value, primary: true }] : [];
+};
+
+/**
+ * Names an entry's label for display, e.g. Mobile for mobile.
+ * @param {string} label - Label as stored.
+ * @returns {string} Display name.
+ */
+export const labelName = (label) => LABEL_NAMES[label] || label;
+
+/**
+ * Renders a collection as text, one "Label: value" per line, for the history, conflict and merge tables.
+ * @param {Object[]} entries - Entries of { label, value, primary }.
+ * @returns {JSX.Element} Rendered entries.
+ */
+export function EntryList({ entries }) {
+    return (
+        <span>
+            {entries.map((entry, index) => (
+                <span key={index} className="d-block">
+                    {labelName(entry.label)}: {entry.value}
+                    {entry.primary && entries.length > 1 && <i className="fas fa-star text-warning ms-1" title="Primary"></i>}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * Inputs of an address entry's street lines, city, region and postal code, below the row with its label and country.
+ * The region and postal code are named as the address's country names them, e.g. State and ZIP code in the US.
+ * @param {string} errorKey - Key of the entry's errors, e.g. addresses.0.
+ * @param {Object} entry - Address entry.
+ * @param {Object} errors - Field name to error message.
+ * @param {Function} onChange - Called with the parts that changed.
+ * @param {boolean} small - Whether to use the small controls of the edit form.
+ * @returns {JSX.Element} Rendered inputs.
+ */
+function AddressInputs({ errorKey, entry, errors, onChange, small }) {
+    const parts = addressParts(entry);
+    const format = addressFormat(parts.country || viewerRegion());
+    const streetError = errors[`${errorKey}.street`] || parts.street.map((line, index) => errors[`${errorKey}.street.${index}`]).find(Boolean);
+    const className = (error) => `form-control${small ? ' form-control-sm' : ''} ${error ? 'is-invalid' : ''}`;
+    const input = (part, label, placeholder = label) => (
+        <>
+            <input
+                type="text"
+                className={className(errors[`${errorKey}.${part}`])}
+                value={parts[part]}
+                onChange={(e) => onChange({ [part]: e.target.value })}
+                maxLength={ADDRESS_SCHEMA[part].maxLength}
+                placeholder={placeholder}
+                aria-label={label}
+            />
+            {errors[`${errorKey}.${part}`] && <div className="invalid-feedback">{errors[`${errorKey}.${part}`]}</div>}
+        </>
+    );
+    return (
+        <div className="address-parts mt-1">
+            <textarea
+                className={className(streetError)}
+                rows={2}
+                value={parts.street.join('\n')}
+                onChange={(e) => onChange({ street: e.target.value.split('\n') })}
+                placeholder="Street address, one line each"
+                aria-label="Street address"
+            />
+            {streetError && <div className="invalid-feedback">{streetError}</div>}
+            <div className="row g-2 mt-0">
+                <div className="col-sm-5">{input('city', 'City')}</div>
+                <div className="col-sm-4">{input('region', format.regionLabel || 'Region')}</div>
+                <div className="col-sm-3">
+                    {input('postalCode', format.postalCodeLabel || 'Postal code',
+                        format.example ? `e.g., ${format.example}` : format.postalCodeLabel || 'Postal code')}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Form field for one of a contact's collections: a row per entry with its label, its value and whether it is
+ * the primary entry, and a button to add another. Addresses have a country in place of the value, and the inputs of
+ * their other parts below. Errors are those of validateContact, keyed as it keys them.
+ * @param {string} name - phones, emails or addresses.
+ * @param {Object[]} entries - Entries being edited.
+ * @param {Object} errors - Field name to error message.
+ * @param {Function} onChange - Called with the new entries.
+ * @param {boolean} [small] - Whether to use the small controls of the edit form.
+ * @returns {JSX.Element} Rendered field.
+ */
+function ContactMethodsField({ name, entries, errors, onChange, small = false }) {
+    const collection = CONTACT_COLLECTIONS[name];
+    const rule = CONTACT_SCHEMA[collection.field];
+    const input = INPUTS[collection.field];
+    const size = small ? '-sm' : '';
+
+    const isAddress = collection.field === 'address';
+    const update = (index, changes) => onChange(entries.map((entry, i) => i === index ? { ...entry, ...changes } : entry));
+    // Every part is written back, so an entry that only had a value keeps it as its street
+    const updateAddress = (index, changes) => update(index, { ...addressParts(entries[index]), ...changes });
+    const makePrimary = (index) => onChange(entries.map((entry, i) => ({ ...entry, primary: i === index })));
+
+    // The first remaining entry takes over when the primary one is removed
+    const remove = (index) => {
+        const remaining = entries.filter((entry, i) => i !== index);
+        if (entries[index].primary && remaining.length > 0) remaining[0] = { ...remaining[0], primary: true };
+        onChange(remaining);
+    };
+
+    const add = () => onChange([...entries, {
+        label: collection.labels[0],
+        value: '',
+        primary: entries.length === 0,
+        ...(isAddress ? { street: [], city: '', region: '', postalCode: '', country: viewerRegion() } : {})
+    }]);
+
+    const fieldError = errors[name] || errors[collection.field];
+
+    return (
+        <div className="contact-methods">
+            <label className={`form-label${small ? ' small fw-bold' : ''}`}>
+                {collection.label}{rule.required ? ' *' : ''}
+            </label>
+            {entries.map((entry, index) => {
+                const valueError = errors[`${name}.${index}.value`] || errors[`${name}.${index}`];
+                const labelError = errors[`${name}.${index}.label`];
+                const countryError = errors[`${name}.${index}.country`];
+                const rowError = isAddress ? countryError || labelError : valueError || labelError;
+                return (
+                    <div key={index} className={isAddress ? 'mb-3' : 'mb-2'}>
+                        <div className={`input-group${small ? ' input-group-sm' : ''} has-validation`}>
+                            <select
+                                className={`form-select form-select${size} method-label-select ${labelError ? 'is-invalid' : ''}`}
+                                value={entry.label}
+                                onChange={(e) => update(index, { label: e.target.value })}
+                                aria-label={`${collection.label} ${index + 1} label`}
+                            >
+                                {collection.labels.map(label => <option key={label} value={label}>{labelName(label)}</option>)}
+                            </select>
+                            {isAddress ? (
+                                <select
+                                    className={`form-select form-select${size} ${countryError ? 'is-invalid' : ''}`}
+                                    value={addressParts(entry).country}
+                                    onChange={(e) => updateAddress(index, { country: e.target.value })}
+                                    aria-label={`${collection.label} ${index + 1} country`}
+                                >
+                                    <option value="">No country</option>
+                                    {COUNTRY_OPTIONS.map(({ code, name: country }) => <option key={code} value={code}>{country}</option>)}
+                                </select>
+                            ) : (
+                                <input
+                                    type={input.type}
+                                    className={`form-control form-control${size} ${valueError ? 'is-invalid' : ''}`}
+                                    value={entry.value}
+                                    onChange={(e) => update(index, { value: e.target.value })}
+                                    maxLength={rule.maxLength}
+                                    placeholder={input.placeholder}
+                                    aria-label={`${collection.label} ${index + 1}`}
+                                />
+                            )}
+                            <button
+                                type="button"
+                                className={`btn ${entry.primary ? 'btn-warning' : 'btn-outline-secondary'}`}
+                                onClick={() => makePrimary(index)}
+                                title={entry.primary ? 'Primary' : 'Make primary'}
+                                aria-pressed={entry.primary}
+                            >
+                                <i className="fas fa-star"></i>
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-outline-danger"
+                                onClick={() => remove(index)}
+                                title="Remove"
+                            >
+                                <i className="fas fa-times"></i>
+                            </button>
+                            {rowError && <div className="invalid-feedback">{rowError}</div>}
+                        </div>
+                        {isAddress && (
+                            <AddressInputs
+                                errorKey={`${name}.${index}`}
+                                entry={entry}
+                                errors={errors}
+                                onChange={(changes) => updateAddress(index, changes)}
+                                small={small}
+                            />
+                        )}
+                        {isAddress && valueError && <div className="invalid-feedback d-block">{valueError}</div>}
+                    </div>
+                );
+            })}
+            {fieldError && <div className="invalid-feedback d-block mb-2">{fieldError}</div>}
+            {entries.length < collection.maxEntries && (
+                <button type="button" className="btn btn-link btn-sm p-0" onClick={add}>
+                    <i className="fas fa-plus me-1"></i>
+                    Add {collection.field}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default ContactMethodsField;
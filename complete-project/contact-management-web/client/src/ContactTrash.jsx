@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from './api';
+
+/**
+ * Trash page: deleted contacts waiting to be purged, with restore, delete-forever and empty-trash actions.
+ * @param {Function} onRestored - Called with a contact after it is restored.
+ * @param {Function} onBack - Called when the user returns to the contact list.
+ * @returns {JSX.Element} Rendered trash page.
+ */
+function ContactTrash({ onRestored, onBack }) {
+    const [contacts, setContacts] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const fetchTrash = useCallback(async () => {
+        try {
+            const response = await apiFetch('/contacts/trash');
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Failed to load trash');
+            setContacts(body.data);
+            setRetentionDays(body.retentionDays);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTrash();
+    }, [fetchTrash]);
+
+    /**
+     * Runs a trash action and reports its error, if any.
+     * @param {string} path - API path.
+     * @param {string} method - HTTP method.
+     * @returns {Promise<Object|null>} Response body, or null when the action failed.
+     */
+    const runAction = async (path, method) => {
+        setBusy(true);
+        try {
+            const response = await apiFetch(path, { method });
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.error || 'Trash action failed');
+            setError(null);
+            return body;
+        } catch (err) {
+            setError(err.message);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRestore = async (id) => {
+        const body = await runAction(`/contacts/trash/${encodeURIComponent(id)}/restore`, 'POST');
+        if (!body) return;
+        setContacts(contacts.filter(c => c.id !== id));
+        onRestored(body.contact);
+    };
+
+    const handlePurge = async (id) => {
+        if (!window.confirm('Permanently delete this contact? This cannot be undone.')) return;
+        if (await runAction(`/contacts/trash/${encodeURIComponent(id)}`, 'DELETE')) {
+            setContacts(contacts.filter(c => c.id !== id));
+        }
+    };
+
+    const handleEmptyTrash = async () => {
+        if (!window.confirm(`Permanently delete all ${contacts.length} contacts in the trash? This cannot be undone.`)) return;
+        if (await runAction('/contacts/trash', 'DELETE')) setContacts([]);
+    };
+
+    return (
+        <div className="container mt-4">
+            <div className="card shadow-sm">
+                <div className="card-header bg-secondary text-white">
+                    <div className="d-flex justify-content-between align-items-center">
+                        <h2 className="mb-0">
+                            <i className="fas fa-trash-alt me-2"></i>
+                            Trash
+                        </h2>
+                        <div className="d-flex gap-2">
+                            {contacts.length > 0 && (
+                                <button className="btn btn-danger btn-sm" onClick={handleEmptyTrash} disabled={busy}>
+                                    <i className="fas fa-dumpster me-1"></i>
+                                    Empty Trash
+                                </button>
+                            )}
+                            <button className="btn btn-light btn-sm" onClick={onBack}>
+                                <i className="fas fa-arrow-left me-1"></i>
+                                Back to Contacts
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className="card-body">
+                    {error && (
+                        <div className="alert alert-danger alert-dismissible fade show" role="alert">
+                            <i className="fas fa-exclamation-triangle me-2"></i>
+                            {error}
+                            <button type="button" className="btn-close" onClick={() => setError(null)}></button>
+                        </div>
+                    )}
+                    {retentionDays !== null && (
+                        <p className="text-muted small">
+                            Contacts are permanently removed {retentionDays} days after they are moved to the trash.
+                        </p>
+                    )}
+                    {loading ? (
+                        <div className="text-center py-5">
+                            <div className="spinner-border text-primary" role="status">
+                                <span className="visually-hidden">Loading...</span>
+                            </div>
+                        </div>
+                    ) : contacts.length === 0 ? (
+                        <div className="text-center py-5">
+                            <i className="fas fa-trash-alt fa-3x text-muted mb-3"></i>
+                            <h5 className="text-muted">The trash is empty</h5>
+                        </div>
+                    ) : (
+                        <div className="table-responsive">
+                            <table className="table table-hover align-middle trash-table">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>ID</th>
+                                        <th>Deleted</th>
+                                        <th>Purged on</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {contacts.map(contact => (
+                                        <tr key={contact.id}>
+                                            <td>{contact.firstName} {contact.lastName}</td>
+                                            <td>{contact.id}</td>
+                                            <td>{new Date(contact.deletedAt).toLocaleString()}</td>
+                                            <td>{new Date(contact.purgeAt).toLocaleDateString()}</td>
+                                            <td className="text-end text-nowrap">
+                                                <button
+                                                    className="btn btn-outline-primary btn-sm me-1"
+                                                    onClick={() => handleRestore(contact.id)}
+                                                    disabled={busy}
+                                                    title="Restore Contact"
+                                                >
+                                                    <i className="fas fa-undo me-1"></i>
+                                                    Restore
+                                                </button>
+                                                <button
+                                                    className="btn btn-outline-danger btn-sm"
+                                                    onClick={() => handlePurge(contact.id)}
+                                                    disabled={busy}
+                                                    title="Delete Forever"
+                                                >
+                                                    <i className="fas fa-times"></i>
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ContactTrash;
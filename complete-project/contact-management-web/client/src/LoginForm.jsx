@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { login, register } from './api';
+
+/**
+ * Sign-in and registration screen shown until the user has a session.
+ * @param {Function} onLogin - Called with the new session after signing in or registering.
+ * @returns {JSX.Element} Rendered login form.
+ */
+function LoginForm({ onLogin }) {
+    const [mode, setMode] = useState('login');
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        try {
+            const session = mode === 'login'
+                ? await login(username.trim(), password)
+                : await register(username.trim(), password);
+            setError(null);
+            onLogin(session);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const toggleMode = () => {
+        setMode(mode === 'login' ? 'register' : 'login');
+        setError(null);
+    };
+
+    return (
+        <div className="container mt-5">
+            <div className="row justify-content-center">
+                <div className="col-md-6 col-lg-4">
+                    <div className="card shadow-sm">
+                        <div className="card-header bg-primary text-white">
+                            <h4 className="mb-0">
+                                <i className="fas fa-address-book me-2"></i>
+                                {mode === 'login' ? 'Sign In' : 'Create Account'}
+                            </h4>
+                        </div>
+                        <div className="card-body">
+                            {error && (
+                                <div className="alert alert-danger" role="alert">
+                                    <i className="fas fa-exclamation-triangle me-2"></i>
+                                    {error}
+                                </div>
+                            )}
+                            <form onSubmit={handleSubmit}>
+                                <div className="mb-3">
+                                    <label className="form-label" htmlFor="username">Username</label>
+                                    <input
+                                        id="username"
+                                        type="text"
+                                        className="form-control"
+                                        value={username}
+                                        onChange={(e) => setUsername(e.target.value)}
+                                        autoComplete="username"
+                                        required
+                                    />
+                                </div>
+                                <div className="mb-3">
+                                    <label className="form-label" htmlFor="password">Password</label>
+                                    <input
+                                        id="password"
+                                        type="password"
+                                        className="form-control"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                                        minLength={mode === 'register' ? 8 : undefined}
+                                        required
+                                    />
+                                </div>
+                                <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+                                    {mode === 'login' ? 'Sign In' : 'Create Account'}
+                                </button>
+                            </form>
+                            <div className="text-center mt-3">
+                                <button type="button" className="btn btn-link btn-sm" onClick={toggleMode}>
+                                    {mode === 'login' ? 'Need an account? Register' : 'Already have an account? Sign in'}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default LoginForm;
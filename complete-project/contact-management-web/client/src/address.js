@@ -0,0 +1,23 @@
+import { COUNTRIES, countryName, formatAddress as formatAddressFor } from 'contact-management-shared';
+import { viewerRegion } from './phone';
+
+const locale = () => navigator.language || 'en';
+
+/**
+ * Lists the countries an address can be in, named in the viewer's language and sorted by name.
+ * @returns {{code: string, name: string}[]} ISO 3166 code and name of each country.
+ */
+export const countryOptions = () => COUNTRIES
+    .map(code => ({ code, name: countryName(code, locale()) }))
+    .sort((a, b) => a.name.localeCompare(b.name, locale()));
+
+/**
+ * Writes a stored address on several lines, as its country lays addresses out, leaving out the country when it is
+ * the viewer's own, as on an envelope posted there.
+ * @param {Object} address - Address entry.
+ * @returns {string} Address with line breaks; its value when it has no parts.
+ */
+export const formatAddress = (address) => {
+    const region = viewerRegion();
+    return formatAddressFor(address, { defaultCountry: region, omitCountry: region, locale: locale() }) || address.value;
+};
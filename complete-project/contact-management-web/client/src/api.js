@@ -0,0 +1,148 @@
+const API_BASE_URL = 'http://localhost:3000';
+const SESSION_KEY = 'contactManagerSession';
+
+let sessionExpiredHandler = () => {};
+let refreshInFlight = null;
+
+/**
+ * Reads the saved session (user and tokens) from local storage.
+ * @returns {Object|null} Session, or null when signed out.
+ */
+export const getSession = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (err) {
+        return null;
+    }
+};
+
+const saveSession = (session) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+};
+
+const clearSession = () => localStorage.removeItem(SESSION_KEY);
+
+/**
+ * Registers a callback for when the session can no longer be refreshed.
+ * @param {Function} handler - Called with no arguments after the session is cleared.
+ */
+export const setSessionExpiredHandler = (handler) => {
+    sessionExpiredHandler = handler;
+};
+
+/**
+ * Exchanges the refresh token for a new token pair. Concurrent callers share one request,
+ * since each refresh token can only be used once.
+ * @returns {Promise<Object|null>} New session, or null when the refresh token is no longer valid.
+ */
+const refreshSession = () => {
+    if (!refreshInFlight) {
+        const session = getSession();
+        refreshInFlight = fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: session && session.refreshToken }),
+        })
+            .then(async (response) => response.ok ? saveSession(await response.json()) : null)
+            .catch(() => null)
+            .finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+};
+
+/**
+ * Calls the contact API with the current access token, refreshing it once on a 401.
+ * @param {string} path - API path, e.g. `/contacts`.
+ * @param {Object} [options] - fetch options.
+ * @returns {Promise<Response>} fetch response.
+ */
+export const apiFetch = async (path, options = {}) => {
+    const send = (session) => fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            ...(session ? { Authorization: `Bearer ${session.accessToken}` } : {}),
+        },
+    });
+    const session = getSession();
+    const response = await send(session);
+    if (response.status !== 401 || !session) return response;
+    const refreshed = await refreshSession();
+    if (refreshed) return send(refreshed);
+    clearSession();
+    sessionExpiredHandler();
+    return response;
+};
+
+/**
+ * Reloads the signed-in user's role and permissions, which an admin may have changed.
+ * @returns {Promise<Object|null>} Updated session, or null when signed out.
+ */
+export const refreshUser = async () => {
+    const response = await apiFetch('/auth/me');
+    const session = getSession();
+    if (!response.ok || !session) return null;
+    const { user } = await response.json();
+    return saveSession({ ...session, user });
+};
+
+/**
+ * Reads the options the server validates contacts with, such as the country of phone numbers written without a
+ * country code, so the form accepts and normalizes contacts as the API does.
+ * @returns {Promise<Object>} Options for validateContact and normalizeContact.
+ */
+export const fetchSchemaOptions = async () => {
+    const response = await apiFetch('/auth/me');
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Failed to load the contact settings');
+    return body.schemaOptions;
+};
+
+/**
+ * Checks whether a user's role allows a contact action, in either scope.
+ * @param {Object} user - Signed-in user with permissions.
+ * @param {string} action - read, create, update or delete.
+ * @returns {boolean} True when allowed.
+ */
+export const canManageContacts = (user, action) => (user.permissions || [])
+    .some(permission => permission === `contacts:${action}` || permission.startsWith(`contacts:${action}:`));
+
+const authenticate = async (path, username, password) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        const details = data.details ? Object.values(data.details).join(' ') : '';
+        throw new Error(details || data.error || 'Authentication failed');
+    }
+    return saveSession({ user: data.user, accessToken: data.accessToken, refreshToken: data.refreshToken });
+};
+
+/**
+ * Signs in and saves the session.
+ * @returns {Promise<Object>} New session.
+ */
+export const login = (username, password) => authenticate('/auth/login', username, password);
+
+/**
+ * Creates an account, signs in and saves the session.
+ * @returns {Promise<Object>} New session.
+ */
+export const register = (username, password) => authenticate('/auth/register', username, password);
+
+/**
+ * Ends the session on the server and forgets it locally.
+ */
+export const logout = async () => {
+    try {
+        await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (err) {
+        // The session is forgotten locally even when the server cannot be reached
+        console.error('Error logging out:', err);
+    }
+    clearSession();
+};
@@ -0,0 +1,39 @@
+import { formatPhone as formatPhoneFor, isSupportedCountry } from 'contact-management-shared';
+
+const PHONE_TYPE_LABELS = {
+    mobile: 'Mobile',
+    fixed: 'Landline',
+    'fixed-or-mobile': 'Landline or mobile',
+    'toll-free': 'Toll-free',
+    'premium-rate': 'Premium rate',
+    'shared-cost': 'Shared cost',
+    voip: 'VoIP',
+    personal: 'Personal',
+    pager: 'Pager',
+    uan: 'Company',
+    voicemail: 'Voicemail'
+};
+
+/**
+ * Works out the viewer's country from the browser language, e.g. GB for en-GB and DE for de.
+ * @returns {string} ISO 3166 country code; US when the language names no supported country.
+ */
+export const viewerRegion = () => {
+    try {
+        const { region } = new Intl.Locale(navigator.language || 'en-US').maximize();
+        return region && isSupportedCountry(region) ? region : 'US';
+    } catch (err) {
+        return 'US';
+    }
+};
+
+/**
+ * Formats a stored phone number for the viewer: in national format when it has the viewer's country calling code,
+ * in international format otherwise.
+ * @param {string} phone - Stored phone number, normally E.164.
+ * @returns {{text: string, type: string|null}} Number to show and its kind (e.g. Mobile), when known.
+ */
+export const formatPhone = (phone) => {
+    const { text, type } = formatPhoneFor(phone, viewerRegion());
+    return { text, type: type ? PHONE_TYPE_LABELS[type] || null : null };
+};
@@ -0,0 +1,95 @@
+// Password hashing, session tokens and account validation
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password - Plain-text password.
+ * @returns {Promise<string>} Hash in the form `scrypt$<salt>$<key>` (hex).
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a hash produced by hashPassword, in constant time.
+ * @param {string} password - Plain-text password.
+ * @param {string} storedHash - Stored hash.
+ * @returns {Promise<boolean>} True when the password matches.
+ */
+const verifyPassword = async (password, storedHash) => {
+    const [scheme, saltHex, keyHex] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Generates a random bearer token. Only its hash is ever stored.
+ * @returns {string} Base64url token.
+ */
+const generateToken = () => crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+/**
+ * Generates an API key. The `ck_` prefix makes keys easy to spot in config files and secret scanners.
+ * @returns {{key: string, prefix: string}} Full key (shown once) and a short prefix safe to display later.
+ */
+const generateApiKey = () => {
+    const key = `ck_${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 10) };
+};
+
+/**
+ * Hashes a bearer token for storage and lookup.
+ * @param {string} token - Token sent by the client.
+ * @returns {string} SHA-256 hex digest.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header.
+ * @param {string} [header] - Authorization header value.
+ * @returns {string|null} Token, or null when absent or malformed.
+ */
+const parseBearerToken = (header) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(String(header || ''));
+    return match ? match[1] : null;
+};
+
+/**
+ * Extracts the username and password from an `Authorization: Basic <base64>` header, as sent by CardDAV clients.
+ * @param {string} [header] - Authorization header value.
+ * @returns {{username: string, password: string}|null} Credentials, or null when absent or malformed.
+ */
+const parseBasicCredentials = (header) => {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(String(header || ''));
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    return colon < 0 ? null : { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+};
+
+/**
+ * Validates registration input.
+ * @param {Object} credentials - Submitted username and password.
+ * @returns {Object} Field-level error messages; empty when valid.
+ */
+const validateCredentials = ({ username, password }) => {
+    const errors = {};
+    if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{3,50}$/.test(username)) {
+        errors.username = 'Username must be 3-50 letters, digits, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < 8) errors.password = 'Password must be at least 8 characters';
+    else if (password.length > 200) errors.password = 'Password must be 200 characters or less';
+    return errors;
+};
+
+module.exports = { hashPassword, verifyPassword, generateToken, generateApiKey, hashToken, parseBearerToken, parseBasicCredentials, validateCredentials };
@@ -0,0 +1,66 @@
+// Password hashing, tokens, Authorization headers and account validation
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    hashPassword, verifyPassword, generateToken, generateApiKey, hashToken, parseBearerToken, parseBasicCredentials, validateCredentials
+} = require('./auth');
+
+describe('passwords', () => {
+    test('hash with a fresh salt and verify only the right password', async () => {
+        const hash = await hashPassword('correct horse battery');
+        assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.notEqual(await hashPassword('correct horse battery'), hash);
+        assert.equal(await verifyPassword('correct horse battery', hash), true);
+        assert.equal(await verifyPassword('wrong horse battery', hash), false);
+    });
+
+    test('reject hashes of another scheme or shape', async () => {
+        assert.equal(await verifyPassword('secret', 'bcrypt$abc$def'), false);
+        assert.equal(await verifyPassword('secret', null), false);
+    });
+});
+
+describe('tokens', () => {
+    test('are random and hash to the same digest every time', () => {
+        const token = generateToken();
+        assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+        assert.notEqual(generateToken(), token);
+        assert.equal(hashToken(token), hashToken(token));
+        assert.match(hashToken(token), /^[0-9a-f]{64}$/);
+    });
+
+    test('API keys carry a prefix short enough to show', () => {
+        const { key, prefix } = generateApiKey();
+        assert.match(key, /^ck_/);
+        assert.equal(prefix, key.slice(0, 10));
+    });
+});
+
+describe('Authorization headers', () => {
+    test('read a bearer token in any case of the scheme', () => {
+        assert.equal(parseBearerToken('Bearer abc.def'), 'abc.def');
+        assert.equal(parseBearerToken('bearer abc'), 'abc');
+        assert.equal(parseBearerToken('Bearer a b'), null);
+        assert.equal(parseBearerToken(undefined), null);
+    });
+
+    test('read Basic credentials whose password holds a colon', () => {
+        const header = `Basic ${Buffer.from('ada:pass:word').toString('base64')}`;
+        assert.deepEqual(parseBasicCredentials(header), { username: 'ada', password: 'pass:word' });
+        assert.equal(parseBasicCredentials(`Basic ${Buffer.from('nocolon').toString('base64')}`), null);
+        assert.equal(parseBasicCredentials('Bearer abc'), null);
+    });
+});
+
+describe('validateCredentials', () => {
+    test('accepts a plain username and a long enough password', () => {
+        assert.deepEqual(validateCredentials({ username: 'ada.lovelace', password: 'correct horse' }), {});
+    });
+
+    test('reports each field that is wrong', () => {
+        const errors = validateCredentials({ username: 'a b', password: 'short' });
+        assert.deepEqual(Object.keys(errors), ['username', 'password']);
+        assert.ok(validateCredentials({ username: 'ada', password: 'x'.repeat(201) }).password);
+        assert.ok(validateCredentials({}).username);
+    });
+});
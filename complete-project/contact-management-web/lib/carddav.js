@@ -0,0 +1,291 @@
+// WebDAV (RFC 4918) and CardDAV (RFC 6352) XML: reading PROPFIND and REPORT bodies, matching
+// addressbook-query filters, and writing multistatus responses
+const crypto = require('crypto');
+const http = require('http');
+const { DOMParser } = require('@xmldom/xmldom');
+const { VCARD_VERSIONS, propertyText } = require('./vcard');
+
+const DAV = 'DAV:';
+const CARDDAV = 'urn:ietf:params:xml:ns:carddav';
+const CALENDARSERVER = 'http://calendarserver.org/ns/';
+
+// Prefixes declared on every response; elements in any other namespace declare their own
+const PREFIXES = { [DAV]: 'd', [CARDDAV]: 'card', [CALENDARSERVER]: 'cs' };
+
+// Collations for text-match (RFC 4790), each reducing text to the form that is compared
+const COLLATIONS = {
+    'i;octet': (text) => text,
+    'i;ascii-casemap': (text) => text.replace(/[A-Z]/g, char => char.toLowerCase()),
+    'i;unicode-casemap': (text) => text.normalize('NFKC').toLowerCase()
+};
+
+const MATCH_TYPES = {
+    equals: (value, text) => value === text,
+    contains: (value, text) => value.includes(text),
+    'starts-with': (value, text) => value.startsWith(text),
+    'ends-with': (value, text) => value.endsWith(text)
+};
+
+/**
+ * Thrown when a DAV request cannot be served. `status` is the HTTP status to answer with, and `condition`
+ * ({ ns, name }), when set, is the precondition that failed, reported in a DAV:error body.
+ */
+class DavError extends Error {
+    constructor(status, message, condition) {
+        super(message);
+        this.status = status;
+        this.condition = condition;
+    }
+}
+
+/**
+ * Builds an XML element for toXml.
+ * @param {string} ns - Namespace URI; '' for no namespace.
+ * @param {string} name - Local name.
+ * @param {Array|string} [content] - Child elements, or text.
+ * @param {Object} [attributes] - Unqualified attributes.
+ * @returns {Object} Element.
+ */
+const element = (ns, name, content = [], attributes = {}) => ({ ns, name, content, attributes });
+
+// Carriage returns are written as references, or parsers would normalize away the CRLFs vCards need
+const escapeXml = (text) => String(text).replace(/[&<>"\r]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\r': '&#13;' })[char]);
+
+const serialize = (node) => {
+    const prefix = PREFIXES[node.ns];
+    const tag = prefix ? `${prefix}:${node.name}` : node.ns ? `x:${node.name}` : node.name;
+    const declaration = prefix || !node.ns ? '' : ` xmlns:x="${escapeXml(node.ns)}"`;
+    const attributes = Object.entries(node.attributes).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+    if (typeof node.content === 'string') return `<${tag}${declaration}${attributes}>${escapeXml(node.content)}</${tag}>`;
+    if (node.content.length === 0) return `<${tag}${declaration}${attributes}/>`;
+    return `<${tag}${declaration}${attributes}>${node.content.map(serialize).join('')}</${tag}>`;
+};
+
+/**
+ * Serializes an element as an XML document.
+ * @param {Object} root - Root element.
+ * @returns {string} XML text.
+ */
+const toXml = (root) => {
+    const declarations = Object.fromEntries(Object.entries(PREFIXES).map(([ns, prefix]) => [`xmlns:${prefix}`, ns]));
+    return `<?xml version="1.0" encoding="utf-8"?>\n${serialize({ ...root, attributes: { ...declarations, ...root.attributes } })}`;
+};
+
+const statusElement = (status) => element(DAV, 'status', `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`);
+
+/**
+ * Builds a 207 Multi-Status body.
+ * @param {Object[]} responses - { href, propstats: [{ status, props }] } for a resource's properties,
+ *   or { href, status } for a resource that could not be read.
+ * @returns {string} XML text.
+ */
+const multistatus = (responses) => toXml(element(DAV, 'multistatus', responses.map(response => element(DAV, 'response', [
+    element(DAV, 'href', response.href),
+    ...(response.propstats
+        ? response.propstats.map(({ status, props }) => element(DAV, 'propstat', [element(DAV, 'prop', props), statusElement(status)]))
+        : [statusElement(response.status)])
+]))));
+
+/**
+ * Builds a DAV:error body naming a failed precondition.
+ * @param {Object} condition - { ns, name } of the precondition.
+ * @returns {string} XML text.
+ */
+const errorBody = (condition) => toXml(element(DAV, 'error', [element(condition.ns, condition.name)]));
+
+/**
+ * Picks the properties a PROPFIND or REPORT asked for from those a resource has.
+ * @param {Object} request - { type: prop|allprop|propname, props } from parsePropfind or parseReport.
+ * @param {Object[]} available - Elements for every property the resource has.
+ * @returns {Object[]} propstats: the properties found with 200 and the ones the resource lacks with 404.
+ */
+const propstatsFor = (request, available) => {
+    if (request.type === 'propname') return [{ status: 200, props: available.map(prop => element(prop.ns, prop.name)) }];
+    if (request.type === 'allprop') return [{ status: 200, props: available }];
+    const found = [];
+    const missing = [];
+    request.props.forEach(({ ns, name }) => {
+        const prop = available.find(candidate => candidate.ns === ns && candidate.name === name);
+        if (prop) found.push(prop);
+        else missing.push(element(ns, name));
+    });
+    return [{ status: 200, props: found }, { status: 404, props: missing }].filter(propstat => propstat.props.length > 0);
+};
+
+/**
+ * Parses an XML request body. Entities are never expanded, so a body cannot pull in outside content.
+ * @param {string} [text] - Request body.
+ * @returns {Object|null} Root element, or null for an empty body.
+ * @throws {DavError} When the body is not well-formed.
+ */
+const parseXml = (text) => {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const parser = new DOMParser({
+        onError: (level, message) => {
+            if (level !== 'warning') throw new Error(message);
+        }
+    });
+    try {
+        return parser.parseFromString(text, 'application/xml').documentElement;
+    } catch (err) {
+        throw new DavError(400, 'Malformed XML body');
+    }
+};
+
+const childElements = (node, ns, name) => Array.from(node.childNodes).filter(child => child.nodeType === 1
+    && (ns === undefined || ((child.namespaceURI || '') === ns && child.localName === name)));
+const firstChild = (node, ns, name) => childElements(node, ns, name)[0];
+const propNames = (node) => childElements(node).map(child => ({ ns: child.namespaceURI || '', name: child.localName }));
+const testOf = (node) => node.getAttribute('test') === 'allof' ? 'allof' : 'anyof';
+
+/**
+ * Reads a PROPFIND body.
+ * @param {string} [text] - Request body; an empty body asks for all properties.
+ * @returns {{type: string, props: Object[]}} type prop, allprop or propname, and the { ns, name } of each property asked for.
+ * @throws {DavError} When the body is not a DAV:propfind.
+ */
+const parsePropfind = (text) => {
+    const root = parseXml(text);
+    if (!root) return { type: 'allprop', props: [] };
+    if (root.namespaceURI !== DAV || root.localName !== 'propfind') throw new DavError(400, 'Expected a DAV:propfind body');
+    if (firstChild(root, DAV, 'propname')) return { type: 'propname', props: [] };
+    const prop = firstChild(root, DAV, 'prop');
+    return prop ? { type: 'prop', props: propNames(prop) } : { type: 'allprop', props: [] };
+};
+
+/**
+ * Reads the CARDDAV:address-data element of a report, which says how cards should be returned.
+ * @param {Object} [node] - address-data element.
+ * @returns {{version: string, properties: string[]|undefined}} vCard version and, when the client asked
+ *   for part of each card, the property names to include.
+ */
+const parseAddressData = (node) => {
+    if (!node) return { version: '3.0', properties: undefined };
+    const contentType = node.getAttribute('content-type') || 'text/vcard';
+    const version = node.getAttribute('version') || '3.0';
+    if (contentType !== 'text/vcard' || !VCARD_VERSIONS.includes(version)) {
+        throw new DavError(403, `Cards are only available as text/vcard ${VCARD_VERSIONS.join(' or ')}`, { ns: CARDDAV, name: 'supported-address-data-conversion' });
+    }
+    const props = childElements(node, CARDDAV, 'prop');
+    return { version, properties: props.length > 0 ? props.map(prop => prop.getAttribute('name')).filter(Boolean) : undefined };
+};
+
+const parseTextMatch = (node) => {
+    const collation = node.getAttribute('collation') || 'i;unicode-casemap';
+    const matchType = node.getAttribute('match-type') || 'contains';
+    if (!COLLATIONS[collation]) throw new DavError(403, `Unsupported collation ${collation}`, { ns: CARDDAV, name: 'supported-collation' });
+    if (!MATCH_TYPES[matchType]) throw new DavError(400, `Unknown match-type ${matchType}`);
+    return {
+        fold: COLLATIONS[collation],
+        match: MATCH_TYPES[matchType],
+        text: node.textContent,
+        negate: node.getAttribute('negate-condition') === 'yes'
+    };
+};
+
+const parsePropFilter = (node) => ({
+    name: (node.getAttribute('name') || '').toUpperCase(),
+    test: testOf(node),
+    isNotDefined: Boolean(firstChild(node, CARDDAV, 'is-not-defined')),
+    textMatches: childElements(node, CARDDAV, 'text-match').map(parseTextMatch),
+    paramFilters: childElements(node, CARDDAV, 'param-filter').map(paramFilter => {
+        const textMatch = firstChild(paramFilter, CARDDAV, 'text-match');
+        return {
+            name: (paramFilter.getAttribute('name') || '').toUpperCase(),
+            isNotDefined: Boolean(firstChild(paramFilter, CARDDAV, 'is-not-defined')),
+            textMatch: textMatch ? parseTextMatch(textMatch) : null
+        };
+    })
+});
+
+/**
+ * Reads a REPORT body. addressbook-multiget and addressbook-query are supported.
+ * @param {string} [text] - Request body.
+ * @returns {Object} { type, request, addressData } plus `hrefs` for a multiget, or `filter` and `limit` for a query.
+ *   `request` is what to answer for each card, as from parsePropfind.
+ * @throws {DavError} When the body is missing or malformed, or asks for an unsupported report.
+ */
+const parseReport = (text) => {
+    const root = parseXml(text);
+    if (!root) throw new DavError(400, 'REPORT requires a body');
+    const type = root.localName;
+    if (root.namespaceURI !== CARDDAV || !['addressbook-multiget', 'addressbook-query'].includes(type)) {
+        throw new DavError(403, `Unsupported report ${type}`, { ns: DAV, name: 'supported-report' });
+    }
+    const prop = firstChild(root, DAV, 'prop');
+    const report = {
+        type,
+        request: prop ? { type: 'prop', props: propNames(prop) } : { type: 'allprop', props: [] },
+        addressData: parseAddressData(prop && firstChild(prop, CARDDAV, 'address-data'))
+    };
+    if (type === 'addressbook-multiget') {
+        report.hrefs = childElements(root, DAV, 'href').map(href => href.textContent.trim());
+        return report;
+    }
+    const filter = firstChild(root, CARDDAV, 'filter');
+    report.filter = { test: filter ? testOf(filter) : 'anyof', propFilters: filter ? childElements(filter, CARDDAV, 'prop-filter').map(parsePropFilter) : [] };
+    const limit = firstChild(root, CARDDAV, 'limit');
+    const nresults = limit && firstChild(limit, CARDDAV, 'nresults');
+    report.limit = nresults ? Number(nresults.textContent.trim()) : null;
+    if (report.limit !== null && (!Number.isInteger(report.limit) || report.limit < 1)) {
+        throw new DavError(400, 'nresults must be a positive integer');
+    }
+    return report;
+};
+
+const combine = (test, results) => test === 'allof' ? results.every(Boolean) : results.some(Boolean);
+const textMatches = (textMatch, value) => textMatch.match(textMatch.fold(value), textMatch.fold(textMatch.text)) !== textMatch.negate;
+
+const paramMatches = (paramFilter, property) => {
+    const values = property.params[paramFilter.name];
+    if (paramFilter.isNotDefined) return !values;
+    if (!values) return false;
+    return !paramFilter.textMatch || values.some(value => textMatches(paramFilter.textMatch, value));
+};
+
+const propMatches = (propFilter, properties) => {
+    const candidates = properties.filter(property => property.name === propFilter.name);
+    if (propFilter.isNotDefined) return candidates.length === 0;
+    const tests = [
+        ...propFilter.textMatches.map(textMatch => (property) => textMatches(textMatch, propertyText(property))),
+        ...propFilter.paramFilters.map(paramFilter => (property) => paramMatches(paramFilter, property))
+    ];
+    if (tests.length === 0) return candidates.length > 0;
+    return candidates.some(property => combine(propFilter.test, tests.map(test => test(property))));
+};
+
+/**
+ * Checks a card against an addressbook-query filter. A filter without prop-filters matches every card.
+ * @param {Object} filter - `filter` from parseReport.
+ * @param {Object} card - Card from parseVCards.
+ * @returns {boolean} Whether the card matches.
+ */
+const matchesFilter = (filter, card) => filter.propFilters.length === 0
+    || combine(filter.test, filter.propFilters.map(propFilter => propMatches(propFilter, card.properties)));
+
+/**
+ * Computes an address book's ctag (the calendarserver.org getctag extension), which changes whenever a card
+ * in it is added, changed or removed, so clients can tell whether there is anything to sync.
+ * @param {Object[]} contacts - Every contact in the address book, with id and version.
+ * @returns {string} Tag.
+ */
+const collectionTag = (contacts) => {
+    const hash = crypto.createHash('sha1');
+    [...contacts].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)).forEach(({ id, version }) => hash.update(`${id}:${version}\n`));
+    return hash.digest('hex');
+};
+
+module.exports = {
+    DAV,
+    CARDDAV,
+    CALENDARSERVER,
+    DavError,
+    element,
+    multistatus,
+    errorBody,
+    propstatsFor,
+    parsePropfind,
+    parseReport,
+    matchesFilter,
+    collectionTag
+};
@@ -0,0 +1,109 @@
+// WebDAV and CardDAV request bodies, addressbook-query filters and multistatus responses
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DAV, CARDDAV, DavError, element, multistatus, errorBody, propstatsFor, parsePropfind, parseReport, matchesFilter, collectionTag
+} = require('./carddav');
+const { parseVCards } = require('./vcard');
+
+const ADA = parseVCards('BEGIN:VCARD\r\nVERSION:3.0\r\nFN:Ada Lovelace\r\nTEL;TYPE=CELL:+12025550143\r\nEMAIL:ada@example.com\r\nEND:VCARD')[0];
+
+/**
+ * Wraps an addressbook-query filter in a report body.
+ * @param {string} filter - Content of the CARDDAV:filter element.
+ * @param {string} [test] - test attribute of the filter.
+ * @returns {Object} `filter` from parseReport.
+ */
+const queryFilter = (filter, test = 'anyof') => parseReport(
+    `<C:addressbook-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:carddav"><C:filter test="${test}">${filter}</C:filter></C:addressbook-query>`
+).filter;
+
+describe('parsePropfind', () => {
+    test('reads the properties asked for, or all of them for an empty body', () => {
+        assert.deepEqual(parsePropfind('<propfind xmlns="DAV:"><prop><getetag/><x:thing xmlns:x="urn:x"/></prop></propfind>'), {
+            type: 'prop',
+            props: [{ ns: DAV, name: 'getetag' }, { ns: 'urn:x', name: 'thing' }]
+        });
+        assert.deepEqual(parsePropfind(''), { type: 'allprop', props: [] });
+        assert.deepEqual(parsePropfind('<D:propfind xmlns:D="DAV:"><D:propname/></D:propfind>'), { type: 'propname', props: [] });
+    });
+
+    test('rejects malformed XML and other root elements with 400', () => {
+        for (const body of ['<propfind xmlns="DAV:">', '<prop xmlns="DAV:"/>']) {
+            assert.throws(() => parsePropfind(body), (err) => err instanceof DavError && err.status === 400);
+        }
+    });
+});
+
+describe('parseReport', () => {
+    test('reads the hrefs of a multiget and the vCard version asked for', () => {
+        const report = parseReport(`<C:addressbook-multiget xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:carddav">
+            <D:prop><D:getetag/><C:address-data version="4.0"><C:prop name="FN"/></C:address-data></D:prop>
+            <D:href> /carddav/a.vcf </D:href><D:href>/carddav/b.vcf</D:href>
+        </C:addressbook-multiget>`);
+        assert.equal(report.type, 'addressbook-multiget');
+        assert.deepEqual(report.hrefs, ['/carddav/a.vcf', '/carddav/b.vcf']);
+        assert.deepEqual(report.addressData, { version: '4.0', properties: ['FN'] });
+    });
+
+    test('answers 403 with the failed precondition to reports and conversions it does not support', () => {
+        assert.throws(() => parseReport('<D:sync-collection xmlns:D="DAV:"/>'),
+            (err) => err.status === 403 && err.condition.name === 'supported-report');
+        assert.throws(() => parseReport(`<C:addressbook-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:carddav">
+            <D:prop><C:address-data content-type="application/vcard+json"/></D:prop></C:addressbook-query>`),
+        (err) => err.status === 403 && err.condition.name === 'supported-address-data-conversion');
+        assert.throws(() => queryFilter('<C:prop-filter name="FN"><C:text-match collation="i;klingon">x</C:text-match></C:prop-filter>'),
+            (err) => err.status === 403 && err.condition.name === 'supported-collation');
+    });
+
+    test('requires a positive result limit', () => {
+        const query = (nresults) => parseReport(`<C:addressbook-query xmlns:C="urn:ietf:params:xml:ns:carddav">
+            <C:limit><C:nresults>${nresults}</C:nresults></C:limit></C:addressbook-query>`);
+        assert.equal(query('5').limit, 5);
+        assert.throws(() => query('0'), /positive integer/);
+    });
+});
+
+describe('matchesFilter', () => {
+    test('matches text case-insensitively by default', () => {
+        assert.equal(matchesFilter(queryFilter('<C:prop-filter name="FN"><C:text-match>LOVE</C:text-match></C:prop-filter>'), ADA), true);
+        assert.equal(matchesFilter(queryFilter('<C:prop-filter name="FN"><C:text-match collation="i;octet">LOVE</C:text-match></C:prop-filter>'), ADA), false);
+        assert.equal(matchesFilter(queryFilter('<C:prop-filter name="EMAIL"><C:text-match match-type="ends-with" negate-condition="yes">example.com</C:text-match></C:prop-filter>'), ADA), false);
+    });
+
+    test('checks parameters, missing properties and anyof or allof', () => {
+        const cell = '<C:prop-filter name="TEL"><C:param-filter name="TYPE"><C:text-match match-type="equals">cell</C:text-match></C:param-filter></C:prop-filter>';
+        const noNote = '<C:prop-filter name="NOTE"><C:is-not-defined/></C:prop-filter>';
+        const noEmail = '<C:prop-filter name="EMAIL"><C:is-not-defined/></C:prop-filter>';
+        assert.equal(matchesFilter(queryFilter(cell + noNote, 'allof'), ADA), true);
+        assert.equal(matchesFilter(queryFilter(cell + noEmail, 'allof'), ADA), false);
+        assert.equal(matchesFilter(queryFilter(cell + noEmail), ADA), true);
+        assert.equal(matchesFilter(queryFilter(''), ADA), true);
+    });
+});
+
+describe('responses', () => {
+    test('split the properties asked for into those found and those missing', () => {
+        const available = [element(DAV, 'getetag', '"3"'), element(DAV, 'displayname', 'Contacts')];
+        const propstats = propstatsFor({ type: 'prop', props: [{ ns: DAV, name: 'getetag' }, { ns: CARDDAV, name: 'max-resource-size' }] }, available);
+        assert.deepEqual(propstats.map(({ status, props }) => [status, props.map(prop => prop.name)]), [[200, ['getetag']], [404, ['max-resource-size']]]);
+        assert.deepEqual(propstatsFor({ type: 'propname', props: [] }, available)[0].props, [element(DAV, 'getetag'), element(DAV, 'displayname')]);
+    });
+
+    test('write multistatus and error bodies with escaped text', () => {
+        const body = multistatus([
+            { href: '/carddav/a.vcf', propstats: [{ status: 200, props: [element(CARDDAV, 'address-data', 'BEGIN:VCARD\r\nFN:A & B\r\n')] }] },
+            { href: '/carddav/missing.vcf', status: 404 }
+        ]);
+        assert.match(body, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<d:multistatus xmlns:d="DAV:"/);
+        assert.match(body, /<card:address-data>BEGIN:VCARD&#13;\nFN:A &amp; B&#13;\n<\/card:address-data>/);
+        assert.match(body, /<d:href>\/carddav\/missing\.vcf<\/d:href><d:status>HTTP\/1\.1 404 Not Found<\/d:status>/);
+        assert.match(errorBody({ ns: 'urn:x', name: 'no-go' }), /<d:error [^>]*><x:no-go xmlns:x="urn:x"\/><\/d:error>$/);
+    });
+
+    test('change the collection tag when any card changes, whatever order they come in', () => {
+        const tag = collectionTag([{ id: 'a', version: 1 }, { id: 'b', version: 2 }]);
+        assert.equal(collectionTag([{ id: 'b', version: 2 }, { id: 'a', version: 1 }]), tag);
+        assert.notEqual(collectionTag([{ id: 'a', version: 1 }, { id: 'b', version: 3 }]), tag);
+    });
+});
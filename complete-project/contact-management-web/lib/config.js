@@ -0,0 +1,37 @@
+// Storage settings shared by the server and the migration CLI
+const path = require('path');
+
+// STORAGE_BACKEND selects mysql (default), sqlite or memory
+const storageConfig = {
+    backend: process.env.STORAGE_BACKEND || 'mysql',
+    // MySQL connection configuration (update with your credentials or set the MYSQL_* variables)
+    mysql: {
+        host: process.env.MYSQL_HOST || 'localhost',
+        port: Number(process.env.MYSQL_PORT || 3306),
+        user: process.env.MYSQL_USER || 'root',
+        password: process.env.MYSQL_PASSWORD || '12345678',
+        database: process.env.MYSQL_DATABASE || 'contact_management_db',
+        // Pool sizing and timeouts; queries running longer than queryTimeoutMs are aborted
+        connectionLimit: Number(process.env.MYSQL_POOL_SIZE || 10),
+        connectTimeout: Number(process.env.MYSQL_CONNECT_TIMEOUT_MS || 10000),
+        queryTimeoutMs: Number(process.env.MYSQL_QUERY_TIMEOUT_MS || 10000)
+    },
+    sqlite: {
+        filename: process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'contacts.sqlite')
+    }
+};
+
+// Startup connection attempts: DB_CONNECT_RETRIES tries, waiting DB_RETRY_DELAY_MS and doubling after each failure
+const connectRetryConfig = {
+    attempts: Number(process.env.DB_CONNECT_RETRIES || 10),
+    initialDelayMs: Number(process.env.DB_RETRY_DELAY_MS || 500),
+    maxDelayMs: 30000
+};
+
+// Phone numbers written without a country code are read as numbers of this country (ISO 3166 code, e.g. US or GB)
+const defaultPhoneRegion = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+// How IDs are made for contacts created without one: sequential, ulid or hash (see lib/contactIds.js)
+const contactIdStrategy = (process.env.CONTACT_ID_STRATEGY || 'sequential').toLowerCase();
+
+module.exports = { storageConfig, connectRetryConfig, defaultPhoneRegion, contactIdStrategy };
@@ -0,0 +1,101 @@
+// Generates IDs for contacts created without one
+const crypto = require('crypto');
+const { DuplicateError } = require('./storage');
+
+// Crockford's base 32: no I, L, O or U, so IDs read back unambiguously
+const BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Length of a short hash ID: 50 bits, the length legacy IDs were limited to
+const HASH_LENGTH = 10;
+
+// Attempts at a free ID before giving up; only a race with another insert or a very unlucky hash needs more than one
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Encodes bytes in Crockford's base 32, five bits per character.
+ * @param {Buffer} bytes - Bytes to encode.
+ * @param {number} length - Number of characters wanted; the bytes must hold at least 5 * length bits.
+ * @returns {string} Encoded text.
+ */
+const toBase32 = (bytes, length) => {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5 && out.length < length) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return out;
+};
+
+/**
+ * Generates a ULID: a 48-bit millisecond timestamp and 80 random bits in 26 base-32 characters, so IDs sort by
+ * creation time.
+ * @param {number} [now] - Creation time in milliseconds.
+ * @returns {string} ULID, e.g. 01J9ZQ3M5W4V8X2K7P1R6T0N3B.
+ */
+const ulid = (now = Date.now()) => {
+    let time = '';
+    for (let i = 0, rest = now; i < 10; i++, rest = Math.floor(rest / 32)) time = BASE32[rest % 32] + time;
+    return time + toBase32(crypto.randomBytes(10), 16);
+};
+
+/**
+ * Generates a short hash ID from the contact and a random salt: as short as legacy IDs, but saying nothing about
+ * when the contact was created or what it holds.
+ * @param {Object} contact - Contact being created.
+ * @returns {string} 10 base-32 characters.
+ */
+const shortHash = (contact) => {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(contact)).update(crypto.randomBytes(16)).digest();
+    return toBase32(digest, HASH_LENGTH);
+};
+
+// Strategy name to a function making the next candidate ID for a contact
+const ID_STRATEGIES = {
+    // 1, 2, 3, ... after the highest all-digit ID ever used, so IDs stay short and show the order contacts were added.
+    // Finding that ID reads every contact ID and history entry, and on MySQL holds other creates back until the
+    // transaction ends, so large or busy address books are better served by ulid or hash
+    sequential: async (repository) => String((await repository.highestNumericContactId()) + 1),
+    ulid: async () => ulid(),
+    hash: async (repository, contact) => shortHash(contact)
+};
+
+/**
+ * Creates the ID allocator for a strategy.
+ * @param {Object} options - Allocator options.
+ * @param {string} options.strategy - Key of ID_STRATEGIES.
+ * @param {Object} options.repository - Storage repository, for the sequential strategy.
+ * @returns {{strategy: string, create: Function}} Allocator.
+ */
+const createIdAllocator = ({ strategy, repository }) => {
+    const next = ID_STRATEGIES[strategy];
+    if (!next) throw new Error(`Unknown contact ID strategy "${strategy}"; use one of ${Object.keys(ID_STRATEGIES).join(', ')}`);
+
+    /**
+     * Creates a contact under a newly generated ID, trying another when the ID turns out to be taken.
+     * @param {Object} contact - Contact without an ID, passed to the strategy.
+     * @param {Function} insert - async (id) => creates the contact under id; rejects with DuplicateError when it is taken.
+     * @returns {Promise<string>} The ID the contact was created under.
+     */
+    const create = async (contact, insert) => {
+        for (let attempt = 1; ; attempt++) {
+            const id = await next(repository, contact);
+            try {
+                await insert(id);
+                return id;
+            } catch (err) {
+                if (!(err instanceof DuplicateError) || attempt >= MAX_ATTEMPTS) throw err;
+            }
+        }
+    };
+
+    return { strategy, create };
+};
+
+module.exports = { ID_STRATEGIES, createIdAllocator, ulid };
@@ -0,0 +1,60 @@
+// IDs for contacts created without one
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ID_STRATEGIES, createIdAllocator, ulid } = require('./contactIds');
+const { DuplicateError } = require('./storage');
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+describe('ulid', () => {
+    test('starts with the time in base 32, so IDs sort by creation', () => {
+        assert.match(ulid(), ULID);
+        assert.equal(ulid(1469918176385).slice(0, 10), '01ARYZ6S41');
+        assert.ok(ulid(1469918176385) < ulid(1469918176386));
+    });
+});
+
+describe('ID_STRATEGIES', () => {
+    test('count on from the highest numeric ID, or make random IDs', async () => {
+        const repository = { highestNumericContactId: async () => 12399 };
+        assert.equal(await ID_STRATEGIES.sequential(repository), '12400');
+        assert.match(await ID_STRATEGIES.ulid(), ULID);
+        const hash = await ID_STRATEGIES.hash(repository, { firstName: 'Ada' });
+        assert.match(hash, /^[0-9A-HJKMNP-TV-Z]{10}$/);
+        assert.notEqual(await ID_STRATEGIES.hash(repository, { firstName: 'Ada' }), hash);
+    });
+});
+
+describe('createIdAllocator', () => {
+    test('rejects an unknown strategy', () => {
+        assert.throws(() => createIdAllocator({ strategy: 'uuid' }), /Unknown contact ID strategy "uuid"; use one of sequential, ulid, hash/);
+    });
+
+    test('tries the next ID while the one it made is taken', async () => {
+        let highest = 5;
+        const { create } = createIdAllocator({ strategy: 'sequential', repository: { highestNumericContactId: async () => highest++ } });
+        const tried = [];
+        const id = await create({}, async (candidate) => {
+            tried.push(candidate);
+            if (tried.length < 3) throw new DuplicateError('Taken');
+        });
+        assert.equal(id, '8');
+        assert.deepEqual(tried, ['6', '7', '8']);
+    });
+
+    test('gives up after a few taken IDs and passes on other errors at once', async () => {
+        const { create } = createIdAllocator({ strategy: 'ulid' });
+        let attempts = 0;
+        await assert.rejects(create({}, async () => {
+            attempts += 1;
+            throw new DuplicateError('Taken');
+        }), DuplicateError);
+        assert.equal(attempts, 5);
+        attempts = 0;
+        await assert.rejects(create({}, async () => {
+            attempts += 1;
+            throw new Error('Database down');
+        }), /Database down/);
+        assert.equal(attempts, 1);
+    });
+});
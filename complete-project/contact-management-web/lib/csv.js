@@ -0,0 +1,91 @@
+// RFC 4180 CSV: quoted fields, doubled quotes and line breaks inside quotes
+
+/**
+ * Thrown when CSV text is malformed. `line` is the 1-based line the problem was found on.
+ */
+class CsvError extends Error {
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.line = line;
+    }
+}
+
+/**
+ * Parses CSV text into records. Accepts CRLF or LF line endings and a leading byte order mark,
+ * and tolerates a missing line break at the end.
+ * @param {string} text - CSV text.
+ * @returns {Array<{line: number, fields: string[]}>} One entry per record, with the line it starts on.
+ *   Blank lines are skipped.
+ * @throws {CsvError} When a quoted field is never closed or text follows a closing quote.
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        afterQuote = false;
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+        fields = [];
+    };
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                afterQuote = true;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (afterQuote) {
+            throw new CsvError('Unexpected text after a closing quote', line);
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new CsvError('Quoted field is never closed', recordLine);
+    if (field !== '' || fields.length > 0 || afterQuote) endRecord();
+    return records;
+};
+
+// First characters that make a spreadsheet read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV record, quoting the values that need it. null and undefined become empty fields. A value a
+ * spreadsheet would run as a formula is written with a leading apostrophe, which makes it read the cell as text;
+ * parseCsv keeps the apostrophe, so such a value does not read back as it was.
+ * @param {Array} values - Field values.
+ * @returns {string} Record terminated by CRLF.
+ */
+const formatCsvRecord = (values) => values.map(value => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = { CsvError, parseCsv, formatCsvRecord };
@@ -0,0 +1,57 @@
+// Reading and writing RFC 4180 CSV
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CsvError, parseCsv, formatCsvRecord } = require('./csv');
+
+describe('parseCsv', () => {
+    test('splits records and fields, with CRLF or LF line endings', () => {
+        assert.deepEqual(parseCsv('a,b\r\nc,d\ne,f'), [
+            { line: 1, fields: ['a', 'b'] },
+            { line: 2, fields: ['c', 'd'] },
+            { line: 3, fields: ['e', 'f'] }
+        ]);
+    });
+
+    test('reads quoted fields with commas, doubled quotes and line breaks', () => {
+        const records = parseCsv('id,address\r\n1,"10 Main St, Apt 2\nSpringfield"\r\n2,"She said ""hi"""\r\n');
+        assert.deepEqual(records[1], { line: 2, fields: ['1', '10 Main St, Apt 2\nSpringfield'] });
+        // The record after a quoted line break starts on a later line
+        assert.deepEqual(records[2], { line: 4, fields: ['2', 'She said "hi"'] });
+    });
+
+    test('skips blank lines and a byte order mark, and keeps empty fields', () => {
+        assert.deepEqual(parseCsv('﻿a,,c\r\n\r\n,\r\n'), [
+            { line: 1, fields: ['a', '', 'c'] },
+            { line: 3, fields: ['', ''] }
+        ]);
+        assert.deepEqual(parseCsv('"",x'), [{ line: 1, fields: ['', 'x'] }]);
+    });
+
+    test('reports the line of malformed quoting', () => {
+        assert.throws(() => parseCsv('a\r\n"open,b'), (err) => err instanceof CsvError && err.line === 2 && /never closed/.test(err.message));
+        assert.throws(() => parseCsv('a,b\r\n"x"y,z'), (err) => err instanceof CsvError && err.line === 2 && /after a closing quote/.test(err.message));
+    });
+
+    test('keeps a quote inside an unquoted field', () => {
+        assert.deepEqual(parseCsv('5\'10",x').map(record => record.fields), [['5\'10"', 'x']]);
+    });
+});
+
+describe('formatCsvRecord', () => {
+    test('quotes only the values that need it', () => {
+        assert.equal(formatCsvRecord(['plain', 'a,b', 'say "hi"', 'two\nlines', ' padded', null, undefined, 42]),
+            'plain,"a,b","say ""hi""","two\nlines"," padded",,,42\r\n');
+    });
+
+    test('writes values a spreadsheet would run as formulas as text', () => {
+        assert.equal(formatCsvRecord(['=SUM(A1:A2)', '+12025550143', '-1', '@cmd', '\tx', '\rx', 'a=b']),
+            "'=SUM(A1:A2),'+12025550143,'-1,'@cmd,'\tx,\"'\rx\",a=b\r\n");
+        // Reading the file back keeps the apostrophe
+        assert.deepEqual(parseCsv(formatCsvRecord(['=1+1', 'x']))[0].fields, ["'=1+1", 'x']);
+    });
+
+    test('writes what parseCsv reads back', () => {
+        const values = ['Ada', 'Lovelace, Countess', '"quoted"', 'line\r\nbreak', ''];
+        assert.deepEqual(parseCsv(formatCsvRecord(values))[0].fields, values);
+    });
+});
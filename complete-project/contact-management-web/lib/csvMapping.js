@@ -0,0 +1,78 @@
+// Maps the columns of an imported CSV file to contact fields
+const { CONTACT_FIELDS } = require('./pagination');
+
+// Fields an imported row cannot do without; rows without an ID get one from the server
+const REQUIRED_FIELDS = ['firstName', 'lastName', 'phone', 'email'];
+
+// Header spellings matched without an explicit mapping, compared lowercased with everything but letters and digits removed
+const HEADER_ALIASES = {
+    id: ['id', 'contactid'],
+    firstName: ['firstname', 'givenname', 'first'],
+    lastName: ['lastname', 'surname', 'familyname', 'last'],
+    phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile'],
+    address: ['address', 'streetaddress', 'postaladdress'],
+    email: ['email', 'emailaddress', 'mail']
+};
+
+/**
+ * Thrown when the columns cannot be mapped to contact fields. `details` is keyed by column or field name.
+ */
+class MappingError extends Error {
+    constructor(details) {
+        super('Invalid column mapping');
+        this.details = details;
+    }
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Works out which column feeds each contact field. Columns are matched to fields by their header,
+ * and an explicit mapping overrides those matches.
+ * @param {string[]} headers - Header row of the file.
+ * @param {Object} [mapping] - Header to contact field, or to null to ignore the column.
+ * @returns {{columns: Object, mapping: Object}} `columns` maps each contact field to a column index;
+ *   `mapping` is the header-to-field mapping in effect, for reporting back to the caller.
+ * @throws {MappingError} When the mapping names unknown columns or fields, maps two columns to one field,
+ *   or leaves a required field without a column.
+ */
+const resolveMapping = (headers, mapping = {}) => {
+    const errors = {};
+    const effective = {};
+    headers.forEach(header => {
+        const normalized = normalizeHeader(header);
+        const field = Object.keys(HEADER_ALIASES).find(name => HEADER_ALIASES[name].includes(normalized));
+        effective[header] = field || null;
+    });
+    for (const [header, field] of Object.entries(mapping)) {
+        if (!headers.includes(header)) errors[header] = 'No such column';
+        else if (field !== null && !CONTACT_FIELDS.includes(field)) errors[header] = `Unknown contact field "${field}"`;
+        else effective[header] = field;
+    }
+
+    const columns = {};
+    headers.forEach((header, index) => {
+        const field = effective[header];
+        if (!field) return;
+        if (columns[field] !== undefined) errors[header] = `Column "${headers[columns[field]]}" is already mapped to ${field}`;
+        else columns[field] = index;
+    });
+    REQUIRED_FIELDS.filter(field => columns[field] === undefined).forEach(field => {
+        errors[field] = 'No column is mapped to this field';
+    });
+    if (Object.keys(errors).length > 0) throw new MappingError(errors);
+    return { columns, mapping: effective };
+};
+
+/**
+ * Builds a contact from one CSV record.
+ * @param {string[]} fields - Record values.
+ * @param {Object} columns - Contact field to column index, from resolveMapping.
+ * @returns {Object} Contact with trimmed values; unmapped or missing values are empty strings.
+ */
+const recordToContact = (fields, columns) => Object.fromEntries(CONTACT_FIELDS.map(field => [
+    field,
+    columns[field] === undefined ? '' : (fields[columns[field]] ?? '').trim()
+]));
+
+module.exports = { MappingError, resolveMapping, recordToContact };
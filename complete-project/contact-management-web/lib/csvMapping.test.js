@@ -0,0 +1,49 @@
+// Matching the columns of an imported CSV file to contact fields
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MappingError, resolveMapping, recordToContact } = require('./csvMapping');
+
+const detailsOf = (fn) => {
+    try {
+        fn();
+    } catch (err) {
+        assert.ok(err instanceof MappingError);
+        return err.details;
+    }
+    assert.fail('Expected a MappingError');
+};
+
+describe('resolveMapping', () => {
+    test('matches headers by their usual spellings', () => {
+        const { columns, mapping } = resolveMapping(['Given Name', 'Surname', 'Tel', 'E-mail Address', 'Notes']);
+        assert.deepEqual(columns, { firstName: 0, lastName: 1, phone: 2, email: 3 });
+        assert.deepEqual(mapping, { 'Given Name': 'firstName', Surname: 'lastName', Tel: 'phone', 'E-mail Address': 'email', Notes: null });
+    });
+
+    test('lets an explicit mapping add, move and ignore columns', () => {
+        const { columns } = resolveMapping(
+            ['First', 'Last', 'Mobile', 'Work phone', 'Mail', 'Where'],
+            { Mobile: null, 'Work phone': 'phone', Where: 'address' }
+        );
+        assert.deepEqual(columns, { firstName: 0, lastName: 1, phone: 3, email: 4, address: 5 });
+    });
+
+    test('reports unknown columns and fields, columns mapped twice and required fields left out', () => {
+        const details = detailsOf(() => resolveMapping(
+            ['First', 'Phone', 'Tel', 'Mail'],
+            { Missing: 'email', Mail: 'nickname' }
+        ));
+        // Mail keeps the field its header matched, as the mapping for it is refused
+        assert.deepEqual(Object.keys(details).sort(), ['Mail', 'Missing', 'Tel', 'lastName']);
+        assert.match(details.Tel, /already mapped to phone/);
+    });
+});
+
+describe('recordToContact', () => {
+    test('reads the mapped columns, trimmed, and leaves the others empty', () => {
+        const { columns } = resolveMapping(['email', 'first', 'last', 'phone']);
+        assert.deepEqual(recordToContact([' ada@example.com ', 'Ada', 'Lovelace'], columns), {
+            id: '', firstName: 'Ada', lastName: 'Lovelace', phone: '', address: '', email: 'ada@example.com'
+        });
+    });
+});
@@ -0,0 +1,349 @@
+// Built-in layouts for the CSV files Google Contacts and Outlook export, for importing and exporting in their columns
+const { contactIdFor, fillPrimaryFields } = require('./vcard');
+const { CONTACT_COLLECTIONS, DEFAULT_LABEL } = require('../shared/contactSchema');
+const { MAX_STREET_LINES, countryName, formatAddress, addressFromParts } = require('../shared/address');
+
+// Google puts several values of one kind in a single cell, separated like this
+const GOOGLE_SEPARATOR = ':::';
+
+// Column groups of each kind written to a Google file; entries beyond them are left out
+const GOOGLE_EXPORT_GROUPS = 3;
+
+// Outlook columns in the order they are read, with the label their entries get. Primary Phone holds the primary
+// number; the other kinds have no primary column, so their first entry becomes primary
+const OUTLOOK_PHONES = [
+    ['Primary Phone', DEFAULT_LABEL], ['Mobile Phone', 'mobile'], ['Home Phone', 'home'], ['Home Phone 2', 'home'],
+    ['Business Phone', 'work'], ['Business Phone 2', 'work'], ['Other Phone', DEFAULT_LABEL], ['Car Phone', DEFAULT_LABEL],
+    ['Company Main Phone', 'work'], ['Callback', DEFAULT_LABEL], ['Radio Phone', DEFAULT_LABEL]
+];
+const OUTLOOK_EMAILS = ['E-mail Address', 'E-mail 2 Address', 'E-mail 3 Address'];
+const OUTLOOK_ADDRESSES = [['Home', 'home'], ['Business', 'work'], ['Other', DEFAULT_LABEL]];
+
+// Columns of one Google group after its label, and how an entry fills each
+const GOOGLE_VALUE_COLUMNS = { Value: (entry) => entry.value };
+const GOOGLE_ADDRESS_COLUMNS = {
+    Formatted: (address) => formatAddress(address) || address.value,
+    Street: (address) => (address.street || []).join('\n'),
+    City: (address) => address.city || '',
+    Region: (address) => address.region || '',
+    'Postal Code': (address) => address.postalCode || '',
+    Country: (address) => address.country ? countryName(address.country) : ''
+};
+
+// Columns of each Outlook address after its kind (Home, Business or Other), and how an address fills each
+const OUTLOOK_ADDRESS_COLUMNS = {
+    ...Object.fromEntries(Array.from({ length: MAX_STREET_LINES }, (_, index) => [
+        index === 0 ? 'Street' : `Street ${index + 1}`,
+        (address) => (address.street || [address.value])[index] || ''
+    ])),
+    City: (address) => address.city || '',
+    State: (address) => address.region || '',
+    'Postal Code': (address) => address.postalCode || '',
+    'Country/Region': (address) => address.country ? countryName(address.country) : ''
+};
+
+// Outlook columns written for each phone label after Primary Phone, in the order they are filled
+const OUTLOOK_EXPORT_PHONES = {
+    mobile: ['Mobile Phone'],
+    home: ['Home Phone', 'Home Phone 2'],
+    work: ['Business Phone', 'Business Phone 2'],
+    other: ['Other Phone']
+};
+
+/**
+ * Reads one record of a file in a profile's layout, keeping track of the columns read so that the
+ * values nothing read can be reported.
+ * @param {string[]} headers - Header row.
+ * @param {string[]} fields - Record values.
+ * @returns {Object} { cell(header), collect(name, candidates), reportUnread(), unmapped }, where `unmapped` collects
+ *   { column, value, reason } for each value left out.
+ */
+const createReader = (headers, fields) => {
+    const read = new Set();
+    const unmapped = [];
+    return {
+        unmapped,
+        // Trimmed value under a header, or '' when the file has no such column
+        cell: (header) => {
+            read.add(header);
+            const index = headers.indexOf(header);
+            return index < 0 ? '' : (fields[index] ?? '').trim();
+        },
+        // Turns { column, value, label, primary, parts } candidates into the entries of a collection, reporting those
+        // beyond its limit; only the first candidate marked primary stays primary, and addresses get their parts
+        collect: (name, candidates) => {
+            const { label, maxEntries } = CONTACT_COLLECTIONS[name];
+            candidates.slice(maxEntries)
+                .forEach(({ column, value }) => unmapped.push({ column, value, reason: `Only ${maxEntries} ${label.toLowerCase()} are kept` }));
+            const kept = candidates.slice(0, maxEntries);
+            const primary = kept.find(candidate => candidate.primary);
+            return kept.map(candidate => ({ label: candidate.label, value: candidate.value, primary: candidate === primary, ...candidate.parts }));
+        },
+        // Reports a value that was read but could not be kept
+        leaveOut: (column, value, reason) => unmapped.push({ column, value, reason }),
+        // Reports every value in a column that was never read
+        reportUnread: () => headers.forEach((header, index) => {
+            const value = (fields[index] ?? '').trim();
+            if (!read.has(header) && value) unmapped.push({ column: header, value, reason: 'No matching contact field' });
+        })
+    };
+};
+
+/**
+ * Lists the numbers of Google's numbered column groups of one kind, such as "Phone 1 - Value", "Phone 2 - Value".
+ * @param {string[]} headers - Header row.
+ * @param {string} kind - Phone, E-mail or Address.
+ * @returns {number[]} Group numbers in ascending order.
+ */
+const googleGroups = (headers, kind) => headers
+    .map(header => new RegExp(`^${kind} (\\d+) - `).exec(header))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .filter((number, index, numbers) => numbers.indexOf(number) === index)
+    .sort((a, b) => a - b);
+
+/**
+ * Reads a Google group label such as "* Mobile": the "*" marks the primary value, and the rest is the kind, which
+ * becomes the entry's label when the collection has it (Google's "Main" or custom labels become "other").
+ * @param {string} text - Label cell.
+ * @param {string} name - Key of CONTACT_COLLECTIONS.
+ * @returns {{label: string, primary: boolean}} Entry label and whether the group is the primary one.
+ */
+const googleLabel = (text, name) => {
+    const kind = text.replace(/^\*\s*/, '').trim().toLowerCase();
+    return { label: CONTACT_COLLECTIONS[name].labels.includes(kind) ? kind : DEFAULT_LABEL, primary: text.startsWith('*') };
+};
+
+/**
+ * Collects the phone numbers or email addresses of a Google record. Each group's label says what kind of number
+ * it is, and a label starting with "*" marks the primary one.
+ * @param {Object} reader - From createReader.
+ * @param {string[]} headers - Header row.
+ * @param {string} kind - Phone or E-mail.
+ * @param {string} name - Collection the values go to.
+ * @returns {Object[]} { column, value, label, primary } in column order.
+ */
+const googleValues = (reader, headers, kind, name) => googleGroups(headers, kind).flatMap(number => {
+    const column = `${kind} ${number} - Value`;
+    // Older exports call the label "Type"
+    const { label, primary } = googleLabel(reader.cell(`${kind} ${number} - Label`) || reader.cell(`${kind} ${number} - Type`), name);
+    return reader.cell(column).split(GOOGLE_SEPARATOR).map(value => value.trim()).filter(Boolean)
+        .map((value, index) => ({ column, value, label, primary: primary && index === 0 }));
+});
+
+/**
+ * Reads the parts of an address from a record's columns, reporting a country that is not recognized.
+ * @param {Object} reader - From createReader.
+ * @param {Object} columns - { street, city, region, postalCode, country }: the column of each part, street being a list.
+ * @returns {Object|null} Candidate fields { value, parts }, or null when the columns are empty.
+ */
+const readAddress = (reader, columns) => {
+    const country = reader.cell(columns.country);
+    const parts = addressFromParts({
+        street: columns.street.map(reader.cell),
+        city: reader.cell(columns.city),
+        region: reader.cell(columns.region),
+        postalCode: reader.cell(columns.postalCode),
+        country
+    });
+    if (!parts) return null;
+    if (country && !parts.country) reader.leaveOut(columns.country, country, 'Country is not recognized');
+    return { value: formatAddress(parts, { separator: ', ' }), parts };
+};
+
+/**
+ * Collects the addresses of a Google record, from their parts when it has them and otherwise from the formatted
+ * address, which is then parsed like any address given as text.
+ * @param {Object} reader - From createReader.
+ * @param {string[]} headers - Header row.
+ * @returns {Object[]} { column, value, label, primary, parts } in column order.
+ */
+const googleAddresses = (reader, headers) => googleGroups(headers, 'Address').map(number => {
+    const column = (name) => `Address ${number} - ${name}`;
+    const structured = readAddress(reader, {
+        street: [column('PO Box'), column('Extended Address'), column('Street')],
+        city: column('City'),
+        region: column('Region'),
+        postalCode: column('Postal Code'),
+        country: column('Country')
+    });
+    const formatted = reader.cell(column('Formatted')).split(/\s*\n\s*/).filter(Boolean).join(', ');
+    return {
+        column: column('Formatted'),
+        ...(structured && structured.value ? structured : { value: formatted }),
+        ...googleLabel(reader.cell(column('Label')) || reader.cell(column('Type')), 'addresses')
+    };
+}).filter(candidate => candidate.value);
+
+/**
+ * Writes a contact's entries of one kind in Google's numbered column groups, primary first.
+ * @param {Object[]} entries - Entries of one collection.
+ * @param {Object} [columns=GOOGLE_VALUE_COLUMNS] - Columns of a group after its label, and how an entry fills each.
+ * @returns {string[]} Label and columns of each of GOOGLE_EXPORT_GROUPS groups; '' for unused groups.
+ */
+const googleGroupCells = (entries, columns = GOOGLE_VALUE_COLUMNS) => {
+    const ordered = [...entries].sort((a, b) => Number(b.primary) - Number(a.primary));
+    return Array.from({ length: GOOGLE_EXPORT_GROUPS }, (_, index) => ordered[index]).flatMap(entry => entry
+        ? [`${entry.primary ? '* ' : ''}${entry.label[0].toUpperCase()}${entry.label.slice(1)}`, ...Object.values(columns).map(cell => cell(entry))]
+        : ['', ...Object.keys(columns).map(() => '')]);
+};
+
+// Header cells of Google's column groups of one kind, e.g. "Phone 1 - Label", "Phone 1 - Value", ...
+const googleGroupHeaders = (kind, columns = GOOGLE_VALUE_COLUMNS) => Array.from({ length: GOOGLE_EXPORT_GROUPS }, (_, index) => [
+    `${kind} ${index + 1} - Label`, ...Object.keys(columns).map(column => `${kind} ${index + 1} - ${column}`)
+]).flat();
+
+const outlookAddresses = (reader) => OUTLOOK_ADDRESSES.map(([kind, label]) => ({
+    column: `${kind} Street`,
+    ...readAddress(reader, {
+        street: [`${kind} PO Box`, ...Object.keys(OUTLOOK_ADDRESS_COLUMNS).filter(column => column.startsWith('Street')).map(column => `${kind} ${column}`)],
+        city: `${kind} City`,
+        region: `${kind} State`,
+        postalCode: `${kind} Postal Code`,
+        country: `${kind} Country/Region`
+    }),
+    label
+})).filter(candidate => candidate.value);
+
+/**
+ * Spreads a contact's entries over Outlook columns: the primary entry (for phones, to Primary Phone) and then the
+ * others, each in the first free column for its label. Entries with no free column are left out.
+ * @param {Object[]} entries - Entries of one collection.
+ * @param {Object} columnsByLabel - Label to the columns it may go in.
+ * @param {string} [primaryColumn] - Column of the primary entry, if the layout has one.
+ * @param {Function} [cellsOf] - (entry, column) => the cells an entry put in a column fills, for entries that take
+ *   several, such as addresses; by default the column holds the entry's value.
+ * @returns {Object} Column to value.
+ */
+const outlookCells = (entries, columnsByLabel, primaryColumn, cellsOf = (entry, column) => ({ [column]: entry.value })) => {
+    const used = new Set();
+    const cells = {};
+    const ordered = [...entries].sort((a, b) => Number(b.primary) - Number(a.primary));
+    ordered.forEach((entry, index) => {
+        const column = index === 0 && primaryColumn
+            ? primaryColumn
+            : columnsByLabel[entry.label].find(candidate => !used.has(candidate));
+        if (!column) return;
+        used.add(column);
+        Object.assign(cells, cellsOf(entry, column));
+    });
+    return cells;
+};
+
+/**
+ * Fills the columns of one Outlook address.
+ * @param {Object} address - Address entry.
+ * @param {string} kind - Home, Business or Other.
+ * @returns {Object} Column to value.
+ */
+const outlookAddressCells = (address, kind) => Object.fromEntries(Object.entries(OUTLOOK_ADDRESS_COLUMNS)
+    .map(([column, cell]) => [`${kind} ${column}`, cell(address)]));
+
+/**
+ * Splits a full name into first and last name at its last space.
+ * @param {string} name - Full name.
+ * @returns {{firstName: string, lastName: string}} Name parts.
+ */
+const splitName = (name) => {
+    const words = name.split(/\s+/).filter(Boolean);
+    const lastName = words.length > 1 ? words.pop() : '';
+    return { firstName: words.join(' '), lastName };
+};
+
+/**
+ * Each profile describes one other address book's CSV layout:
+ *
+ * - label: name shown to people
+ * - matches(headers): whether a header row looks like this layout, for picking the profile of an uploaded file
+ * - read(headers, reader): fills a contact's names and collections from one record through the reader's cell and collect
+ * - headers and toRecord(contact): the header row and the values of one contact, for exports
+ *
+ * Neither layout has a column for our contact ID, so imported contacts get one derived from their name, phone and
+ * email, which finds the same contact when the same file is imported again.
+ */
+const CSV_PROFILES = {
+    google: {
+        label: 'Google Contacts',
+        matches: (headers) => headers.some(header => /^(E-mail|Phone) \d+ - Value$/.test(header)),
+        read: (headers, reader) => {
+            // Older exports also carry the full name, which only matters when the parts are missing
+            const fullName = reader.cell('Name');
+            const contact = {
+                firstName: reader.cell('First Name') || reader.cell('Given Name'),
+                lastName: reader.cell('Last Name') || reader.cell('Family Name')
+            };
+            if (!contact.firstName && !contact.lastName) Object.assign(contact, splitName(fullName));
+            contact.phones = reader.collect('phones', googleValues(reader, headers, 'Phone', 'phones'));
+            contact.emails = reader.collect('emails', googleValues(reader, headers, 'E-mail', 'emails'));
+            contact.addresses = reader.collect('addresses', googleAddresses(reader, headers));
+            return contact;
+        },
+        headers: [
+            'First Name', 'Last Name',
+            ...googleGroupHeaders('E-mail'), ...googleGroupHeaders('Phone'), ...googleGroupHeaders('Address', GOOGLE_ADDRESS_COLUMNS)
+        ],
+        toRecord: (contact) => [
+            contact.firstName,
+            contact.lastName,
+            ...googleGroupCells(contact.emails),
+            ...googleGroupCells(contact.phones),
+            ...googleGroupCells(contact.addresses, GOOGLE_ADDRESS_COLUMNS)
+        ]
+    },
+    outlook: {
+        label: 'Outlook',
+        matches: (headers) => headers.includes('E-mail Address') && OUTLOOK_PHONES.some(([column]) => headers.includes(column)),
+        read: (headers, reader) => ({
+            firstName: reader.cell('First Name'),
+            lastName: reader.cell('Last Name'),
+            phones: reader.collect('phones', OUTLOOK_PHONES
+                .map(([column, label]) => ({ column, value: reader.cell(column), label, primary: column === 'Primary Phone' }))
+                .filter(candidate => candidate.value)),
+            emails: reader.collect('emails', OUTLOOK_EMAILS
+                .map(column => ({ column, value: reader.cell(column), label: DEFAULT_LABEL }))
+                .filter(candidate => candidate.value)),
+            addresses: reader.collect('addresses', outlookAddresses(reader))
+        }),
+        headers: [
+            'First Name', 'Last Name', ...OUTLOOK_EMAILS, 'Primary Phone', ...new Set(Object.values(OUTLOOK_EXPORT_PHONES).flat()),
+            ...OUTLOOK_ADDRESSES.flatMap(([kind]) => Object.keys(OUTLOOK_ADDRESS_COLUMNS).map(column => `${kind} ${column}`))
+        ],
+        toRecord: (contact) => {
+            const cells = {
+                'First Name': contact.firstName,
+                'Last Name': contact.lastName,
+                ...outlookCells(contact.emails, Object.fromEntries(CONTACT_COLLECTIONS.emails.labels.map(label => [label, OUTLOOK_EMAILS]))),
+                ...outlookCells(contact.phones, OUTLOOK_EXPORT_PHONES, 'Primary Phone'),
+                ...outlookCells(contact.addresses, Object.fromEntries(OUTLOOK_ADDRESSES.map(([kind, label]) => [label, [kind]])), null, outlookAddressCells)
+            };
+            return CSV_PROFILES.outlook.headers.map(header => cells[header] ?? '');
+        }
+    }
+};
+
+/**
+ * Picks the profile whose layout a header row is in.
+ * @param {string[]} headers - Header row.
+ * @returns {string|null} Profile name, or null when the file is in none of them.
+ */
+const detectProfile = (headers) => Object.keys(CSV_PROFILES).find(name => CSV_PROFILES[name].matches(headers)) || null;
+
+/**
+ * Builds a contact from one record of a file in a profile's layout. Every phone number, email and address becomes
+ * an entry, labeled by its column or Google label; the primary one is the one marked so (Google marks it with a "*"
+ * label, Outlook has a Primary Phone column), otherwise the first in column order.
+ * @param {string} name - Profile name.
+ * @param {string[]} headers - Header row.
+ * @param {string[]} fields - Record values.
+ * @returns {{contact: Object, unmapped: Object[]}} Contact, and one { column, value, reason } per value left out.
+ */
+const profileRecordToContact = (name, headers, fields) => {
+    const reader = createReader(headers, fields);
+    const fieldsRead = CSV_PROFILES[name].read(headers, reader);
+    reader.reportUnread();
+    const contact = fillPrimaryFields({ id: '', firstName: '', lastName: '', phones: [], emails: [], addresses: [], ...fieldsRead });
+    contact.id = contactIdFor('', contact);
+    return { contact, unmapped: reader.unmapped };
+};
+
+module.exports = { CSV_PROFILES, detectProfile, profileRecordToContact };
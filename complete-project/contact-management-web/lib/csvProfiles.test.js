@@ -0,0 +1,114 @@
+// Reading and writing the CSV layouts of Google Contacts and Outlook
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSV_PROFILES, detectProfile, profileRecordToContact } = require('./csvProfiles');
+
+/**
+ * Pairs a profile's header row with the values of one record, leaving out the empty ones.
+ * @param {string} name - Profile name.
+ * @param {string[]} record - Values in header order.
+ * @returns {Object} Header to value.
+ */
+const filled = (name, record) => Object.fromEntries(CSV_PROFILES[name].headers.map((header, index) => [header, record[index]]).filter(([, value]) => value));
+
+const contact = {
+    id: '1',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    phones: [
+        { label: 'work', value: '+12025550155', primary: false },
+        { label: 'mobile', value: '+12025550143', primary: true },
+        { label: 'home', value: '+12025550100', primary: false }
+    ],
+    emails: [{ label: 'home', value: 'ada@example.com', primary: true }],
+    addresses: [{ label: 'work', value: '', primary: true, street: ['1 Main St'], city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US' }]
+};
+
+describe('detectProfile', () => {
+    test('recognizes each layout by its columns', () => {
+        assert.equal(detectProfile(['Name', 'E-mail 1 - Value']), 'google');
+        assert.equal(detectProfile(['First Name', 'E-mail Address', 'Mobile Phone']), 'outlook');
+        assert.equal(detectProfile(['firstName', 'email']), null);
+    });
+});
+
+describe('profileRecordToContact', () => {
+    test('reads Google groups, splitting cells with several values and taking the starred label as primary', () => {
+        const headers = [
+            'Given Name', 'Family Name', 'Notes', 'Phone 1 - Type', 'Phone 1 - Value', 'Phone 2 - Label', 'Phone 2 - Value',
+            'E-mail 1 - Label', 'E-mail 1 - Value', 'Address 1 - Label', 'Address 1 - Street', 'Address 1 - City',
+            'Address 1 - Postal Code', 'Address 1 - Country'
+        ];
+        const { contact: read, unmapped } = profileRecordToContact('google', headers, [
+            'Ada', 'Lovelace', 'Countess', 'Mobile', '+1 202 555 0143 ::: +1 202 555 0155', '* Work', '+44 20 7946 0000',
+            'Custom', 'ada@example.com', 'Home', '12 St James Sq', 'London', 'SW1Y 4JH', 'Narnia'
+        ]);
+        assert.deepEqual(read.phones.map(({ label, value, primary }) => [label, value, primary]), [
+            ['mobile', '+1 202 555 0143', false],
+            ['mobile', '+1 202 555 0155', false],
+            ['work', '+44 20 7946 0000', true]
+        ]);
+        assert.equal(read.phone, '+44 20 7946 0000');
+        assert.equal(read.emails[0].label, 'other');
+        assert.equal(read.addresses[0].city, 'London');
+        assert.match(read.id, /^[0-9a-f]{10}$/);
+        assert.deepEqual(unmapped.map(({ column, reason }) => [column, reason]), [
+            ['Address 1 - Country', 'Country is not recognized'],
+            ['Notes', 'No matching contact field']
+        ]);
+    });
+
+    test('splits the full name of older Google files without name parts', () => {
+        const { contact: read } = profileRecordToContact('google', ['Name', 'E-mail 1 - Value'], ['Grace Brewster Hopper', 'grace@example.com']);
+        assert.equal(read.firstName, 'Grace Brewster');
+        assert.equal(read.lastName, 'Hopper');
+    });
+
+    test('reads Outlook columns with the label of their kind', () => {
+        const headers = ['First Name', 'Last Name', 'E-mail Address', 'Mobile Phone', 'Business Phone', 'Home Street', 'Home City', 'Home State', 'Home Postal Code', 'Home Country/Region'];
+        const { contact: read, unmapped } = profileRecordToContact('outlook', headers, [
+            'Grace', 'Hopper', 'grace@example.com', '2025550143', '2025550155', '1 Main St', 'Springfield', 'IL', '62701', 'United States'
+        ]);
+        assert.deepEqual(read.phones.map(({ label, value }) => [label, value]), [['mobile', '2025550143'], ['work', '2025550155']]);
+        assert.equal(read.phone, '2025550143');
+        assert.deepEqual(read.addresses[0].country, 'US');
+        assert.equal(read.address, '1 Main St, Springfield, IL 62701, United States');
+        assert.deepEqual(unmapped, []);
+    });
+
+    test('derives the same ID from the same record', () => {
+        const headers = ['First Name', 'Last Name', 'E-mail Address', 'Mobile Phone'];
+        const record = ['Grace', 'Hopper', 'grace@example.com', '2025550143'];
+        assert.equal(profileRecordToContact('outlook', headers, record).contact.id, profileRecordToContact('outlook', headers, [...record]).contact.id);
+    });
+});
+
+describe('toRecord', () => {
+    test('writes Google groups primary first, with a starred label', () => {
+        const record = CSV_PROFILES.google.toRecord(contact);
+        assert.equal(record.length, CSV_PROFILES.google.headers.length);
+        const cells = filled('google', record);
+        assert.equal(cells['Phone 1 - Label'], '* Mobile');
+        assert.equal(cells['Phone 1 - Value'], '+12025550143');
+        assert.equal(cells['Phone 2 - Label'], 'Work');
+        assert.equal(cells['Address 1 - Formatted'], '1 Main St\nSpringfield, IL 62701\nUnited States');
+        assert.equal(cells['Address 1 - Country'], 'United States');
+    });
+
+    test('puts the primary phone in Primary Phone and the others in the columns of their label', () => {
+        const cells = filled('outlook', CSV_PROFILES.outlook.toRecord(contact));
+        assert.deepEqual(cells, {
+            'First Name': 'Ada',
+            'Last Name': 'Lovelace',
+            'E-mail Address': 'ada@example.com',
+            'Primary Phone': '+12025550143',
+            'Home Phone': '+12025550100',
+            'Business Phone': '+12025550155',
+            'Business Street': '1 Main St',
+            'Business City': 'Springfield',
+            'Business State': 'IL',
+            'Business Postal Code': '62701',
+            'Business Country/Region': 'United States'
+        });
+    });
+});
@@ -0,0 +1,227 @@
+// Finds contacts that are probably the same person and combines them field by field
+const { normalize, editDistance } = require('./search');
+const { COLLECTION_FIELDS } = require('./pagination');
+const { CONTACT_COLLECTIONS, collectionValues } = require('../shared/contactSchema');
+
+// How much each kind of evidence on its own says that two contacts are the same person; a shared phone number
+// alone stays below DEFAULT_MIN_CONFIDENCE, since households and offices share one
+const SIGNAL_WEIGHTS = {
+    email: 0.85,
+    phone: 0.5,
+    name: 0.7
+};
+
+// Full names at least this similar count as a match; last names less similar than NAME_CONFLICT count against one
+const NAME_MATCH = 0.8;
+const NAME_CONFLICT = 0.7;
+
+// Phone numbers shorter than this are too ambiguous to compare
+const MIN_PHONE_DIGITS = 7;
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Fields a merge combines; the merged contact keeps the ID of the one it is merged into. Its phones, emails and
+// addresses come from the contact chosen for them, followed by those of the others it does not have yet
+const MERGE_FIELDS = ['firstName', 'lastName', ...COLLECTION_FIELDS];
+
+// Single field names a merge may still choose by, for the collection each mirrors, e.g. phone for phones
+const MERGE_FIELD_ALIASES = Object.fromEntries(Object.entries(CONTACT_COLLECTIONS).map(([name, { field }]) => [field, name]));
+
+/**
+ * Reduces a phone number to its digits, without the US country code, so "+1 (555) 123-4567" and
+ * "555.123.4567" compare equal.
+ * @param {string} phone - Stored phone number.
+ * @returns {string} Digits, or '' when there are too few to compare.
+ */
+const phoneKey = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    return national.length >= MIN_PHONE_DIGITS ? national : '';
+};
+
+const emailKey = (email) => String(email || '').trim().toLowerCase();
+
+// Comparison keys of all of a contact's phone numbers or email addresses, leaving out those too short to compare
+const phoneKeys = (contact) => collectionValues(contact, 'phones').map(phoneKey).filter(Boolean);
+const emailKeys = (contact) => collectionValues(contact, 'emails').map(emailKey).filter(Boolean);
+
+const nameKey = (firstName, lastName) => normalize(`${firstName || ''} ${lastName || ''}`).replace(/\s+/g, ' ');
+
+/**
+ * Scores how alike two normalized strings are by edit distance.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} 1 for equal strings, down to 0 for nothing in common.
+ */
+const stringSimilarity = (a, b) => {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 1 : 1 - editDistance(a, b, length) / length;
+};
+
+/**
+ * Scores how alike two full names are, also trying one with first and last name swapped.
+ * @param {Object} a - First contact.
+ * @param {Object} b - Second contact.
+ * @returns {number|null} Similarity between 0 and 1, or null when either contact has no name.
+ */
+const nameSimilarity = (a, b) => {
+    const name = nameKey(a.firstName, a.lastName);
+    if (!name || !nameKey(b.firstName, b.lastName)) return null;
+    return Math.max(
+        stringSimilarity(name, nameKey(b.firstName, b.lastName)),
+        stringSimilarity(name, nameKey(b.lastName, b.firstName))
+    );
+};
+
+/**
+ * Tells whether two contacts have clearly different last names, unless one has first and last name swapped.
+ * @param {Object} a - First contact.
+ * @param {Object} b - Second contact.
+ * @returns {boolean} True when both have a last name and they do not resemble each other.
+ */
+const lastNamesDiffer = (a, b) => {
+    const [firstA, lastA, firstB, lastB] = [a.firstName, a.lastName, b.firstName, b.lastName].map(normalize);
+    if (!lastA || !lastB || stringSimilarity(lastA, lastB) >= NAME_CONFLICT) return false;
+    return stringSimilarity(lastA, firstB) < NAME_MATCH || stringSimilarity(firstA, lastB) < NAME_MATCH;
+};
+
+/**
+ * Scores how likely two contacts are to be the same person. A shared email address, a shared phone number and a
+ * matching name each add evidence, combined so that two matches count for more than either alone; last names that clearly differ halve
+ * the result, since families and colleagues often share a phone number or an email address.
+ * @param {Object} a - First contact.
+ * @param {Object} b - Second contact.
+ * @returns {{confidence: number, matchedFields: string[]}} Confidence between 0 and 1 and the evidence found.
+ */
+const compareContacts = (a, b) => {
+    const matchedFields = [];
+    let unlikely = 1;
+    const emailsOfB = emailKeys(b);
+    if (emailKeys(a).some(email => emailsOfB.includes(email))) {
+        matchedFields.push('email');
+        unlikely *= 1 - SIGNAL_WEIGHTS.email;
+    }
+    const phonesOfB = phoneKeys(b);
+    if (phoneKeys(a).some(phone => phonesOfB.includes(phone))) {
+        matchedFields.push('phone');
+        unlikely *= 1 - SIGNAL_WEIGHTS.phone;
+    }
+    const similarity = nameSimilarity(a, b);
+    if (similarity !== null && similarity >= NAME_MATCH) {
+        matchedFields.push('name');
+        unlikely *= 1 - SIGNAL_WEIGHTS.name * similarity;
+    }
+    let confidence = 1 - unlikely;
+    if (lastNamesDiffer(a, b)) confidence /= 2;
+    return { confidence: Math.round(confidence * 1000) / 1000, matchedFields };
+};
+
+/**
+ * Lists the keys under which a contact is compared with others. Only contacts sharing a key are compared, so
+ * large address books are not compared pair by pair: each email address, the last digits of each phone number, and
+ * the first two letters of each name word, which a typo rarely changes.
+ * @param {Object} contact - Contact row.
+ * @returns {string[]} Blocking keys.
+ */
+const blockingKeys = (contact) => {
+    const keys = nameKey(contact.firstName, contact.lastName).split(' ').filter(Boolean).map(word => `name:${word.slice(0, 2)}`);
+    emailKeys(contact).forEach(email => keys.push(`email:${email}`));
+    phoneKeys(contact).forEach(phone => keys.push(`phone:${phone.slice(-MIN_PHONE_DIGITS)}`));
+    return [...new Set(keys)];
+};
+
+/**
+ * Groups contacts that are probably the same person. Pairs scoring at least minConfidence are linked, and
+ * linked contacts form one group even when not every pair in it scores that high.
+ * @param {Object[]} contacts - Contact rows.
+ * @param {number} [minConfidence] - Lowest pair confidence that links two contacts.
+ * @returns {Object[]} Groups of { confidence, contacts, pairs }, most confident first. A group's confidence is
+ *   that of its weakest link; pairs are { ids, confidence, matchedFields } for each link.
+ */
+const findDuplicates = (contacts, minConfidence = DEFAULT_MIN_CONFIDENCE) => {
+    const blocks = new Map();
+    contacts.forEach((contact, index) => blockingKeys(contact).forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+    }));
+
+    const parent = contacts.map((_, index) => index);
+    const root = (index) => parent[index] === index ? index : (parent[index] = root(parent[index]));
+    const compared = new Set();
+    const pairs = [];
+    for (const members of blocks.values()) {
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const [a, b] = [members[i], members[j]];
+                const pairKey = `${a}:${b}`;
+                if (compared.has(pairKey)) continue;
+                compared.add(pairKey);
+                const { confidence, matchedFields } = compareContacts(contacts[a], contacts[b]);
+                if (confidence < minConfidence) continue;
+                pairs.push({ members: [a, b], ids: [contacts[a].id, contacts[b].id], confidence, matchedFields });
+                parent[root(a)] = root(b);
+            }
+        }
+    }
+
+    const groups = new Map();
+    for (const { members, ...pair } of pairs) {
+        const key = root(members[0]);
+        if (!groups.has(key)) groups.set(key, { members: new Set(), pairs: [] });
+        const group = groups.get(key);
+        members.forEach(member => group.members.add(member));
+        group.pairs.push(pair);
+    }
+    return [...groups.values()]
+        .map(({ members, pairs: links }) => ({
+            confidence: Math.min(...links.map(link => link.confidence)),
+            contacts: [...members].sort((a, b) => a - b).map(index => contacts[index]),
+            pairs: links.sort((a, b) => b.confidence - a.confidence)
+        }))
+        .sort((a, b) => b.confidence - a.confidence || String(a.contacts[0].id).localeCompare(String(b.contacts[0].id)));
+};
+
+/**
+ * Combines the entries of one collection: all of the chosen contact's, its primary staying primary, then those of
+ * the other contacts whose value it does not have yet, up to the collection's limit.
+ * @param {string} name - Key of CONTACT_COLLECTIONS.
+ * @param {Object} chosen - Contact whose entries come first.
+ * @param {Object[]} candidates - All contacts merged, in order of preference.
+ * @returns {Object[]} Entries.
+ */
+const mergeCollection = (name, chosen, candidates) => {
+    const key = name === 'emails' ? emailKey : (value) => value;
+    const entries = (chosen[name] || []).map(entry => ({ ...entry }));
+    const seen = new Set(entries.map(entry => key(entry.value)));
+    for (const contact of candidates.filter(candidate => candidate !== chosen)) {
+        for (const entry of contact[name] || []) {
+            if (entries.length >= CONTACT_COLLECTIONS[name].maxEntries || seen.has(key(entry.value))) continue;
+            seen.add(key(entry.value));
+            entries.push({ ...entry, primary: false });
+        }
+    }
+    return entries;
+};
+
+/**
+ * Combines contacts into the one they are merged into. Each field comes from the contact `choices` names for it;
+ * otherwise the target keeps its own value, or takes the first non-empty one among the others when it has none.
+ * Collections also gain the entries of the other contacts, as mergeCollection describes.
+ * @param {Object} target - Contact that is kept.
+ * @param {Object[]} others - Contacts merged into it, in order of preference.
+ * @param {Object} [choices] - Field name, or a name in MERGE_FIELD_ALIASES, to the ID of the contact whose value to keep.
+ * @returns {Object} Merged values of MERGE_FIELDS.
+ */
+const mergeContacts = (target, others, choices = {}) => {
+    const candidates = [target, ...others];
+    const filled = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+    const chosenIds = Object.fromEntries(Object.entries(choices).map(([field, id]) => [MERGE_FIELD_ALIASES[field] || field, id]));
+    return Object.fromEntries(MERGE_FIELDS.map(field => {
+        const chosen = chosenIds[field] !== undefined
+            ? candidates.find(contact => contact.id === chosenIds[field])
+            : candidates.find(contact => filled(contact[field])) || target;
+        return [field, CONTACT_COLLECTIONS[field] ? mergeCollection(field, chosen, candidates) : chosen[field] ?? null];
+    }));
+};
+
+module.exports = { DEFAULT_MIN_CONFIDENCE, MERGE_FIELDS, MERGE_FIELD_ALIASES, compareContacts, findDuplicates, mergeContacts };
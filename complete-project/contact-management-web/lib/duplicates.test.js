@@ -0,0 +1,91 @@
+// Scoring, grouping and merging likely duplicate contacts
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_MIN_CONFIDENCE, compareContacts, findDuplicates, mergeContacts } = require('./duplicates');
+
+const person = (id, firstName, lastName, phone = '', email = '') => ({ id, firstName, lastName, phone, email });
+
+describe('compareContacts', () => {
+    test('matches phone numbers however they are written and email addresses in any case', () => {
+        const { confidence, matchedFields } = compareContacts(
+            person('1', 'Ada', 'Lovelace', '+1 (202) 555-0143', 'Ada@Example.com'),
+            person('2', 'Ada', 'Lovelace', '202.555.0143', 'ada@example.com ')
+        );
+        assert.deepEqual(matchedFields, ['email', 'phone', 'name']);
+        assert.ok(confidence > 0.95);
+    });
+
+    test('counts a close misspelling or swapped name as the same name', () => {
+        assert.deepEqual(compareContacts(person('1', 'Jonathan', 'Smith'), person('2', 'Jonathon', 'Smith')).matchedFields, ['name']);
+        assert.deepEqual(compareContacts(person('1', 'Ada', 'Lovelace'), person('2', 'Lovelace', 'Ada')).matchedFields, ['name']);
+    });
+
+    test('keeps a shared phone number alone below the default threshold', () => {
+        const { confidence } = compareContacts(person('1', 'Ada', 'Lovelace', '2025550143'), person('2', 'Grace', 'Hopper', '2025550143'));
+        assert.ok(confidence < DEFAULT_MIN_CONFIDENCE);
+    });
+
+    test('halves the confidence of contacts with clearly different last names', () => {
+        const family = compareContacts(person('1', 'Ada', 'Lovelace', '', 'home@example.com'), person('2', 'Ada', 'Byron', '', 'home@example.com'));
+        assert.equal(family.confidence, 0.425);
+    });
+
+    test('ignores phone numbers too short to compare', () => {
+        assert.deepEqual(compareContacts(person('1', 'A', 'B', '555'), person('2', 'C', 'D', '555')).matchedFields, []);
+    });
+});
+
+describe('findDuplicates', () => {
+    const contacts = [
+        person('1', 'Ada', 'Lovelace', '2025550143', 'ada@example.com'),
+        person('2', 'Grace', 'Hopper', '2025550199', 'grace@example.com'),
+        person('3', 'Ada', 'Lovelace', '', 'ADA@example.com'),
+        person('4', 'Ada', 'Lovelce', '+1 202 555 0143', ''),
+        person('5', 'Alan', 'Turing', '2025550100', 'alan@example.com')
+    ];
+
+    test('groups linked contacts, with the weakest link as the group confidence', () => {
+        const groups = findDuplicates(contacts);
+        assert.equal(groups.length, 1);
+        assert.deepEqual(groups[0].contacts.map(contact => contact.id), ['1', '3', '4']);
+        assert.equal(groups[0].confidence, Math.min(...groups[0].pairs.map(pair => pair.confidence)));
+        assert.deepEqual(groups[0].pairs[0].ids, ['1', '3']);
+    });
+
+    test('leaves out pairs below the threshold', () => {
+        assert.deepEqual(findDuplicates(contacts, 0.99), []);
+    });
+});
+
+describe('mergeContacts', () => {
+    const target = {
+        id: '1', firstName: 'Ada', lastName: '',
+        phones: [{ label: 'mobile', value: '+12025550143', primary: true }],
+        emails: [],
+        addresses: []
+    };
+    const other = {
+        id: '2', firstName: 'Augusta', lastName: 'Lovelace',
+        phones: [{ label: 'work', value: '+12025550155', primary: true }, { label: 'home', value: '+12025550143', primary: false }],
+        emails: [{ label: 'home', value: 'ADA@example.com', primary: true }],
+        addresses: []
+    };
+
+    test('keeps the target values, fills its empty ones and adds the entries it lacks', () => {
+        const merged = mergeContacts(target, [other]);
+        assert.equal(merged.firstName, 'Ada');
+        assert.equal(merged.lastName, 'Lovelace');
+        assert.deepEqual(merged.phones, [
+            { label: 'mobile', value: '+12025550143', primary: true },
+            { label: 'work', value: '+12025550155', primary: false }
+        ]);
+        // The target has no emails, so they come from the other contact, its primary one staying primary
+        assert.deepEqual(merged.emails, [{ label: 'home', value: 'ADA@example.com', primary: true }]);
+    });
+
+    test('takes each chosen field from the contact chosen for it', () => {
+        const merged = mergeContacts(target, [other], { firstName: '2', phone: '2' });
+        assert.equal(merged.firstName, 'Augusta');
+        assert.deepEqual(merged.phones.map(({ value, primary }) => [value, primary]), [['+12025550155', true], ['+12025550143', false]]);
+    });
+});
@@ -0,0 +1,34 @@
+// Entity tags for contacts, derived from their version, and If-Match precondition checks
+
+/**
+ * Builds the strong entity tag for a contact version.
+ * @param {number} version - Contact version.
+ * @returns {string} Quoted entity tag, e.g. "3".
+ */
+const contactETag = (version) => `"${version}"`;
+
+/**
+ * Parses an If-Match header.
+ * @param {string|undefined} header - Raw header value.
+ * @returns {string[]|null} Listed entity tags ('*' for any), or null when the header is absent or empty.
+ */
+const parseIfMatch = (header) => {
+    if (typeof header !== 'string' || !header.trim()) return null;
+    return header.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+/**
+ * Checks an If-Match precondition against the current version of a contact.
+ * Uses the strong comparison required by RFC 9110, so weak tags (W/"3") never match.
+ * @param {string|undefined} header - Raw If-Match header value.
+ * @param {number} version - Current contact version.
+ * @returns {boolean} True when the request may proceed.
+ */
+const ifMatchSatisfied = (header, version) => {
+    const tags = parseIfMatch(header);
+    if (!tags) return true;
+    const current = contactETag(version);
+    return tags.some(tag => tag === '*' || tag === current);
+};
+
+module.exports = { contactETag, ifMatchSatisfied };
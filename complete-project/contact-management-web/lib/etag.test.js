@@ -0,0 +1,32 @@
+// Entity tags of contact versions and If-Match checks
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { contactETag, ifMatchSatisfied } = require('./etag');
+
+describe('contactETag', () => {
+    test('quotes the version', () => {
+        assert.equal(contactETag(3), '"3"');
+    });
+});
+
+describe('ifMatchSatisfied', () => {
+    test('lets a request without a precondition through', () => {
+        assert.equal(ifMatchSatisfied(undefined, 3), true);
+        assert.equal(ifMatchSatisfied('  ', 3), true);
+    });
+
+    test('matches the current version among the listed tags', () => {
+        assert.equal(ifMatchSatisfied('"3"', 3), true);
+        assert.equal(ifMatchSatisfied('"1", "3"', 3), true);
+        assert.equal(ifMatchSatisfied('"2"', 3), false);
+    });
+
+    test('matches any version with a star', () => {
+        assert.equal(ifMatchSatisfied('*', 7), true);
+    });
+
+    test('never matches a weak or unquoted tag', () => {
+        assert.equal(ifMatchSatisfied('W/"3"', 3), false);
+        assert.equal(ifMatchSatisfied('3', 3), false);
+    });
+});
@@ -0,0 +1,130 @@
+// Contact export formats, written one row at a time so a large address book never sits in memory
+const { formatCsvRecord } = require('./csv');
+const { formatVCard } = require('./vcard');
+const { formatAddress } = require('../shared/address');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+    labels: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+/**
+ * Waits until a stream can take more data, or has closed because the client went away.
+ * @param {Object} stream - Writable stream.
+ * @returns {Promise<void>} Resolves on 'drain' or 'close'.
+ */
+const drained = (stream) => new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+/**
+ * Writes text, holding back while the stream's buffer is full.
+ * @param {Object} stream - Writable stream.
+ * @param {string} text - Text to write.
+ * @returns {Promise<void>} Resolves once more data may be written.
+ */
+const writeText = async (stream, text) => {
+    if (!stream.write(text)) await drained(stream);
+};
+
+// Search results carry matchedFields as an array, which a single cell holds as a list; the entries of phones, emails
+// and addresses are written as label:value
+const cellValue = (value) => Array.isArray(value)
+    ? value.map(item => item && typeof item === 'object' ? `${item.label}:${item.value}` : item).join(';')
+    : value ?? null;
+
+/**
+ * Writes a mailing label: the contact's name over its primary address, as the address's country writes addresses.
+ * @param {Object} row - Contact with addresses.
+ * @param {string} homeCountry - Country the mail is sent from, whose name is left off and whose layout addresses
+ *   without a country use.
+ * @returns {string|null} Label, or null for a contact without an address.
+ */
+const mailingLabel = (row, homeCountry) => {
+    const addresses = row.addresses || [];
+    const primary = addresses.find(entry => entry.primary) || addresses[0];
+    if (!primary) return null;
+    const address = formatAddress(primary, { defaultCountry: homeCountry, omitCountry: homeCountry }) || primary.value;
+    return `${[row.firstName, row.lastName].filter(Boolean).join(' ')}\n${address}\n`;
+};
+
+/**
+ * Creates a writer that sends contacts to a stream in one of EXPORT_FORMATS. CSV and XLSX start with a header row
+ * of field names, which POST /contacts/import recognizes. vCard writes one card per contact with every field,
+ * whatever `fields` says, since a card without a name or UID cannot be imported again. CSV with a `profile` is written
+ * in that profile's columns instead (see lib/csvProfiles.js), also ignoring `fields`. Labels are mailing labels
+ * separated by blank lines, leaving out contacts without an address.
+ * @param {string} format - csv, jsonl, xlsx, vcf or labels.
+ * @param {Object} stream - Writable stream, usually the response.
+ * @param {string[]} fields - Fields to write, in column order.
+ * @param {Object} [options] - `vcardVersion` for vcf (3.0 or 4.0; default 3.0), `profile` for csv (one of
+ *   CSV_PROFILES) and `homeCountry` for labels (ISO 3166 code of the country mail is sent from; default US).
+ * @returns {{write: Function, end: Function}} async write(row) for each contact, then async end().
+ */
+const createExportWriter = (format, stream, fields, { vcardVersion = '3.0', profile = null, homeCountry = 'US' } = {}) => {
+    if (format === 'labels') {
+        let first = true;
+        return {
+            write: async (row) => {
+                const label = mailingLabel(row, homeCountry);
+                if (!label) return;
+                await writeText(stream, first ? label : `\n${label}`);
+                first = false;
+            },
+            end: async () => {
+                stream.end();
+            }
+        };
+    }
+    if (format === 'vcf') {
+        return {
+            write: (row) => writeText(stream, formatVCard(row, vcardVersion)),
+            end: async () => {
+                stream.end();
+            }
+        };
+    }
+    if (format === 'jsonl') {
+        return {
+            write: (row) => writeText(stream, `${JSON.stringify(Object.fromEntries(fields.map(field => [field, row[field] ?? null])))}\n`),
+            end: async () => {
+                stream.end();
+            }
+        };
+    }
+    if (format === 'xlsx') {
+        // exceljs is large, so it is only loaded once someone asks for a spreadsheet
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Contacts');
+        sheet.addRow(fields).commit();
+        return {
+            write: async (row) => {
+                sheet.addRow(fields.map(field => cellValue(row[field]))).commit();
+            },
+            end: async () => {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+    stream.write(formatCsvRecord(profile ? profile.headers : fields));
+    const toRecord = profile ? profile.toRecord : (row) => fields.map(field => cellValue(row[field]));
+    return {
+        write: (row) => writeText(stream, formatCsvRecord(toRecord(row))),
+        end: async () => {
+            stream.end();
+        }
+    };
+};
+
+module.exports = { EXPORT_FORMATS, createExportWriter };
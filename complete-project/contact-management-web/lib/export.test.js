@@ -0,0 +1,72 @@
+// Writing contacts to a stream in each export format
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { createExportWriter } = require('./export');
+const { CSV_PROFILES } = require('./csvProfiles');
+
+const ROWS = [
+    {
+        id: '1', firstName: 'Ada', lastName: 'Lovelace', phone: '+12025550143', email: 'ada@example.com',
+        phones: [{ label: 'mobile', value: '+12025550143', primary: true }, { label: 'work', value: '+12025550155', primary: false }],
+        emails: [{ label: 'home', value: 'ada@example.com', primary: true }],
+        addresses: [{ label: 'home', value: '', primary: true, street: ['10 Downing St'], city: 'London', region: '', postalCode: 'SW1A 2AA', country: 'GB' }]
+    },
+    { id: '2', firstName: 'Grace', lastName: 'Hopper', phone: '+12025550199', email: 'grace@example.com', phones: [], emails: [], addresses: [] }
+];
+
+/**
+ * Writes the rows in a format and collects what reaches the stream.
+ * @param {string} format - Export format.
+ * @param {string[]} fields - Fields to write.
+ * @param {Object} [options] - Writer options.
+ * @returns {Promise<Buffer>} Everything written.
+ */
+const exported = async (format, fields, options) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => stream.on('end', resolve));
+    const writer = createExportWriter(format, stream, fields, options);
+    for (const row of ROWS) await writer.write(row);
+    await writer.end();
+    await ended;
+    return Buffer.concat(chunks);
+};
+
+describe('createExportWriter', () => {
+    test('writes CSV with a header row of the fields, and entries as label:value', async () => {
+        const text = (await exported('csv', ['id', 'lastName', 'phones'])).toString();
+        assert.equal(text, 'id,lastName,phones\r\n1,Lovelace,mobile:+12025550143;work:+12025550155\r\n2,Hopper,\r\n');
+    });
+
+    test('writes CSV in the columns of a profile, whatever the fields', async () => {
+        const [header, first] = (await exported('csv', ['id'], { profile: CSV_PROFILES.outlook })).toString().split('\r\n');
+        assert.ok(header.startsWith('First Name,Last Name,E-mail Address'));
+        assert.ok(first.startsWith('Ada,Lovelace,ada@example.com'));
+    });
+
+    test('writes one JSON object per line, with null for fields a contact lacks', async () => {
+        const lines = (await exported('jsonl', ['id', 'address'])).toString().trimEnd().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines, [{ id: '1', address: null }, { id: '2', address: null }]);
+    });
+
+    test('writes a spreadsheet that reads back with the same cells', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await exported('xlsx', ['id', 'firstName', 'emails']));
+        const rows = workbook.getWorksheet('Contacts').getSheetValues().filter(Boolean).map(row => row.slice(1));
+        assert.deepEqual(rows, [['id', 'firstName', 'emails'], ['1', 'Ada', 'home:ada@example.com'], ['2', 'Grace']]);
+    });
+
+    test('writes every field of each contact as a vCard', async () => {
+        const cards = (await exported('vcf', ['id'], { vcardVersion: '4.0' })).toString().split('END:VCARD\r\n').filter(Boolean);
+        assert.equal(cards.length, 2);
+        assert.match(cards[0], /\r\nVERSION:4\.0\r\n[\s\S]*\r\nN:Lovelace;Ada;;;\r\n/);
+    });
+
+    test('writes mailing labels in the layout of each address, leaving out contacts without one', async () => {
+        assert.equal((await exported('labels', [], { homeCountry: 'US' })).toString(), 'Ada Lovelace\n10 Downing St\nLondon\nSW1A 2AA\nUnited Kingdom\n');
+        assert.equal((await exported('labels', [], { homeCountry: 'GB' })).toString(), 'Ada Lovelace\n10 Downing St\nLondon\nSW1A 2AA\n');
+    });
+});
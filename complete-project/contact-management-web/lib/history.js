@@ -0,0 +1,44 @@
+// Contact change history: snapshots of contact values and field-level diffs between them
+const { CONTACT_FIELDS, COLLECTION_FIELDS } = require('./pagination');
+
+// Fields a snapshot keeps. Snapshots taken before contacts had collections have none, which reads as null
+const SNAPSHOT_FIELDS = [...CONTACT_FIELDS, ...COLLECTION_FIELDS];
+
+/**
+ * Copies the user-visible fields of a contact, leaving out storage details such as ownerId.
+ * @param {Object|null} contact - Contact values.
+ * @returns {Object|null} Snapshot with every contact field, or null when there is no contact.
+ */
+const snapshotContact = (contact) => contact
+    ? Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, contact[field] ?? null]))
+    : null;
+
+/**
+ * Lists the fields that differ between two snapshots.
+ * @param {Object|null} before - Values before the change; null for a create.
+ * @param {Object|null} after - Values after the change; null for a delete.
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields in SNAPSHOT_FIELDS order. Collections count as
+ *   changed when any entry is added, removed, moved or edited.
+ */
+const diffContacts = (before, after) => SNAPSHOT_FIELDS
+    .map(field => ({ field, from: before ? before[field] ?? null : null, to: after ? after[field] ?? null : null }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+/**
+ * Shapes a stored history entry for the API.
+ * @param {Object} entry - Entry from listContactHistory.
+ * @returns {Object} Version, action, actor, timestamp, field changes and the resulting contact. Merges list the
+ *   other contacts involved in `mergedWith`.
+ */
+const toHistoryResponse = ({ version, action, actorId, actorName, changedAt, revertedTo, mergedWith, before, after }) => ({
+    version,
+    action,
+    actor: { id: actorId, name: actorName },
+    changedAt,
+    revertedTo,
+    mergedWith,
+    changes: diffContacts(before, after),
+    contact: after
+});
+
+module.exports = { snapshotContact, diffContacts, toHistoryResponse };
@@ -0,0 +1,52 @@
+// Contact snapshots and the field-level diffs of history entries
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { snapshotContact, diffContacts, toHistoryResponse } = require('./history');
+
+const ada = {
+    id: '1', firstName: 'Ada', lastName: 'Lovelace', phone: '+12025550143', address: '', email: 'ada@example.com',
+    phones: [{ label: 'mobile', value: '+12025550143', primary: true }], emails: [], addresses: []
+};
+
+describe('snapshotContact', () => {
+    test('keeps the contact fields only, with null for those missing', () => {
+        const single = { id: '1', firstName: 'Ada', lastName: 'Lovelace', phone: '+12025550143', email: 'ada@example.com' };
+        assert.deepEqual(snapshotContact({ ...single, ownerId: 7, version: 3 }), { ...single, address: null, phones: null, emails: null, addresses: null });
+        assert.equal(snapshotContact(null), null);
+    });
+});
+
+describe('diffContacts', () => {
+    test('lists the fields that changed, in field order', () => {
+        const after = { ...ada, lastName: 'King', phones: [...ada.phones, { label: 'work', value: '+12025550155', primary: false }] };
+        assert.deepEqual(diffContacts(ada, after), [
+            { field: 'lastName', from: 'Lovelace', to: 'King' },
+            { field: 'phones', from: ada.phones, to: after.phones }
+        ]);
+        assert.deepEqual(diffContacts(ada, { ...ada }), []);
+    });
+
+    test('lists every field set when a contact is created, and every field cleared when it is deleted', () => {
+        assert.deepEqual(diffContacts(null, ada).map(change => change.field), ['id', 'firstName', 'lastName', 'phone', 'address', 'email', 'phones', 'emails', 'addresses']);
+        assert.ok(diffContacts(ada, null).every(change => change.to === null));
+    });
+});
+
+describe('toHistoryResponse', () => {
+    test('names the actor and lists the changes and the resulting contact', () => {
+        const changedAt = new Date('2024-01-02T03:04:05Z');
+        assert.deepEqual(toHistoryResponse({
+            version: 2, action: 'update', actorId: 5, actorName: 'grace', changedAt, revertedTo: null, mergedWith: null,
+            before: ada, after: { ...ada, firstName: 'Augusta' }
+        }), {
+            version: 2,
+            action: 'update',
+            actor: { id: 5, name: 'grace' },
+            changedAt,
+            revertedTo: null,
+            mergedWith: null,
+            changes: [{ field: 'firstName', from: 'Ada', to: 'Augusta' }],
+            contact: { ...ada, firstName: 'Augusta' }
+        });
+    });
+});
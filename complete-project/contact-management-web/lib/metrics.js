@@ -0,0 +1,130 @@
+// Prometheus metrics served in the text exposition format at /metrics
+const client = require('prom-client');
+
+// Repository methods that manage the connection or hand back a row stream rather than run one query
+const UNTIMED_METHODS = new Set(['initialize', 'close', 'migrationDriver', 'poolStats', 'streamContacts']);
+
+/**
+ * Builds the route label for a finished request. Uses the route pattern rather than the URL,
+ * so /contacts/123 and /contacts/456 share one series.
+ * @param {Object} req - Request object.
+ * @returns {string} Route pattern, the mount path of the middleware that answered, or "unmatched".
+ */
+const routeLabel = (req) => {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    return req.baseUrl || 'unmatched';
+};
+
+/**
+ * Creates the metrics registry with HTTP, storage, validation and default process metrics.
+ * @returns {Object} Metrics with observeRequest, instrumentRepository, recordValidationFailures, contentType and render.
+ */
+const createMetrics = () => {
+    const register = new client.Registry();
+    client.collectDefaultMetrics({ register });
+
+    let poolSource = null;
+
+    const httpRequests = new client.Counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests handled, by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        registers: [register]
+    });
+
+    const httpDuration = new client.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency, by method, route and status code',
+        labelNames: ['method', 'route', 'status'],
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [register]
+    });
+
+    const dbDuration = new client.Histogram({
+        name: 'db_query_duration_seconds',
+        help: 'Storage call latency, by repository operation and outcome',
+        labelNames: ['operation', 'outcome'],
+        buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+        registers: [register]
+    });
+
+    const validationFailures = new client.Counter({
+        name: 'validation_failures_total',
+        help: 'Rejected request fields, by field name',
+        labelNames: ['field'],
+        registers: [register]
+    });
+
+    new client.Gauge({
+        name: 'db_pool_connections',
+        help: 'Database connection pool usage: limit, open, idle and waiting requests',
+        labelNames: ['state'],
+        registers: [register],
+        collect() {
+            const stats = poolSource && poolSource.poolStats();
+            if (!stats) return;
+            this.set({ state: 'limit' }, stats.connectionLimit);
+            this.set({ state: 'open' }, stats.open);
+            this.set({ state: 'idle' }, stats.idle);
+            this.set({ state: 'waiting' }, stats.waiting);
+        }
+    });
+
+    return {
+        contentType: register.contentType,
+
+        /**
+         * Records a finished HTTP request.
+         * @param {Object} req - Request object.
+         * @param {Object} res - Response object.
+         * @param {number} durationSeconds - Time taken to respond.
+         */
+        observeRequest(req, res, durationSeconds) {
+            const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+            httpRequests.inc(labels);
+            httpDuration.observe(labels, durationSeconds);
+        },
+
+        /**
+         * Wraps a repository so every storage call is timed, and reads pool usage from it.
+         * @param {Object} repository - Repository from ./storage.
+         * @returns {Object} Repository with the same interface.
+         */
+        instrumentRepository(repository) {
+            poolSource = repository;
+            return Object.fromEntries(Object.entries(repository).map(([key, value]) => {
+                if (typeof value !== 'function' || UNTIMED_METHODS.has(key)) return [key, value];
+                return [key, async (...args) => {
+                    const end = dbDuration.startTimer({ operation: key });
+                    try {
+                        const result = await value(...args);
+                        end({ outcome: 'success' });
+                        return result;
+                    } catch (err) {
+                        end({ outcome: 'error' });
+                        throw err;
+                    }
+                }];
+            }));
+        },
+
+        /**
+         * Counts the fields named in a validation error response. Positions of collection entries are left out of
+         * the label, so phones.2.value counts as phones.value.
+         * @param {Object} details - Field name to error message.
+         */
+        recordValidationFailures(details) {
+            Object.keys(details).forEach(field => validationFailures.inc({ field: field.replace(/\.\d+(?=\.|$)/g, '') }));
+        },
+
+        /**
+         * Renders every metric in the Prometheus text format.
+         * @returns {Promise<string>} Exposition text.
+         */
+        render() {
+            return register.metrics();
+        }
+    };
+};
+
+module.exports = { createMetrics };
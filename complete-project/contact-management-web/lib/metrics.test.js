@@ -0,0 +1,44 @@
+// Request, storage, pool and validation metrics and their exposition text
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('./metrics');
+
+describe('createMetrics', () => {
+    test('labels requests by route pattern rather than URL', async () => {
+        const metrics = createMetrics();
+        for (const id of ['123', '456']) {
+            metrics.observeRequest({ method: 'GET', baseUrl: '', route: { path: '/contacts/:id' }, originalUrl: `/contacts/${id}` }, { statusCode: 200 }, 0.02);
+        }
+        metrics.observeRequest({ method: 'GET', baseUrl: '' }, { statusCode: 404 }, 0.001);
+        const text = await metrics.render();
+        assert.match(text, /http_requests_total\{method="GET",route="\/contacts\/:id",status="200"\} 2/);
+        assert.match(text, /http_requests_total\{method="GET",route="unmatched",status="404"\} 1/);
+        assert.match(text, /http_request_duration_seconds_bucket\{le="0\.025",method="GET",route="\/contacts\/:id",status="200"\} 2/);
+    });
+
+    test('times repository calls by outcome and reads pool usage from the repository', async () => {
+        const metrics = createMetrics();
+        const repository = metrics.instrumentRepository({
+            async getContact(id) { return { id }; },
+            async deleteContact() { throw new Error('gone'); },
+            poolStats: () => ({ connectionLimit: 10, open: 3, idle: 1, waiting: 0 }),
+            streamContacts: () => 'stream'
+        });
+        assert.deepEqual(await repository.getContact('1'), { id: '1' });
+        await assert.rejects(repository.deleteContact('1'), /gone/);
+        assert.equal(repository.streamContacts(), 'stream');
+        const text = await metrics.render();
+        assert.match(text, /db_query_duration_seconds_count\{operation="getContact",outcome="success"\} 1/);
+        assert.match(text, /db_query_duration_seconds_count\{operation="deleteContact",outcome="error"\} 1/);
+        assert.doesNotMatch(text, /operation="streamContacts"/);
+        assert.match(text, /db_pool_connections\{state="open"\} 3/);
+    });
+
+    test('counts each rejected field once, without the position of collection entries', async () => {
+        const metrics = createMetrics();
+        metrics.recordValidationFailures({ email: 'Invalid', 'phones.0.value': 'Invalid', 'phones.2.value': 'Invalid' });
+        const text = await metrics.render();
+        assert.match(text, /validation_failures_total\{field="email"\} 1/);
+        assert.match(text, /validation_failures_total\{field="phones\.value"\} 2/);
+    });
+});
@@ -0,0 +1,119 @@
+// Versioned schema migrations: numbered files in ../migrations, tracked in the schema_migrations table
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Loads the migration files in version order.
+ * @param {string} [directory] - Folder holding NNN_name.js files.
+ * @returns {Object[]} Migrations with version, name, up and down.
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => fs.readdirSync(directory)
+    .map(file => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+        const migration = require(path.join(directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${file} must export up and down functions`);
+        }
+        return { version: Number(version), name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+/**
+ * Formats a migration the way its file is named, e.g. 002_add_users_and_sessions.
+ * @param {Object} migration - Migration with version and name.
+ * @returns {string} Label for logs and CLI output.
+ */
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+/**
+ * Creates a migration runner for a database.
+ * @param {Object} driver - Repository migration driver: { dialect, execute(sql, params), columnExists(table, column) }.
+ * @param {Object} [options] - Runner options.
+ * @param {Object[]} [options.migrations] - Migrations to manage; defaults to the migrations folder.
+ * @returns {Object} Runner with status, pending, up and down.
+ */
+const createMigrator = (driver, { migrations = loadMigrations() } = {}) => {
+    const ensureTable = () => driver.execute(driver.dialect === 'mysql'
+        ? `CREATE TABLE IF NOT EXISTS schema_migrations (
+               version INT PRIMARY KEY,
+               name VARCHAR(255) NOT NULL,
+               appliedAt DATETIME NOT NULL
+           )`
+        : `CREATE TABLE IF NOT EXISTS schema_migrations (
+               version INTEGER PRIMARY KEY,
+               name VARCHAR(255) NOT NULL,
+               appliedAt INTEGER NOT NULL
+           )`);
+
+    const appliedVersions = async () => {
+        await ensureTable();
+        const rows = await driver.execute('SELECT version, appliedAt FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [Number(row.version), new Date(row.appliedAt)]));
+    };
+
+    return {
+        /**
+         * Lists every known migration and whether it has been applied.
+         * @returns {Promise<Object[]>} { version, name, applied, appliedAt } per migration.
+         */
+        async status() {
+            const applied = await appliedVersions();
+            return migrations.map(({ version, name }) => ({
+                version,
+                name,
+                applied: applied.has(version),
+                appliedAt: applied.get(version) || null
+            }));
+        },
+
+        /**
+         * Lists migrations that have not been applied yet.
+         * @returns {Promise<Object[]>} Pending migrations in version order.
+         */
+        async pending() {
+            const applied = await appliedVersions();
+            return migrations.filter(({ version }) => !applied.has(version));
+        },
+
+        /**
+         * Applies pending migrations in order.
+         * @param {number} [target] - Highest version to apply; defaults to all.
+         * @returns {Promise<Object[]>} Migrations that were applied.
+         */
+        async up(target = Infinity) {
+            const applied = await appliedVersions();
+            const done = [];
+            for (const migration of migrations) {
+                if (applied.has(migration.version) || migration.version > target) continue;
+                await migration.up(driver);
+                await driver.execute(
+                    'INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date()]
+                );
+                done.push(migration);
+            }
+            return done;
+        },
+
+        /**
+         * Rolls back the most recently applied migrations.
+         * @param {number} [steps] - How many migrations to roll back.
+         * @returns {Promise<Object[]>} Migrations that were rolled back, newest first.
+         */
+        async down(steps = 1) {
+            const applied = await appliedVersions();
+            const toRevert = migrations.filter(({ version }) => applied.has(version)).reverse().slice(0, steps);
+            for (const migration of toRevert) {
+                await migration.down(driver);
+                await driver.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+            return toRevert;
+        }
+    };
+};
+
+module.exports = { createMigrator, loadMigrations, migrationLabel };
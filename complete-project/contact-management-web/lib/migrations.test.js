@@ -0,0 +1,164 @@
+// Migration runner behaviour, and every migration applied and rolled back on an in-memory SQLite database
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMigrator, loadMigrations, migrationLabel } = require('./migrations');
+const { createSqliteRepository } = require('./storage/sqlite');
+
+const MIGRATIONS = loadMigrations();
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+describe('loadMigrations', () => {
+    test('numbers the migrations from 1 without gaps', () => {
+        assert.deepEqual(MIGRATIONS.map(({ version }) => version), MIGRATIONS.map((migration, index) => index + 1));
+    });
+
+    test('labels a migration as its file is named', () => {
+        assert.equal(migrationLabel({ version: 2, name: 'add_users_and_sessions' }), '002_add_users_and_sessions');
+    });
+});
+
+describe('createMigrator on SQLite', () => {
+    let repository;
+    let driver;
+    let migrator;
+
+    const tables = async () => (await driver.execute("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite!_%' ESCAPE '!' ORDER BY name"))
+        .map(({ name }) => name);
+
+    beforeEach(async () => {
+        repository = createSqliteRepository({ filename: ':memory:' });
+        await repository.initialize();
+        driver = repository.migrationDriver();
+        migrator = createMigrator(driver);
+    });
+
+    afterEach(async () => {
+        await repository.close();
+    });
+
+    test('applies every migration once, in order', async () => {
+        const applied = await migrator.up();
+        assert.deepEqual(applied.map(({ version }) => version), MIGRATIONS.map(({ version }) => version));
+        assert.deepEqual(await migrator.pending(), []);
+        assert.deepEqual(await migrator.up(), []);
+        const status = await migrator.status();
+        assert.ok(status.every(({ applied: isApplied, appliedAt }) => isApplied && appliedAt instanceof Date));
+        assert.deepEqual(await tables(), [
+            'api_keys', 'carddav_cards', 'contact_history', 'contact_methods', 'contacts', 'schema_migrations', 'sessions', 'users'
+        ]);
+    });
+
+    test('stops at the target version', async () => {
+        await migrator.up(3);
+        assert.deepEqual((await migrator.pending()).map(({ version }) => version), MIGRATIONS.slice(3).map(({ version }) => version));
+        assert.equal(await driver.columnExists('users', 'role'), true);
+        assert.equal((await tables()).includes('api_keys'), false);
+    });
+
+    test('rolls back the newest migrations first', async () => {
+        await migrator.up();
+        const reverted = await migrator.down(2);
+        assert.deepEqual(reverted.map(({ version }) => version), [LATEST, LATEST - 1]);
+        assert.deepEqual((await migrator.pending()).map(({ version }) => version), [LATEST - 1, LATEST]);
+    });
+
+    test('undoes every migration down to an empty schema and redoes them', async () => {
+        await migrator.up();
+        const reverted = await migrator.down(Infinity);
+        assert.equal(reverted.length, MIGRATIONS.length);
+        assert.deepEqual(await tables(), ['schema_migrations']);
+        await migrator.up();
+        assert.deepEqual(await migrator.pending(), []);
+    });
+
+    test('undoes and redoes each migration on top of the ones before it', async () => {
+        for (const { version } of MIGRATIONS) {
+            await migrator.up(version);
+            await migrator.down(1);
+            await migrator.up(version);
+        }
+        assert.deepEqual(await migrator.pending(), []);
+    });
+
+    test('rewrites phone numbers in E.164, giving the contacts it changes a new version', async () => {
+        await migrator.up(9);
+        await driver.execute(
+            `INSERT INTO contacts (id, firstName, lastName, phone, address, email, version)
+             VALUES ('c1', 'Ada', 'Lovelace', '(202) 555-0143', '', 'ada@example.com', 1),
+                    ('c2', 'Grace', 'Hopper', '+12025550144', '', 'grace@example.com', 3),
+                    ('c3', 'Alan', 'Turing', 'ask reception', '', 'alan@example.com', 1)`
+        );
+        await migrator.up(10);
+        const rows = await driver.execute('SELECT id, phone, version FROM contacts ORDER BY id');
+        assert.deepEqual(rows.map(row => ({ ...row })), [
+            { id: 'c1', phone: '+12025550143', version: 2 },
+            { id: 'c2', phone: '+12025550144', version: 3 },
+            { id: 'c3', phone: 'ask reception', version: 1 }
+        ]);
+    });
+
+    test('splits stored addresses into their parts, giving the contacts that have one a new version', async () => {
+        await migrator.up(11);
+        await driver.execute(
+            `INSERT INTO contacts (id, firstName, lastName, phone, address, email, version)
+             VALUES ('c1', 'Ada', 'Lovelace', '+12025550143', '1 Main St, Springfield, il 62701, USA', 'ada@example.com', 2),
+                    ('c2', 'Grace', 'Hopper', '+12025550144', '', 'grace@example.com', 1)`
+        );
+        await migrator.up(13);
+        const [address] = await driver.execute("SELECT value, street, city, region, postalCode, country FROM contact_methods WHERE kind = 'address'");
+        assert.deepEqual({ ...address }, {
+            value: '1 Main St, Springfield, il 62701, United States',
+            street: '1 Main St',
+            city: 'Springfield',
+            region: 'il',
+            postalCode: '62701',
+            country: 'US'
+        });
+        const contacts = await driver.execute('SELECT id, address, version FROM contacts ORDER BY id');
+        assert.deepEqual(contacts.map(row => ({ ...row })), [
+            { id: 'c1', address: '1 Main St, Springfield, il 62701, United States', version: 3 },
+            { id: 'c2', address: '', version: 1 }
+        ]);
+    });
+
+    test('keeps contacts across the migrations that rebuild their tables', async () => {
+        await migrator.up(11);
+        await driver.execute(
+            `INSERT INTO contacts (id, firstName, lastName, phone, address, email, version)
+             VALUES ('c1', 'Ada', 'Lovelace', '+12025550143', '1 Main St', 'ada@example.com', 1)`
+        );
+        await migrator.up();
+        const methods = await driver.execute("SELECT kind, label, value, isPrimary FROM contact_methods WHERE contactId = 'c1' ORDER BY kind");
+        assert.deepEqual(methods.map(({ kind, isPrimary }) => [kind, isPrimary]), [['address', 1], ['email', 1], ['phone', 1]]);
+        assert.deepEqual(methods.slice(1).map(({ value }) => value), ['ada@example.com', '+12025550143']);
+        assert.match(methods[0].value, /^1 Main St/);
+        await migrator.down(2);
+        const [contact] = await driver.execute("SELECT firstName, phone FROM contacts WHERE id = 'c1'");
+        assert.deepEqual({ ...contact }, { firstName: 'Ada', phone: '+12025550143' });
+    });
+});
+
+describe('migrations on MySQL', () => {
+    /**
+     * Makes a migration driver that records the statements it is given instead of running them.
+     * @param {Object[]} rows - Rows every statement resolves to.
+     * @returns {Object} Driver, with the statements it ran in `statements`.
+     */
+    const recordingDriver = (rows) => {
+        const statements = [];
+        return { dialect: 'mysql', statements, execute: async (sql) => { statements.push(sql); return rows; } };
+    };
+    const widenIds = MIGRATIONS.find(({ name }) => name === 'widen_contact_ids');
+
+    test('narrows contact IDs back only while none is longer than before', async () => {
+        const short = recordingDriver([{ longest: 10 }]);
+        await widenIds.down(short);
+        assert.deepEqual(short.statements.slice(1), [
+            'ALTER TABLE contact_history MODIFY contactId VARCHAR(10) NOT NULL',
+            'ALTER TABLE contacts MODIFY id VARCHAR(10) NOT NULL'
+        ]);
+        const long = recordingDriver([{ longest: 26 }]);
+        await assert.rejects(widenIds.down(long), /up to 26 characters/);
+        assert.equal(long.statements.length, 1);
+    });
+});
@@ -0,0 +1,300 @@
+// Cursor pagination, sorting and sparse fieldsets for contact listings
+const { CONTACT_COLLECTIONS } = require('../shared/contactSchema');
+const { countryCode } = require('../shared/address');
+
+const CONTACT_FIELDS = ['id', 'firstName', 'lastName', 'phone', 'address', 'email'];
+// Arrays of labeled values; they can be selected but not sorted by, which the primary value in the field of the same
+// name (phone, email, address) is for
+const COLLECTION_FIELDS = Object.keys(CONTACT_COLLECTIONS);
+// Parts of the primary address that contacts can be sorted by, and parts of any address they can be filtered by
+const ADDRESS_FIELDS = ['city', 'region', 'postalCode', 'country'];
+const SEARCH_FIELDS = ['score', 'matchedFields'];
+// Stored alongside the contact but not part of its editable content
+const META_FIELDS = ['version'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Thrown when list query parameters cannot be honored. `details` is keyed by parameter name.
+ */
+class QueryError extends Error {
+    constructor(details) {
+        super('Invalid query parameters');
+        this.details = details;
+    }
+}
+
+/**
+ * Reads the value a row is sorted by: its field, or for a part of an address that of its primary address.
+ * @param {Object} row - Contact row, or a cursor's pseudo-row, which holds the values themselves.
+ * @param {string} field - Sort field.
+ * @returns {*} Value; null for the address part of a contact without an address.
+ */
+const sortValue = (row, field) => {
+    if (!ADDRESS_FIELDS.includes(field) || !Array.isArray(row.addresses)) return row[field];
+    const primary = row.addresses.find(entry => entry.primary) || row.addresses[0];
+    return primary ? primary[field] : null;
+};
+
+/**
+ * Encodes sort key values into an opaque cursor string.
+ * @param {Object} row - Row the cursor points at.
+ * @param {Object[]} sort - Parsed sort specification.
+ * @returns {string} Base64url cursor.
+ */
+const encodeCursor = (row, sort) => Buffer.from(JSON.stringify({
+    s: sort.map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`).join(','),
+    k: sort.map(({ field }) => sortValue(row, field) === undefined ? null : sortValue(row, field))
+})).toString('base64url');
+
+/**
+ * Decodes a cursor and checks that it was issued for the same sort order.
+ * @param {string} cursor - Cursor from a previous response.
+ * @param {Object[]} sort - Parsed sort specification of the current request.
+ * @returns {Object} Pseudo-row holding the cursor's sort key values.
+ */
+const decodeCursor = (cursor, sort) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new QueryError({ cursor: 'Malformed cursor' });
+    }
+    const expected = sort.map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`).join(',');
+    if (!payload || payload.s !== expected || !Array.isArray(payload.k) || payload.k.length !== sort.length) {
+        throw new QueryError({ cursor: 'Cursor does not match the requested sort order' });
+    }
+    // The values end up as statement parameters
+    if (payload.k.some(value => value !== null && typeof value !== 'string' && typeof value !== 'number')) {
+        throw new QueryError({ cursor: 'Malformed cursor' });
+    }
+    return Object.fromEntries(sort.map(({ field }, i) => [field, payload.k[i]]));
+};
+
+/**
+ * Picks a supported locale from the `locale` parameter or the Accept-Language header.
+ * @param {string} [requested] - Explicit locale parameter.
+ * @param {string} [acceptLanguage] - Accept-Language header value.
+ * @returns {string} BCP 47 locale tag.
+ */
+const resolveLocale = (requested, acceptLanguage) => {
+    const candidates = requested
+        ? [requested]
+        : String(acceptLanguage || '').split(',').map(part => part.split(';')[0].trim()).filter(tag => tag && tag !== '*');
+    for (const candidate of candidates) {
+        try {
+            const [supported] = Intl.Collator.supportedLocalesOf(candidate);
+            if (supported) return supported;
+        } catch (err) {
+            if (requested) throw new QueryError({ locale: `Unknown locale "${requested}"` });
+        }
+    }
+    if (requested) throw new QueryError({ locale: `Unsupported locale "${requested}"` });
+    return DEFAULT_LOCALE;
+};
+
+/**
+ * Parses and validates list parameters shared by the contact listing endpoints.
+ * @param {Object} query - Express req.query.
+ * @param {Object} [options] - Parsing options.
+ * @param {boolean} [options.searching] - Whether search-only fields (score, matchedFields) are available.
+ * @param {string} [options.acceptLanguage] - Accept-Language header used when no locale is given.
+ * @returns {Object} Normalized { limit, after, before, sort, fields, locale, filters }; filters holds the address
+ *   parts given (city, region, postalCode, country), the country as an ISO 3166 code.
+ * @throws {QueryError} When any parameter is invalid.
+ */
+const parseListQuery = (query, { searching = false, acceptLanguage } = {}) => {
+    const errors = {};
+    const sortable = [...CONTACT_FIELDS, ...ADDRESS_FIELDS, ...(searching ? ['score'] : [])];
+    const selectable = [...CONTACT_FIELDS, ...COLLECTION_FIELDS, ...META_FIELDS, ...(searching ? SEARCH_FIELDS : [])];
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.limit = `Limit must be an integer between 1 and ${MAX_LIMIT}`;
+        }
+    }
+
+    const sort = [];
+    const rawSort = typeof query.sort === 'string' && query.sort.trim()
+        ? query.sort
+        : searching ? '-score' : 'id';
+    for (const part of rawSort.split(',').map(p => p.trim()).filter(Boolean)) {
+        const direction = part.startsWith('-') ? 'desc' : 'asc';
+        const field = part.replace(/^[-+]/, '');
+        if (!sortable.includes(field)) {
+            errors.sort = `Cannot sort by "${field}"; use one of ${sortable.join(', ')}`;
+        } else if (!sort.some(s => s.field === field)) {
+            sort.push({ field, direction });
+        }
+    }
+    // id is unique, so it makes every sort order total and every cursor unambiguous
+    if (!sort.some(s => s.field === 'id')) sort.push({ field: 'id', direction: 'asc' });
+
+    let fields = null;
+    if (typeof query.fields === 'string' && query.fields.trim()) {
+        fields = query.fields.split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !selectable.includes(f));
+        if (unknown.length > 0) errors.fields = `Unknown fields: ${unknown.join(', ')}`;
+        if (!fields.includes('id')) fields.unshift('id');
+    }
+
+    const filters = {};
+    ADDRESS_FIELDS.filter(field => typeof query[field] === 'string' && query[field].trim()).forEach(field => {
+        filters[field] = query[field].trim();
+    });
+    if (filters.country) {
+        filters.country = countryCode(filters.country);
+        if (!filters.country) errors.country = 'Country must be an ISO 3166 code such as US, or a country name';
+    }
+
+    if (query.after !== undefined && query.before !== undefined) {
+        errors.cursor = 'Use either after or before, not both';
+    }
+
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = resolveLocale(typeof query.locale === 'string' ? query.locale : undefined, acceptLanguage);
+    } catch (err) {
+        Object.assign(errors, err.details);
+    }
+
+    if (Object.keys(errors).length > 0) throw new QueryError(errors);
+
+    const parsed = { limit, sort, fields, locale, filters, after: null, before: null };
+    if (typeof query.after === 'string') parsed.after = decodeCursor(query.after, sort);
+    if (typeof query.before === 'string') parsed.before = decodeCursor(query.before, sort);
+    return parsed;
+};
+
+/**
+ * Builds a row comparator for a sort specification. Text is compared with the
+ * locale's collation, so "Émile" sorts with "Emile" and "Zoë" after "Zoe".
+ * @param {Object[]} sort - Parsed sort specification.
+ * @param {string} locale - Locale for text collation.
+ * @returns {Function} Comparator (a, b) => number.
+ */
+const createComparator = (sort, locale) => {
+    const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+    return (a, b) => {
+        for (const { field, direction } of sort) {
+            const left = sortValue(a, field);
+            const right = sortValue(b, field);
+            let result;
+            if (left === right) result = 0;
+            else if (left === null || left === undefined) result = -1;
+            else if (right === null || right === undefined) result = 1;
+            else if (typeof left === 'number' && typeof right === 'number') result = left - right;
+            else result = collator.compare(String(left), String(right)) || (String(left) < String(right) ? -1 : 1);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    };
+};
+
+/**
+ * Builds a row filter for the address filters of a request. A contact passes when one of its addresses has every
+ * part asked for: the city and region compared as the locale collates them, ignoring case and accents, the postal
+ * code by its start, ignoring case and spaces, so 627 finds 62701 and 62704.
+ * @param {Object} filters - Parsed filters.
+ * @param {string} locale - Locale for text collation.
+ * @returns {Function} Predicate (row) => boolean; always true without filters.
+ */
+const createAddressFilter = (filters, locale) => {
+    const collator = new Intl.Collator(locale, { sensitivity: 'base' });
+    const compact = (code) => String(code || '').replace(/\s/g, '').toUpperCase();
+    const matches = (entry) => Object.entries(filters).every(([field, wanted]) => {
+        if (field === 'postalCode') return compact(entry.postalCode).startsWith(compact(wanted));
+        if (field === 'country') return entry.country === wanted;
+        return collator.compare(entry[field] || '', wanted) === 0;
+    });
+    return Object.keys(filters).length === 0 ? () => true : (row) => (row.addresses || []).some(matches);
+};
+
+/**
+ * Keeps only the requested fields of a row.
+ * @param {Object} row - Full row.
+ * @param {string[]|null} fields - Requested fields, or null for all.
+ * @returns {Object} Projected row.
+ */
+const projectRow = (row, fields) => fields
+    ? Object.fromEntries(fields.filter(f => row[f] !== undefined).map(f => [f, row[f]]))
+    : row;
+
+/**
+ * Sorts rows and cuts out one page around the request's cursor, as the storage backends do in SQL.
+ * @param {Object[]} rows - All rows matching the request's filters.
+ * @param {Object} options - Output of parseListQuery.
+ * @returns {Object} { rows, total, hasNext, hasPrevious }.
+ */
+const slicePage = (rows, { limit, sort, locale, after, before }) => {
+    const compare = createComparator(sort, locale);
+    const sorted = [...rows].sort(compare);
+    let start = 0;
+    let end = sorted.length;
+    if (after) {
+        start = sorted.findIndex(row => compare(row, after) > 0);
+        if (start === -1) start = sorted.length;
+        end = Math.min(start + limit, sorted.length);
+    } else if (before) {
+        end = sorted.findIndex(row => compare(row, before) >= 0);
+        if (end === -1) end = sorted.length;
+        start = Math.max(end - limit, 0);
+    } else {
+        end = Math.min(limit, sorted.length);
+    }
+    return { rows: sorted.slice(start, end), total: sorted.length, hasNext: end < sorted.length, hasPrevious: start > 0 };
+};
+
+/**
+ * Shapes one page of rows for the response, with cursors pointing at its first and last rows.
+ * @param {Object} page - { rows, total, hasNext, hasPrevious }, from slicePage or a repository's listContactsPage.
+ * @param {Object} options - Output of parseListQuery.
+ * @returns {Object} { data, total, nextCursor, prevCursor }.
+ */
+const pageResponse = ({ rows, total, hasNext, hasPrevious }, { sort, fields }) => ({
+    data: rows.map(row => projectRow(row, fields)),
+    total,
+    nextCursor: hasNext && rows.length > 0 ? encodeCursor(rows[rows.length - 1], sort) : null,
+    prevCursor: hasPrevious && rows.length > 0 ? encodeCursor(rows[0], sort) : null
+});
+
+/**
+ * Sorts rows and cuts out one page around the request's cursor, for listings ranked in memory, such as searches.
+ * @param {Object[]} rows - All rows matching the request's filters.
+ * @param {Object} options - Output of parseListQuery.
+ * @returns {Object} { data, total, nextCursor, prevCursor }.
+ */
+const paginate = (rows, options) => pageResponse(slicePage(rows, options), options);
+
+/**
+ * Builds the next/prev links for a page, keeping the request's other parameters.
+ * @param {string} basePath - Path of the listing endpoint.
+ * @param {Object} query - Express req.query.
+ * @param {Object} page - Output of paginate.
+ * @returns {Object} { self, next, prev } URLs (null when there is no such page).
+ */
+const buildLinks = (basePath, query, page) => {
+    const link = (cursorParam, cursor) => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(query)) {
+            if (key !== 'after' && key !== 'before' && typeof value === 'string') params.set(key, value);
+        }
+        if (cursorParam) params.set(cursorParam, cursor);
+        const search = params.toString();
+        return search ? `${basePath}?${search}` : basePath;
+    };
+    const selfParam = query.after !== undefined ? 'after' : query.before !== undefined ? 'before' : null;
+    return {
+        self: link(selfParam, query[selfParam]),
+        next: page.nextCursor ? link('after', page.nextCursor) : null,
+        prev: page.prevCursor ? link('before', page.prevCursor) : null
+    };
+};
+
+module.exports = {
+    QueryError, parseListQuery, paginate, slicePage, pageResponse, buildLinks, createComparator, createAddressFilter, sortValue,
+    CONTACT_FIELDS, COLLECTION_FIELDS, ADDRESS_FIELDS
+};
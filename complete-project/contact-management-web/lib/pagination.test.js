@@ -0,0 +1,144 @@
+// Parsing of list queries, cursors, and paging and filtering contact listings in memory
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, parseListQuery, paginate, buildLinks, createAddressFilter } = require('./pagination');
+
+const row = (id, firstName, city) => ({
+    id,
+    firstName,
+    addresses: city ? [{ label: 'home', value: city, primary: true, city, region: '', postalCode: '', country: 'US' }] : []
+});
+
+const ROWS = [row('1', 'Zoë', 'Boston'), row('2', 'émile', null), row('3', 'Anna', 'austin'), row('4', 'Zoe', 'Boston'), row('5', 'Bob', 'Chicago')];
+
+const ids = (page) => page.data.map(({ id }) => id);
+
+/**
+ * Pages through rows with a query, forwards from the first page.
+ * @param {Object} query - Query parameters.
+ * @returns {string[][]} IDs page by page.
+ */
+const pages = (query) => {
+    const result = [];
+    let page = paginate(ROWS, parseListQuery(query));
+    result.push(ids(page));
+    while (page.nextCursor) {
+        page = paginate(ROWS, parseListQuery({ ...query, after: page.nextCursor }));
+        result.push(ids(page));
+    }
+    return result;
+};
+
+describe('parseListQuery', () => {
+    test('defaults to the first 50 contacts by ID', () => {
+        const options = parseListQuery({});
+        assert.equal(options.limit, 50);
+        assert.deepEqual(options.sort, [{ field: 'id', direction: 'asc' }]);
+        assert.equal(options.fields, null);
+        assert.equal(options.locale, 'en');
+    });
+
+    test('ends every sort order with the ID', () => {
+        assert.deepEqual(parseListQuery({ sort: '-lastName,firstName' }).sort, [
+            { field: 'lastName', direction: 'desc' },
+            { field: 'firstName', direction: 'asc' },
+            { field: 'id', direction: 'asc' }
+        ]);
+        assert.deepEqual(parseListQuery({ q: 'x' }, { searching: true }).sort.map(({ field }) => field), ['score', 'id']);
+    });
+
+    test('reports every invalid parameter at once', () => {
+        assert.throws(() => parseListQuery({ limit: '500', sort: 'password', fields: 'id,secret', after: 'a', before: 'b', country: 'Atlantis' }), (err) => {
+            assert.ok(err instanceof QueryError);
+            assert.deepEqual(Object.keys(err.details).sort(), ['country', 'cursor', 'fields', 'limit', 'sort']);
+            return true;
+        });
+    });
+
+    test('reads address filters, the country as its code', () => {
+        assert.deepEqual(parseListQuery({ city: ' Springfield ', country: 'United Kingdom' }).filters, { city: 'Springfield', country: 'GB' });
+    });
+
+    test('picks the locale from Accept-Language', () => {
+        assert.equal(parseListQuery({}, { acceptLanguage: 'fr-CH, fr;q=0.9' }).locale, 'fr-CH');
+        assert.throws(() => parseListQuery({ locale: 'not a locale!' }), QueryError);
+    });
+});
+
+describe('cursors', () => {
+    test('a cursor only works with the sort order it was issued for', () => {
+        const { nextCursor } = paginate(ROWS, parseListQuery({ sort: 'firstName', limit: '2' }));
+        assert.ok(parseListQuery({ sort: 'firstName', after: nextCursor }).after);
+        assert.throws(() => parseListQuery({ sort: '-firstName', after: nextCursor }), (err) => err.details.cursor === 'Cursor does not match the requested sort order');
+    });
+
+    test('rejects malformed cursors', () => {
+        const cursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+        for (const after of ['%%%', cursor({ s: 'id', k: [] }), cursor({ s: 'id', k: [{ id: 1 }] }), Buffer.from('{').toString('base64url')]) {
+            assert.throws(() => parseListQuery({ after }), QueryError);
+        }
+    });
+
+    test('keeps holding its place when rows are added before it', () => {
+        const first = paginate(ROWS, parseListQuery({ limit: '2' }));
+        const next = paginate([row('0', 'New', null), ...ROWS], parseListQuery({ limit: '2', after: first.nextCursor }));
+        assert.deepEqual(ids(next), ['3', '4']);
+    });
+});
+
+describe('paginate', () => {
+    test('pages forwards through a sort order', () => {
+        assert.deepEqual(pages({ limit: '2' }), [['1', '2'], ['3', '4'], ['5']]);
+        // Names are collated: accents and case aside first, then character by character
+        assert.deepEqual(pages({ sort: 'firstName', limit: '2' }), [['3', '5'], ['2', '4'], ['1']]);
+        assert.deepEqual(pages({ sort: '-firstName', limit: '10' }), [['1', '4', '2', '5', '3']]);
+    });
+
+    test('sorts by the primary address, contacts without one first', () => {
+        assert.deepEqual(pages({ sort: 'city,-id', limit: '10' }), [['2', '3', '4', '1', '5']]);
+    });
+
+    test('pages backwards from a before cursor', () => {
+        const last = paginate(ROWS, parseListQuery({ limit: '2', after: paginate(ROWS, parseListQuery({ limit: '3' })).nextCursor }));
+        assert.deepEqual(ids(last), ['4', '5']);
+        assert.equal(last.nextCursor, null);
+        const previous = paginate(ROWS, parseListQuery({ limit: '2', before: last.prevCursor }));
+        assert.deepEqual(ids(previous), ['2', '3']);
+        const first = paginate(ROWS, parseListQuery({ limit: '2', before: previous.prevCursor }));
+        assert.deepEqual(ids(first), ['1']);
+        assert.equal(first.prevCursor, null);
+    });
+
+    test('keeps only the requested fields', () => {
+        const page = paginate(ROWS, parseListQuery({ fields: 'firstName', limit: '1' }));
+        assert.deepEqual(page.data, [{ id: '1', firstName: 'Zoë' }]);
+        assert.equal(page.total, 5);
+    });
+});
+
+describe('buildLinks', () => {
+    test('keeps the other parameters and swaps the cursor', () => {
+        const page = { nextCursor: 'n', prevCursor: null };
+        assert.deepEqual(buildLinks('/contacts', { sort: 'lastName', after: 'x' }, page), {
+            self: '/contacts?sort=lastName&after=x',
+            next: '/contacts?sort=lastName&after=n',
+            prev: null
+        });
+    });
+});
+
+describe('createAddressFilter', () => {
+    const contact = (...addresses) => ({ addresses });
+    const at = (city, postalCode, country) => ({ city, region: '', postalCode, country });
+
+    test('matches contacts with any address in the place asked for', () => {
+        const filter = createAddressFilter({ city: 'montreal', postalCode: 'h2x', country: 'CA' }, 'fr');
+        assert.equal(filter(contact(at('Paris', '75001', 'FR'), at('Montréal', 'H2X 1Y4', 'CA'))), true);
+        assert.equal(filter(contact(at('Montréal', 'H3A 0G4', 'CA'))), false);
+        assert.equal(filter(contact()), false);
+    });
+
+    test('lets everything through without filters', () => {
+        assert.equal(createAddressFilter({}, 'en')(contact()), true);
+    });
+});
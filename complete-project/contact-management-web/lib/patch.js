@@ -0,0 +1,188 @@
+// Partial updates: JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902)
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+/**
+ * Thrown when a patch document is malformed or cannot be applied. `status` is the HTTP status to answer with:
+ * 400 for a malformed document, 409 when a JSON Patch `test` operation fails.
+ */
+class PatchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Tokens that would reach an object's prototype rather than a member of the document
+const FORBIDDEN_TOKENS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Deep equality for JSON values, as used by the JSON Patch `test` operation.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} Whether both values are the same JSON.
+ */
+const jsonEqual = (a, b) => {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => jsonEqual(item, b[i]));
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * Applies a JSON Merge Patch: objects merge recursively, null removes a member, anything else replaces.
+ * @param {*} target - Document to patch; left unchanged.
+ * @param {*} patch - Merge patch document.
+ * @returns {*} Patched copy of the document.
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) return clone(patch);
+    const result = isObject(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) delete result[key];
+        else result[key] = applyMergePatch(result[key], value);
+    }
+    return result;
+};
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ * @param {string} pointer - Pointer such as "/address" or "" for the whole document.
+ * @returns {string[]} Reference tokens.
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string') throw new PatchError('JSON Pointer must be a string');
+    if (pointer === '') return [];
+    if (!pointer.startsWith('/')) throw new PatchError(`Invalid JSON Pointer "${pointer}"`);
+    const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (tokens.some(token => FORBIDDEN_TOKENS.has(token))) throw new PatchError(`Invalid JSON Pointer "${pointer}"`);
+    return tokens;
+};
+
+/**
+ * Resolves the container a pointer's last token refers into, stepping only through members the values own.
+ * @param {Object} document - Wrapper holding the document under `root`.
+ * @param {string[]} tokens - Reference tokens.
+ * @param {string} pointer - Original pointer, for error messages.
+ * @returns {{parent: Object|Array, key: string}} Container and the member name or array index within it.
+ */
+const locate = (document, tokens, pointer) => {
+    let parent = document;
+    let key = 'root';
+    for (const token of tokens) {
+        const value = Object.hasOwn(parent, key) ? parent[key] : undefined;
+        if (!isObject(value) && !Array.isArray(value)) throw new PatchError(`Path "${pointer}" does not exist`);
+        parent = value;
+        key = token;
+    }
+    return { parent, key };
+};
+
+/**
+ * Checks an array index token; "-" (past the end) is only valid when adding.
+ * @param {Array} array - Array being indexed.
+ * @param {string} key - Reference token.
+ * @param {boolean} adding - Whether the operation inserts.
+ * @param {string} pointer - Original pointer, for error messages.
+ * @returns {number} Numeric index.
+ */
+const arrayIndex = (array, key, adding, pointer) => {
+    if (adding && key === '-') return array.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(key)) throw new PatchError(`Invalid array index in "${pointer}"`);
+    const index = Number(key);
+    if (index > array.length || (!adding && index === array.length)) throw new PatchError(`Path "${pointer}" does not exist`);
+    return index;
+};
+
+const getValue = (document, pointer) => {
+    const { parent, key } = locate(document, parsePointer(pointer), pointer);
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, false, pointer)];
+    if (!Object.hasOwn(parent, key)) throw new PatchError(`Path "${pointer}" does not exist`);
+    return parent[key];
+};
+
+const addValue = (document, pointer, value) => {
+    const { parent, key } = locate(document, parsePointer(pointer), pointer);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, true, pointer), 0, value);
+    else parent[key] = value;
+};
+
+const removeValue = (document, pointer) => {
+    const { parent, key } = locate(document, parsePointer(pointer), pointer);
+    if (Array.isArray(parent)) return parent.splice(arrayIndex(parent, key, false, pointer), 1)[0];
+    if (!Object.hasOwn(parent, key)) throw new PatchError(`Path "${pointer}" does not exist`);
+    const value = parent[key];
+    delete parent[key];
+    return value;
+};
+
+/**
+ * Applies a JSON Patch. Operations run in order and the patch is atomic: if any fails, nothing is returned.
+ * @param {*} target - Document to patch; left unchanged.
+ * @param {Object[]} operations - Operations with `op`, `path` and, depending on the op, `value` or `from`.
+ * @returns {*} Patched copy of the document.
+ * @throws {PatchError} When an operation is malformed, a path does not exist, or a `test` fails.
+ */
+const applyJsonPatch = (target, operations) => {
+    if (!Array.isArray(operations)) throw new PatchError('JSON Patch document must be an array of operations');
+    const document = { root: clone(target) };
+    operations.forEach((operation, index) => {
+        if (!isObject(operation)) throw new PatchError(`Operation ${index} must be an object`);
+        const { op, path } = operation;
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (needsValue && !Object.hasOwn(operation, 'value')) throw new PatchError(`Operation ${index} (${op}) requires a value`);
+        switch (op) {
+            case 'add':
+                addValue(document, path, clone(operation.value));
+                break;
+            case 'remove':
+                removeValue(document, path);
+                break;
+            case 'replace':
+                removeValue(document, path);
+                addValue(document, path, clone(operation.value));
+                break;
+            case 'move': {
+                if (typeof path === 'string' && typeof operation.from === 'string' && path.startsWith(`${operation.from}/`)) {
+                    throw new PatchError(`Operation ${index} cannot move a value into itself`);
+                }
+                addValue(document, path, removeValue(document, operation.from));
+                break;
+            }
+            case 'copy':
+                addValue(document, path, clone(getValue(document, operation.from)));
+                break;
+            case 'test':
+                if (!jsonEqual(getValue(document, path), operation.value)) {
+                    throw new PatchError(`Test failed at "${path}"`, 409);
+                }
+                break;
+            default:
+                throw new PatchError(`Operation ${index} has unknown op "${op}"`);
+        }
+    });
+    return document.root;
+};
+
+/**
+ * Applies a patch document according to its media type. Plain application/json is treated as a merge patch.
+ * @param {string} contentType - Request Content-Type.
+ * @param {*} target - Document to patch.
+ * @param {*} patch - Parsed request body.
+ * @returns {*} Patched copy of the document, or undefined when the media type is not a patch format.
+ */
+const applyPatch = (contentType, target, patch) => {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (type === JSON_PATCH) return applyJsonPatch(target, patch);
+    if (type === MERGE_PATCH || type === 'application/json') return applyMergePatch(target, patch);
+    return undefined;
+};
+
+module.exports = { PatchError, applyPatch, applyMergePatch, applyJsonPatch, MERGE_PATCH, JSON_PATCH };
@@ -0,0 +1,107 @@
+// JSON Merge Patch and JSON Patch, including the examples of RFC 7396 and RFC 6902
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PatchError, applyPatch, applyMergePatch, applyJsonPatch, MERGE_PATCH, JSON_PATCH } = require('./patch');
+
+describe('applyMergePatch', () => {
+    test('merges objects, removes members set to null and replaces the rest', () => {
+        const target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'This will be unchanged' };
+        const patch = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] };
+        assert.deepEqual(applyMergePatch(target, patch), {
+            title: 'Hello!',
+            author: { givenName: 'John' },
+            tags: ['example'],
+            content: 'This will be unchanged',
+            phoneNumber: '+01-123-456-7890'
+        });
+    });
+
+    test('leaves the target as it was', () => {
+        const target = { a: { b: 1 } };
+        applyMergePatch(target, { a: { b: 2 } });
+        assert.deepEqual(target, { a: { b: 1 } });
+    });
+
+    test('replaces the whole document with a patch that is not an object', () => {
+        assert.deepEqual(applyMergePatch({ a: 'b' }, ['c']), ['c']);
+        assert.equal(applyMergePatch({ a: 'b' }, null), null);
+    });
+});
+
+describe('applyJsonPatch', () => {
+    const contact = () => ({ firstName: 'Ada', phones: [{ label: 'home', value: '+12025550143' }], 'a/b': 1, 'm~n': 2 });
+
+    test('adds, removes, replaces, moves and copies values', () => {
+        const patched = applyJsonPatch(contact(), [
+            { op: 'add', path: '/phones/-', value: { label: 'work', value: '+12025550155' } },
+            { op: 'replace', path: '/firstName', value: 'Grace' },
+            { op: 'copy', from: '/firstName', path: '/nickname' },
+            { op: 'move', from: '/phones/1', path: '/phones/0' },
+            { op: 'remove', path: '/a~1b' },
+            { op: 'replace', path: '/m~0n', value: 3 }
+        ]);
+        assert.deepEqual(patched, {
+            firstName: 'Grace',
+            nickname: 'Grace',
+            phones: [{ label: 'work', value: '+12025550155' }, { label: 'home', value: '+12025550143' }],
+            'm~n': 3
+        });
+    });
+
+    test('inserts into an array at an index', () => {
+        assert.deepEqual(applyJsonPatch({ foo: ['bar', 'baz'] }, [{ op: 'add', path: '/foo/1', value: 'qux' }]), { foo: ['bar', 'qux', 'baz'] });
+    });
+
+    test('passes a test of an equal value and answers 409 to one of a different value', () => {
+        assert.equal(applyJsonPatch(contact(), [{ op: 'test', path: '/phones/0', value: { value: '+12025550143', label: 'home' } }]).firstName, 'Ada');
+        assert.throws(
+            () => applyJsonPatch(contact(), [{ op: 'test', path: '/firstName', value: 'Grace' }]),
+            (err) => err instanceof PatchError && err.status === 409
+        );
+    });
+
+    test('applies all operations or none', () => {
+        const target = contact();
+        assert.throws(() => applyJsonPatch(target, [
+            { op: 'replace', path: '/firstName', value: 'Grace' },
+            { op: 'remove', path: '/missing' }
+        ]), /does not exist/);
+        assert.deepEqual(target, contact());
+    });
+
+    test('refuses to reach the prototype of any value', () => {
+        for (const path of ['/__proto__/isAdmin', '/constructor/prototype/isAdmin', '/phones/0/__proto__/isAdmin']) {
+            assert.throws(() => applyJsonPatch(contact(), [{ op: 'add', path, value: true }]), /Invalid JSON Pointer/);
+        }
+        assert.equal(({}).isAdmin, undefined);
+        assert.throws(() => applyJsonPatch(contact(), [{ op: 'add', path: '/toString/x', value: 1 }]), /does not exist/);
+        assert.throws(() => applyJsonPatch(contact(), [{ op: 'copy', from: '/hasOwnProperty', path: '/x' }]), /does not exist/);
+    });
+
+    test('rejects malformed documents with 400', () => {
+        const cases = [
+            [{}, /must be an array/],
+            [['replace'], /must be an object/],
+            [[{ op: 'add', path: '/x' }], /requires a value/],
+            [[{ op: 'frobnicate', path: '/x' }], /unknown op/],
+            [[{ op: 'remove', path: 'firstName' }], /Invalid JSON Pointer/],
+            [[{ op: 'remove', path: '/phones/01' }], /Invalid array index/],
+            [[{ op: 'remove', path: '/phones/-' }], /Invalid array index/],
+            [[{ op: 'add', path: '/phones/5', value: {} }], /does not exist/],
+            [[{ op: 'add', path: '/missing/deeper', value: 1 }], /does not exist/],
+            [[{ op: 'move', from: '/phones', path: '/phones/0' }], /into itself/]
+        ];
+        for (const [operations, message] of cases) {
+            assert.throws(() => applyJsonPatch(contact(), operations), (err) => err instanceof PatchError && err.status === 400 && message.test(err.message));
+        }
+    });
+});
+
+describe('applyPatch', () => {
+    test('picks the format by media type, taking plain JSON as a merge patch', () => {
+        assert.deepEqual(applyPatch(`${MERGE_PATCH}; charset=utf-8`, { a: 1 }, { a: null }), {});
+        assert.deepEqual(applyPatch('application/json', { a: 1 }, { b: 2 }), { a: 1, b: 2 });
+        assert.deepEqual(applyPatch(JSON_PATCH, { a: 1 }, [{ op: 'remove', path: '/a' }]), {});
+        assert.equal(applyPatch('text/plain', { a: 1 }, 'a'), undefined);
+    });
+});
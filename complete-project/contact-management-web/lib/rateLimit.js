@@ -0,0 +1,41 @@
+// Fixed-window request counting for per-client rate limits
+
+/**
+ * Creates an in-memory rate limiter that counts requests per client key in fixed windows.
+ * @param {Object} [options] - Limiter options.
+ * @param {number} [options.windowMs] - Window length in milliseconds.
+ * @returns {{consume: Function}} Limiter.
+ */
+const createRateLimiter = ({ windowMs = 60 * 1000 } = {}) => {
+    const windows = new Map();
+
+    /**
+     * Counts one request for a client and reports whether it is within the limit.
+     * @param {string} key - Client identifier.
+     * @param {number} limit - Requests allowed per window.
+     * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}} Outcome and header values.
+     */
+    const consume = (key, limit) => {
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            // Drop finished windows now and then so idle clients do not accumulate
+            if (windows.size > 1000) {
+                for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+            }
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count += 1;
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(limit - window.count, 0),
+            resetAt: window.resetAt
+        };
+    };
+
+    return { consume };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,19 @@
+// Fixed-window rate limiting
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimit');
+
+test('counts requests per client within a window', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    try {
+        const limiter = createRateLimiter({ windowMs: 1000 });
+        assert.deepEqual(limiter.consume('a', 2), { allowed: true, limit: 2, remaining: 1, resetAt: 1000 });
+        assert.equal(limiter.consume('a', 2).allowed, true);
+        assert.deepEqual(limiter.consume('a', 2), { allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+        assert.equal(limiter.consume('b', 2).allowed, true);
+        mock.timers.tick(1000);
+        assert.deepEqual(limiter.consume('a', 2), { allowed: true, limit: 2, remaining: 1, resetAt: 2000 });
+    } finally {
+        mock.timers.reset();
+    }
+});
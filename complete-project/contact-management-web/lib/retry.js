@@ -0,0 +1,28 @@
+// Retrying async work with exponential backoff
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls fn until it resolves, waiting longer after each failure.
+ * @param {Function} fn - Async work; receives the attempt number starting at 1.
+ * @param {Object} [options] - Retry options.
+ * @param {number} [options.attempts] - Total attempts before giving up.
+ * @param {number} [options.initialDelayMs] - Wait after the first failure.
+ * @param {number} [options.maxDelayMs] - Upper bound on any single wait.
+ * @param {Function} [options.onRetry] - Called with (err, attempt, delayMs) before each wait.
+ * @returns {Promise<*>} Result of fn; rejects with the last error once attempts run out.
+ */
+const retry = async (fn, { attempts = 5, initialDelayMs = 500, maxDelayMs = 30000, onRetry = () => {} } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt >= attempts) throw err;
+            const delayMs = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+            onRetry(err, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+};
+
+module.exports = { retry };
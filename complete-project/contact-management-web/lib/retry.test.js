@@ -0,0 +1,25 @@
+// Retrying async work with exponential backoff
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { retry } = require('./retry');
+
+describe('retry', () => {
+    test('calls again after each failure, doubling the wait up to its limit', async () => {
+        const waits = [];
+        const result = await retry(async (attempt) => {
+            if (attempt < 4) throw new Error(`attempt ${attempt}`);
+            return 'connected';
+        }, { attempts: 5, initialDelayMs: 1, maxDelayMs: 3, onRetry: (err, attempt, delayMs) => waits.push([err.message, attempt, delayMs]) });
+        assert.equal(result, 'connected');
+        assert.deepEqual(waits, [['attempt 1', 1, 1], ['attempt 2', 2, 2], ['attempt 3', 3, 3]]);
+    });
+
+    test('rejects with the last error once the attempts run out', async () => {
+        let calls = 0;
+        await assert.rejects(retry(async (attempt) => {
+            calls += 1;
+            throw new Error(`attempt ${attempt}`);
+        }, { attempts: 3, initialDelayMs: 1 }), /attempt 3/);
+        assert.equal(calls, 3);
+    });
+});
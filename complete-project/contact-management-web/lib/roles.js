@@ -0,0 +1,55 @@
+// Named roles and the permissions each one grants
+
+/**
+ * Contact permissions come in two scopes: `:own` covers contacts the user owns,
+ * `:any` covers the whole shared address book.
+ */
+const ROLES = {
+    admin: [
+        'contacts:read:any', 'contacts:create', 'contacts:update:any', 'contacts:delete:any',
+        'users:manage'
+    ],
+    editor: ['contacts:read:any', 'contacts:create', 'contacts:update:any', 'contacts:delete:any'],
+    viewer: ['contacts:read:any'],
+    // Personal address book: the default for newly registered users
+    member: ['contacts:read:own', 'contacts:create', 'contacts:update:own', 'contacts:delete:own']
+};
+
+const DEFAULT_ROLE = 'member';
+
+/**
+ * Lists the permissions granted by a role.
+ * @param {string} role - Role name.
+ * @returns {string[]} Permissions; empty for unknown roles.
+ */
+const permissionsFor = (role) => ROLES[role] || [];
+
+/**
+ * API key scopes and the contact permissions they grant. Keys act on the whole address book.
+ */
+const API_KEY_SCOPES = {
+    read: ['contacts:read:any'],
+    write: ['contacts:create', 'contacts:update:any'],
+    delete: ['contacts:delete:any']
+};
+
+/**
+ * Lists the permissions granted by a set of API key scopes.
+ * @param {string[]} scopes - Scope names.
+ * @returns {string[]} Permissions.
+ */
+const permissionsForScopes = (scopes) => [...new Set(scopes.flatMap(scope => API_KEY_SCOPES[scope] || []))];
+
+/**
+ * Works out how much of the address book a caller may act on.
+ * @param {string[]} permissions - Caller's permissions.
+ * @param {string} action - Contact action: read, update or delete.
+ * @returns {string|null} 'any', 'own', or null when the action is not allowed at all.
+ */
+const contactScope = (permissions, action) => {
+    if (permissions.includes(`contacts:${action}:any`)) return 'any';
+    if (permissions.includes(`contacts:${action}:own`)) return 'own';
+    return null;
+};
+
+module.exports = { ROLES, DEFAULT_ROLE, API_KEY_SCOPES, permissionsFor, permissionsForScopes, contactScope };
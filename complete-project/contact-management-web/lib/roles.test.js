@@ -0,0 +1,28 @@
+// Permissions of roles and API key scopes
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, DEFAULT_ROLE, permissionsFor, permissionsForScopes, contactScope } = require('./roles');
+
+describe('roles', () => {
+    test('new users get a personal address book', () => {
+        assert.equal(DEFAULT_ROLE, 'member');
+        assert.equal(contactScope(permissionsFor('member'), 'read'), 'own');
+        assert.equal(contactScope(permissionsFor('member'), 'delete'), 'own');
+    });
+
+    test('only admins manage users', () => {
+        assert.deepEqual(Object.keys(ROLES).filter(role => permissionsFor(role).includes('users:manage')), ['admin']);
+    });
+
+    test('viewers read the whole address book and change nothing', () => {
+        const viewer = permissionsFor('viewer');
+        assert.equal(contactScope(viewer, 'read'), 'any');
+        assert.equal(contactScope(viewer, 'update'), null);
+        assert.equal(viewer.includes('contacts:create'), false);
+    });
+
+    test('unknown roles grant nothing', () => {
+        assert.deepEqual(permissionsFor('root'), []);
+        assert.equal(contactScope(permissionsFor('root'), 'read'), null);
+    });
+});
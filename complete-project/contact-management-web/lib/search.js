@@ -0,0 +1,186 @@
+// Fuzzy, ranked contact search used by GET /contacts?q=
+const { collectionValues } = require('../shared/contactSchema');
+
+// Relative importance of a hit in each searchable field; email, phone and address match any entry of the contact's
+// emails, phones and addresses
+const FIELD_WEIGHTS = {
+    firstName: 3,
+    lastName: 3,
+    email: 2,
+    phone: 2,
+    address: 1
+};
+
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Lowercases text and strips diacritics so "José" matches "jose".
+ * @param {string} value - Raw field or query text.
+ * @returns {string} Normalized text.
+ */
+const normalize = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+/**
+ * Splits normalized text into word tokens.
+ * @param {string} value - Text to split.
+ * @returns {string[]} Non-empty tokens.
+ */
+const tokenize = (value) => normalize(value).split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Computes the optimal string alignment (Damerau-Levenshtein) distance,
+ * giving up early once the distance exceeds maxDistance.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {number} maxDistance - Largest distance worth computing.
+ * @returns {number} Edit distance, or maxDistance + 1 when exceeded.
+ */
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for a query term of the given length.
+ * @param {number} length - Term length.
+ * @returns {number} Allowed edits.
+ */
+const allowedEdits = (length) => length <= 3 ? 0 : length <= 6 ? 1 : 2;
+
+/**
+ * Scores how well one query term matches one field token.
+ * @param {string} term - Normalized query term.
+ * @param {string} token - Normalized field token.
+ * @returns {number} Similarity between 0 and 1.
+ */
+const termSimilarity = (term, token) => {
+    if (token === term) return 1;
+    if (token.startsWith(term)) return 0.9;
+    if (term.length >= 3 && token.includes(term)) return 0.7;
+    const maxEdits = allowedEdits(term.length);
+    if (maxEdits === 0) return 0;
+    // Compare against a same-length prefix too, so "jonh" still matches "johnson"
+    const candidates = token.length > term.length ? [token, token.slice(0, term.length)] : [token];
+    let best = 0;
+    for (const candidate of candidates) {
+        const distance = editDistance(term, candidate, maxEdits);
+        if (distance <= maxEdits) {
+            const penalty = candidate === token ? 0 : 0.1;
+            best = Math.max(best, 0.8 - (0.5 * distance) / term.length - penalty);
+        }
+    }
+    return best;
+};
+
+/**
+ * Scores a query term against a contact's phone number by comparing digits only.
+ * @param {string} term - Normalized query term.
+ * @param {string} phoneDigits - Digits of the stored phone number.
+ * @returns {number} Similarity between 0 and 1.
+ */
+const phoneSimilarity = (term, phoneDigits) => {
+    const digits = term.replace(/\D/g, '');
+    if (digits.length < 3 || digits.length !== term.length || !phoneDigits) return 0;
+    if (phoneDigits === digits) return 1;
+    if (phoneDigits.endsWith(digits) || phoneDigits.startsWith(digits)) return 0.9;
+    if (phoneDigits.includes(digits)) return 0.7;
+    // Numbers are stored in E.164, without the 0 that national numbers start with in many countries
+    if (digits.startsWith('0') && phoneDigits.includes(digits.slice(1))) return 0.7;
+    return 0;
+};
+
+/**
+ * Builds the searchable token lists for a contact once per query.
+ * @param {Object} contact - Contact row.
+ * @returns {Object} Tokens per field plus the digits of each phone number.
+ */
+const indexContact = (contact) => ({
+    firstName: tokenize(contact.firstName),
+    lastName: tokenize(contact.lastName),
+    email: collectionValues(contact, 'emails').flatMap(tokenize),
+    address: collectionValues(contact, 'addresses').flatMap(tokenize),
+    phoneDigits: collectionValues(contact, 'phones').map(phone => phone.replace(/\D/g, ''))
+});
+
+/**
+ * Scores a contact against the query terms. Every term must match at least one field.
+ * @param {Object} contact - Contact row.
+ * @param {string[]} terms - Normalized query terms.
+ * @returns {{score: number, matchedFields: string[]}|null} Ranking info, or null when the contact does not match.
+ */
+const scoreContact = (contact, terms) => {
+    const index = indexContact(contact);
+    const matched = new Set();
+    let total = 0;
+    for (const term of terms) {
+        let bestTermScore = 0;
+        const termFields = [];
+        for (const field of Object.keys(FIELD_WEIGHTS)) {
+            const similarity = field === 'phone'
+                ? Math.max(0, ...index.phoneDigits.map(digits => phoneSimilarity(term, digits)))
+                : Math.max(0, ...index[field].map(token => termSimilarity(term, token)));
+            if (similarity > 0) {
+                termFields.push(field);
+                bestTermScore = Math.max(bestTermScore, similarity * FIELD_WEIGHTS[field]);
+            }
+        }
+        if (bestTermScore === 0) return null;
+        termFields.forEach(field => matched.add(field));
+        total += bestTermScore;
+    }
+    const maxPossible = terms.length * Math.max(...Object.values(FIELD_WEIGHTS));
+    return {
+        score: Math.round((total / maxPossible) * 1000) / 1000,
+        matchedFields: Object.keys(FIELD_WEIGHTS).filter(field => matched.has(field))
+    };
+};
+
+/**
+ * Prepares a free-text query for matching contacts one at a time, e.g. while they stream from storage.
+ * @param {string} query - User-supplied search text.
+ * @returns {Function} (contact) => {score, matchedFields} when the contact matches, otherwise null.
+ */
+const createMatcher = (query) => {
+    const terms = [...new Set(tokenize(String(query).slice(0, MAX_QUERY_LENGTH)))];
+    return (contact) => terms.length === 0 ? null : scoreContact(contact, terms);
+};
+
+/**
+ * Ranks contacts against a free-text query.
+ * @param {Object[]} contacts - Contacts to search.
+ * @param {string} query - User-supplied search text.
+ * @returns {Object[]} Matching contacts with score and matchedFields, best match first.
+ */
+const searchContacts = (contacts, query) => {
+    const match = createMatcher(query);
+    const results = [];
+    for (const contact of contacts) {
+        const ranking = match(contact);
+        if (ranking) results.push({ ...contact, ...ranking });
+    }
+    return results.sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+};
+
+module.exports = { searchContacts, createMatcher, tokenize, normalize, editDistance };
@@ -0,0 +1,47 @@
+// Fuzzy, ranked contact search
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { searchContacts, createMatcher, tokenize, normalize, editDistance } = require('./search');
+
+const contacts = [
+    { id: '1', firstName: 'John', lastName: 'Johnson', phone: '+12025550143', email: 'jj@example.com', address: '1 Main St' },
+    { id: '2', firstName: 'Jonathan', lastName: 'Smith', phone: '+442079460000', email: 'jon@example.com', address: 'Elm Rd' },
+    { id: '3', firstName: 'Ada', lastName: 'Lovelace', phone: '', email: 'ada@example.com', address: 'London' }
+];
+
+describe('text helpers', () => {
+    test('lowercase text, strip accents and split it into words', () => {
+        assert.equal(normalize(' José '), 'jose');
+        assert.deepEqual(tokenize('Mary-Jane O\'Neil'), ['mary', 'jane', 'o', 'neil']);
+    });
+
+    test('count a swap of neighbouring letters as one edit and stop past the limit', () => {
+        assert.equal(editDistance('jonh', 'john', 2), 1);
+        assert.equal(editDistance('abc', 'xyzw', 1), 2);
+    });
+});
+
+describe('searchContacts', () => {
+    test('tolerates a typo and ranks the closer match first', () => {
+        const results = searchContacts(contacts, 'jonh');
+        assert.deepEqual(results.map(result => result.id), ['1', '2']);
+        assert.ok(results[0].score > results[1].score);
+        assert.deepEqual(results[0].matchedFields, ['firstName', 'lastName']);
+    });
+
+    test('needs every term to match some field', () => {
+        assert.deepEqual(searchContacts(contacts, 'jon smith').map(result => result.id), ['2']);
+        assert.deepEqual(searchContacts(contacts, 'ada zzz'), []);
+        assert.deepEqual(searchContacts(contacts, 'lóvelace').map(result => result.id), ['3']);
+    });
+
+    test('matches phone digits however the number is written, national prefix included', () => {
+        assert.deepEqual(searchContacts(contacts, '5550143').map(result => [result.id, result.matchedFields]), [['1', ['phone']]]);
+        assert.deepEqual(searchContacts(contacts, '02079460000').map(result => result.id), ['2']);
+    });
+
+    test('matches nothing for an empty query', () => {
+        assert.deepEqual(searchContacts(contacts, '   '), []);
+        assert.equal(createMatcher('')(contacts[0]), null);
+    });
+});
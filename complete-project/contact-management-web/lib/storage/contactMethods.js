@@ -0,0 +1,63 @@
+// Stores the phones, emails and addresses of contacts as rows of the contact_methods table (migrations 012 and 013)
+const { CONTACT_COLLECTIONS } = require('../../shared/contactSchema');
+
+// Kind of row to the collection it belongs to, e.g. phone to phones
+const COLLECTION_OF_KIND = Object.fromEntries(Object.entries(CONTACT_COLLECTIONS).map(([name, { field }]) => [field, name]));
+
+// Columns of a row, in the order methodRows lists them
+const METHOD_COLUMNS = ['contactId', 'kind', 'position', 'label', 'value', 'isPrimary', 'street', 'city', 'region', 'postalCode', 'country'];
+
+/**
+ * Flattens a contact's collections into contact_methods rows. Address rows also hold the parts of the address, with
+ * its street lines joined by newlines; other rows leave those columns null.
+ * @param {string} contactId - ID the rows belong to.
+ * @param {Object} contact - Contact with phones, emails and addresses; a collection left out has no rows.
+ * @returns {Array[]} One parameter list per entry, with the values of METHOD_COLUMNS.
+ */
+const methodRows = (contactId, contact) => Object.entries(CONTACT_COLLECTIONS).flatMap(([name, { field }]) =>
+    (contact[name] || []).map((entry, position) => [
+        contactId, field, position, entry.label, entry.value, entry.primary ? 1 : 0,
+        ...(field === 'address'
+            ? [(entry.street || []).join('\n'), entry.city || '', entry.region || '', entry.postalCode || '', entry.country || '']
+            : [null, null, null, null, null])
+    ]));
+
+/**
+ * Makes a collection entry of a contact_methods row.
+ * @param {Object} row - contact_methods row.
+ * @returns {Object} { label, value, primary }, followed for addresses by street, city, region, postalCode and country.
+ */
+const methodEntry = (row) => {
+    const entry = { label: row.label, value: row.value, primary: Boolean(row.isPrimary) };
+    if (row.kind !== 'address') return entry;
+    return {
+        ...entry,
+        street: row.street ? row.street.split('\n') : [],
+        city: row.city || '',
+        region: row.region || '',
+        postalCode: row.postalCode || '',
+        country: row.country || ''
+    };
+};
+
+/**
+ * Gives contact rows their collections.
+ * @param {Object[]} contacts - Contact rows with id.
+ * @param {Object[]} rows - contact_methods rows of those contacts, in any order; rows of other contacts are ignored.
+ * @returns {Object[]} Copies of the contacts with phones, emails and addresses, each ordered by position.
+ */
+const attachMethods = (contacts, rows) => {
+    const byContact = new Map(contacts.map(contact => [
+        contact.id,
+        Object.fromEntries(Object.keys(CONTACT_COLLECTIONS).map(name => [name, []]))
+    ]));
+    [...rows].sort((a, b) => a.position - b.position).forEach(row => {
+        const collections = byContact.get(row.contactId);
+        if (collections) {
+            collections[COLLECTION_OF_KIND[row.kind]].push(methodEntry(row));
+        }
+    });
+    return contacts.map(contact => ({ ...contact, ...byContact.get(contact.id) }));
+};
+
+module.exports = { METHOD_COLUMNS, methodRows, attachMethods };
@@ -0,0 +1,196 @@
+// Reads contact listings one page at a time in SQL: keyset conditions on the sort values and ID of the row a cursor
+// points at, so the database hands over one page of rows and a count rather than the whole table
+
+const { sortValue } = require('../pagination');
+const { METHOD_COLUMNS } = require('./contactMethods');
+
+// Sort field to the column it is read from; the parts of an address are those of the contact's primary address
+const SORT_COLUMNS = {
+    id: 'c.id',
+    firstName: 'c.firstName',
+    lastName: 'c.lastName',
+    phone: 'c.phone',
+    address: 'c.address',
+    email: 'c.email',
+    city: 'pa.city',
+    region: 'pa.region',
+    postalCode: 'pa.postalCode',
+    country: 'pa.country'
+};
+
+// Listing of streamContacts when it is given none: every contact, by ID
+const ID_ORDER = { sort: [{ field: 'id', direction: 'asc' }], filters: {}, locale: 'en' };
+
+const PAGE_COLUMNS = ['id', 'firstName', 'lastName', 'phone', 'address', 'email', 'version'].map(column => `c.${column}`).join(', ');
+
+// Escapes the wildcards of a LIKE pattern, with ! as the escape character
+const escapeLike = (text) => text.replace(/[!%_]/g, '!$&');
+
+/**
+ * Lists what a sort order compares rows by. Text is compared as the locale collates it and, where that finds no
+ * difference, exactly, as createComparator in ../pagination.js does, so "emile" and "Émile" still come in one order.
+ * @param {Object[]} sort - Parsed sort specification, ending with id.
+ * @param {Object} text - { collate, exact }, each wrapping a text expression to compare it that way.
+ * @returns {Object[]} { column, key, value, direction, field }, key and value being the expressions compared.
+ */
+const sortKeys = (sort, text) => sort.flatMap(({ field, direction }) => {
+    const column = SORT_COLUMNS[field];
+    // IDs are unique as stored, so they compare exactly and settle every tie
+    const compare = field === 'id' ? [text.exact] : [text.collate, text.exact];
+    return compare.map(wrap => ({ column, key: wrap(column), value: wrap('?'), direction, field }));
+});
+
+/**
+ * Builds the condition matching the rows that come after a cursor in a sort order. NULL sorts first in ascending
+ * order and last in descending order, as in both MySQL and SQLite, and every clause is true or false, never NULL, so
+ * the condition can be negated.
+ * @param {Object[]} keys - Output of sortKeys.
+ * @param {Object} cursor - Pseudo-row of the cursor's sort values.
+ * @returns {{sql: string, params: Array}} Condition and its parameters.
+ */
+const keysetCondition = (keys, cursor) => {
+    const alternatives = [];
+    const params = [];
+    const ties = [];
+    const tieParams = [];
+    for (const { column, key, value, direction, field } of keys) {
+        const wanted = cursor[field] ?? null;
+        let beyond;
+        if (wanted === null) beyond = direction === 'asc' ? `${column} IS NOT NULL` : '1 = 0';
+        else beyond = direction === 'asc' ? `(${column} IS NOT NULL AND ${key} > ${value})` : `(${column} IS NULL OR ${key} < ${value})`;
+        alternatives.push(`(${[...ties, beyond].join(' AND ')})`);
+        params.push(...tieParams, ...(wanted === null ? [] : [wanted]));
+        ties.push(wanted === null ? `${column} IS NULL` : `(${column} IS NOT NULL AND ${key} = ${value})`);
+        if (wanted !== null) tieParams.push(wanted);
+    }
+    return { sql: `(${alternatives.join(' OR ')})`, params };
+};
+
+/**
+ * Builds the condition for the address filters of a listing, matching them as createAddressFilter in
+ * ../pagination.js does: city and region as the locale collates them, the postal code by its start, ignoring case
+ * and spaces, and the country exactly.
+ * @param {Object} filters - Address part to the value asked for.
+ * @param {Function} collate - Wraps a text expression so it compares as the requested locale collates.
+ * @returns {{sql: string, params: Array}} Condition and its parameters.
+ */
+const addressFilterCondition = (filters, collate) => {
+    const clauses = [];
+    const params = [];
+    for (const [field, wanted] of Object.entries(filters)) {
+        if (field === 'postalCode') {
+            clauses.push("REPLACE(UPPER(fa.postalCode), ' ', '') LIKE ? ESCAPE '!'");
+            params.push(`${escapeLike(wanted.replace(/\s/g, '').toUpperCase())}%`);
+        } else if (field === 'country') {
+            clauses.push('fa.country = ?');
+            params.push(wanted);
+        } else {
+            clauses.push(`${collate(`fa.${field}`)} = ${collate('?')}`);
+            params.push(wanted);
+        }
+    }
+    if (clauses.length === 0) return { sql: '1 = 1', params: [] };
+    return {
+        sql: `EXISTS (SELECT 1 FROM contact_methods fa WHERE fa.contactId = c.id AND fa.kind = 'address' AND ${clauses.join(' AND ')})`,
+        params
+    };
+};
+
+/**
+ * Works out the parts of the statements reading a listing that do not depend on the page.
+ * @param {Object} condition - { sql, params } selecting the contacts listed, on contacts aliased c.
+ * @param {Object[]} sort - Sort order to read the rows in.
+ * @param {Object} filters - Address filters of the listing.
+ * @param {Object} text - { collate, exact } of the backend.
+ * @returns {Object} { from, where, params, keys, orderBy }.
+ */
+const listing = (condition, sort, filters, text) => {
+    const joinsAddress = sort.some(({ field }) => SORT_COLUMNS[field].startsWith('pa.'));
+    const filter = addressFilterCondition(filters, text.collate);
+    const keys = sortKeys(sort, text);
+    return {
+        from: joinsAddress
+            ? "contacts c LEFT JOIN contact_methods pa ON pa.contactId = c.id AND pa.kind = 'address' AND pa.isPrimary = 1"
+            : 'contacts c',
+        where: `${condition.sql} AND ${filter.sql}`,
+        params: [...condition.params, ...filter.params],
+        keys,
+        orderBy: keys.map(({ key, direction }) => `${key} ${direction.toUpperCase()}`).join(', ')
+    };
+};
+
+/**
+ * Builds the statements that read one page of contacts. A page before a cursor is read backwards from it, so
+ * its rows come in reverse order.
+ * @param {Object} options - The listing.
+ * @param {Object} options.condition - { sql, params } selecting the contacts listed, on contacts aliased c.
+ * @param {Object} options.query - Output of parseListQuery: sort, filters, limit, and the after or before cursor.
+ * @param {Object} options.text - How the backend compares text: `collate` wraps an expression so it compares as the
+ *   requested locale collates, `exact` so it compares character by character.
+ * @returns {Object} { rows, count, rest } statements ({ sql, params }): the rows, one more than the limit to tell
+ *   whether there are more; the number of contacts listed; and, with a cursor, whether any come on its other side,
+ *   or null without one.
+ */
+const contactPageQueries = ({ condition, query, text }) => {
+    const { sort, filters, limit, after, before } = query;
+    // Read backwards from a before cursor, in the opposite order
+    const order = before
+        ? sort.map(({ field, direction }) => ({ field, direction: direction === 'asc' ? 'desc' : 'asc' }))
+        : sort;
+    const cursor = after || before;
+    const { from, where, params, keys, orderBy } = listing(condition, order, filters, text);
+    const keyset = cursor ? keysetCondition(keys, cursor) : { sql: '1 = 1', params: [] };
+
+    return {
+        rows: {
+            // The limit was checked to be a small integer; MySQL prepared statements do not take it as a parameter
+            sql: `SELECT ${PAGE_COLUMNS} FROM ${from} WHERE ${where} AND ${keyset.sql} ORDER BY ${orderBy} LIMIT ${limit + 1}`,
+            params: [...params, ...keyset.params]
+        },
+        count: { sql: `SELECT COUNT(*) AS total FROM contacts c WHERE ${where}`, params },
+        rest: cursor
+            ? { sql: `SELECT 1 AS found FROM ${from} WHERE ${where} AND NOT ${keyset.sql} LIMIT 1`, params: [...params, ...keyset.params] }
+            : null
+    };
+};
+
+/**
+ * Builds the statement that reads every contact of a listing in its sort order, for exports read as one stream. Each
+ * contact comes with its contact_methods rows joined, one result row per row of METHOD_COLUMNS (or a single one with
+ * null contactId when it has none); the sort ends with the ID, so a contact's result rows are next to each other.
+ * @param {Object} options - As for contactPageQueries; the query's limit and cursors are left out.
+ * @returns {{sql: string, params: Array}} Statement.
+ */
+const contactListQuery = ({ condition, query, text }) => {
+    const { from, where, params, orderBy } = listing(condition, query.sort, query.filters, text);
+    const methods = METHOD_COLUMNS.map(column => `m.${column}`).join(', ');
+    return {
+        sql: `SELECT ${PAGE_COLUMNS}, ${methods} FROM ${from} LEFT JOIN contact_methods m ON m.contactId = c.id WHERE ${where} ORDER BY ${orderBy}`,
+        params
+    };
+};
+
+/**
+ * Makes the cursor pseudo-row pointing at a row, to read on from it.
+ * @param {Object} row - Contact row with its addresses.
+ * @param {Object[]} sort - Sort order of the listing.
+ * @returns {Object} Sort field to the row's value.
+ */
+const cursorAt = (row, sort) => Object.fromEntries(sort.map(({ field }) => [field, sortValue(row, field) ?? null]));
+
+/**
+ * Puts the results of the statements of contactPageQueries together.
+ * @param {Object} query - Output of parseListQuery.
+ * @param {Object[]} rows - Rows the rows statement read.
+ * @param {number} total - Number of contacts listed.
+ * @param {boolean} rest - Whether any contacts come on the other side of the cursor.
+ * @returns {Object} { rows, total, hasNext, hasPrevious }, the rows in sort order.
+ */
+const contactPage = ({ limit, before }, rows, total, rest) => {
+    const more = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (before) page.reverse();
+    return { rows: page, total: Number(total), hasNext: before ? rest : more, hasPrevious: before ? more : rest };
+};
+
+module.exports = { ID_ORDER, contactPageQueries, contactListQuery, contactPage, cursorAt };
@@ -0,0 +1,13 @@
+// Errors shared by every storage backend, so routes never need to know which database is in use
+
+/**
+ * Thrown when an insert or update would break a uniqueness rule (contact ID, username, ...).
+ */
+class DuplicateError extends Error {
+    constructor(message = 'Duplicate entry') {
+        super(message);
+        this.name = 'DuplicateError';
+    }
+}
+
+module.exports = { DuplicateError };
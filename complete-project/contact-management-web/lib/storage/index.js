@@ -0,0 +1,70 @@
+// Chooses the storage backend behind the API routes
+const { DuplicateError } = require('./errors');
+
+/**
+ * Every backend returns an object with the same async methods, so the routes never see SQL:
+ *
+ * - initialize() / close(), and migrationDriver() for ../migrations.js (null when there is no schema)
+ * - transaction(fn) runs fn so that the repository calls it makes either all take effect or, if fn rejects, none do.
+ *   Calls made from within fn join the transaction; calls of other requests neither join it nor see its changes before
+ *   it commits
+ * - Health: ping() rejects when the database cannot be reached; poolStats() reports connection pool
+ *   usage, or null for backends without a pool
+ * - Contacts: listContacts(ownerId), listContactsPage(ownerId, query), streamContacts(ownerId, query), findContact(id, ownerId),
+ *   createContact(contact, ownerId), updateContact(id, fields, ownerId), deleteContact(id, ownerId), claimUnownedContacts(ownerId).
+ *   highestNumericContactId() resolves to the largest all-digit ID (up to 15 digits) among all contacts, trashed or
+ *   not, and the contact history, or 0, so the sequential ID strategy never reuses the ID of a purged contact. Inside
+ *   transaction() it reads what other transactions committed since it began, and keeps them from creating contacts
+ *   until it ends, so retrying a create there finds a free ID.
+ *   An ownerId of null means "any owner"; find resolves to null and update/delete to false when no matching contact exists.
+ *   deleteContact only moves a contact to the trash, which hides it from every other contact method.
+ *   streamContacts is an async iterable of the same rows as listContacts, for exports too large to buffer, sorted
+ *   and filtered as the sort, locale and address filters of a parsed listing query say, or all of them by ID.
+ *   listContactsPage reads one page of a listing, as parseListQuery in ../pagination.js parses it (sort, locale,
+ *   address filters, limit and an after or before cursor), and resolves to { rows, total, hasNext, hasPrevious }.
+ *   Contacts come with their phones, emails and addresses: arrays of { label, value, primary } in the order they were
+ *   saved in. create and update save the arrays along with the other fields, replacing the ones stored before.
+ *   Contacts carry a version that starts at 1 and goes up with every update. updateContact and deleteContact take an
+ *   optional expectedVersion and resolve to false, changing nothing, when the contact has moved past it.
+ * - Trash: listDeletedContacts(ownerId), restoreContact(id, ownerId), and purgeDeletedContacts({ id, ownerId, deletedBefore }),
+ *   which permanently removes matching trashed contacts and resolves to the removed rows.
+ * - Contact history: addContactHistory({ contactId, ownerId, action, actorId, actorName, before, after, revertedTo, mergedWith })
+ *   resolves to the new version number, numbering a contact's entries one after another even when transactions add
+ *   them at once; it belongs in the transaction that saves the change it records. listContactHistory(contactId,
+ *   ownerId) lists entries oldest first.
+ * - Users: countUsers(role?), firstUserId(), createUser({ username, passwordHash, role }), findUserByUsername(username),
+ *   findUserById(id), listUsers(), setUserRole(id, role). firstUserId() resolves to the ID of the oldest account, or null;
+ *   inside transaction() it waits for accounts other transactions are still creating, so only one can ever be the first
+ * - Sessions: createSession(tokens), findSessionByAccessToken(hash, now), findSessionByRefreshToken(hash, now),
+ *   updateSessionTokens(sessionId, tokens), deleteSession(sessionId). Lookups resolve to { sessionId, user } or null.
+ * - API keys: createApiKey(fields), findApiKeyByHash(hash), listApiKeys(), touchApiKey(id, usedAt), revokeApiKey(id, revokedAt)
+ * - CardDAV cards: saveDavCard({ contactId, name, uid }) keeps the resource name and UID a client created a contact's card
+ *   with, replacing any it had; findDavCard(name) resolves to { contactId, name, uid } or null; listDavCards() lists
+ *   them all. A card goes when its contact is purged.
+ *
+ * Inserts that break a uniqueness rule reject with DuplicateError.
+ */
+const BACKENDS = {
+    mysql: (config) => require('./mysql').createMysqlRepository(config.mysql),
+    sqlite: (config) => require('./sqlite').createSqliteRepository(config.sqlite),
+    memory: () => require('./memory').createMemoryRepository()
+};
+
+/**
+ * Creates the repository for the configured backend. Backends are loaded lazily, so the
+ * SQLite driver is only required when SQLite is actually used.
+ * @param {Object} config - Storage configuration.
+ * @param {string} config.backend - mysql, sqlite or memory.
+ * @param {Object} [config.mysql] - mysql2 pool options plus queryTimeoutMs.
+ * @param {Object} [config.sqlite] - { filename } of the SQLite database.
+ * @returns {Object} Repository.
+ */
+const createRepository = (config) => {
+    const factory = BACKENDS[config.backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${config.backend}"; use one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return factory(config);
+};
+
+module.exports = { createRepository, DuplicateError, BACKENDS };
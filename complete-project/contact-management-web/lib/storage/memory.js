@@ -0,0 +1,352 @@
+// In-memory storage backend: no database server needed, data is lost on restart
+const { DuplicateError } = require('./errors');
+const { DEFAULT_ROLE } = require('../roles');
+const { slicePage, createAddressFilter, createComparator } = require('../pagination');
+const { CONTACT_COLLECTIONS } = require('../../shared/contactSchema');
+const { createTransactionQueue } = require('./transactionQueue');
+
+const CONTACT_FIELDS = ['id', 'firstName', 'lastName', 'phone', 'address', 'email', 'version', ...Object.keys(CONTACT_COLLECTIONS)];
+
+// Methods that do not wait for the open transaction: they are synchronous, or wait by themselves
+const UNQUEUED_METHODS = ['initialize', 'close', 'poolStats', 'migrationDriver', 'transaction', 'streamContacts'];
+
+// IDs the sequential ID strategy counts: digits only, few enough to stay exact as a number
+const NUMERIC_ID = /^[0-9]{1,15}$/;
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field]]));
+
+// Copies a stored contact, collections included, so callers cannot change it in place
+const copyContact = (contact, extraFields = []) => structuredClone(pick(contact, [...CONTACT_FIELDS, ...extraFields]));
+
+// A contact's collections as given, or empty
+const collectionsOf = (contact) => Object.fromEntries(Object.keys(CONTACT_COLLECTIONS).map(name => [name, structuredClone(contact[name] || [])]));
+
+/**
+ * Creates a repository that keeps everything in Maps. Suited to local development and tests.
+ * @returns {Object} Repository implementing the storage interface described in ./index.js.
+ */
+const createMemoryRepository = () => {
+    let contacts;
+    let contactHistory;
+    let users;
+    let sessions;
+    let apiKeys;
+    let davCards;
+    let nextUserId;
+    let nextSessionId;
+    let nextApiKeyId;
+    // Everything as it was when the open transaction began
+    let saved;
+
+    const ownedBy = (contact, ownerId) => ownerId === null || ownerId === undefined || contact.ownerId === ownerId;
+    const live = (contact, ownerId) => contact && !contact.deletedAt && ownedBy(contact, ownerId);
+    const trashed = (contact, ownerId) => contact && contact.deletedAt && ownedBy(contact, ownerId);
+    const atVersion = (contact, expectedVersion) => expectedVersion === undefined || contact.version === expectedVersion;
+
+    const sessionUser = (session) => {
+        const user = session && users.get(session.userId);
+        return user ? { sessionId: session.id, user: pick(user, ['id', 'username', 'role']) } : null;
+    };
+
+    const queue = createTransactionQueue({
+        begin: () => {
+            saved = structuredClone({ contacts, contactHistory, users, sessions, apiKeys, davCards, nextUserId, nextSessionId, nextApiKeyId });
+        },
+        commit: () => {
+            saved = null;
+        },
+        rollback: () => {
+            ({ contacts, contactHistory, users, sessions, apiKeys, davCards, nextUserId, nextSessionId, nextApiKeyId } = saved);
+            saved = null;
+        }
+    });
+
+    return queue.exclusive({
+        name: 'memory',
+
+        async initialize() {
+            contacts = new Map();
+            contactHistory = new Map();
+            users = new Map();
+            sessions = new Map();
+            apiKeys = new Map();
+            davCards = new Map();
+            nextUserId = 1;
+            nextSessionId = 1;
+            nextApiKeyId = 1;
+        },
+
+        async close() {},
+
+        /**
+         * Runs fn once other requests' transactions have ended and, if it rejects, puts every collection back the way
+         * it was before. Calls fn makes join it; those of other requests wait until it ends.
+         * @param {Function} fn - Async work to run.
+         * @returns {Promise<*>} What fn resolved to.
+         */
+        transaction: queue.transaction,
+
+        async ping() {},
+
+        poolStats() {
+            return null;
+        },
+
+        // Nothing is persisted, so there is no schema to migrate
+        migrationDriver() {
+            return null;
+        },
+
+        // Contacts
+
+        async listContacts(ownerId) {
+            return [...contacts.values()]
+                .filter(contact => live(contact, ownerId))
+                .map(contact => copyContact(contact));
+        },
+
+        async listContactsPage(ownerId, query) {
+            const matches = [...contacts.values()]
+                .filter(contact => live(contact, ownerId))
+                .filter(createAddressFilter(query.filters, query.locale));
+            const page = slicePage(matches, query);
+            return { ...page, rows: page.rows.map(contact => copyContact(contact)) };
+        },
+
+        // The contacts are copied as they are when the stream starts, so changes made while it is read do not show
+        async *streamContacts(ownerId, query) {
+            await queue.wait();
+            const rows = [...contacts.values()].filter(contact => live(contact, ownerId));
+            const listed = query
+                ? rows.filter(createAddressFilter(query.filters, query.locale)).sort(createComparator(query.sort, query.locale))
+                : rows.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+            yield* listed.map(contact => copyContact(contact));
+        },
+
+        async findContact(id, ownerId) {
+            const contact = contacts.get(id);
+            return live(contact, ownerId) ? copyContact(contact, ['ownerId']) : null;
+        },
+
+        async createContact(contact, ownerId) {
+            if (contacts.has(contact.id)) throw new DuplicateError(`Duplicate contact ID ${contact.id}`);
+            contacts.set(contact.id, {
+                ...pick(contact, CONTACT_FIELDS),
+                ...collectionsOf(contact),
+                address: contact.address ?? null,
+                version: 1,
+                ownerId: ownerId ?? null,
+                deletedAt: null
+            });
+        },
+
+        async updateContact(id, fields, ownerId, expectedVersion) {
+            const contact = contacts.get(id);
+            if (!live(contact, ownerId) || !atVersion(contact, expectedVersion)) return false;
+            const { firstName, lastName, phone, address, email } = fields;
+            Object.assign(contact, {
+                firstName, lastName, phone, address: address ?? null, email, ...collectionsOf(fields), version: contact.version + 1
+            });
+            return true;
+        },
+
+        async deleteContact(id, ownerId, expectedVersion) {
+            const contact = contacts.get(id);
+            if (!live(contact, ownerId) || !atVersion(contact, expectedVersion)) return false;
+            contact.deletedAt = new Date();
+            return true;
+        },
+
+        async listDeletedContacts(ownerId) {
+            return [...contacts.values()]
+                .filter(contact => trashed(contact, ownerId))
+                .sort((a, b) => b.deletedAt - a.deletedAt || a.id.localeCompare(b.id))
+                .map(contact => copyContact(contact, ['deletedAt']));
+        },
+
+        async restoreContact(id, ownerId) {
+            const contact = contacts.get(id);
+            if (!trashed(contact, ownerId)) return false;
+            contact.deletedAt = null;
+            return true;
+        },
+
+        async purgeDeletedContacts({ id, ownerId, deletedBefore } = {}) {
+            const purged = [...contacts.values()].filter(contact => trashed(contact, ownerId)
+                && (id === undefined || contact.id === id)
+                && (!deletedBefore || contact.deletedAt < deletedBefore));
+            purged.forEach(contact => {
+                contacts.delete(contact.id);
+                davCards.delete(contact.id);
+            });
+            return purged.map(contact => copyContact(contact, ['ownerId', 'deletedAt']));
+        },
+
+        async claimUnownedContacts(ownerId) {
+            let claimed = 0;
+            for (const contact of contacts.values()) {
+                if (contact.ownerId === null) {
+                    contact.ownerId = ownerId;
+                    claimed += 1;
+                }
+            }
+            for (const entries of contactHistory.values()) {
+                entries.filter(entry => entry.ownerId === null).forEach(entry => { entry.ownerId = ownerId; });
+            }
+            return claimed;
+        },
+
+        async highestNumericContactId() {
+            const ids = [...contacts.keys(), ...contactHistory.keys()].filter(id => NUMERIC_ID.test(id));
+            return Math.max(0, ...ids.map(Number));
+        },
+
+        // Contact history
+
+        async addContactHistory(entry) {
+            const entries = contactHistory.get(entry.contactId) || [];
+            const version = entries.length + 1;
+            entries.push({
+                version,
+                ownerId: entry.ownerId ?? null,
+                action: entry.action,
+                actorId: entry.actorId ?? null,
+                actorName: entry.actorName ?? null,
+                before: entry.before ? { ...entry.before } : null,
+                after: entry.after ? { ...entry.after } : null,
+                revertedTo: entry.revertedTo ?? null,
+                mergedWith: entry.mergedWith ? [...entry.mergedWith] : null,
+                changedAt: new Date()
+            });
+            contactHistory.set(entry.contactId, entries);
+            return version;
+        },
+
+        async listContactHistory(contactId, ownerId) {
+            return (contactHistory.get(contactId) || [])
+                .filter(entry => ownedBy(entry, ownerId))
+                .map(entry => ({ ...entry }));
+        },
+
+        // Users
+
+        async countUsers(role) {
+            return [...users.values()].filter(user => !role || user.role === role).length;
+        },
+
+        async firstUserId() {
+            return users.size > 0 ? Math.min(...users.keys()) : null;
+        },
+
+        async createUser({ username, passwordHash, role = DEFAULT_ROLE }) {
+            if ([...users.values()].some(user => user.username === username)) {
+                throw new DuplicateError(`Duplicate username ${username}`);
+            }
+            const id = nextUserId++;
+            users.set(id, { id, username, passwordHash, role, createdAt: new Date() });
+            return id;
+        },
+
+        async findUserByUsername(username) {
+            const user = [...users.values()].find(u => u.username === username);
+            return user ? pick(user, ['id', 'username', 'role', 'passwordHash']) : null;
+        },
+
+        async findUserById(id) {
+            const user = users.get(id);
+            return user ? pick(user, ['id', 'username', 'role']) : null;
+        },
+
+        async listUsers() {
+            return [...users.values()]
+                .sort((a, b) => a.username.localeCompare(b.username))
+                .map(user => pick(user, ['id', 'username', 'role', 'createdAt']));
+        },
+
+        async setUserRole(id, role) {
+            const user = users.get(id);
+            if (user) user.role = role;
+        },
+
+        // Sessions
+
+        async createSession(session) {
+            const now = new Date();
+            for (const [id, existing] of sessions) {
+                if (existing.userId === session.userId && existing.refreshExpiresAt < now) sessions.delete(id);
+            }
+            const id = nextSessionId++;
+            sessions.set(id, { ...session, id, createdAt: now });
+        },
+
+        async findSessionByAccessToken(accessTokenHash, now) {
+            const session = [...sessions.values()].find(s => s.accessTokenHash === accessTokenHash && s.accessExpiresAt > now);
+            return sessionUser(session);
+        },
+
+        async findSessionByRefreshToken(refreshTokenHash, now) {
+            const session = [...sessions.values()].find(s => s.refreshTokenHash === refreshTokenHash && s.refreshExpiresAt > now);
+            return sessionUser(session);
+        },
+
+        async updateSessionTokens(sessionId, tokens) {
+            const session = sessions.get(sessionId);
+            if (session) Object.assign(session, tokens);
+        },
+
+        async deleteSession(sessionId) {
+            sessions.delete(sessionId);
+        },
+
+        // API keys
+
+        async createApiKey(fields) {
+            if ([...apiKeys.values()].some(key => key.keyHash === fields.keyHash)) throw new DuplicateError('Duplicate API key');
+            const id = nextApiKeyId++;
+            const row = { ...fields, id, expiresAt: fields.expiresAt ?? null, lastUsedAt: null, revokedAt: null, createdAt: new Date() };
+            apiKeys.set(id, row);
+            return { ...row };
+        },
+
+        async findApiKeyByHash(keyHash) {
+            const key = [...apiKeys.values()].find(k => k.keyHash === keyHash);
+            return key ? { ...key } : null;
+        },
+
+        async listApiKeys() {
+            return [...apiKeys.values()].sort((a, b) => b.createdAt - a.createdAt || b.id - a.id).map(key => ({ ...key }));
+        },
+
+        async touchApiKey(id, usedAt) {
+            const key = apiKeys.get(id);
+            if (key) key.lastUsedAt = usedAt;
+        },
+
+        async revokeApiKey(id, revokedAt) {
+            const key = apiKeys.get(id);
+            if (!key || key.revokedAt) return false;
+            key.revokedAt = revokedAt;
+            return true;
+        },
+
+        // CardDAV cards, by contact ID
+
+        async saveDavCard({ contactId, name, uid }) {
+            if ([...davCards.values()].some(card => card.name === name && card.contactId !== contactId)) {
+                throw new DuplicateError('Duplicate card name');
+            }
+            davCards.set(contactId, { contactId, name, uid });
+        },
+
+        async findDavCard(name) {
+            const card = [...davCards.values()].find(candidate => candidate.name === name);
+            return card ? { ...card } : null;
+        },
+
+        async listDavCards() {
+            return [...davCards.values()].map(card => ({ ...card }));
+        }
+    }, UNQUEUED_METHODS);
+};
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,612 @@
+// MySQL storage backend
+const { AsyncLocalStorage } = require('async_hooks');
+const mysql = require('mysql2/promise');
+const { DuplicateError } = require('./errors');
+const { METHOD_COLUMNS, methodRows, attachMethods } = require('./contactMethods');
+const { ID_ORDER, contactPageQueries, contactListQuery, contactPage } = require('./contactPages');
+
+const CONTACT_COLUMNS = 'id, firstName, lastName, phone, address, email, version';
+const CONTACT_FIELDS = CONTACT_COLUMNS.split(', ');
+
+// Languages with a MySQL 8 collation of their own; the others are compared by the Unicode collation algorithm's
+// default order, which suits most of them
+const LOCALE_COLLATIONS = new Set(['cs', 'da', 'eo', 'es', 'et', 'hr', 'hu', 'is', 'la', 'lt', 'lv', 'pl', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'vi']);
+
+/**
+ * Gives the ways listings compare text in a locale: accent and case insensitive, as the locale orders letters, or
+ * exactly, by code point. Either works whatever character set the column has.
+ * @param {string} locale - BCP 47 locale tag.
+ * @returns {Object} { collate, exact }, each wrapping a text expression to compare it that way.
+ */
+const textComparison = (locale) => {
+    const language = locale.split('-')[0].toLowerCase();
+    const collation = LOCALE_COLLATIONS.has(language) ? `utf8mb4_${language}_0900_ai_ci` : 'utf8mb4_0900_ai_ci';
+    return {
+        collate: (expression) => `CONVERT(${expression} USING utf8mb4) COLLATE ${collation}`,
+        exact: (expression) => `CONVERT(${expression} USING utf8mb4) COLLATE utf8mb4_bin`
+    };
+};
+
+// Errors from a pooled connection that died underneath us, usually one the server closed while it sat idle
+const CONNECTION_LOST_CODES = new Set(['PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'EPIPE']);
+
+// Statements that change nothing, so running one again after its connection was lost cannot apply anything twice
+const READ_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+
+/**
+ * Creates a repository backed by a pool of MySQL connections. The pool replaces broken
+ * connections on its own, so a database restart does not take the routes down with it.
+ * @param {Object} config - mysql2 pool options (host, user, password, database, connectionLimit, ...).
+ * @param {number} [config.queryTimeoutMs] - Abort statements that run longer than this.
+ * @returns {Object} Repository implementing the storage interface described in ./index.js.
+ */
+const createMysqlRepository = ({ queryTimeoutMs = 10000, ...poolConfig }) => {
+    let db;
+    // Connection of the transaction the current async call chain runs in, if any
+    const activeTransaction = new AsyncLocalStorage();
+    // Connections the pool has opened and not lost, those of them that are idle, and the requests for one not yet
+    // handed one
+    const connections = new Set();
+    const idleConnections = new Set();
+    let waiting = 0;
+
+    /**
+     * Keeps the connection counts of poolStats from the events of the pool.
+     * @param {Object} pool - Underlying mysql2 callback pool.
+     */
+    const watchPool = (pool) => {
+        pool.on('connection', (connection) => {
+            connections.add(connection);
+            const forget = () => {
+                connections.delete(connection);
+                idleConnections.delete(connection);
+            };
+            connection.once('end', forget);
+            connection.once('error', forget);
+        });
+        pool.on('acquire', connection => idleConnections.delete(connection));
+        pool.on('release', connection => idleConnections.add(connection));
+    };
+
+    /**
+     * Takes a connection from the pool, trying once more when opening one hit a dropped connection; nothing has been
+     * sent on it yet, so that is always safe.
+     * @returns {Promise<Object>} Pooled connection, to be released.
+     */
+    const acquire = async () => {
+        waiting++;
+        try {
+            return await db.getConnection();
+        } catch (err) {
+            if (!CONNECTION_LOST_CODES.has(err.code)) throw err;
+            return await db.getConnection();
+        } finally {
+            waiting--;
+        }
+    };
+
+    /**
+     * Runs a statement, translating duplicate-key violations into DuplicateError. Inside transaction()
+     * it runs on the transaction's connection; otherwise a read that hit a dropped connection is retried
+     * once on a fresh one. Writes are not, as the server may have applied them before the connection dropped.
+     * @param {string} sql - Statement with ? placeholders.
+     * @param {Array} [params] - Placeholder values.
+     * @param {boolean} [retried] - Set on the second attempt.
+     * @returns {Promise<Array>} mysql2 [rows, fields] result.
+     */
+    const execute = async (sql, params = [], retried = false) => {
+        const joined = activeTransaction.getStore();
+        const connection = joined || await acquire();
+        try {
+            return await connection.execute({ sql, timeout: queryTimeoutMs }, params);
+        } catch (err) {
+            if (err.code === 'ER_DUP_ENTRY') throw new DuplicateError(err.message);
+            if (!joined && !retried && CONNECTION_LOST_CODES.has(err.code) && READ_STATEMENT.test(sql)) {
+                return execute(sql, params, true);
+            }
+            throw err;
+        } finally {
+            if (!joined) connection.release();
+        }
+    };
+
+    const ping = async () => {
+        const connection = await acquire();
+        try {
+            await connection.query({ sql: 'SELECT 1', timeout: queryTimeoutMs });
+        } finally {
+            connection.release();
+        }
+    };
+
+    /**
+     * Checks whether a column exists, so tables created by older versions can be upgraded in place.
+     * @param {string} table - Table name.
+     * @param {string} column - Column name.
+     * @returns {Promise<boolean>} True when the column exists.
+     */
+    const columnExists = async (table, column) => {
+        const [rows] = await execute(
+            `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+            [table, column]
+        );
+        return rows.length > 0;
+    };
+
+    /**
+     * Builds the condition limiting a statement to one owner's contacts, or to all contacts.
+     * @param {number|null} ownerId - Owner to restrict to, or null for no restriction.
+     * @returns {{sql: string, params: Array}} Condition and its parameters.
+     */
+    const ownerCondition = (ownerId) => ownerId === null || ownerId === undefined
+        ? { sql: 'TRUE', params: [] }
+        : { sql: 'ownerId = ?', params: [ownerId] };
+
+    /**
+     * Builds the condition that makes a write conditional on the contact still being at a version.
+     * @param {number} [expectedVersion] - Version the caller last saw; undefined for an unconditional write.
+     * @returns {{sql: string, params: Array}} Condition and its parameters.
+     */
+    const versionCondition = (expectedVersion) => expectedVersion === undefined
+        ? { sql: 'TRUE', params: [] }
+        : { sql: 'version = ?', params: [expectedVersion] };
+
+    /**
+     * Builds the condition selecting trashed contacts to purge.
+     * @param {Object} filter - { id, ownerId, deletedBefore }; each one left out matches everything.
+     * @returns {{sql: string, params: Array}} Condition and its parameters.
+     */
+    const trashCondition = ({ id, ownerId, deletedBefore } = {}) => {
+        const owner = ownerCondition(ownerId);
+        const clauses = ['deletedAt IS NOT NULL', owner.sql];
+        const params = [...owner.params];
+        if (id !== undefined) {
+            clauses.push('id = ?');
+            params.push(id);
+        }
+        if (deletedBefore) {
+            clauses.push('deletedAt < ?');
+            params.push(deletedBefore);
+        }
+        return { sql: clauses.join(' AND '), params };
+    };
+
+    const historyFromRow = (row) => ({
+        version: row.version,
+        ownerId: row.ownerId,
+        action: row.action,
+        actorId: row.actorId,
+        actorName: row.actorName,
+        before: row.beforeValues ? JSON.parse(row.beforeValues) : null,
+        after: row.afterValues ? JSON.parse(row.afterValues) : null,
+        revertedTo: row.revertedTo,
+        mergedWith: row.mergedWith ? JSON.parse(row.mergedWith) : null,
+        changedAt: row.changedAt
+    });
+
+    /**
+     * Runs fn in a transaction on one pooled connection. Every repository call fn makes, directly or
+     * through other functions it awaits, joins the transaction; it commits when fn resolves and rolls
+     * back when fn rejects. Nested calls join the outer transaction.
+     * @param {Function} fn - Async work to run.
+     * @returns {Promise<*>} What fn resolved to.
+     */
+    const transaction = async (fn) => {
+        if (activeTransaction.getStore()) return fn();
+        const connection = await acquire();
+        try {
+            await connection.beginTransaction();
+            const result = await activeTransaction.run(connection, fn);
+            await connection.commit();
+            return result;
+        } catch (err) {
+            await connection.rollback().catch(() => {});
+            throw err;
+        } finally {
+            connection.release();
+        }
+    };
+
+    /**
+     * Reads the phones, emails and addresses of contact rows.
+     * @param {Object[]} contacts - Contact rows.
+     * @param {Object} [condition] - { sql, params } on contacts that selected the rows, so large lists are read with
+     *   one join rather than by ID; left out, the rows are looked up by contact ID.
+     * @returns {Promise<Object[]>} The contacts with their collections.
+     */
+    const withMethods = async (contacts, condition) => {
+        if (contacts.length === 0) return contacts;
+        const [rows] = condition
+            ? await execute(`SELECT m.* FROM contact_methods m JOIN contacts c ON c.id = m.contactId WHERE ${condition.sql}`, condition.params)
+            : await execute(`SELECT * FROM contact_methods WHERE contactId IN (${contacts.map(() => '?').join(', ')})`,
+                contacts.map(contact => contact.id));
+        return attachMethods(contacts, rows);
+    };
+
+    // Replaces a contact's phones, emails and addresses
+    const saveMethods = async (id, contact) => {
+        await execute('DELETE FROM contact_methods WHERE contactId = ?', [id]);
+        const rows = methodRows(id, contact);
+        if (rows.length > 0) {
+            await execute(
+                `INSERT INTO contact_methods (${METHOD_COLUMNS.join(', ')}) VALUES ${rows.map(() => `(${METHOD_COLUMNS.map(() => '?').join(', ')})`).join(', ')}`,
+                rows.flat()
+            );
+        }
+    };
+
+    const sessionUser = (row) => row && {
+        sessionId: row.sessionId,
+        user: { id: row.userId, username: row.username, role: row.role }
+    };
+
+    return {
+        name: 'mysql',
+
+        // Creates the pool and checks the server answers; safe to call again after a failed attempt
+        async initialize() {
+            if (!db) {
+                db = mysql.createPool({ waitForConnections: true, enableKeepAlive: true, ...poolConfig });
+                watchPool(db.pool);
+            }
+            await ping();
+        },
+
+        ping,
+
+        poolStats() {
+            return {
+                connectionLimit: db.pool.config.connectionLimit,
+                open: connections.size,
+                idle: idleConnections.size,
+                waiting
+            };
+        },
+
+        /**
+         * Low-level access for the migration runner; the schema itself lives in ../../migrations.
+         * @returns {Object} Migration driver.
+         */
+        migrationDriver() {
+            return {
+                dialect: 'mysql',
+                execute: async (sql, params) => (await execute(sql, params))[0],
+                columnExists
+            };
+        },
+
+        async close() {
+            if (db) await db.end();
+        },
+
+        transaction,
+
+        // Contacts
+
+        async listContacts(ownerId) {
+            const owner = ownerCondition(ownerId);
+            const condition = { sql: `deletedAt IS NULL AND ${owner.sql}`, params: owner.params };
+            const [rows] = await execute(`SELECT ${CONTACT_COLUMNS} FROM contacts WHERE ${condition.sql}`, condition.params);
+            return withMethods(rows, condition);
+        },
+
+        async listContactsPage(ownerId, query) {
+            const owner = ownerCondition(ownerId);
+            const { rows, count, rest } = contactPageQueries({
+                condition: { sql: `c.deletedAt IS NULL AND ${owner.sql}`, params: owner.params },
+                query,
+                text: textComparison(query.locale)
+            });
+            const [page] = await execute(rows.sql, rows.params);
+            const [[{ total }]] = await execute(count.sql, count.params);
+            const found = rest ? (await execute(rest.sql, rest.params))[0].length > 0 : false;
+            return contactPage(query, await withMethods(page), total, found);
+        },
+
+        /**
+         * Streams live contacts in the order of a listing straight from the server, without buffering the result
+         * set. Their phones, emails and addresses come joined in the same query, since the connection cannot run
+         * another statement until the stream ends and waiting for a second one could take the last of the pool. The
+         * query timeout covers the whole read, as it does any other statement.
+         * @param {number|null} ownerId - Owner to restrict to, or null for all contacts.
+         * @param {Object} [query] - Sort, locale and address filters, as parseListQuery gives them; by ID if left out.
+         * @returns {AsyncIterable<Object>} Contact rows.
+         */
+        async *streamContacts(ownerId, query = ID_ORDER) {
+            const owner = ownerCondition(ownerId);
+            const { sql, params } = contactListQuery({
+                condition: { sql: `c.deletedAt IS NULL AND ${owner.sql}`, params: owner.params },
+                query,
+                text: textComparison(query.locale)
+            });
+            const connection = await acquire();
+            let done = false;
+            try {
+                // The promise wrapper has no streaming API, so this goes through the underlying callback connection
+                const rows = connection.connection.query({ sql, timeout: queryTimeoutMs }, params).stream();
+                let contact = null;
+                let methods = [];
+                for await (const row of rows) {
+                    if (!contact || row.id !== contact.id) {
+                        if (contact) yield attachMethods([contact], methods)[0];
+                        contact = Object.fromEntries(CONTACT_FIELDS.map(field => [field, row[field]]));
+                        methods = [];
+                    }
+                    if (row.contactId !== null) methods.push(row);
+                }
+                if (contact) yield attachMethods([contact], methods)[0];
+                done = true;
+            } finally {
+                // A query left unfinished, when the caller stops early or it failed, would hold up the next user
+                if (done) connection.release();
+                else connection.destroy();
+            }
+        },
+
+        async findContact(id, ownerId) {
+            const owner = ownerCondition(ownerId);
+            const [[row]] = await execute(
+                `SELECT ${CONTACT_COLUMNS}, ownerId FROM contacts WHERE id = ? AND deletedAt IS NULL AND ${owner.sql}`,
+                [id, ...owner.params]
+            );
+            return row ? (await withMethods([row]))[0] : null;
+        },
+
+        async createContact(contact, ownerId) {
+            const { id, firstName, lastName, phone, address, email } = contact;
+            await transaction(async () => {
+                await execute(
+                    'INSERT INTO contacts (id, firstName, lastName, phone, address, email, ownerId) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [id, firstName, lastName, phone, address ?? null, email, ownerId ?? null]
+                );
+                await saveMethods(id, contact);
+            });
+        },
+
+        async updateContact(id, fields, ownerId, expectedVersion) {
+            const { firstName, lastName, phone, address, email } = fields;
+            const owner = ownerCondition(ownerId);
+            const expected = versionCondition(expectedVersion);
+            return transaction(async () => {
+                const [result] = await execute(
+                    `UPDATE contacts SET firstName = ?, lastName = ?, phone = ?, address = ?, email = ?, version = version + 1
+                     WHERE id = ? AND deletedAt IS NULL AND ${owner.sql} AND ${expected.sql}`,
+                    [firstName, lastName, phone, address ?? null, email, id, ...owner.params, ...expected.params]
+                );
+                if (result.affectedRows > 0) await saveMethods(id, fields);
+                return result.affectedRows > 0;
+            });
+        },
+
+        async deleteContact(id, ownerId, expectedVersion) {
+            const owner = ownerCondition(ownerId);
+            const expected = versionCondition(expectedVersion);
+            const [result] = await execute(
+                `UPDATE contacts SET deletedAt = ? WHERE id = ? AND deletedAt IS NULL AND ${owner.sql} AND ${expected.sql}`,
+                [new Date(), id, ...owner.params, ...expected.params]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async listDeletedContacts(ownerId) {
+            const owner = ownerCondition(ownerId);
+            const condition = { sql: `deletedAt IS NOT NULL AND ${owner.sql}`, params: owner.params };
+            const [rows] = await execute(
+                `SELECT ${CONTACT_COLUMNS}, deletedAt FROM contacts WHERE ${condition.sql} ORDER BY deletedAt DESC, id`,
+                condition.params
+            );
+            return withMethods(rows, condition);
+        },
+
+        async restoreContact(id, ownerId) {
+            const owner = ownerCondition(ownerId);
+            const [result] = await execute(
+                `UPDATE contacts SET deletedAt = NULL WHERE id = ? AND deletedAt IS NOT NULL AND ${owner.sql}`,
+                [id, ...owner.params]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async purgeDeletedContacts(filter) {
+            const trash = trashCondition(filter);
+            const [selected] = await execute(`SELECT ${CONTACT_COLUMNS}, ownerId, deletedAt FROM contacts WHERE ${trash.sql}`, trash.params);
+            const rows = await withMethods(selected);
+            if (rows.length > 0) {
+                // Their contact_methods rows go with them (ON DELETE CASCADE)
+                await execute(
+                    `DELETE FROM contacts WHERE deletedAt IS NOT NULL AND id IN (${rows.map(() => '?').join(', ')})`,
+                    rows.map(row => row.id)
+                );
+            }
+            return rows;
+        },
+
+        async claimUnownedContacts(ownerId) {
+            const [result] = await execute('UPDATE contacts SET ownerId = ? WHERE ownerId IS NULL', [ownerId]);
+            await execute('UPDATE contact_history SET ownerId = ? WHERE ownerId IS NULL', [ownerId]);
+            return result.affectedRows;
+        },
+
+        highestNumericContactId() {
+            return transaction(async () => {
+                // Contacts are created inside a transaction, whose plain reads would see the same snapshot on every
+                // attempt at a free ID; locking reads see the IDs other transactions committed since, and make the
+                // next create wait for this one. Contacts are locked before their history, as addContactHistory does
+                const highest = async (sql) => Number((await execute(sql))[0][0].highest ?? 0);
+                return Math.max(
+                    await highest(`SELECT MAX(CAST(id AS UNSIGNED)) AS highest FROM contacts WHERE id REGEXP '^[0-9]{1,15}$' FOR UPDATE`),
+                    await highest(`SELECT MAX(CAST(contactId AS UNSIGNED)) AS highest FROM contact_history WHERE contactId REGEXP '^[0-9]{1,15}$' FOR UPDATE`)
+                );
+            });
+        },
+
+        // Contact history
+
+        addContactHistory({ contactId, ownerId, action, actorId, actorName, before, after, revertedTo, mergedWith }) {
+            return transaction(async () => {
+                // Locking the contact numbers its entries one transaction at a time; the locking read of the last
+                // number sees the entries other transactions committed since this one began, which a plain read would not
+                await execute('SELECT id FROM contacts WHERE id = ? FOR UPDATE', [contactId]);
+                const [[{ version }]] = await execute(
+                    'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM contact_history WHERE contactId = ? FOR UPDATE',
+                    [contactId]
+                );
+                await execute(
+                    `INSERT INTO contact_history (contactId, version, ownerId, action, actorId, actorName, beforeValues, afterValues, revertedTo, mergedWith, changedAt)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [contactId, version, ownerId ?? null, action, actorId ?? null, actorName ?? null,
+                        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, revertedTo ?? null,
+                        mergedWith ? JSON.stringify(mergedWith) : null, new Date()]
+                );
+                return Number(version);
+            });
+        },
+
+        async listContactHistory(contactId, ownerId) {
+            const owner = ownerCondition(ownerId);
+            const [rows] = await execute(
+                `SELECT * FROM contact_history WHERE contactId = ? AND ${owner.sql} ORDER BY version`,
+                [contactId, ...owner.params]
+            );
+            return rows.map(historyFromRow);
+        },
+
+        // Users
+
+        async countUsers(role) {
+            const [[{ count }]] = role
+                ? await execute('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role])
+                : await execute('SELECT COUNT(*) AS count FROM users');
+            return Number(count);
+        },
+
+        async firstUserId() {
+            // A locking read waits for an older account another transaction is still creating, rather than skip it
+            const [[firstUser]] = await execute('SELECT id FROM users ORDER BY id LIMIT 1 FOR UPDATE');
+            return firstUser ? firstUser.id : null;
+        },
+
+        async createUser({ username, passwordHash, role }) {
+            const [result] = await execute(
+                'INSERT INTO users (username, passwordHash, role) VALUES (?, ?, ?)',
+                [username, passwordHash, role]
+            );
+            return result.insertId;
+        },
+
+        async findUserByUsername(username) {
+            const [[user]] = await execute('SELECT id, username, role, passwordHash FROM users WHERE username = ?', [username]);
+            return user || null;
+        },
+
+        async findUserById(id) {
+            const [[user]] = await execute('SELECT id, username, role FROM users WHERE id = ?', [id]);
+            return user || null;
+        },
+
+        async listUsers() {
+            const [rows] = await execute('SELECT id, username, role, createdAt FROM users ORDER BY username');
+            return rows;
+        },
+
+        async setUserRole(id, role) {
+            await execute('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+        },
+
+        // Sessions
+
+        async createSession({ userId, accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt }) {
+            await execute('DELETE FROM sessions WHERE userId = ? AND refreshExpiresAt < ?', [userId, new Date()]);
+            await execute(
+                'INSERT INTO sessions (userId, accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt) VALUES (?, ?, ?, ?, ?)',
+                [userId, accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt]
+            );
+        },
+
+        async findSessionByAccessToken(accessTokenHash, now) {
+            const [[row]] = await execute(
+                `SELECT s.id AS sessionId, u.id AS userId, u.username, u.role FROM sessions s
+                 JOIN users u ON u.id = s.userId
+                 WHERE s.accessTokenHash = ? AND s.accessExpiresAt > ?`,
+                [accessTokenHash, now]
+            );
+            return sessionUser(row) || null;
+        },
+
+        async findSessionByRefreshToken(refreshTokenHash, now) {
+            const [[row]] = await execute(
+                `SELECT s.id AS sessionId, u.id AS userId, u.username, u.role FROM sessions s
+                 JOIN users u ON u.id = s.userId
+                 WHERE s.refreshTokenHash = ? AND s.refreshExpiresAt > ?`,
+                [refreshTokenHash, now]
+            );
+            return sessionUser(row) || null;
+        },
+
+        async updateSessionTokens(sessionId, { accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt }) {
+            await execute(
+                'UPDATE sessions SET accessTokenHash = ?, accessExpiresAt = ?, refreshTokenHash = ?, refreshExpiresAt = ? WHERE id = ?',
+                [accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt, sessionId]
+            );
+        },
+
+        async deleteSession(sessionId) {
+            await execute('DELETE FROM sessions WHERE id = ?', [sessionId]);
+        },
+
+        // API keys
+
+        async createApiKey({ name, keyPrefix, keyHash, scopes, rateLimit, expiresAt, createdBy }) {
+            const [result] = await execute(
+                'INSERT INTO api_keys (name, keyPrefix, keyHash, scopes, rateLimit, expiresAt, createdBy) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [name, keyPrefix, keyHash, scopes, rateLimit, expiresAt, createdBy]
+            );
+            const [[row]] = await execute('SELECT * FROM api_keys WHERE id = ?', [result.insertId]);
+            return row;
+        },
+
+        async findApiKeyByHash(keyHash) {
+            const [[row]] = await execute('SELECT * FROM api_keys WHERE keyHash = ?', [keyHash]);
+            return row || null;
+        },
+
+        async listApiKeys() {
+            const [rows] = await execute('SELECT * FROM api_keys ORDER BY createdAt DESC, id DESC');
+            return rows;
+        },
+
+        async touchApiKey(id, usedAt) {
+            await execute('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?', [usedAt, id]);
+        },
+
+        async revokeApiKey(id, revokedAt) {
+            const [result] = await execute(
+                'UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL',
+                [revokedAt, id]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // CardDAV cards
+
+        async saveDavCard({ contactId, name, uid }) {
+            await execute(
+                'INSERT INTO carddav_cards (contactId, name, uid) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name), uid = VALUES(uid)',
+                [contactId, name, uid]
+            );
+        },
+
+        async findDavCard(name) {
+            const [[row]] = await execute('SELECT contactId, name, uid FROM carddav_cards WHERE name = ?', [name]);
+            return row || null;
+        },
+
+        async listDavCards() {
+            const [rows] = await execute('SELECT contactId, name, uid FROM carddav_cards');
+            return rows;
+        }
+    };
+};
+
+module.exports = { createMysqlRepository };
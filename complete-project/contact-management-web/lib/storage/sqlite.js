@@ -0,0 +1,446 @@
+// SQLite file storage backend
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DuplicateError } = require('./errors');
+const { METHOD_COLUMNS, methodRows, attachMethods } = require('./contactMethods');
+const { ID_ORDER, contactPageQueries, contactPage, cursorAt } = require('./contactPages');
+const { createTransactionQueue } = require('./transactionQueue');
+
+const CONTACT_COLUMNS = 'id, firstName, lastName, phone, address, email, version';
+const API_KEY_DATE_COLUMNS = ['expiresAt', 'lastUsedAt', 'revokedAt', 'createdAt'];
+
+// Rows fetched per query by streamContacts
+const STREAM_CHUNK_SIZE = 500;
+
+// Methods that do not wait for the open transaction: they are synchronous, or wait by themselves
+const UNQUEUED_METHODS = ['initialize', 'close', 'poolStats', 'migrationDriver', 'transaction', 'streamContacts'];
+
+// Dates are stored as epoch milliseconds and handed back as Date objects, like mysql2 does
+const toStored = (date) => date instanceof Date ? date.getTime() : date ?? null;
+const toDate = (value) => value === null || value === undefined ? null : new Date(value);
+
+// SQLite has no locale collations, so listings compare text by this key: without accents and in lower case, which
+// orders names as most locales do, "Émile" with "Emile". Text compares exactly by its code points
+const sortKey = (text) => typeof text === 'string' ? text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase() : text;
+const TEXT_COMPARISON = { collate: (expression) => `sort_key(${expression})`, exact: (expression) => expression };
+
+/**
+ * Creates a repository backed by a SQLite database file.
+ * @param {Object} config - Backend options.
+ * @param {string} config.filename - Database file path, or ':memory:'.
+ * @returns {Object} Repository implementing the storage interface described in ./index.js.
+ */
+const createSqliteRepository = ({ filename }) => {
+    let db;
+
+    /**
+     * Runs a statement, translating uniqueness violations into DuplicateError.
+     * @param {Function} fn - Work to run against the database.
+     * @returns {*} Result of fn.
+     */
+    const run = (fn) => {
+        try {
+            return fn();
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY' || err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new DuplicateError(err.message);
+            }
+            throw err;
+        }
+    };
+
+    const ownerCondition = (ownerId) => ownerId === null || ownerId === undefined
+        ? { sql: '1 = 1', params: [] }
+        : { sql: 'ownerId = ?', params: [ownerId] };
+
+    // Makes a write conditional on the contact still being at the version the caller last saw
+    const versionCondition = (expectedVersion) => expectedVersion === undefined
+        ? { sql: '1 = 1', params: [] }
+        : { sql: 'version = ?', params: [expectedVersion] };
+
+    // Selects trashed contacts to purge; each filter field left out matches everything
+    const trashCondition = ({ id, ownerId, deletedBefore } = {}) => {
+        const owner = ownerCondition(ownerId);
+        const clauses = ['deletedAt IS NOT NULL', owner.sql];
+        const params = [...owner.params];
+        if (id !== undefined) {
+            clauses.push('id = ?');
+            params.push(id);
+        }
+        if (deletedBefore) {
+            clauses.push('deletedAt < ?');
+            params.push(toStored(deletedBefore));
+        }
+        return { sql: clauses.join(' AND '), params };
+    };
+
+    const apiKeyFromRow = (row) => row && {
+        ...row,
+        ...Object.fromEntries(API_KEY_DATE_COLUMNS.map(column => [column, toDate(row[column])]))
+    };
+
+    const historyFromRow = (row) => ({
+        version: row.version,
+        ownerId: row.ownerId,
+        action: row.action,
+        actorId: row.actorId,
+        actorName: row.actorName,
+        before: row.beforeValues ? JSON.parse(row.beforeValues) : null,
+        after: row.afterValues ? JSON.parse(row.afterValues) : null,
+        revertedTo: row.revertedTo,
+        mergedWith: row.mergedWith ? JSON.parse(row.mergedWith) : null,
+        changedAt: toDate(row.changedAt)
+    });
+
+    /**
+     * Reads the phones, emails and addresses of contact rows.
+     * @param {Object[]} contacts - Contact rows.
+     * @param {Object} [condition] - { sql, params } on contacts that selected the rows, so large lists are read with
+     *   one join rather than by ID; left out, the rows are looked up by contact ID.
+     * @returns {Object[]} The contacts with their collections.
+     */
+    const withMethods = (contacts, condition) => {
+        if (contacts.length === 0) return contacts;
+        const rows = condition
+            ? db.prepare(`SELECT m.* FROM contact_methods m JOIN contacts c ON c.id = m.contactId WHERE ${condition.sql}`).all(...condition.params)
+            : db.prepare(`SELECT * FROM contact_methods WHERE contactId IN (${contacts.map(() => '?').join(', ')})`)
+                .all(...contacts.map(contact => contact.id));
+        return attachMethods(contacts, rows);
+    };
+
+    // Replaces a contact's phones, emails and addresses
+    const saveMethods = (id, contact) => {
+        db.prepare('DELETE FROM contact_methods WHERE contactId = ?').run(id);
+        const insert = db.prepare(`INSERT INTO contact_methods (${METHOD_COLUMNS.join(', ')}) VALUES (${METHOD_COLUMNS.map(() => '?').join(', ')})`);
+        methodRows(id, contact).forEach(row => insert.run(...row));
+    };
+
+    const sessionUser = (row) => row && {
+        sessionId: row.sessionId,
+        user: { id: row.userId, username: row.username, role: row.role }
+    };
+
+    // The one connection can only hold one transaction, and every statement run while it is open is part of it
+    const queue = createTransactionQueue({
+        begin: () => db.exec('BEGIN IMMEDIATE'),
+        commit: () => db.exec('COMMIT'),
+        rollback: () => {
+            if (db.inTransaction) db.exec('ROLLBACK');
+        }
+    });
+
+    return queue.exclusive({
+        name: 'sqlite',
+
+        async initialize() {
+            if (filename !== ':memory:') fs.mkdirSync(path.dirname(filename), { recursive: true });
+            db = new Database(filename);
+            db.pragma('journal_mode = WAL');
+            db.pragma('foreign_keys = ON');
+            db.function('sort_key', { deterministic: true }, sortKey);
+        },
+
+        async ping() {
+            db.prepare('SELECT 1').get();
+        },
+
+        // A single in-process connection, so there is no pool to report on
+        poolStats() {
+            return null;
+        },
+
+        /**
+         * Low-level access for the migration runner; the schema itself lives in ../../migrations.
+         * @returns {Object} Migration driver.
+         */
+        migrationDriver() {
+            return {
+                dialect: 'sqlite',
+                execute: async (sql, params = []) => {
+                    const statement = db.prepare(sql);
+                    const values = params.map(toStored);
+                    return statement.reader ? statement.all(...values) : run(() => statement.run(...values));
+                },
+                columnExists: async (table, column) => db.prepare(`PRAGMA table_info(${table})`).all()
+                    .some(info => info.name === column)
+            };
+        },
+
+        async close() {
+            if (db) db.close();
+        },
+
+        /**
+         * Runs fn in a transaction once other requests' transactions have ended; commits when fn resolves and rolls
+         * back when it rejects. Calls fn makes join it; those of other requests wait until it ends.
+         * @param {Function} fn - Async work to run.
+         * @returns {Promise<*>} What fn resolved to.
+         */
+        transaction: queue.transaction,
+
+        // Contacts
+
+        async listContacts(ownerId) {
+            const owner = ownerCondition(ownerId);
+            const condition = { sql: `deletedAt IS NULL AND ${owner.sql}`, params: owner.params };
+            return withMethods(db.prepare(`SELECT ${CONTACT_COLUMNS} FROM contacts WHERE ${condition.sql}`).all(...condition.params), condition);
+        },
+
+        async listContactsPage(ownerId, query) {
+            const owner = ownerCondition(ownerId);
+            const { rows, count, rest } = contactPageQueries({
+                condition: { sql: `c.deletedAt IS NULL AND ${owner.sql}`, params: owner.params },
+                query,
+                text: TEXT_COMPARISON
+            });
+            const page = db.prepare(rows.sql).all(...rows.params);
+            const { total } = db.prepare(count.sql).get(...count.params);
+            const found = rest ? Boolean(db.prepare(rest.sql).get(...rest.params)) : false;
+            return contactPage(query, withMethods(page), total, found);
+        },
+
+        /**
+         * Streams live contacts in the order of a listing. Reads them in chunks rather than holding a cursor open,
+         * because the single connection cannot run other statements while one is being iterated.
+         * @param {number|null} ownerId - Owner to restrict to, or null for all contacts.
+         * @param {Object} [query] - Sort, locale and address filters, as parseListQuery gives them; by ID if left out.
+         * @returns {AsyncIterable<Object>} Contact rows.
+         */
+        async *streamContacts(ownerId, query = ID_ORDER) {
+            const owner = ownerCondition(ownerId);
+            const condition = { sql: `c.deletedAt IS NULL AND ${owner.sql}`, params: owner.params };
+            let after = null;
+            for (;;) {
+                await queue.wait();
+                const { rows } = contactPageQueries({
+                    condition,
+                    query: { ...query, limit: STREAM_CHUNK_SIZE, after, before: null },
+                    text: TEXT_COMPARISON
+                });
+                const found = db.prepare(rows.sql).all(...rows.params);
+                const chunk = withMethods(found.slice(0, STREAM_CHUNK_SIZE));
+                yield* chunk;
+                if (found.length <= STREAM_CHUNK_SIZE) return;
+                after = cursorAt(chunk[chunk.length - 1], query.sort);
+            }
+        },
+
+        async findContact(id, ownerId) {
+            const owner = ownerCondition(ownerId);
+            const row = db.prepare(`SELECT ${CONTACT_COLUMNS}, ownerId FROM contacts WHERE id = ? AND deletedAt IS NULL AND ${owner.sql}`)
+                .get(id, ...owner.params);
+            return row ? withMethods([row])[0] : null;
+        },
+
+        async createContact(contact, ownerId) {
+            const { id, firstName, lastName, phone, address, email } = contact;
+            run(db.transaction(() => {
+                db.prepare('INSERT INTO contacts (id, firstName, lastName, phone, address, email, ownerId) VALUES (?, ?, ?, ?, ?, ?, ?)')
+                    .run(id, firstName, lastName, phone, address ?? null, email, ownerId ?? null);
+                saveMethods(id, contact);
+            }));
+        },
+
+        async updateContact(id, fields, ownerId, expectedVersion) {
+            const { firstName, lastName, phone, address, email } = fields;
+            const owner = ownerCondition(ownerId);
+            const expected = versionCondition(expectedVersion);
+            return run(db.transaction(() => {
+                const result = db.prepare(
+                    `UPDATE contacts SET firstName = ?, lastName = ?, phone = ?, address = ?, email = ?, version = version + 1
+                     WHERE id = ? AND deletedAt IS NULL AND ${owner.sql} AND ${expected.sql}`
+                ).run(firstName, lastName, phone, address ?? null, email, id, ...owner.params, ...expected.params);
+                if (result.changes > 0) saveMethods(id, fields);
+                return result.changes > 0;
+            }));
+        },
+
+        async deleteContact(id, ownerId, expectedVersion) {
+            const owner = ownerCondition(ownerId);
+            const expected = versionCondition(expectedVersion);
+            const result = db.prepare(
+                `UPDATE contacts SET deletedAt = ? WHERE id = ? AND deletedAt IS NULL AND ${owner.sql} AND ${expected.sql}`
+            ).run(Date.now(), id, ...owner.params, ...expected.params);
+            return result.changes > 0;
+        },
+
+        async listDeletedContacts(ownerId) {
+            const owner = ownerCondition(ownerId);
+            const condition = { sql: `deletedAt IS NOT NULL AND ${owner.sql}`, params: owner.params };
+            const rows = db.prepare(`SELECT ${CONTACT_COLUMNS}, deletedAt FROM contacts WHERE ${condition.sql} ORDER BY deletedAt DESC, id`)
+                .all(...condition.params);
+            return withMethods(rows, condition).map(row => ({ ...row, deletedAt: toDate(row.deletedAt) }));
+        },
+
+        async restoreContact(id, ownerId) {
+            const owner = ownerCondition(ownerId);
+            const result = db.prepare(`UPDATE contacts SET deletedAt = NULL WHERE id = ? AND deletedAt IS NOT NULL AND ${owner.sql}`)
+                .run(id, ...owner.params);
+            return result.changes > 0;
+        },
+
+        async purgeDeletedContacts(filter) {
+            const trash = trashCondition(filter);
+            return db.transaction(() => {
+                const rows = withMethods(db.prepare(`SELECT ${CONTACT_COLUMNS}, ownerId, deletedAt FROM contacts WHERE ${trash.sql}`)
+                    .all(...trash.params), trash);
+                // Their contact_methods rows go with them (ON DELETE CASCADE)
+                db.prepare(`DELETE FROM contacts WHERE ${trash.sql}`).run(...trash.params);
+                return rows.map(row => ({ ...row, deletedAt: toDate(row.deletedAt) }));
+            })();
+        },
+
+        async claimUnownedContacts(ownerId) {
+            db.prepare('UPDATE contact_history SET ownerId = ? WHERE ownerId IS NULL').run(ownerId);
+            return db.prepare('UPDATE contacts SET ownerId = ? WHERE ownerId IS NULL').run(ownerId).changes;
+        },
+
+        async highestNumericContactId() {
+            const { highest } = db.prepare(
+                `SELECT MAX(CAST(id AS INTEGER)) AS highest FROM (SELECT id FROM contacts UNION SELECT contactId FROM contact_history)
+                 WHERE LENGTH(id) BETWEEN 1 AND 15 AND id NOT GLOB '*[^0-9]*'`
+            ).get();
+            return highest ?? 0;
+        },
+
+        // Contact history
+
+        async addContactHistory({ contactId, ownerId, action, actorId, actorName, before, after, revertedTo, mergedWith }) {
+            const { version } = db.prepare(
+                'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM contact_history WHERE contactId = ?'
+            ).get(contactId);
+            run(() => db.prepare(
+                `INSERT INTO contact_history (contactId, version, ownerId, action, actorId, actorName, beforeValues, afterValues, revertedTo, mergedWith, changedAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            ).run(contactId, version, ownerId ?? null, action, actorId ?? null, actorName ?? null,
+                before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, revertedTo ?? null,
+                mergedWith ? JSON.stringify(mergedWith) : null, Date.now()));
+            return version;
+        },
+
+        async listContactHistory(contactId, ownerId) {
+            const owner = ownerCondition(ownerId);
+            return db.prepare(`SELECT * FROM contact_history WHERE contactId = ? AND ${owner.sql} ORDER BY version`)
+                .all(contactId, ...owner.params)
+                .map(historyFromRow);
+        },
+
+        // Users
+
+        async countUsers(role) {
+            const row = role
+                ? db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?').get(role)
+                : db.prepare('SELECT COUNT(*) AS count FROM users').get();
+            return row.count;
+        },
+
+        async firstUserId() {
+            const row = db.prepare('SELECT id FROM users ORDER BY id LIMIT 1').get();
+            return row ? row.id : null;
+        },
+
+        async createUser({ username, passwordHash, role }) {
+            const result = run(() => db.prepare(
+                'INSERT INTO users (username, passwordHash, role, createdAt) VALUES (?, ?, ?, ?)'
+            ).run(username, passwordHash, role, Date.now()));
+            return Number(result.lastInsertRowid);
+        },
+
+        async findUserByUsername(username) {
+            return db.prepare('SELECT id, username, role, passwordHash FROM users WHERE username = ?').get(username) || null;
+        },
+
+        async findUserById(id) {
+            return db.prepare('SELECT id, username, role FROM users WHERE id = ?').get(id) || null;
+        },
+
+        async listUsers() {
+            return db.prepare('SELECT id, username, role, createdAt FROM users ORDER BY username').all()
+                .map(row => ({ ...row, createdAt: toDate(row.createdAt) }));
+        },
+
+        async setUserRole(id, role) {
+            db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+        },
+
+        // Sessions
+
+        async createSession({ userId, accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt }) {
+            db.prepare('DELETE FROM sessions WHERE userId = ? AND refreshExpiresAt < ?').run(userId, Date.now());
+            run(() => db.prepare(
+                'INSERT INTO sessions (userId, accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt, createdAt) VALUES (?, ?, ?, ?, ?, ?)'
+            ).run(userId, accessTokenHash, toStored(accessExpiresAt), refreshTokenHash, toStored(refreshExpiresAt), Date.now()));
+        },
+
+        async findSessionByAccessToken(accessTokenHash, now) {
+            return sessionUser(db.prepare(
+                `SELECT s.id AS sessionId, u.id AS userId, u.username, u.role FROM sessions s
+                 JOIN users u ON u.id = s.userId
+                 WHERE s.accessTokenHash = ? AND s.accessExpiresAt > ?`
+            ).get(accessTokenHash, toStored(now))) || null;
+        },
+
+        async findSessionByRefreshToken(refreshTokenHash, now) {
+            return sessionUser(db.prepare(
+                `SELECT s.id AS sessionId, u.id AS userId, u.username, u.role FROM sessions s
+                 JOIN users u ON u.id = s.userId
+                 WHERE s.refreshTokenHash = ? AND s.refreshExpiresAt > ?`
+            ).get(refreshTokenHash, toStored(now))) || null;
+        },
+
+        async updateSessionTokens(sessionId, { accessTokenHash, accessExpiresAt, refreshTokenHash, refreshExpiresAt }) {
+            run(() => db.prepare(
+                'UPDATE sessions SET accessTokenHash = ?, accessExpiresAt = ?, refreshTokenHash = ?, refreshExpiresAt = ? WHERE id = ?'
+            ).run(accessTokenHash, toStored(accessExpiresAt), refreshTokenHash, toStored(refreshExpiresAt), sessionId));
+        },
+
+        async deleteSession(sessionId) {
+            db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+        },
+
+        // API keys
+
+        async createApiKey({ name, keyPrefix, keyHash, scopes, rateLimit, expiresAt, createdBy }) {
+            const result = run(() => db.prepare(
+                'INSERT INTO api_keys (name, keyPrefix, keyHash, scopes, rateLimit, expiresAt, createdBy, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+            ).run(name, keyPrefix, keyHash, scopes, rateLimit, toStored(expiresAt), createdBy, Date.now()));
+            return apiKeyFromRow(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid));
+        },
+
+        async findApiKeyByHash(keyHash) {
+            return apiKeyFromRow(db.prepare('SELECT * FROM api_keys WHERE keyHash = ?').get(keyHash)) || null;
+        },
+
+        async listApiKeys() {
+            return db.prepare('SELECT * FROM api_keys ORDER BY createdAt DESC, id DESC').all().map(apiKeyFromRow);
+        },
+
+        async touchApiKey(id, usedAt) {
+            db.prepare('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?').run(toStored(usedAt), id);
+        },
+
+        async revokeApiKey(id, revokedAt) {
+            return db.prepare('UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL')
+                .run(toStored(revokedAt), id).changes > 0;
+        },
+
+        // CardDAV cards
+
+        async saveDavCard({ contactId, name, uid }) {
+            run(() => db.prepare(
+                'INSERT INTO carddav_cards (contactId, name, uid) VALUES (?, ?, ?) ON CONFLICT (contactId) DO UPDATE SET name = excluded.name, uid = excluded.uid'
+            ).run(contactId, name, uid));
+        },
+
+        async findDavCard(name) {
+            return db.prepare('SELECT contactId, name, uid FROM carddav_cards WHERE name = ?').get(name) || null;
+        },
+
+        async listDavCards() {
+            return db.prepare('SELECT contactId, name, uid FROM carddav_cards').all();
+        }
+    }, UNQUEUED_METHODS);
+};
+
+module.exports = { createSqliteRepository };
@@ -0,0 +1,333 @@
+// Behaviour every storage backend shares, run against each of them. MySQL is included when MYSQL_TEST_DATABASE names
+// a scratch database on the server the MYSQL_* variables point at; its tables are dropped and recreated
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepository } = require('./index');
+const { createMigrator } = require('../migrations');
+const { createIdAllocator } = require('../contactIds');
+const { storageConfig } = require('../config');
+const { parseListQuery, pageResponse } = require('../pagination');
+const { normalizeContact } = require('../../shared/contactSchema');
+
+const BACKENDS = {
+    memory: {},
+    sqlite: { sqlite: { filename: ':memory:' } },
+    ...(process.env.MYSQL_TEST_DATABASE ? { mysql: { mysql: { ...storageConfig.mysql, database: process.env.MYSQL_TEST_DATABASE } } } : {})
+};
+
+const OWNER = 1;
+const OTHER_OWNER = 2;
+
+const address = (city, postalCode, country, label = 'home') => ({ label, street: ['1 Main St'], city, region: '', postalCode, country });
+
+const contact = (id, firstName, lastName, addresses = []) => normalizeContact(
+    { id, firstName, lastName, phone: '2025550143', email: `${id}@example.com`, addresses },
+    { defaultRegion: 'US' }
+);
+
+// Names with accents and case to collate, and addresses to sort and filter by; p3 has no address. Names the locale
+// collates the same, such as Zoe and Zoë, come in the order of their characters
+const PEOPLE = [
+    contact('p1', 'Émile', 'Zola', [address('Springfield', '62701', 'US')]),
+    contact('p2', 'emile', 'Adams', [address('Paris', '75001', 'FR')]),
+    contact('p3', 'Zoë', 'Baker'),
+    contact('p4', 'Zoe', 'Carter', [address('Springfield', '62704', 'US')]),
+    contact('p5', 'Bob', 'Durand', [address('Lyon', '69001', 'FR')]),
+    contact('p6', 'Anna', 'Évans', [address('Lyon', '69002', 'FR'), address('Springfield', '62801', 'US', 'work')])
+];
+
+/**
+ * Creates a repository of a backend with an up-to-date, empty schema.
+ * @param {string} backend - Key of BACKENDS.
+ * @returns {Promise<Object>} Initialized repository.
+ */
+const openRepository = async (backend) => {
+    const repository = createRepository({ ...storageConfig, ...BACKENDS[backend], backend });
+    await repository.initialize();
+    const driver = repository.migrationDriver();
+    if (driver) {
+        const migrator = createMigrator(driver);
+        await migrator.down(Infinity);
+        await migrator.up();
+    }
+    return repository;
+};
+
+/**
+ * Lists one page the way GET /contacts does.
+ * @param {Object} repository - Repository.
+ * @param {number|null} ownerId - Owner to list the contacts of.
+ * @param {Object} params - Query parameters.
+ * @returns {Promise<Object>} { data, total, nextCursor, prevCursor }.
+ */
+const listPage = async (repository, ownerId, params) => {
+    const options = parseListQuery(params);
+    return pageResponse(await repository.listContactsPage(ownerId, options), options);
+};
+
+/**
+ * Reads every page of a listing forwards, then backwards from the last page.
+ * @param {Object} repository - Repository.
+ * @param {number|null} ownerId - Owner to list the contacts of.
+ * @param {Object} params - Query parameters.
+ * @returns {Promise<Object>} { forward, backward } IDs page by page, and the total of the first page.
+ */
+const walk = async (repository, ownerId, params) => {
+    const forward = [];
+    let page = await listPage(repository, ownerId, params);
+    const { total } = page;
+    forward.push(page.data.map(row => row.id));
+    while (page.nextCursor) {
+        page = await listPage(repository, ownerId, { ...params, after: page.nextCursor });
+        forward.push(page.data.map(row => row.id));
+    }
+    const backward = [forward[forward.length - 1]];
+    while (page.prevCursor) {
+        page = await listPage(repository, ownerId, { ...params, before: page.prevCursor });
+        backward.unshift(page.data.map(row => row.id));
+    }
+    return { forward, backward, total };
+};
+
+for (const backend of Object.keys(BACKENDS)) {
+    describe(`${backend} repository`, () => {
+        let repository;
+
+        before(async () => {
+            repository = await openRepository(backend);
+            for (const person of PEOPLE) await repository.createContact(person, OWNER);
+            await repository.createContact(contact('q1', 'Other', 'Owner'), OTHER_OWNER);
+            await repository.createContact(contact('d1', 'Deleted', 'Contact'), OWNER);
+            await repository.deleteContact('d1', OWNER);
+        });
+
+        after(async () => {
+            await repository.close();
+        });
+
+        // Sort, filters and the IDs they list
+        const LISTINGS = [
+            ['firstName', {}, ['p6', 'p5', 'p2', 'p1', 'p4', 'p3']],
+            ['-firstName', {}, ['p3', 'p4', 'p1', 'p2', 'p5', 'p6']],
+            ['lastName', {}, ['p2', 'p3', 'p4', 'p5', 'p6', 'p1']],
+            ['city', {}, ['p3', 'p5', 'p6', 'p2', 'p1', 'p4']],
+            ['-city,firstName', {}, ['p1', 'p4', 'p2', 'p6', 'p5', 'p3']],
+            ['id', { city: 'SPRINGFIELD' }, ['p1', 'p4', 'p6']],
+            ['id', { postalCode: '627' }, ['p1', 'p4']],
+            ['-postalCode', { country: 'FR' }, ['p2', 'p6', 'p5']]
+        ];
+
+        describe('listContactsPage', () => {
+            for (const [sort, filters, expected] of LISTINGS) {
+                test(`pages through sort=${sort} ${JSON.stringify(filters)} in both directions`, async () => {
+                    const { forward, backward, total } = await walk(repository, OWNER, { sort, limit: '2', ...filters });
+                    assert.equal(total, expected.length);
+                    assert.deepEqual(forward.flat(), expected);
+                    assert.deepEqual(backward.flat(), expected);
+                    assert.ok(forward.every(ids => ids.length <= 2));
+                });
+            }
+
+            test('leaves out other owners and the trash', async () => {
+                const mine = await listPage(repository, OWNER, { limit: '50' });
+                assert.deepEqual(mine.data.map(row => row.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+                assert.equal(mine.nextCursor, null);
+                assert.equal(mine.prevCursor, null);
+                const everyone = await listPage(repository, null, { limit: '50' });
+                assert.deepEqual(everyone.data.map(row => row.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'q1']);
+            });
+
+            test('gives the rows their collections and version', async () => {
+                const { data: [row] } = await listPage(repository, OWNER, { limit: '1', sort: '-lastName' });
+                assert.equal(row.id, 'p1');
+                assert.equal(row.version, 1);
+                assert.equal(row.addresses[0].city, 'Springfield');
+                assert.equal(row.phones[0].value, '+12025550143');
+            });
+
+            test('answers an empty page past the end', async () => {
+                const last = await listPage(repository, OWNER, { sort: 'lastName', limit: '6' });
+                const options = parseListQuery({ sort: 'lastName', limit: '6' });
+                const beyond = await repository.listContactsPage(OWNER, {
+                    ...options,
+                    after: { lastName: last.data[5].lastName, id: last.data[5].id }
+                });
+                assert.deepEqual(beyond.rows, []);
+                assert.equal(beyond.total, 6);
+                assert.equal(beyond.hasNext, false);
+                assert.equal(beyond.hasPrevious, true);
+            });
+        });
+
+        describe('streamContacts', () => {
+            const streamed = async (ownerId, query) => {
+                const ids = [];
+                for await (const row of repository.streamContacts(ownerId, query)) ids.push(row.id);
+                return ids;
+            };
+
+            test('streams every live contact by ID without a listing', async () => {
+                assert.deepEqual(await streamed(OWNER), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+                assert.deepEqual(await streamed(null), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'q1']);
+            });
+
+            for (const [sort, filters, expected] of LISTINGS) {
+                test(`streams sort=${sort} ${JSON.stringify(filters)} in the order of its pages`, async () => {
+                    assert.deepEqual(await streamed(OWNER, parseListQuery({ sort, ...filters })), expected);
+                });
+            }
+
+            test('gives the rows their collections', async () => {
+                for await (const row of repository.streamContacts(OWNER, parseListQuery({ sort: '-lastName' }))) {
+                    assert.equal(row.id, 'p1');
+                    assert.equal(row.addresses[0].city, 'Springfield');
+                    assert.equal(row.emails[0].value, 'p1@example.com');
+                    break;
+                }
+            });
+
+            test('gives every streamed contact all of its collections, as findContact does', async () => {
+                const rows = [];
+                for await (const row of repository.streamContacts(null, parseListQuery({ sort: 'city' }))) rows.push(row);
+                const found = await Promise.all(rows.map(row => repository.findContact(row.id, null)));
+                assert.deepEqual(rows, found.map(({ ownerId, ...row }) => row));
+                assert.equal(rows.find(row => row.id === 'p6').addresses.length, 2);
+            });
+
+            if (backend === 'mysql') {
+                test('streams on a pool of one connection', async () => {
+                    const single = createRepository({ ...storageConfig, mysql: { ...BACKENDS.mysql.mysql, connectionLimit: 1 }, backend });
+                    await single.initialize();
+                    try {
+                        const ids = [];
+                        for await (const row of single.streamContacts(OWNER)) ids.push(row.id);
+                        assert.deepEqual(ids, ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+                    } finally {
+                        await single.close();
+                    }
+                });
+            }
+        });
+
+        test('keeps the name and UID of CardDAV cards until their contact is purged', async () => {
+            await repository.createContact(contact('k1', 'Card', 'Kept'), OWNER);
+            await repository.saveDavCard({ contactId: 'k1', name: 'card-one', uid: 'uid-one' });
+            await repository.saveDavCard({ contactId: 'k1', name: 'card-two', uid: 'uid-two' });
+            assert.equal(await repository.findDavCard('card-one'), null);
+            assert.deepEqual({ ...(await repository.findDavCard('card-two')) }, { contactId: 'k1', name: 'card-two', uid: 'uid-two' });
+            assert.deepEqual((await repository.listDavCards()).map(card => card.name), ['card-two']);
+            await repository.deleteContact('k1', OWNER);
+            await repository.purgeDeletedContacts({ id: 'k1' });
+            assert.deepEqual(await repository.listDavCards(), []);
+        });
+
+        test('counts purged contacts in the highest numeric ID, so their IDs are not used again', async () => {
+            assert.equal(await repository.highestNumericContactId(), 0);
+            for (const id of ['41', '9', '1234567890123456', '77x']) await repository.createContact(contact(id, 'Numbered', 'Contact'), OWNER);
+            await repository.addContactHistory({ contactId: '41', ownerId: OWNER, action: 'create', actorId: null, actorName: 'test', before: null, after: {} });
+            assert.equal(await repository.highestNumericContactId(), 41);
+            await repository.deleteContact('41', OWNER);
+            await repository.purgeDeletedContacts({ id: '41' });
+            assert.equal(await repository.highestNumericContactId(), 41);
+        });
+
+        test('gives contacts created at once in their own transactions the next IDs in turn', async () => {
+            const allocator = createIdAllocator({ strategy: 'sequential', repository });
+            const created = await Promise.all(['Ann', 'Bea', 'Cy'].map(firstName => repository.transaction(() => {
+                const added = contact('', firstName, 'Sequential');
+                return allocator.create(added, id => repository.createContact({ ...added, id }, OWNER));
+            })));
+            assert.deepEqual(created.sort(), ['42', '43', '44']);
+        });
+
+        describe('trash', () => {
+            test('lists the deleted contacts of an owner, most recently deleted first', async () => {
+                await repository.createContact(contact('r1', 'Trashed', 'First'), OWNER);
+                await repository.createContact(contact('r2', 'Trashed', 'Second'), OTHER_OWNER);
+                await repository.deleteContact('r1', OWNER);
+                await repository.deleteContact('r2', OTHER_OWNER);
+                assert.equal(await repository.findContact('r1', OWNER), null);
+                const mine = await repository.listDeletedContacts(OWNER);
+                assert.deepEqual(mine.map(row => row.id).sort(), ['d1', 'r1']);
+                assert.ok(mine[0].deletedAt instanceof Date);
+                assert.ok(mine[0].deletedAt >= mine[1].deletedAt);
+                assert.deepEqual((await repository.listDeletedContacts(null)).map(row => row.id).sort(), ['d1', 'r1', 'r2']);
+            });
+
+            test('restores a contact only for its owner', async () => {
+                assert.equal(await repository.restoreContact('r2', OWNER), false);
+                assert.equal(await repository.restoreContact('r1', OWNER), true);
+                assert.equal(await repository.restoreContact('r1', OWNER), false);
+                assert.equal((await repository.findContact('r1', OWNER)).lastName, 'First');
+            });
+
+            test('purges by ID, owner and deletion time, leaving live contacts alone', async () => {
+                assert.deepEqual(await repository.purgeDeletedContacts({ id: 'r1' }), []);
+                assert.deepEqual(await repository.purgeDeletedContacts({ deletedBefore: new Date(Date.now() - 60000) }), []);
+                const purged = await repository.purgeDeletedContacts({ ownerId: OTHER_OWNER });
+                assert.deepEqual(purged.map(row => [row.id, row.ownerId]), [['r2', OTHER_OWNER]]);
+                assert.deepEqual((await repository.purgeDeletedContacts({ deletedBefore: new Date(Date.now() + 1000) })).map(row => row.id), ['d1']);
+                assert.deepEqual(await repository.listDeletedContacts(null), []);
+                assert.ok(await repository.findContact('r1', OWNER));
+            });
+        });
+
+        test('reports the usage of its connection pool, if it has one', async () => {
+            await repository.ping();
+            const stats = repository.poolStats();
+            if (backend !== 'mysql') {
+                assert.equal(stats, null);
+                return;
+            }
+            assert.ok(stats.open >= 1 && stats.open <= stats.connectionLimit);
+            assert.equal(stats.idle, stats.open);
+            assert.equal(stats.waiting, 0);
+        });
+
+        describe('transaction', () => {
+            test('rolls back every change when fn rejects', async () => {
+                await assert.rejects(repository.transaction(async () => {
+                    await repository.createContact(contact('t1', 'Rolled', 'Back'), OWNER);
+                    await repository.updateContact('p1', { ...PEOPLE[0], firstName: 'Changed' }, OWNER);
+                    throw new Error('undo');
+                }), /undo/);
+                assert.equal(await repository.findContact('t1', OWNER), null);
+                assert.equal((await repository.findContact('p1', OWNER)).firstName, 'Émile');
+            });
+
+            test('joins the outer transaction when nested', async () => {
+                await assert.rejects(repository.transaction(async () => {
+                    await repository.transaction(() => repository.createContact(contact('t2', 'Inner', 'Call'), OWNER));
+                    assert.ok(await repository.findContact('t2', OWNER));
+                    throw new Error('undo');
+                }), /undo/);
+                assert.equal(await repository.findContact('t2', OWNER), null);
+            });
+
+            test('keeps the calls of other requests out of an open transaction', async () => {
+                let release;
+                const held = new Promise(resolve => {
+                    release = resolve;
+                });
+                const open = repository.transaction(async () => {
+                    await repository.createContact(contact('t3', 'Rolled', 'Back'), OWNER);
+                    await held;
+                    throw new Error('undo');
+                });
+                await new Promise(resolve => setImmediate(resolve));
+                // Made from outside the transaction, so they wait until it has ended
+                const outside = repository.findContact('t3', OWNER);
+                const created = repository.createContact(contact('t4', 'Other', 'Request'), OWNER);
+                const queued = repository.transaction(() => repository.createContact(contact('t5', 'Queued', 'After'), OWNER));
+                release();
+                await assert.rejects(open, /undo/);
+                assert.equal(await outside, null);
+                await created;
+                await queued;
+                assert.ok(await repository.findContact('t4', OWNER));
+                assert.ok(await repository.findContact('t5', OWNER));
+                assert.equal(await repository.findContact('t3', OWNER), null);
+            });
+        });
+    });
+}
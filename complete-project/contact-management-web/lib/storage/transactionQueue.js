@@ -0,0 +1,74 @@
+// Transactions for backends with a single connection (SQLite, memory): one runs at a time, and while it is open the
+// calls of other requests wait for it to end, so they neither become part of it nor see what it has not committed
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Creates the queue of a backend's transactions.
+ * @param {Object} hooks - How the backend runs a transaction.
+ * @param {Function} hooks.begin - Starts one.
+ * @param {Function} hooks.commit - Makes its changes stick.
+ * @param {Function} hooks.rollback - Undoes its changes.
+ * @returns {Object} { transaction, wait, exclusive }.
+ */
+const createTransactionQueue = ({ begin, commit, rollback }) => {
+    // Set in the async call chain of the open transaction
+    const current = new AsyncLocalStorage();
+    let open = false;
+    // Settles when the last transaction queued has ended
+    let tail = Promise.resolve();
+
+    /**
+     * Waits until no transaction is open, unless the caller is part of the one that is.
+     * @returns {Promise<void>} Resolves when the caller may run statements.
+     */
+    const wait = async () => {
+        while (open && !current.getStore()) await tail;
+    };
+
+    /**
+     * Runs fn in a transaction once the ones queued before it have ended; commits when fn resolves and rolls back
+     * when it rejects. Calls fn makes, directly or through functions it awaits, join the transaction, including
+     * nested transaction() calls.
+     * @param {Function} fn - Async work to run.
+     * @returns {Promise<*>} What fn resolved to.
+     */
+    const transaction = (fn) => {
+        if (current.getStore()) return fn();
+        const run = tail.then(() => current.run(true, async () => {
+            await begin();
+            open = true;
+            try {
+                const result = await fn();
+                await commit();
+                return result;
+            } catch (err) {
+                await rollback();
+                throw err;
+            } finally {
+                open = false;
+            }
+        }));
+        tail = run.catch(() => {});
+        return run;
+    };
+
+    /**
+     * Makes the async methods of a repository wait for the open transaction before they run.
+     * @param {Object} repository - Repository methods.
+     * @param {string[]} except - Methods to leave as they are: synchronous ones, and ones that wait by themselves.
+     * @returns {Object} Repository whose other methods wait.
+     */
+    const exclusive = (repository, except) => Object.fromEntries(Object.entries(repository).map(([name, method]) => [
+        name,
+        typeof method !== 'function' || except.includes(name)
+            ? method
+            : async (...args) => {
+                await wait();
+                return method(...args);
+            }
+    ]));
+
+    return { transaction, wait, exclusive };
+};
+
+module.exports = { createTransactionQueue };
@@ -0,0 +1,371 @@
+// vCard 3.0 (RFC 2426) and 4.0 (RFC 6350): parsing cards into contacts and formatting contacts as cards
+const crypto = require('crypto');
+const { CONTACT_SCHEMA, CONTACT_COLLECTIONS, DEFAULT_LABEL } = require('../shared/contactSchema');
+const { countryName, formatAddress, addressFromParts } = require('../shared/address');
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Properties that describe the card itself rather than the person, so there is nothing to map them to
+const CARD_PROPERTIES = ['VERSION', 'PRODID', 'REV'];
+
+// Longest line allowed before folding, in octets, not counting the line break
+const MAX_LINE_OCTETS = 75;
+
+// Property behind each collection
+const COLLECTION_PROPERTIES = { phones: 'TEL', emails: 'EMAIL', addresses: 'ADR' };
+
+// Entry labels as TYPE values; "other" has none
+const LABEL_TYPES = { mobile: 'cell', home: 'home', work: 'work' };
+
+/**
+ * Thrown when vCard text is malformed. `line` is the 1-based line the problem was found on.
+ */
+class VCardError extends Error {
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.line = line;
+    }
+}
+
+/**
+ * Splits text on a separator character, ignoring separators escaped with a backslash.
+ * @param {string} text - Text to split.
+ * @param {string} separator - Single separator character.
+ * @returns {string[]} Parts, still escaped.
+ */
+const splitEscaped = (text, separator) => {
+    const parts = [''];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            parts[parts.length - 1] += text[i] + text[i + 1];
+            i++;
+        } else if (text[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += text[i];
+        }
+    }
+    return parts;
+};
+
+const unescapeText = (text) => text.replace(/\\([\\,;:nN])/g, (match, char) => char === 'n' || char === 'N' ? '\n' : char);
+const escapeText = (text) => String(text ?? '').replace(/[\\,;]/g, char => `\\${char}`).replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Reads a property's value as plain text, with escapes undone and the components of structured values
+ * such as N and ADR joined by semicolons.
+ * @param {Object} property - Property from parseVCards.
+ * @returns {string} Value text.
+ */
+const propertyText = (property) => splitEscaped(property.value, ';').map(unescapeText).join(';');
+
+/**
+ * Splits text on a separator character outside double quotes, as parameter lists are written.
+ * @param {string} text - Text to split.
+ * @param {string} separator - Single separator character.
+ * @returns {string[]} Parts, quotes included.
+ */
+const splitUnquoted = (text, separator) => {
+    const parts = [''];
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (char === separator && !quoted) parts.push('');
+        else parts[parts.length - 1] += char;
+    }
+    return parts;
+};
+
+/**
+ * Parses one unfolded content line: [group.]NAME[;PARAM=value,...]:value.
+ * @param {string} text - Content line.
+ * @param {number} line - Line it starts on, for errors.
+ * @returns {{name: string, params: Object, value: string, line: number}} Property with an upper-case name,
+ *   upper-case parameter names mapped to lists of values, and the raw (still escaped) value.
+ */
+const parseContentLine = (text, line) => {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < text.length && colon < 0; i++) {
+        if (text[i] === '"') quoted = !quoted;
+        else if (text[i] === ':' && !quoted) colon = i;
+    }
+    if (colon < 0) throw new VCardError('Property has no value', line);
+
+    const [nameWithGroup, ...paramTexts] = splitUnquoted(text.slice(0, colon), ';');
+    const name = nameWithGroup.slice(nameWithGroup.lastIndexOf('.') + 1).trim().toUpperCase();
+    if (!name) throw new VCardError('Property has no name', line);
+    const params = {};
+    for (const paramText of paramTexts) {
+        const equals = paramText.indexOf('=');
+        // vCard 2.1 style bare types such as TEL;CELL are still written by some exporters
+        const key = equals < 0 ? 'TYPE' : paramText.slice(0, equals).trim().toUpperCase();
+        const values = splitUnquoted(equals < 0 ? paramText : paramText.slice(equals + 1), ',')
+            .map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+        params[key] = [...(params[key] || []), ...values];
+    }
+    return { name, params, value: text.slice(colon + 1), line };
+};
+
+/**
+ * Parses vCard text holding any number of cards. Folded lines are unfolded, and CRLF or LF line endings
+ * and a leading byte order mark are accepted.
+ * @param {string} text - vCard text.
+ * @returns {Array<{line: number, version: string, properties: Object[]}>} One entry per card, with the line
+ *   its BEGIN:VCARD is on and its properties in order (see parseContentLine); BEGIN and END are not included.
+ * @throws {VCardError} When a property appears outside a card, a card is never ended, or a line cannot be read.
+ */
+const parseVCards = (text) => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const contentLines = [];
+    input.split(/\r\n|\n|\r/).forEach((content, index) => {
+        if (/^[ \t]/.test(content) && contentLines.length > 0) contentLines[contentLines.length - 1].text += content.slice(1);
+        else if (content.trim() !== '') contentLines.push({ text: content, line: index + 1 });
+    });
+
+    const cards = [];
+    let card = null;
+    for (const { text: content, line } of contentLines) {
+        const property = parseContentLine(content, line);
+        const value = property.value.trim().toUpperCase();
+        if (property.name === 'BEGIN' && value === 'VCARD') {
+            if (card) throw new VCardError('Card starts before the previous one ends', line);
+            card = { line, version: null, properties: [] };
+        } else if (!card) {
+            throw new VCardError('Property outside BEGIN:VCARD and END:VCARD', line);
+        } else if (property.name === 'END' && value === 'VCARD') {
+            cards.push(card);
+            card = null;
+        } else {
+            if (property.name === 'VERSION') card.version = property.value.trim();
+            card.properties.push(property);
+        }
+    }
+    if (card) throw new VCardError('Card is never ended with END:VCARD', card.line);
+    return cards;
+};
+
+/**
+ * Picks the value a single-valued contact field should take from a repeatable property: the one marked
+ * as preferred (TYPE=pref in 3.0, PREF=1 in 4.0), otherwise the first.
+ * @param {Object[]} properties - Properties of one name.
+ * @returns {Object|undefined} Chosen property.
+ */
+const preferred = (properties) => {
+    const rank = (property) => {
+        if ((property.params.TYPE || []).some(type => type.toLowerCase() === 'pref')) return 1;
+        return Number((property.params.PREF || [])[0]) || 101;
+    };
+    return properties.reduce((best, property) => !best || rank(property) < rank(best) ? property : best, undefined);
+};
+
+/**
+ * Works out an entry's label from the TYPE values of its property, e.g. TEL;TYPE=CELL,VOICE is a mobile number.
+ * @param {Object} property - TEL, EMAIL or ADR property.
+ * @param {string[]} labels - Labels the collection allows.
+ * @returns {string} Label, DEFAULT_LABEL when no type matches one.
+ */
+const labelFor = (property, labels) => {
+    const types = (property.params.TYPE || []).map(type => type.toLowerCase());
+    return labels.find(label => types.includes(LABEL_TYPES[label])) || DEFAULT_LABEL;
+};
+
+/**
+ * Derives a contact ID for a card. A UID that fits the ID column, such as the contact ID or ULID formatVCard writes,
+ * is used as it is; anything longer, such as the UUIDs most address books use, is hashed so that importing the same
+ * card again finds the same contact.
+ * @param {string} uid - Card UID, or '' when it has none.
+ * @param {Object} contact - Mapped contact, hashed instead when there is no UID.
+ * @returns {string} ID of CONTACT_SCHEMA.id.maxLength characters or less; a hash has 10.
+ */
+const contactIdFor = (uid, contact) => {
+    if (uid && uid.length <= CONTACT_SCHEMA.id.maxLength && !/\s/.test(uid)) return uid;
+    const source = uid || [contact.firstName, contact.lastName, contact.phone, contact.email].join('\n');
+    return crypto.createHash('sha1').update(source).digest('hex').slice(0, 10);
+};
+
+/**
+ * Fills the single phone, email and address fields of a contact from the primary entries of its collections (or
+ * the first, when none is flagged), as contactIdFor reads them.
+ * @param {Object} contact - Contact with phones, emails and addresses; changed in place.
+ * @returns {Object} The contact.
+ */
+const fillPrimaryFields = (contact) => {
+    Object.entries(CONTACT_COLLECTIONS).forEach(([name, { field }]) => {
+        const entry = contact[name].find(candidate => candidate.primary) || contact[name][0];
+        contact[field] = entry ? entry.value : '';
+    });
+    return contact;
+};
+
+/**
+ * Maps a parsed card to a contact. N and FN feed the name, every TEL, EMAIL and ADR an entry of phones, emails and
+ * addresses (labeled by its TYPE, the preferred one primary), and UID the ID. An ADR's post office box, extended
+ * address and street become the street lines of the address, and its other components the city, region, postal code
+ * and country. What cannot be kept is reported rather than dropped: properties with no matching field, entries beyond
+ * a collection's limit, the parts of a name other than given and family name, and countries that are not recognized.
+ * @param {Object} card - Card from parseVCards.
+ * @returns {{uid: string, contact: Object, unmapped: Object[]}} Contact with trimmed values (missing ones are
+ *   empty strings), its collections and the single fields holding their primary values, and one
+ *   { property, line, value, reason } entry per value that was left out.
+ */
+const cardToContact = (card) => {
+    const byName = {};
+    card.properties.forEach(property => {
+        byName[property.name] = [...(byName[property.name] || []), property];
+    });
+    const unmapped = [];
+    const leaveOut = (property, reason) => unmapped.push({
+        property: property.name,
+        line: property.line,
+        value: propertyText(property),
+        reason
+    });
+    const pick = (name, reason) => {
+        const properties = byName[name] || [];
+        const chosen = preferred(properties);
+        properties.filter(property => property !== chosen).forEach(property => leaveOut(property, reason));
+        return chosen;
+    };
+
+    // Entries of the properties behind a collection, each one's value (and for addresses, parts) read by entryOf
+    const collect = (name, entryOf) => {
+        const { label, labels, maxEntries } = CONTACT_COLLECTIONS[name];
+        const properties = byName[COLLECTION_PROPERTIES[name]] || [];
+        const chosen = preferred(properties);
+        properties.slice(maxEntries).forEach(property => leaveOut(property, `Only ${maxEntries} ${label.toLowerCase()} are kept`));
+        return properties.slice(0, maxEntries)
+            .map(property => ({ property, read: entryOf(property) }))
+            .filter(({ read }) => read.value)
+            .map(({ property, read: { value, ...parts } }) => ({ label: labelFor(property, labels), value, primary: property === chosen, ...parts }));
+    };
+    const addressOf = (property) => {
+        const [poBox = '', extended = '', street = '', city = '', region = '', postalCode = '', country = ''] =
+            splitEscaped(property.value, ';').map(unescapeText);
+        const address = addressFromParts({ street: [poBox, extended, street], city, region, postalCode, country });
+        if (!address) return { value: '' };
+        if (country.trim() && !address.country) leaveOut(property, `Country "${country.trim()}" is not recognized`);
+        return { value: formatAddress(address, { separator: ', ' }), ...address };
+    };
+
+    const contact = { id: '', firstName: '', lastName: '', phone: '', address: '', email: '' };
+    const name = pick('N', 'Only one name is kept');
+    if (name) {
+        const [family = '', given = '', additional = '', prefix = '', suffix = ''] = splitEscaped(name.value, ';')
+            .map(component => unescapeText(splitEscaped(component, ',')[0]).trim());
+        contact.lastName = family;
+        contact.firstName = given;
+        if (additional || prefix || suffix) leaveOut(name, 'Middle names, prefixes and suffixes are not kept');
+    }
+    const formattedName = pick('FN', 'Only one formatted name is kept');
+    if (formattedName && !contact.firstName && !contact.lastName) {
+        const words = unescapeText(formattedName.value).trim().split(/\s+/);
+        contact.lastName = words.length > 1 ? words.pop() : '';
+        contact.firstName = words.join(' ');
+    }
+    contact.phones = collect('phones', (phone) => ({ value: unescapeText(phone.value).trim().replace(/^tel:/i, '') }));
+    contact.emails = collect('emails', (email) => ({ value: unescapeText(email.value).trim().replace(/^mailto:/i, '') }));
+    contact.addresses = collect('addresses', addressOf);
+    fillPrimaryFields(contact);
+    const uidProperty = pick('UID', 'Only one UID is kept');
+    const uid = uidProperty ? unescapeText(uidProperty.value).trim().replace(/^urn:uuid:/i, '') : '';
+    contact.id = contactIdFor(uid, contact);
+
+    const mapped = ['N', 'FN', 'TEL', 'EMAIL', 'ADR', 'UID', ...CARD_PROPERTIES];
+    card.properties
+        .filter(property => !mapped.includes(property.name))
+        .forEach(property => leaveOut(property, 'No matching contact field'));
+    unmapped.sort((a, b) => a.line - b.line);
+    return { uid, contact, unmapped };
+};
+
+/**
+ * Folds a content line so that no physical line exceeds MAX_LINE_OCTETS, without splitting a UTF-8 sequence.
+ * @param {string} line - Unfolded content line.
+ * @returns {string} Folded line; continuation lines start with a space.
+ */
+const foldLine = (line) => {
+    const lines = [''];
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines give up one octet to the leading space
+        if (octets + size > (lines.length === 1 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1)) {
+            lines.push('');
+            octets = 0;
+        }
+        lines[lines.length - 1] += char;
+        octets += size;
+    }
+    return lines.join('\r\n ');
+};
+
+/**
+ * Lists the entries of a contact's collection, falling back on its single field for contacts without collections.
+ * @param {Object} contact - Contact.
+ * @param {string} name - Key of CONTACT_COLLECTIONS.
+ * @returns {Object[]} Entries.
+ */
+const entriesOf = (contact, name) => {
+    if (Array.isArray(contact[name])) return contact[name];
+    const value = contact[CONTACT_COLLECTIONS[name].field];
+    return value ? [{ label: DEFAULT_LABEL, value, primary: true }] : [];
+};
+
+/**
+ * Formats a contact as a vCard. The contact ID becomes the UID, so importing the card again updates the same contact;
+ * a contact with a `uid` of its own, such as the card a CardDAV client created it from, gets that one instead.
+ * Each phone number, email and address is a property of its own, typed by its label; when there are several, the
+ * primary one is marked preferred. Addresses are written in their parts, the country by its English name; an address
+ * without parts is written as its street.
+ * @param {Object} contact - Contact with id, firstName, lastName and phones, emails and addresses (or the single
+ *   phone, email and address fields), and optionally uid.
+ * @param {string} [version='3.0'] - One of VCARD_VERSIONS.
+ * @param {string[]} [properties] - Names of the properties to include, for clients that ask for part of a card;
+ *   VERSION is always included. All properties when omitted.
+ * @returns {string} Card from BEGIN:VCARD to END:VCARD, with CRLF line breaks and long lines folded.
+ */
+const formatVCard = (contact, version = '3.0', properties) => {
+    const modern = version === '4.0';
+    const lines = [
+        'BEGIN:VCARD',
+        `VERSION:${version}`,
+        'PRODID:-//Contact Manager//EN',
+        `UID:${escapeText(contact.uid || contact.id)}`,
+        `FN:${escapeText([contact.firstName, contact.lastName].filter(Boolean).join(' '))}`,
+        `N:${escapeText(contact.lastName)};${escapeText(contact.firstName)};;;`
+    ];
+    // TYPE and preference parameters of an entry, after the ones every property of its kind has
+    const params = (entries, entry, kindTypes) => {
+        const types = [...kindTypes, LABEL_TYPES[entry.label]].filter(Boolean);
+        const pref = entries.length > 1 && entry.primary;
+        if (modern) return `${types.length > 0 ? `;TYPE=${types.join(',')}` : ''}${pref ? ';PREF=1' : ''}`;
+        if (pref) types.push('pref');
+        return types.length > 0 ? `;TYPE=${types.join(',').toUpperCase()}` : '';
+    };
+    const phones = entriesOf(contact, 'phones');
+    phones.forEach(phone => {
+        // In 4.0 a telephone number is a tel: URI, which E.164 numbers can be written as; anything else is marked as text
+        const typed = params(phones, phone, phone.label === 'mobile' ? [] : ['voice']);
+        if (modern && /^\+\d+$/.test(phone.value)) lines.push(`TEL;VALUE=uri${typed}:tel:${phone.value}`);
+        else lines.push(`TEL${modern ? ';VALUE=text' : ''}${typed}:${escapeText(phone.value)}`);
+    });
+    const emails = entriesOf(contact, 'emails');
+    emails.forEach(email => lines.push(`EMAIL${params(emails, email, modern ? [] : ['internet'])}:${escapeText(email.value)}`));
+    const addresses = entriesOf(contact, 'addresses');
+    addresses.forEach(address => {
+        const street = address.street || [address.value];
+        const components = ['', '', street.join('\n'), address.city, address.region, address.postalCode, address.country ? countryName(address.country) : ''];
+        lines.push(`ADR${params(addresses, address, [])}:${components.map(escapeText).join(';')}`);
+    });
+    lines.push('END:VCARD');
+    const included = properties && ['BEGIN', 'VERSION', 'END', ...properties.map(name => name.toUpperCase())];
+    return lines
+        .filter(line => !included || included.includes(line.split(/[;:]/)[0]))
+        .map(foldLine)
+        .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    VCARD_VERSIONS, VCardError, parseVCards, propertyText, fillPrimaryFields, cardToContact, contactIdFor, formatVCard
+};
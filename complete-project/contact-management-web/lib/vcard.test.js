@@ -0,0 +1,126 @@
+// Reading vCard 3.0 and 4.0 cards into contacts and writing contacts as cards
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VCardError, parseVCards, cardToContact, contactIdFor, formatVCard } = require('./vcard');
+const { ulid } = require('./contactIds');
+
+const CARD = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'UID:urn:uuid:4fbe8971-0bc3-424c-9c26-36c3e1eff6b1',
+    'N:Lovelace;Ada;Augusta;Countess;',
+    'FN:Ada Lovelace',
+    'TEL;TYPE=CELL:2025550143',
+    'TEL;TYPE=WORK,VOICE,PREF:+1 202 555 0155',
+    'EMAIL;TYPE=INTERNET:ada@example.com',
+    'ADR;TYPE=HOME:;;12 St James\'s Square;London;;SW1Y 4JH;United Kingdom',
+    'NOTE:Wrote the first program, a long note that is folded',
+    '  onto a second line',
+    'END:VCARD'
+].join('\r\n');
+
+describe('parseVCards', () => {
+    test('reads every card, unfolding lines and splitting parameters', () => {
+        const cards = parseVCards(`﻿${CARD}\nBEGIN:VCARD\nVERSION:4.0\nFN:Grace Hopper\nEND:VCARD\n`);
+        assert.deepEqual(cards.map(card => [card.line, card.version]), [[1, '3.0'], [13, '4.0']]);
+        const note = cards[0].properties.find(property => property.name === 'NOTE');
+        assert.equal(note.value, 'Wrote the first program, a long note that is folded onto a second line');
+        const work = cards[0].properties.filter(property => property.name === 'TEL')[1];
+        assert.deepEqual(work.params.TYPE, ['WORK', 'VOICE', 'PREF']);
+    });
+
+    test('reports the line of a malformed card', () => {
+        assert.throws(() => parseVCards('FN:Nobody'), (err) => err instanceof VCardError && err.line === 1);
+        assert.throws(() => parseVCards('BEGIN:VCARD\nFN:A\nBEGIN:VCARD'), (err) => err instanceof VCardError && err.line === 3);
+        assert.throws(() => parseVCards('BEGIN:VCARD\nFN:A'), /never ended/);
+    });
+});
+
+describe('cardToContact', () => {
+    test('maps the name, labeled entries with the preferred one primary, and the address parts', () => {
+        const { uid, contact } = cardToContact(parseVCards(CARD)[0]);
+        assert.equal(uid, '4fbe8971-0bc3-424c-9c26-36c3e1eff6b1');
+        assert.equal(contact.firstName, 'Ada');
+        assert.equal(contact.lastName, 'Lovelace');
+        assert.deepEqual(contact.phones.map(({ label, value, primary }) => [label, value, primary]), [
+            ['mobile', '2025550143', false],
+            ['work', '+1 202 555 0155', true]
+        ]);
+        assert.equal(contact.phone, '+1 202 555 0155');
+        assert.equal(contact.email, 'ada@example.com');
+        assert.equal(contact.addresses[0].city, 'London');
+        assert.equal(contact.addresses[0].country, 'GB');
+    });
+
+    test('reports what it could not map instead of dropping it', () => {
+        const { unmapped } = cardToContact(parseVCards(CARD)[0]);
+        assert.deepEqual(unmapped.map(({ property, line }) => [property, line]), [['N', 4], ['NOTE', 10]]);
+        assert.match(unmapped[0].reason, /Middle names/);
+        assert.equal(unmapped[1].reason, 'No matching contact field');
+    });
+
+    test('splits a formatted name when the card has no N', () => {
+        const { contact } = cardToContact(parseVCards('BEGIN:VCARD\nVERSION:4.0\nFN:Grace Brewster Hopper\nEND:VCARD')[0]);
+        assert.equal(contact.firstName, 'Grace Brewster');
+        assert.equal(contact.lastName, 'Hopper');
+    });
+});
+
+describe('contactIdFor', () => {
+    test('keeps a short UID and hashes a long one the same way every time', () => {
+        assert.equal(contactIdFor('12345', {}), '12345');
+        const hashed = contactIdFor('4fbe8971-0bc3-424c-9c26-36c3e1eff6b1', {});
+        assert.match(hashed, /^[0-9a-f]{10}$/);
+        assert.equal(contactIdFor('4fbe8971-0bc3-424c-9c26-36c3e1eff6b1', {}), hashed);
+    });
+
+    test('reads back the ULID of a contact it wrote, so importing the card again updates that contact', () => {
+        const id = ulid();
+        const card = formatVCard({ id, firstName: 'Ada', lastName: 'Lovelace', phones: [], emails: [], addresses: [] });
+        assert.equal(cardToContact(parseVCards(card)[0]).contact.id, id);
+        assert.match(contactIdFor('x'.repeat(27), {}), /^[0-9a-f]{10}$/);
+    });
+});
+
+describe('formatVCard', () => {
+    const contact = {
+        id: '12345',
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        phones: [{ label: 'mobile', value: '+12025550143', primary: true }, { label: 'work', value: '+12025550155', primary: false }],
+        emails: [{ label: 'home', value: 'ada@example.com', primary: true }],
+        addresses: []
+    };
+
+    test('writes 3.0 and 4.0 cards with typed, preferred entries', () => {
+        const v3 = formatVCard(contact);
+        assert.match(v3, /^BEGIN:VCARD\r\nVERSION:3\.0\r\n/);
+        assert.match(v3, /\r\nUID:12345\r\n/);
+        assert.match(v3, /\r\nN:Lovelace;Ada;;;\r\n/);
+        assert.match(v3, /\r\nTEL;TYPE=CELL,PREF:\+12025550143\r\n/);
+        assert.match(v3, /\r\nEMAIL;TYPE=INTERNET,HOME:ada@example\.com\r\n/);
+        const v4 = formatVCard(contact, '4.0');
+        assert.match(v4, /\r\nTEL;VALUE=uri;TYPE=cell;PREF=1:tel:\+12025550143\r\n/);
+        assert.match(v4, /\r\nTEL;VALUE=uri;TYPE=voice,work:tel:\+12025550155\r\n/);
+    });
+
+    test('writes the UID a contact carries instead of its ID', () => {
+        assert.match(formatVCard({ ...contact, uid: '6f2b4c1e-3a7d-4e8f' }), /\r\nUID:6f2b4c1e-3a7d-4e8f\r\n/);
+    });
+
+    test('folds long lines and includes only the properties asked for', () => {
+        const card = formatVCard({ ...contact, firstName: 'A'.repeat(100) }, '3.0', ['FN']);
+        assert.ok(card.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+        assert.deepEqual(parseVCards(card)[0].properties.map(property => property.name), ['VERSION', 'FN']);
+    });
+
+    test('writes cards that read back as the same contact', () => {
+        for (const version of ['3.0', '4.0']) {
+            const { contact: read, unmapped } = cardToContact(parseVCards(formatVCard(contact, version))[0]);
+            assert.equal(read.id, '12345');
+            assert.deepEqual(read.phones, contact.phones);
+            assert.deepEqual(read.emails, contact.emails);
+            assert.deepEqual(unmapped, []);
+        }
+    });
+});
@@ -0,0 +1,53 @@
+// Command-line migration runner: node migrate.js [up [version] | down [steps] | status]
+const { createRepository } = require('./lib/storage');
+const { createMigrator, migrationLabel: label } = require('./lib/migrations');
+const { storageConfig } = require('./lib/config');
+
+const USAGE = 'Usage: node migrate.js up [version] | down [steps] | status';
+
+const commands = {
+    async up(migrator, version) {
+        const applied = await migrator.up(version === undefined ? Infinity : Number(version));
+        if (applied.length === 0) console.log('Schema is up to date');
+        applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+    },
+
+    async down(migrator, steps = 1) {
+        const reverted = await migrator.down(Number(steps));
+        if (reverted.length === 0) console.log('No migrations to roll back');
+        reverted.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+    },
+
+    async status(migrator) {
+        for (const migration of await migrator.status()) {
+            const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+            console.log(`${label(migration)}  ${state}`);
+        }
+    }
+};
+
+(async () => {
+    const [command = 'up', argument] = process.argv.slice(2);
+    if (!commands[command] || (argument !== undefined && !/^\d+$/.test(argument))) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const repository = createRepository(storageConfig);
+    try {
+        await repository.initialize();
+        const driver = repository.migrationDriver();
+        if (!driver) {
+            console.log(`The ${repository.name} backend has no schema to migrate`);
+            return;
+        }
+        console.log(`Migrating the ${repository.name} database`);
+        await commands[command](createMigrator(driver), argument);
+    } catch (err) {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await repository.close();
+    }
+})();
@@ -0,0 +1,20 @@
+// Creates the original contacts table
+
+module.exports = {
+    async up({ execute }) {
+        await execute(`
+            CREATE TABLE IF NOT EXISTS contacts (
+                id VARCHAR(10) PRIMARY KEY,
+                firstName VARCHAR(50) NOT NULL,
+                lastName VARCHAR(50) NOT NULL,
+                phone VARCHAR(15) NOT NULL,
+                address VARCHAR(200),
+                email VARCHAR(100) NOT NULL
+            )
+        `);
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS contacts');
+    }
+};
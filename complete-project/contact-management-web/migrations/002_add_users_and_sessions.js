@@ -0,0 +1,68 @@
+// Adds user accounts, login sessions and contact ownership
+
+module.exports = {
+    async up({ dialect, execute, columnExists }) {
+        // Databases set up before migrations existed may already have the column
+        if (!(await columnExists('contacts', 'ownerId'))) {
+            if (dialect === 'mysql') {
+                await execute('ALTER TABLE contacts ADD COLUMN ownerId INT NULL, ADD INDEX idx_contacts_owner (ownerId)');
+            } else {
+                await execute('ALTER TABLE contacts ADD COLUMN ownerId INTEGER NULL');
+                await execute('CREATE INDEX IF NOT EXISTS idx_contacts_owner ON contacts (ownerId)');
+            }
+        }
+        if (dialect === 'mysql') {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    username VARCHAR(50) NOT NULL UNIQUE,
+                    passwordHash VARCHAR(255) NOT NULL,
+                    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await execute(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    userId INT NOT NULL,
+                    accessTokenHash CHAR(64) NOT NULL UNIQUE,
+                    accessExpiresAt DATETIME NOT NULL,
+                    refreshTokenHash CHAR(64) NOT NULL UNIQUE,
+                    refreshExpiresAt DATETIME NOT NULL,
+                    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+        } else {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username VARCHAR(50) NOT NULL UNIQUE,
+                    passwordHash VARCHAR(255) NOT NULL,
+                    createdAt INTEGER NOT NULL
+                )
+            `);
+            await execute(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    accessTokenHash CHAR(64) NOT NULL UNIQUE,
+                    accessExpiresAt INTEGER NOT NULL,
+                    refreshTokenHash CHAR(64) NOT NULL UNIQUE,
+                    refreshExpiresAt INTEGER NOT NULL,
+                    createdAt INTEGER NOT NULL
+                )
+            `);
+        }
+    },
+
+    async down({ dialect, execute }) {
+        await execute('DROP TABLE IF EXISTS sessions');
+        await execute('DROP TABLE IF EXISTS users');
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts DROP INDEX idx_contacts_owner, DROP COLUMN ownerId');
+        } else {
+            await execute('DROP INDEX IF EXISTS idx_contacts_owner');
+            await execute('ALTER TABLE contacts DROP COLUMN ownerId');
+        }
+    }
+};
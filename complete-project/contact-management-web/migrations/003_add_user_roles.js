@@ -0,0 +1,13 @@
+// Adds a role to every user account
+
+module.exports = {
+    async up({ execute, columnExists }) {
+        if (!(await columnExists('users', 'role'))) {
+            await execute("ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'member'");
+        }
+    },
+
+    async down({ execute }) {
+        await execute('ALTER TABLE users DROP COLUMN role');
+    }
+};
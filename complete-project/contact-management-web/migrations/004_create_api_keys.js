@@ -0,0 +1,44 @@
+// Adds API keys for machine-to-machine access
+
+module.exports = {
+    async up({ dialect, execute }) {
+        if (dialect === 'mysql') {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    keyPrefix VARCHAR(10) NOT NULL,
+                    keyHash CHAR(64) NOT NULL UNIQUE,
+                    scopes VARCHAR(50) NOT NULL,
+                    rateLimit INT NOT NULL,
+                    expiresAt DATETIME NULL,
+                    lastUsedAt DATETIME NULL,
+                    revokedAt DATETIME NULL,
+                    createdBy INT NOT NULL,
+                    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+        } else {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(100) NOT NULL,
+                    keyPrefix VARCHAR(10) NOT NULL,
+                    keyHash CHAR(64) NOT NULL UNIQUE,
+                    scopes VARCHAR(50) NOT NULL,
+                    rateLimit INTEGER NOT NULL,
+                    expiresAt INTEGER NULL,
+                    lastUsedAt INTEGER NULL,
+                    revokedAt INTEGER NULL,
+                    createdBy INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    createdAt INTEGER NOT NULL
+                )
+            `);
+        }
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS api_keys');
+    }
+};
@@ -0,0 +1,16 @@
+// Widens contacts.phone: formatted numbers such as "+1 (555) 123-4567" did not fit in 15 characters
+
+module.exports = {
+    async up({ dialect, execute }) {
+        // SQLite does not enforce VARCHAR lengths, so only MySQL needs the change
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts MODIFY phone VARCHAR(30) NOT NULL');
+        }
+    },
+
+    async down({ dialect, execute }) {
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts MODIFY phone VARCHAR(15) NOT NULL');
+        }
+    }
+};
@@ -0,0 +1,45 @@
+// Adds the audit trail of contact creates, updates, deletes and reverts
+
+module.exports = {
+    async up({ dialect, execute }) {
+        if (dialect === 'mysql') {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS contact_history (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    contactId VARCHAR(10) NOT NULL,
+                    version INT NOT NULL,
+                    ownerId INT NULL,
+                    action VARCHAR(10) NOT NULL,
+                    actorId INT NULL,
+                    actorName VARCHAR(100) NULL,
+                    beforeValues TEXT NULL,
+                    afterValues TEXT NULL,
+                    revertedTo INT NULL,
+                    changedAt DATETIME NOT NULL,
+                    UNIQUE KEY uq_contact_history_version (contactId, version)
+                )
+            `);
+        } else {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS contact_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    contactId VARCHAR(10) NOT NULL,
+                    version INTEGER NOT NULL,
+                    ownerId INTEGER NULL,
+                    action VARCHAR(10) NOT NULL,
+                    actorId INTEGER NULL,
+                    actorName VARCHAR(100) NULL,
+                    beforeValues TEXT NULL,
+                    afterValues TEXT NULL,
+                    revertedTo INTEGER NULL,
+                    changedAt INTEGER NOT NULL,
+                    UNIQUE (contactId, version)
+                )
+            `);
+        }
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS contact_history');
+    }
+};
@@ -0,0 +1,24 @@
+// Adds deletedAt to contacts: deleted contacts stay in the trash until restored or purged
+
+module.exports = {
+    async up({ dialect, execute, columnExists }) {
+        if (await columnExists('contacts', 'deletedAt')) return;
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts ADD COLUMN deletedAt DATETIME NULL, ADD INDEX idx_contacts_deleted (deletedAt)');
+        } else {
+            await execute('ALTER TABLE contacts ADD COLUMN deletedAt INTEGER NULL');
+            await execute('CREATE INDEX IF NOT EXISTS idx_contacts_deleted ON contacts (deletedAt)');
+        }
+    },
+
+    async down({ dialect, execute }) {
+        // Contacts still in the trash would reappear as live contacts, so purge them first
+        await execute('DELETE FROM contacts WHERE deletedAt IS NOT NULL');
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts DROP INDEX idx_contacts_deleted, DROP COLUMN deletedAt');
+        } else {
+            await execute('DROP INDEX IF EXISTS idx_contacts_deleted');
+            await execute('ALTER TABLE contacts DROP COLUMN deletedAt');
+        }
+    }
+};
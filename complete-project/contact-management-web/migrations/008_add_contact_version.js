@@ -0,0 +1,13 @@
+// Adds a version counter to contacts for optimistic concurrency (ETag / If-Match)
+
+module.exports = {
+    async up({ execute, columnExists }) {
+        if (!(await columnExists('contacts', 'version'))) {
+            await execute('ALTER TABLE contacts ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        }
+    },
+
+    async down({ execute }) {
+        await execute('ALTER TABLE contacts DROP COLUMN version');
+    }
+};
@@ -0,0 +1,13 @@
+// Adds mergedWith to contact history: the contacts a merge combined, as a JSON array of IDs
+
+module.exports = {
+    async up({ execute, columnExists }) {
+        if (!(await columnExists('contact_history', 'mergedWith'))) {
+            await execute('ALTER TABLE contact_history ADD COLUMN mergedWith TEXT NULL');
+        }
+    },
+
+    async down({ execute }) {
+        await execute('ALTER TABLE contact_history DROP COLUMN mergedWith');
+    }
+};
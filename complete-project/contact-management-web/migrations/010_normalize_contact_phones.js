@@ -0,0 +1,32 @@
+// Rewrites stored phone numbers in E.164, the form new and updated contacts are saved in. The rules are those of
+// shared/phone.js when this was written, kept here so later changes to it do not change what this migration does
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// Country of numbers without a country code, read as lib/config.js read it then
+const DEFAULT_REGION = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+/**
+ * Rewrites a phone number in E.164, leaving anything that is not a possible number, or has an extension, as it is.
+ * @param {string} phone - Stored phone number.
+ * @returns {string} E.164 number, or the phone number unchanged.
+ */
+const toE164 = (phone) => {
+    const number = parsePhoneNumberFromString(String(phone || '').trim(), DEFAULT_REGION);
+    return number && number.isPossible() && !number.ext ? number.number : phone;
+};
+
+module.exports = {
+    async up({ execute }) {
+        // Trashed contacts too, so they come back normalized when restored. A rewritten contact gets a new version,
+        // so a client holding the old one cannot save over it
+        const rows = await execute('SELECT id, phone FROM contacts');
+        for (const { id, phone } of rows) {
+            const e164 = toE164(phone);
+            if (e164 !== phone) await execute('UPDATE contacts SET phone = ?, version = version + 1 WHERE id = ?', [e164, id]);
+        }
+    },
+
+    async down() {
+        // The original notation is not kept, and E.164 numbers are valid input, so there is nothing to undo
+    }
+};
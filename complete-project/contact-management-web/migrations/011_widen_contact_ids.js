@@ -0,0 +1,27 @@
+// Widens contact IDs to 26 characters, the length of the ULIDs the server can generate for new contacts
+
+module.exports = {
+    async up({ dialect, execute }) {
+        // SQLite columns take text of any length, so there is nothing to widen there
+        if (dialect === 'mysql') {
+            await execute('ALTER TABLE contacts MODIFY id VARCHAR(26) NOT NULL');
+            await execute('ALTER TABLE contact_history MODIFY contactId VARCHAR(26) NOT NULL');
+        }
+    },
+
+    async down({ dialect, execute }) {
+        if (dialect !== 'mysql') return;
+        // Narrowing the columns would fail, or cut IDs short where sql_mode is not strict, once a longer ID is stored
+        const [{ longest }] = await execute(
+            `SELECT GREATEST(
+                (SELECT COALESCE(MAX(CHAR_LENGTH(id)), 0) FROM contacts),
+                (SELECT COALESCE(MAX(CHAR_LENGTH(contactId)), 0) FROM contact_history)
+            ) AS longest`
+        );
+        if (Number(longest) > 10) {
+            throw new Error(`Contact IDs of up to ${longest} characters are stored; they must be changed to 10 characters or less before this migration can be undone`);
+        }
+        await execute('ALTER TABLE contact_history MODIFY contactId VARCHAR(10) NOT NULL');
+        await execute('ALTER TABLE contacts MODIFY id VARCHAR(10) NOT NULL');
+    }
+};
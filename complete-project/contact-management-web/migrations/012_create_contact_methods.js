@@ -0,0 +1,50 @@
+// Adds labeled phone numbers, email addresses and postal addresses, several per contact. Each contact's current
+// phone, email and address become its primary entries, labeled "other"; the columns on contacts stay and keep a
+// copy of the primary entries
+
+// Kind of entry to the contacts column it is copied from
+const KINDS = ['phone', 'email', 'address'];
+
+module.exports = {
+    async up({ dialect, execute }) {
+        if (dialect === 'mysql') {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS contact_methods (
+                    contactId VARCHAR(26) NOT NULL,
+                    kind VARCHAR(10) NOT NULL,
+                    position INT NOT NULL,
+                    label VARCHAR(10) NOT NULL,
+                    value VARCHAR(200) NOT NULL,
+                    isPrimary BOOLEAN NOT NULL DEFAULT FALSE,
+                    PRIMARY KEY (contactId, kind, position),
+                    FOREIGN KEY (contactId) REFERENCES contacts(id) ON DELETE CASCADE
+                )
+            `);
+        } else {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS contact_methods (
+                    contactId VARCHAR(26) NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+                    kind VARCHAR(10) NOT NULL,
+                    position INTEGER NOT NULL,
+                    label VARCHAR(10) NOT NULL,
+                    value VARCHAR(200) NOT NULL,
+                    isPrimary INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (contactId, kind, position)
+                )
+            `);
+        }
+        // Trashed contacts too, so they come back with their entries when restored
+        for (const kind of KINDS) {
+            await execute(
+                `INSERT INTO contact_methods (contactId, kind, position, label, value, isPrimary)
+                 SELECT id, ?, 0, 'other', ${kind}, 1 FROM contacts WHERE ${kind} IS NOT NULL AND ${kind} <> ''`,
+                [kind]
+            );
+        }
+    },
+
+    async down({ execute }) {
+        // The primary entries are still in the contacts columns; the others are lost
+        await execute('DROP TABLE IF EXISTS contact_methods');
+    }
+};
@@ -0,0 +1,61 @@
+// Adds the parts of postal addresses (street lines, city, region, postal code and country) to contact_methods and
+// fills them in by parsing each stored address, which is then rewritten as its country writes addresses
+const { parseAddress, formatAddress } = require('./frozen/013_address');
+
+// Country of addresses that name none, read as lib/config.js read the default phone region then
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+// Longest address the contact schema allowed then
+const ADDRESS_MAX_LENGTH = 200;
+
+// Column to its type; street holds up to three lines joined by newlines
+const COLUMNS = {
+    street: 'VARCHAR(200)',
+    city: 'VARCHAR(100)',
+    region: 'VARCHAR(100)',
+    postalCode: 'VARCHAR(20)',
+    country: 'VARCHAR(2)'
+};
+
+module.exports = {
+    async up({ dialect, execute, columnExists }) {
+        if (!(await columnExists('contact_methods', 'street'))) {
+            const columns = Object.entries(COLUMNS).map(([column, type]) => `ADD COLUMN ${column} ${type} NULL`);
+            if (dialect === 'mysql') {
+                await execute(`ALTER TABLE contact_methods ${columns.join(', ')}`);
+            } else {
+                for (const column of columns) await execute(`ALTER TABLE contact_methods ${column}`);
+            }
+        }
+
+        // Trashed contacts too, so they come back with structured addresses when restored. As for new contacts, an
+        // address that would no longer fit once rewritten keeps its text
+        const rows = await execute("SELECT contactId, position, value, isPrimary FROM contact_methods WHERE kind = 'address'");
+        for (const { contactId, position, value, isPrimary } of rows) {
+            const parts = parseAddress(value, DEFAULT_COUNTRY);
+            const formatted = formatAddress(parts, DEFAULT_COUNTRY);
+            const text = formatted.length <= ADDRESS_MAX_LENGTH ? formatted : value;
+            await execute(
+                `UPDATE contact_methods SET value = ?, street = ?, city = ?, region = ?, postalCode = ?, country = ?
+                 WHERE contactId = ? AND kind = 'address' AND position = ?`,
+                [text, parts.street.join('\n'), parts.city, parts.region, parts.postalCode, parts.country, contactId, position]
+            );
+            if (isPrimary && text !== value) await execute('UPDATE contacts SET address = ? WHERE id = ?', [text, contactId]);
+        }
+        // Every contact with an address now reads differently, so it gets a new version and a client holding the old
+        // one cannot save over the parts
+        for (const contactId of new Set(rows.map(row => row.contactId))) {
+            await execute('UPDATE contacts SET version = version + 1 WHERE id = ?', [contactId]);
+        }
+    },
+
+    async down({ dialect, execute }) {
+        // Addresses keep the text they were rewritten as, which is valid input
+        const columns = Object.keys(COLUMNS).map(column => `DROP COLUMN ${column}`);
+        if (dialect === 'mysql') {
+            await execute(`ALTER TABLE contact_methods ${columns.join(', ')}`);
+        } else {
+            for (const column of columns) await execute(`ALTER TABLE contact_methods ${column}`);
+        }
+    }
+};
@@ -0,0 +1,29 @@
+// Keeps the resource name and UID of cards CardDAV clients create, so each card is served under the URL and with the
+// UID it was created with rather than those of the contact it is saved as
+
+module.exports = {
+    async up({ dialect, execute }) {
+        if (dialect === 'mysql') {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS carddav_cards (
+                    contactId VARCHAR(26) NOT NULL PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL UNIQUE,
+                    uid VARCHAR(255) NOT NULL,
+                    FOREIGN KEY (contactId) REFERENCES contacts(id) ON DELETE CASCADE
+                )
+            `);
+        } else {
+            await execute(`
+                CREATE TABLE IF NOT EXISTS carddav_cards (
+                    contactId VARCHAR(26) NOT NULL PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+                    name VARCHAR(255) NOT NULL UNIQUE,
+                    uid VARCHAR(255) NOT NULL
+                )
+            `);
+        }
+    },
+
+    async down({ execute }) {
+        await execute('DROP TABLE IF EXISTS carddav_cards');
+    }
+};
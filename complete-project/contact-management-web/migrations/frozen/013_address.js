@@ -0,0 +1,210 @@
+// The address parser and formatter of shared/address.js as they were when migration 013 was written, with only what
+// it uses. Migrations must do the same thing however the app changes later, so this copy is never updated
+const { getCountries } = require('libphonenumber-js/max');
+
+const COUNTRIES = getCountries();
+
+const MAX_STREET_LINES = 3;
+
+const COUNTRY_ALIASES = {
+    usa: 'US',
+    'u.s.a': 'US',
+    'u.s': 'US',
+    'united states of america': 'US',
+    america: 'US',
+    uk: 'GB',
+    'u.k': 'GB',
+    'great britain': 'GB',
+    england: 'GB',
+    scotland: 'GB',
+    wales: 'GB',
+    'northern ireland': 'GB',
+    deutschland: 'DE',
+    holland: 'NL',
+    'the netherlands': 'NL',
+    nederland: 'NL',
+    españa: 'ES',
+    italia: 'IT',
+    österreich: 'AT',
+    schweiz: 'CH',
+    suisse: 'CH',
+    brasil: 'BR',
+    méxico: 'MX',
+    'republic of ireland': 'IE'
+};
+
+const withSeparator = (at, separator = ' ') => (code) => {
+    const compact = code.replace(/[\s-]/g, '');
+    const index = at < 0 ? compact.length + at : at;
+    return `${compact.slice(0, index)}${separator}${compact.slice(index)}`;
+};
+
+const ADDRESS_FORMATS = {
+    US: { postalCode: /^\d{5}(?:-\d{4})?$/, lines: ['{city}, {region} {postalCode}'] },
+    CA: { postalCode: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, normalize: withSeparator(3), lines: ['{city} {region} {postalCode}'] },
+    GB: { postalCode: /^(?:[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}|GIR 0AA)$/, normalize: withSeparator(-3), lines: ['{city}', '{postalCode}'] },
+    IE: { postalCode: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) [0-9AC-FHKNPRTV-Y]{4}$/, normalize: withSeparator(3), lines: ['{city}', '{region}', '{postalCode}'] },
+    AU: { postalCode: /^\d{4}$/, lines: ['{city} {region} {postalCode}'] },
+    NZ: { postalCode: /^\d{4}$/, lines: ['{city} {postalCode}'] },
+    DE: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city}'] },
+    FR: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city}'] },
+    IT: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city} {region}'] },
+    ES: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city}', '{region}'] },
+    PT: { postalCode: /^\d{4}-\d{3}$/, normalize: withSeparator(4, '-'), lines: ['{postalCode} {city}'] },
+    NL: { postalCode: /^\d{4} [A-Z]{2}$/, normalize: withSeparator(4), lines: ['{postalCode} {city}'] },
+    BE: { postalCode: /^\d{4}$/, lines: ['{postalCode} {city}'] },
+    CH: { postalCode: /^\d{4}$/, lines: ['{postalCode} {city}'] },
+    AT: { postalCode: /^\d{4}$/, lines: ['{postalCode} {city}'] },
+    DK: { postalCode: /^\d{4}$/, lines: ['{postalCode} {city}'] },
+    NO: { postalCode: /^\d{4}$/, lines: ['{postalCode} {city}'] },
+    SE: { postalCode: /^\d{3} \d{2}$/, normalize: withSeparator(3), lines: ['{postalCode} {city}'] },
+    FI: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city}'] },
+    PL: { postalCode: /^\d{2}-\d{3}$/, normalize: withSeparator(2, '-'), lines: ['{postalCode} {city}'] },
+    JP: { postalCode: /^\d{3}-\d{4}$/, normalize: withSeparator(3, '-'), lines: ['{city}, {region} {postalCode}'] },
+    CN: { postalCode: /^\d{6}$/, lines: ['{city}, {region} {postalCode}'] },
+    IN: { postalCode: /^\d{6}$/, normalize: withSeparator(6, ''), lines: ['{city} {postalCode}', '{region}'] },
+    BR: { postalCode: /^\d{5}-\d{3}$/, normalize: withSeparator(5, '-'), lines: ['{city} - {region}', '{postalCode}'] },
+    MX: { postalCode: /^\d{5}$/, lines: ['{postalCode} {city}, {region}'] },
+    ZA: { postalCode: /^\d{4}$/, lines: ['{city}', '{postalCode}'] }
+};
+
+const DEFAULT_FORMAT = { postalCode: null, lines: ['{city} {region} {postalCode}'] };
+
+const addressFormat = (country) => ADDRESS_FORMATS[country] || DEFAULT_FORMAT;
+
+let displayNames = null;
+
+const countryName = (code) => {
+    try {
+        displayNames = displayNames || new Intl.DisplayNames(['en'], { type: 'region' });
+        return displayNames.of(code) || code;
+    } catch (err) {
+        return code;
+    }
+};
+
+let countriesByName = null;
+
+const countryCode = (text) => {
+    const key = String(text || '').trim().toLowerCase().replace(/\.$/, '');
+    if (COUNTRY_ALIASES[key]) return COUNTRY_ALIASES[key];
+    if (/^[a-z]{2}$/.test(key)) return COUNTRIES.includes(key.toUpperCase()) ? key.toUpperCase() : null;
+    if (!countriesByName) {
+        countriesByName = new Map(COUNTRIES.map(code => [countryName(code).toLowerCase(), code]));
+    }
+    return countriesByName.get(key) || null;
+};
+
+const normalizePostalCode = (code, country) => {
+    const text = String(code || '').trim().toUpperCase().replace(/\s+/g, ' ');
+    const format = addressFormat(country);
+    if (!text || !format.normalize) return text;
+    const rewritten = format.normalize(text);
+    return format.postalCode.test(rewritten) ? rewritten : text;
+};
+
+/**
+ * Writes a structured address on one line, with its country's template.
+ * @param {Object} address - { street, city, region, postalCode, country }; street is a list of lines.
+ * @param {string} defaultCountry - Country whose template addresses without a country use.
+ * @returns {string} Formatted address; '' when it has no parts.
+ */
+const formatAddress = (address, defaultCountry) => {
+    const { street = [], country = '' } = address;
+    const values = { city: address.city || '', region: address.region || '', postalCode: address.postalCode || '' };
+    const lines = addressFormat(country || defaultCountry).lines.map(line => line
+        .replace(/\{(\w+)\}/g, (placeholder, name) => values[name])
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,-]+|[\s,-]+$/g, ''));
+    return [...street, ...lines, country ? countryName(country) : '']
+        .map(line => String(line).trim())
+        .filter(Boolean)
+        .join(', ');
+};
+
+const fitStreetLines = (lines) => {
+    const kept = lines.map(line => String(line || '').trim()).filter(Boolean);
+    return kept.length > MAX_STREET_LINES
+        ? [...kept.slice(0, MAX_STREET_LINES - 1), kept.slice(MAX_STREET_LINES - 1).join(', ')]
+        : kept;
+};
+
+const findPostalCode = (line, format) => {
+    const source = format.postalCode.source
+        .replace(/^\^|\$$/g, '')
+        .replace(/\[[^\]]*\]|[ -]/g, token => token.length > 1 ? token : '[ -]?');
+    const match = new RegExp(`(?:^|[\\s,])(${source})(?=$|[\\s,])`, 'i').exec(line);
+    if (!match) return null;
+    const start = match.index + match[0].length - match[1].length;
+    return { code: match[1], rest: `${line.slice(0, start)} ${line.slice(start + match[1].length)}`.replace(/\s+/g, ' ').replace(/^[\s,-]+|[\s,-]+$/g, '') };
+};
+
+/**
+ * Splits a free-text address into its parts, as well as the text allows.
+ * @param {string} text - Address as stored.
+ * @param {string} defaultCountry - Country whose postal codes are looked for when the text names no country.
+ * @returns {Object} { street, city, region, postalCode, country }, with '' for parts not found.
+ */
+const parseAddress = (text, defaultCountry) => {
+    const address = { street: [], city: '', region: '', postalCode: '', country: '' };
+    const rawLines = String(text || '').split(/\r\n|\n|\r/).map(line => line.trim()).filter(Boolean);
+    let lines = rawLines.length > 1 ? rawLines : (rawLines[0] || '').split(',').map(part => part.trim()).filter(Boolean);
+
+    const last = lines[lines.length - 1] || '';
+    const named = lines.length > 1 && (last.length > 2 || COUNTRY_ALIASES[last.toLowerCase()]) ? countryCode(last) : null;
+    if (named) {
+        address.country = named;
+        lines = lines.slice(0, -1);
+    }
+
+    const format = addressFormat(address.country || defaultCountry);
+    let found = null;
+    let at = -1;
+    for (let index = lines.length - 1; format.postalCode && !found && index >= Math.max(1, lines.length - 2); index--) {
+        found = findPostalCode(lines[index], format);
+        if (found) at = index;
+    }
+
+    let streetEnd = lines.length;
+    if (!found) {
+        if (lines.length > 1) {
+            address.city = lines[lines.length - 1];
+            streetEnd = lines.length - 1;
+        }
+    } else {
+        address.postalCode = normalizePostalCode(found.code, address.country || defaultCountry);
+        streetEnd = at;
+        const postalLine = format.lines.find(line => line.includes('{postalCode}'));
+        const regionBeforeCode = /\{region\}\s*\{postalCode\}/.test(postalLine);
+        const pieces = found.rest.split(',').map(piece => piece.trim()).filter(Boolean);
+        const takePrevious = () => {
+            if (at < 2) return '';
+            streetEnd = at - 1;
+            return lines[at - 1];
+        };
+        if (pieces.length > 1) {
+            address.region = pieces.pop();
+            address.city = pieces.join(', ');
+        } else if (pieces.length === 1 && regionBeforeCode) {
+            const split = /^(.+?)\s+([A-Z]{2,3})$/.exec(pieces[0]);
+            if (split) [, address.city, address.region] = split;
+            else if (/^[A-Z]{2,3}$/.test(pieces[0]) || at >= 2) [address.region, address.city] = [pieces[0], takePrevious()];
+            else address.city = pieces[0];
+        } else if (pieces.length === 1) {
+            address.city = pieces[0];
+        } else {
+            const [city, region = ''] = takePrevious().split(/\s+-\s+/);
+            address.city = city;
+            address.region = region;
+        }
+        lines.slice(at + 1).forEach(line => {
+            if (!address.region) address.region = line;
+            else address.city = [address.city, line].filter(Boolean).join(', ');
+        });
+    }
+
+    address.street = fitStreetLines(lines.slice(0, streetEnd));
+    return address;
+};
+
+module.exports = { parseAddress, formatAddress };
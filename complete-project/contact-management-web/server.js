@@ -1,8 +1,32 @@
 const express = require('express');
 const winston = require('winston');
-const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const path = require('path');
+const { searchContacts, createMatcher } = require('./lib/search');
+const {
+    QueryError, parseListQuery, paginate, pageResponse, buildLinks, createComparator, createAddressFilter, CONTACT_FIELDS, COLLECTION_FIELDS
+} = require('./lib/pagination');
+const { hashPassword, verifyPassword, generateToken, generateApiKey, hashToken, parseBearerToken, parseBasicCredentials, validateCredentials } = require('./lib/auth');
+const { ROLES, DEFAULT_ROLE, API_KEY_SCOPES, permissionsFor, permissionsForScopes, contactScope } = require('./lib/roles');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createRepository, DuplicateError } = require('./lib/storage');
+const { createMigrator, migrationLabel } = require('./lib/migrations');
+const { createIdAllocator } = require('./lib/contactIds');
+const { storageConfig, connectRetryConfig, defaultPhoneRegion, contactIdStrategy } = require('./lib/config');
+const { retry } = require('./lib/retry');
+const { createMetrics } = require('./lib/metrics');
+const { snapshotContact, toHistoryResponse } = require('./lib/history');
+const { DEFAULT_MIN_CONFIDENCE, MERGE_FIELDS, MERGE_FIELD_ALIASES, findDuplicates, mergeContacts } = require('./lib/duplicates');
+const { contactETag, ifMatchSatisfied } = require('./lib/etag');
+const { PatchError, applyPatch, MERGE_PATCH, JSON_PATCH } = require('./lib/patch');
+const { CsvError, parseCsv } = require('./lib/csv');
+const contactSchema = require('./shared/contactSchema');
+const { isSupportedCountry } = require('./shared/phone');
+const { MappingError, resolveMapping, recordToContact } = require('./lib/csvMapping');
+const { CSV_PROFILES, detectProfile, profileRecordToContact } = require('./lib/csvProfiles');
+const { EXPORT_FORMATS, createExportWriter } = require('./lib/export');
+const { VCARD_VERSIONS, VCardError, parseVCards, cardToContact, contactIdFor, formatVCard } = require('./lib/vcard');
+const { DAV, CARDDAV, CALENDARSERVER, DavError, element, multistatus, errorBody, propstatsFor, parsePropfind, parseReport, matchesFilter, collectionTag } = require('./lib/carddav');
 const app = express();
 
 // Configure Winston logger
@@ -25,45 +49,128 @@ logger.on('error', (error) => {
     console.error('Winston logger error:', error);
 });
 
+// Only the configured front-end origins may call the API from a browser (comma-separated)
+const allowedOrigins = (process.env.CORS_ORIGIN || 'http://localhost:3001').split(',').map(origin => origin.trim());
+
 // Enable CORS for all routes
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    if (req.method === 'OPTIONS') {
+    const origin = req.get('Origin');
+    if (origin && allowedOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+    }
+    res.header('Vary', 'Origin');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, If-Match, If-None-Match');
+    res.header('Access-Control-Expose-Headers', 'ETag, Location, Content-Disposition');
+    // CardDAV clients send OPTIONS to find out what the server supports, which the CardDAV routes answer
+    if (req.method === 'OPTIONS' && !req.path.startsWith('/carddav')) {
         res.sendStatus(200);
     } else {
         next();
     }
 });
 
-app.use(express.json());
+// Batches of a few hundred contacts go over express's 100kb default
+app.use(express.json({ type: ['application/json', MERGE_PATCH, JSON_PATCH], limit: '1mb' }));
 
-// MySQL connection configuration (update with your credentials)
-const dbConfig = {
-    host: 'localhost',
-    user: 'root',
-    password: '12345678',
-    database: 'contact_management_db'
-};
+const metrics = createMetrics();
+
+// Log one line per request, identifying the user or API key that made it, and record its metrics
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        metrics.observeRequest(req, res, durationMs / 1000);
+        logger.info(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs,
+            userId: req.user ? req.user.id : undefined,
+            apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+            apiKeyName: req.apiKey ? req.apiKey.name : undefined
+        });
+    });
+    next();
+});
+
+// Apply pending schema migrations on startup instead of refusing to start (AUTO_MIGRATE=true)
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE === 'true';
+
+// Session lifetimes: short-lived access tokens, longer-lived refresh tokens
+const ACCESS_TOKEN_TTL_MS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60) * 1000;
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS || 7 * 24 * 60 * 60) * 1000;
+
+// Requests per minute allowed for an API key created without an explicit rate limit
+const API_KEY_DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_DEFAULT_RATE_LIMIT || 60);
+const apiKeyLimiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+// Sign-in and registration attempts allowed per client address and minute, to slow down password guessing
+const AUTH_RATE_LIMIT = Number(process.env.AUTH_RATE_LIMIT || 20);
+const authLimiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+// Deleted contacts stay in the trash this long before they are purged for good; the purge runs every TRASH_PURGE_INTERVAL_MINUTES
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+// Largest number of operations POST /contacts/batch accepts in one request
+const BATCH_MAX_OPERATIONS = Number(process.env.BATCH_MAX_OPERATIONS || 500);
+
+// Largest CSV or vCard file the import routes accept
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '5mb';
+
+// Phone numbers written without a country code are read as numbers of this country, and addresses without a country
+// are checked and laid out as its addresses
+const DEFAULT_PHONE_REGION = defaultPhoneRegion;
+if (!isSupportedCountry(DEFAULT_PHONE_REGION)) {
+    throw new Error(`DEFAULT_PHONE_REGION "${DEFAULT_PHONE_REGION}" is not a supported country code`);
+}
 
-let db;
+// Health probes give up on the database after this long instead of hanging
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+// Every storage call is timed for the db_query_duration_seconds metric
+const repository = metrics.instrumentRepository(createRepository(storageConfig));
+
+// Contacts created without an ID get one from the CONTACT_ID_STRATEGY strategy
+const contactIds = createIdAllocator({ strategy: contactIdStrategy, repository });
+
+/**
+ * Connects to storage and checks the schema is up to date.
+ * @returns {Promise<boolean>} True when the server can start serving requests.
+ */
 async function initializeDatabase() {
     try {
-        db = await mysql.createConnection(dbConfig);
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS contacts (
-                id VARCHAR(10) PRIMARY KEY,
-                firstName VARCHAR(50) NOT NULL,
-                lastName VARCHAR(50) NOT NULL,
-                phone VARCHAR(15) NOT NULL,
-                address VARCHAR(200),
-                email VARCHAR(100) NOT NULL
-            )
-        `);
-        logger.info('MySQL database and contacts table initialized');
+        // The database may still be starting (e.g. alongside the server in docker compose), so keep trying for a while
+        await retry(() => repository.initialize(), {
+            ...connectRetryConfig,
+            onRetry: (err, attempt, delayMs) => logger.warn(`Database connection attempt ${attempt} failed: ${err.message}; retrying in ${delayMs} ms`)
+        });
+        logger.info(`Storage initialized using the ${repository.name} backend`);
     } catch (err) {
         logger.error('Database initialization error:', err);
+        return false;
+    }
+
+    const driver = repository.migrationDriver();
+    if (!driver) return true;
+    try {
+        const migrator = createMigrator(driver);
+        if (AUTO_MIGRATE) {
+            for (const migration of await migrator.up()) {
+                logger.info(`Applied migration ${migrationLabel(migration)}`);
+            }
+        }
+        const pending = await migrator.pending();
+        if (pending.length > 0) {
+            logger.error(`Database schema is out of date; run "npm run migrate" to apply: ${pending.map(migrationLabel).join(', ')}`);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        logger.error('Database migration error:', err);
+        return false;
     }
 }
 
@@ -73,162 +180,2298 @@ const loadTestData = async () => {
     try {
         await fs.access(filePath);
         const data = await fs.readFile(filePath, 'utf8');
-        const lines = data.trim().split('\n');
-        for (const line of lines) {
-            if (!line.trim()) continue;
-            const parts = line.split(',');
-            if (parts.length !== 6) {
-                logger.warn(`Skipped invalid line: "${line}" - Expected 6 fields, got ${parts.length}`);
+        // Test contacts belong to the first account; before anyone registers they stay unowned until the first user claims them
+        const ownerId = await repository.firstUserId();
+        for (const { line, fields } of parseCsv(data)) {
+            if (fields.length !== 6) {
+                logger.warn(`Skipped invalid line ${line}: "${fields.join(',')}" - Expected 6 fields, got ${fields.length}`);
                 continue;
             }
-            const [id, firstName, lastName, phone, address, email] = parts.map(part => part.trim());
-            const validationErrors = validateContact({ id, firstName, lastName, phone, address, email });
+            const [id, firstName, lastName, rawPhone, address, email] = fields.map(field => field.trim());
+            const validationErrors = validateContact({ id, firstName, lastName, phone: rawPhone, address, email });
             if (Object.keys(validationErrors).length === 0) {
+                const contact = normalizeContact({ id, firstName, lastName, phone: rawPhone, address, email });
                 try {
-                    await db.execute(
-                        'INSERT IGNORE INTO contacts (id, firstName, lastName, phone, address, email) VALUES (?, ?, ?, ?, ?, ?)',
-                        [id, firstName, lastName, phone, address, email]
-                    );
+                    await repository.transaction(async () => {
+                        await repository.createContact(contact, ownerId);
+                        await repository.addContactHistory({
+                            contactId: contact.id,
+                            ownerId,
+                            action: 'create',
+                            actorName: 'TestData.txt',
+                            before: null,
+                            after: snapshotContact(contact)
+                        });
+                    });
                     logger.info(`Loaded test contact with ID ${id}`);
                 } catch (err) {
-                    logger.warn(`Failed to insert contact ${id}:`, err);
+                    // Contacts already loaded on a previous start are left as they are
+                    if (!(err instanceof DuplicateError)) logger.warn(`Failed to insert contact ${id}:`, err);
                 }
             } else {
-                logger.warn(`Skipped invalid test contact with ID ${id}:`, validationErrors);
+                logger.warn(`Skipped invalid test contact with ID ${id}:`, contactSchema.errorMessages(validationErrors));
             }
         }
-        logger.info(`Loaded test data into MySQL from ${filePath}`);
+        logger.info(`Loaded test data into ${repository.name} storage from ${filePath}`);
     } catch (error) {
         logger.error('Failed to load test data:', { error: error.message, stack: error.stack, file: filePath });
     }
 };
 
-// Validation functions
-const validateEmail = (email) => !email ? 'Email is required' : /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? null : 'Invalid email';
-const validatePhone = (phone) => !phone ? 'Phone is required' : /^(\+?1?[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}$/.test(phone) ? null : 'Invalid phone';
-const validateAddress = (address) => address && address.length > 200 ? 'Address must be 200 characters or less' : null;
-const validateContact = (contact) => {
-    const errors = {};
-    if (!contact.id || contact.id.length > 10) errors.id = 'ID must be 10 characters or less';
-    if (!contact.firstName) errors.firstName = 'First name is required';
-    if (!contact.lastName) errors.lastName = 'Last name is required';
-    const emailError = validateEmail(contact.email);
-    if (emailError) errors.email = emailError;
-    const phoneError = validatePhone(contact.phone);
-    if (phoneError) errors.phone = phoneError;
-    const addressError = validateAddress(contact.address);
-    if (addressError) errors.address = addressError;
-    return errors;
+// Contacts are validated and normalized by the schema the React form uses, reading phone numbers without a
+// country code, and addresses without a country, as those of DEFAULT_PHONE_REGION
+const SCHEMA_OPTIONS = { defaultRegion: DEFAULT_PHONE_REGION };
+const validateContact = (contact) => contactSchema.validateContact(contact, SCHEMA_OPTIONS);
+const normalizeContact = (contact, existing) => contactSchema.normalizeContact(contact, SCHEMA_OPTIONS, existing);
+
+// Members of a request body that make up a contact: the schema's fields and collections. Anything else is ignored
+const CONTACT_INPUT_FIELDS = [...Object.keys(contactSchema.CONTACT_SCHEMA), ...Object.keys(contactSchema.CONTACT_COLLECTIONS)];
+
+/**
+ * Picks the contact out of a request body.
+ * @param {Object} body - Request body or batch operation contact.
+ * @returns {Object} The members of CONTACT_INPUT_FIELDS the body has.
+ */
+const contactInput = (body) => Object.fromEntries(CONTACT_INPUT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+/**
+ * Answers 400 for a contact that failed validation, with each field's message in `details` and its code in `codes`.
+ * @param {Object} res - Response object.
+ * @param {Object} errors - Field name to { code, message }, as validateContact returns them.
+ * @returns {Object} JSON response.
+ */
+const contactValidationFailed = (res, errors) => res.status(400).json({
+    error: 'Validation failed',
+    details: contactSchema.errorMessages(errors),
+    codes: contactSchema.errorCodes(errors)
+});
+
+/**
+ * Creates a contact under the ID it came with or, when it has none, under one the configured ID strategy
+ * allocates. Client-chosen IDs are kept for legacy clients and imports.
+ * @param {Object} contact - Normalized contact; `id` may be empty.
+ * @param {number} ownerId - User the contact belongs to.
+ * @returns {Promise<Object>} The contact as created, with its ID.
+ * @throws {DuplicateError} When the chosen ID is already taken.
+ */
+const createContact = async (contact, ownerId) => {
+    if (contact.id) {
+        await repository.createContact(contact, ownerId);
+        return contact;
+    }
+    const id = await contactIds.create(contact, (candidate) => repository.createContact({ ...contact, id: candidate }, ownerId));
+    return { ...contact, id };
+};
+
+/**
+ * Gives the path of a contact, for Location headers.
+ * @param {string} id - Contact ID.
+ * @returns {string} Path such as /contacts/1042.
+ */
+const contactPath = (id) => `/contacts/${encodeURIComponent(id)}`;
+
+/**
+ * Shapes a user row for API responses, including the permissions of their role.
+ * @param {Object} user - User row with id, username and role.
+ * @returns {Object} Public user object.
+ */
+const toUserResponse = ({ id, username, role }) => ({ id, username, role, permissions: permissionsFor(role) });
+
+/**
+ * Creates a session for a user and returns its tokens. Only token hashes are stored.
+ * @param {number} userId - Authenticated user's ID.
+ * @returns {Promise<Object>} accessToken, refreshToken and expiresIn (seconds).
+ */
+const createSession = async (userId) => {
+    const accessToken = generateToken();
+    const refreshToken = generateToken();
+    const now = Date.now();
+    await repository.createSession({
+        userId,
+        accessTokenHash: hashToken(accessToken),
+        accessExpiresAt: new Date(now + ACCESS_TOKEN_TTL_MS),
+        refreshTokenHash: hashToken(refreshToken),
+        refreshExpiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+    });
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_MS / 1000 };
+};
+
+/**
+ * Shapes an api_keys row for API responses. The key itself is never stored, so it cannot be returned.
+ * @param {Object} row - api_keys row.
+ * @returns {Object} Public API key metadata.
+ */
+const toApiKeyResponse = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.keyPrefix,
+    scopes: row.scopes.split(','),
+    rateLimit: row.rateLimit,
+    expiresAt: row.expiresAt,
+    lastUsedAt: row.lastUsedAt,
+    revokedAt: row.revokedAt,
+    createdBy: row.createdBy,
+    createdAt: row.createdAt
+});
+
+/**
+ * Sends the rate limit headers for a request counted against a limit, and answers 429 when it is over.
+ * @param {Object} res - Response object.
+ * @param {Object} limit - Outcome of the limiter's consume().
+ * @returns {boolean} True when the request was refused.
+ */
+const refuseOverLimit = (res, limit) => {
+    res.set({
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(limit.resetAt / 1000))
+    });
+    if (limit.allowed) return false;
+    res.set('Retry-After', String(Math.max(Math.ceil((limit.resetAt - Date.now()) / 1000), 1)));
+    res.status(429).json({ error: 'Rate limit exceeded' });
+    return true;
 };
 
 /**
- * Handles GET request to retrieve all contacts.
+ * Authenticates a machine client by its `X-API-Key` header, applies the key's rate limit
+ * and records when it was last used.
+ * @param {Object} req - Request object.
  * @param {Object} res - Response object.
- * @returns {Object} JSON response with contacts.
+ * @param {Function} next - Next middleware.
+ * @param {string} apiKey - Key from the header.
  */
-app.get('/contacts', async (req, res) => {
+const authenticateApiKey = async (req, res, next, apiKey) => {
     try {
-        const [rows] = await db.execute('SELECT * FROM contacts ORDER BY id');
-        logger.info('GET /contacts - Retrieved all contacts', { count: rows.length });
-        res.json(rows);
+        const key = await repository.findApiKeyByHash(hashToken(apiKey));
+        if (!key || key.revokedAt || (key.expiresAt && key.expiresAt <= new Date())) {
+            logger.warn('Invalid, expired or revoked API key', { method: req.method, url: req.originalUrl, apiKeyId: key ? key.id : undefined });
+            return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+        }
+        req.apiKey = { id: key.id, name: key.name };
+        if (refuseOverLimit(res, apiKeyLimiter.consume(`api-key:${key.id}`, key.rateLimit))) {
+            logger.warn('API key rate limit exceeded', { apiKeyId: key.id, apiKeyName: key.name, limit: key.rateLimit });
+            return;
+        }
+        await repository.touchApiKey(key.id, new Date());
+        // Contacts created with a key belong to the admin who issued it
+        req.user = {
+            id: key.createdBy,
+            username: `api-key:${key.name}`,
+            role: null,
+            permissions: permissionsForScopes(key.scopes.split(','))
+        };
+        next();
     } catch (err) {
-        logger.error('GET /contacts error:', err);
+        logger.error('API key authentication error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+/**
+ * Rejects requests without a valid, unexpired access token or API key and attaches the caller to req.user.
+ * @param {Object} req - Request with an `Authorization: Bearer <token>` or `X-API-Key` header.
+ * @param {Object} res - Response object.
+ * @param {Function} next - Next middleware.
+ */
+const authenticate = async (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) return authenticateApiKey(req, res, next, apiKey);
+    const token = parseBearerToken(req.get('Authorization'));
+    if (!token) {
+        logger.warn('Authentication required', { method: req.method, url: req.originalUrl });
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required' });
+    }
+    try {
+        const session = await repository.findSessionByAccessToken(hashToken(token), new Date());
+        if (!session) {
+            logger.warn('Invalid or expired access token', { method: req.method, url: req.originalUrl });
+            return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: 'Invalid or expired token' });
+        }
+        req.user = toUserResponse(session.user);
+        req.sessionId = session.sessionId;
+        next();
+    } catch (err) {
+        logger.error('Authentication error:', err);
         res.status(500).json({ error: 'Database error' });
     }
+};
+
+/**
+ * Rejects authenticated requests whose role lacks a permission.
+ * @param {string} permission - Required permission, e.g. `users:manage`.
+ * @returns {Function} Express middleware.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user.permissions.includes(permission)) {
+        logger.warn('Permission denied', { userId: req.user.id, role: req.user.role, permission, method: req.method, url: req.originalUrl });
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+};
+
+/**
+ * Rejects contact requests the caller's role does not allow, and records in req.contactScope
+ * whether the action covers the whole address book ('any') or only the caller's contacts ('own').
+ * @param {string} action - Contact action: read, update or delete.
+ * @returns {Function} Express middleware.
+ */
+const authorizeContacts = (action) => (req, res, next) => {
+    const scope = contactScope(req.user.permissions, action);
+    if (!scope) {
+        logger.warn('Permission denied', { userId: req.user.id, role: req.user.role, permission: `contacts:${action}`, method: req.method, url: req.originalUrl });
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    req.contactScope = scope;
+    next();
+};
+
+/**
+ * Works out which owner's contacts a request may act on.
+ * @param {Object} req - Request authorized by authorizeContacts.
+ * @returns {number|null} The caller's user ID, or null for the whole address book.
+ */
+const ownerFilter = (req) => req.contactScope === 'own' ? req.user.id : null;
+
+/**
+ * Records a contact change in the history, attributed to the caller. Call it in the transaction that saves the
+ * change, so that a change is never kept without its entry: when recording fails, the change is rolled back too.
+ * @param {Object} req - Authenticated request.
+ * @param {Object} entry - { contactId, ownerId, action, before, after, revertedTo, mergedWith }.
+ * @returns {Promise<number>} Version number of the new history entry.
+ */
+const recordHistory = (req, entry) => repository.addContactHistory({ ...entry, actorId: req.user.id, actorName: req.user.username });
+
+/**
+ * Answers a write whose If-Match no longer matches the contact, with the current server copy
+ * so the client can merge its changes or overwrite.
+ * @param {Object} res - Response object.
+ * @param {Object} contact - Current contact from findContact.
+ * @returns {Object} 412 JSON response with `current` (contact values and version) and its ETag.
+ */
+const preconditionFailed = (res, contact) => res.status(412)
+    .set('ETag', contactETag(contact.version))
+    .json({
+        error: 'Contact was changed by someone else',
+        current: { ...snapshotContact(contact), version: contact.version }
+    });
+
+/**
+ * Pings the database and reads the connection pool counters.
+ * @returns {Promise<Object>} Backend name, whether the database answered, how long it took, and pool stats.
+ */
+const checkDatabase = async () => {
+    const start = process.hrtime.bigint();
+    let timer;
+    try {
+        await Promise.race([
+            repository.ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No response within ${HEALTH_CHECK_TIMEOUT_MS} ms`)), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return { backend: repository.name, reachable: true, latencyMs: Number(process.hrtime.bigint() - start) / 1e6, pool: repository.poolStats() };
+    } catch (err) {
+        return { backend: repository.name, reachable: false, error: err.message, pool: repository.poolStats() };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Handles GET request for the liveness probe. Answers 200 while the process is running,
+ * even when the database is down, so an orchestrator does not restart the server for a database outage.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with uptime and database status.
+ */
+app.get('/healthz', async (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), database: await checkDatabase() });
 });
 
 /**
- * Handles POST request to add a new contact.
- * @param {Object} req.body - Contact data.
+ * Handles GET request for the readiness probe: 503 while the database cannot be reached.
  * @param {Object} res - Response object.
- * @returns {Object} JSON response.
+ * @returns {Object} JSON response with database status.
+ */
+app.get('/readyz', async (req, res) => {
+    const database = await checkDatabase();
+    if (!database.reachable) logger.warn('Readiness check failed', { error: database.error });
+    res.status(database.reachable ? 200 : 503).json({ status: database.reachable ? 'ready' : 'unavailable', database });
+});
+
+/**
+ * Handles GET request for Prometheus scrapes: request counts and latencies, storage timings,
+ * pool usage, validation failures and process stats.
+ * @param {Object} res - Response object.
+ * @returns {string} Metrics in the Prometheus text exposition format.
+ */
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+});
+
+/**
+ * Counts a sign-in or registration attempt against the caller's address, refusing it once AUTH_RATE_LIMIT is used up.
+ * @param {Object} req - Request object.
+ * @param {Object} res - Response object.
+ * @param {Function} next - Next middleware.
+ */
+const limitAuthAttempts = (req, res, next) => {
+    if (refuseOverLimit(res, authLimiter.consume(`auth:${req.ip}`, AUTH_RATE_LIMIT))) {
+        logger.warn('Sign-in rate limit exceeded', { ip: req.ip, url: req.originalUrl, limit: AUTH_RATE_LIMIT });
+        return;
+    }
+    next();
+};
+
+/**
+ * Handles POST request to register a new user and sign them in.
+ * The first account to register takes ownership of contacts that predate user accounts.
+ * @param {Object} req.body - username and password.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the user and session tokens.
  */
-app.post('/contacts', async (req, res) => {
-    const { id, firstName, lastName, phone, address, email } = req.body;
-    const validationErrors = validateContact({ id, firstName, lastName, phone, address, email });
+app.post('/auth/register', limitAuthAttempts, async (req, res) => {
+    const { username, password } = req.body || {};
+    const validationErrors = validateCredentials({ username, password });
     if (Object.keys(validationErrors).length > 0) {
-        logger.warn('POST /contacts - Validation failed', validationErrors);
+        logger.warn('POST /auth/register - Validation failed', validationErrors);
+        metrics.recordValidationFailures(validationErrors);
         return res.status(400).json({ error: 'Validation failed', details: validationErrors });
     }
     try {
-        await db.execute(
-            'INSERT INTO contacts (id, firstName, lastName, phone, address, email) VALUES (?, ?, ?, ?, ?, ?)',
-            [id, firstName, lastName, phone, address, email]
-        );
-        logger.info('POST /contacts - Contact added', { id });
-        res.status(201).json({ message: 'Contact added successfully' });
+        const passwordHash = await hashPassword(password);
+        const { userId, role } = await repository.transaction(async () => {
+            // The first account administers the address book; everyone else starts with a personal one. Whether this
+            // is the first is read after the insert, in the same transaction, so of accounts registered at once only
+            // the oldest can be
+            const id = await repository.createUser({ username, passwordHash, role: DEFAULT_ROLE });
+            if ((await repository.firstUserId()) !== id) return { userId: id, role: DEFAULT_ROLE };
+            await repository.setUserRole(id, 'admin');
+            const claimed = await repository.claimUnownedContacts(id);
+            logger.info('POST /auth/register - First user claimed existing contacts', { userId: id, count: claimed });
+            return { userId: id, role: 'admin' };
+        });
+        const session = await createSession(userId);
+        logger.info('POST /auth/register - User registered', { userId, username });
+        res.status(201).json({ message: 'User registered successfully', user: toUserResponse({ id: userId, username, role }), ...session });
     } catch (err) {
-        logger.error('POST /contacts error:', err);
-        res.status(400).json({ error: 'Duplicate ID or database error' });
+        if (err instanceof DuplicateError) {
+            logger.warn('POST /auth/register - Username taken', { username });
+            return res.status(409).json({ error: 'Username already taken' });
+        }
+        logger.error('POST /auth/register error:', err);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
 /**
- * Handles PUT request to update a contact.
- * @param {Object} req.params - Contact ID.
- * @param {Object} req.body - Updated contact data.
+ * Handles POST request to sign in with a username and password.
+ * @param {Object} req.body - username and password.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the user and session tokens.
+ */
+app.post('/auth/login', limitAuthAttempts, async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+    try {
+        const user = await repository.findUserByUsername(username);
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            logger.warn('POST /auth/login - Invalid credentials', { username });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        const session = await createSession(user.id);
+        logger.info('POST /auth/login - User signed in', { userId: user.id });
+        res.json({ user: toUserResponse(user), ...session });
+    } catch (err) {
+        logger.error('POST /auth/login error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to exchange a refresh token for a new token pair.
+ * The old refresh token stops working, so a stolen one can only be used once.
+ * @param {Object} req.body - refreshToken.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with new session tokens.
+ */
+app.post('/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    try {
+        const session = await repository.findSessionByRefreshToken(hashToken(refreshToken), new Date());
+        if (!session) {
+            logger.warn('POST /auth/refresh - Invalid or expired refresh token');
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+        const accessToken = generateToken();
+        const newRefreshToken = generateToken();
+        const now = Date.now();
+        await repository.updateSessionTokens(session.sessionId, {
+            accessTokenHash: hashToken(accessToken),
+            accessExpiresAt: new Date(now + ACCESS_TOKEN_TTL_MS),
+            refreshTokenHash: hashToken(newRefreshToken),
+            refreshExpiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+        });
+        logger.info('POST /auth/refresh - Session refreshed', { userId: session.user.id });
+        res.json({ user: toUserResponse(session.user), accessToken, refreshToken: newRefreshToken, expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
+    } catch (err) {
+        logger.error('POST /auth/refresh error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to end the caller's session.
  * @param {Object} res - Response object.
  * @returns {Object} JSON response.
  */
-app.put('/contacts/:id', async (req, res) => {
-    const { id } = req.params;
-    const { firstName, lastName, phone, address, email } = req.body;
-    const validationErrors = validateContact({ id, firstName, lastName, phone, address, email });
+app.post('/auth/logout', authenticate, async (req, res) => {
+    if (req.apiKey) {
+        return res.status(400).json({ error: 'API keys have no session to end' });
+    }
+    try {
+        await repository.deleteSession(req.sessionId);
+        logger.info('POST /auth/logout - User signed out', { userId: req.user.id });
+        res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+        logger.error('POST /auth/logout error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles GET request for the signed-in user's account.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the user, and the `schemaOptions` contacts are validated with, so forms
+ *   read phone numbers and addresses as the API does.
+ */
+app.get('/auth/me', authenticate, (req, res) => {
+    res.json({ user: req.user, schemaOptions: SCHEMA_OPTIONS });
+});
+
+// Administration routes require the users:manage permission
+app.use('/admin', authenticate, requirePermission('users:manage'));
+
+/**
+ * Handles GET request to list the available roles and their permissions.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response mapping role names to permissions.
+ */
+app.get('/admin/roles', (req, res) => {
+    res.json(ROLES);
+});
+
+/**
+ * Handles GET request to list all users and their roles.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with users.
+ */
+app.get('/admin/users', async (req, res) => {
+    try {
+        const rows = await repository.listUsers();
+        logger.info('GET /admin/users - Retrieved users', { count: rows.length });
+        res.json(rows.map(row => ({ ...toUserResponse(row), createdAt: row.createdAt })));
+    } catch (err) {
+        logger.error('GET /admin/users error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles PUT request to assign a role to a user. The last admin cannot be demoted.
+ * @param {Object} req.params - User ID.
+ * @param {Object} req.body - role.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the updated user.
+ */
+app.put('/admin/users/:id/role', async (req, res) => {
+    const userId = Number(req.params.id);
+    const { role } = req.body || {};
+    if (!Object.prototype.hasOwnProperty.call(ROLES, role)) {
+        logger.warn('PUT /admin/users/:id/role - Unknown role', { userId, role });
+        const details = { role: `Role must be one of ${Object.keys(ROLES).join(', ')}` };
+        metrics.recordValidationFailures(details);
+        return res.status(400).json({ error: 'Validation failed', details });
+    }
+    try {
+        const user = await repository.findUserById(userId);
+        if (!user) {
+            logger.warn('PUT /admin/users/:id/role - User not found', { userId });
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.role === 'admin' && role !== 'admin' && (await repository.countUsers('admin')) <= 1) {
+            logger.warn('PUT /admin/users/:id/role - Refused to demote last admin', { userId });
+            return res.status(409).json({ error: 'Cannot remove the last admin' });
+        }
+        await repository.setUserRole(userId, role);
+        logger.info('PUT /admin/users/:id/role - Role assigned', { userId, role, by: req.user.id });
+        res.json({ message: 'Role updated successfully', user: toUserResponse({ ...user, role }) });
+    } catch (err) {
+        logger.error('PUT /admin/users/:id/role error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to issue an API key. The key is returned once and only its hash is stored.
+ * @param {Object} req.body - name, scopes (read, write, delete), optional expiresAt (ISO date) and rateLimit (requests per minute).
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the key and its metadata.
+ */
+app.post('/admin/api-keys', async (req, res) => {
+    const { name, scopes, expiresAt, rateLimit = API_KEY_DEFAULT_RATE_LIMIT } = req.body || {};
+    const validationErrors = {};
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        validationErrors.name = 'Name is required and must be 100 characters or less';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope))) {
+        validationErrors.scopes = `Scopes must be a non-empty list of ${Object.keys(API_KEY_SCOPES).join(', ')}`;
+    }
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+        validationErrors.expiresAt = 'Expiry must be a date in the future';
+    }
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 10000) {
+        validationErrors.rateLimit = 'Rate limit must be an integer between 1 and 10000 requests per minute';
+    }
     if (Object.keys(validationErrors).length > 0) {
-        logger.warn('PUT /contacts/:id - Validation failed', validationErrors);
+        logger.warn('POST /admin/api-keys - Validation failed', validationErrors);
+        metrics.recordValidationFailures(validationErrors);
         return res.status(400).json({ error: 'Validation failed', details: validationErrors });
     }
     try {
-        const [result] = await db.execute(
-            'UPDATE contacts SET firstName = ?, lastName = ?, phone = ?, address = ?, email = ? WHERE id = ?',
-            [firstName, lastName, phone, address, email, id]
-        );
-        if (result.affectedRows === 0) {
-            logger.warn('PUT /contacts/:id - Contact not found', { id });
-            return res.status(404).json({ error: 'Contact not found' });
-        }
-        logger.info('PUT /contacts/:id - Contact updated', { id });
-        res.json({ message: 'Contact updated successfully' });
+        const { key, prefix } = generateApiKey();
+        const uniqueScopes = [...new Set(scopes)].join(',');
+        const row = await repository.createApiKey({
+            name: name.trim(),
+            keyPrefix: prefix,
+            keyHash: hashToken(key),
+            scopes: uniqueScopes,
+            rateLimit,
+            expiresAt: expiry,
+            createdBy: req.user.id
+        });
+        logger.info('POST /admin/api-keys - API key created', { apiKeyId: row.id, name: row.name, scopes: uniqueScopes, by: req.user.id });
+        res.status(201).json({ message: 'API key created; store it now, it will not be shown again', key, apiKey: toApiKeyResponse(row) });
     } catch (err) {
-        logger.error('PUT /contacts/:id error:', err);
+        logger.error('POST /admin/api-keys error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
 /**
- * Handles DELETE request to delete a contact.
- * @param {Object} req.params - Contact ID.
+ * Handles GET request to list API keys (without the keys themselves).
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with API key metadata.
+ */
+app.get('/admin/api-keys', async (req, res) => {
+    try {
+        const rows = await repository.listApiKeys();
+        logger.info('GET /admin/api-keys - Retrieved API keys', { count: rows.length });
+        res.json(rows.map(toApiKeyResponse));
+    } catch (err) {
+        logger.error('GET /admin/api-keys error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles DELETE request to revoke an API key. Revoked keys stay listed for auditing.
+ * @param {Object} req.params - API key ID.
  * @param {Object} res - Response object.
  * @returns {Object} JSON response.
  */
-app.delete('/contacts/:id', async (req, res) => {
-    const { id } = req.params;
+app.delete('/admin/api-keys/:id', async (req, res) => {
+    const apiKeyId = Number(req.params.id);
     try {
-        const [result] = await db.execute('DELETE FROM contacts WHERE id = ?', [id]);
-        if (result.affectedRows === 0) {
-            logger.warn('DELETE /contacts/:id - Contact not found', { id });
-            return res.status(404).json({ error: 'Contact not found' });
+        const revoked = await repository.revokeApiKey(apiKeyId, new Date());
+        if (!revoked) {
+            logger.warn('DELETE /admin/api-keys/:id - Active API key not found', { apiKeyId });
+            return res.status(404).json({ error: 'API key not found or already revoked' });
         }
-        logger.info('DELETE /contacts/:id - Contact deleted', { id });
-        res.json({ message: 'Contact deleted successfully' });
+        logger.info('DELETE /admin/api-keys/:id - API key revoked', { apiKeyId, by: req.user.id });
+        res.json({ message: 'API key revoked successfully' });
     } catch (err) {
-        logger.error('DELETE /contacts/:id error:', err);
+        logger.error('DELETE /admin/api-keys/:id error:', err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    logger.error('Unhandled error', { error: err.message, stack: err.stack, url: req.url, method: req.method });
-    res.status(500).json({ error: 'Internal server error' });
+// Every contact route requires a signed-in user or an API key
+app.use('/contacts', authenticate);
+
+/**
+ * Handles GET request to list contacts one page at a time, optionally filtered by a ranked fuzzy search.
+ * @param {Object} req.query - Optional `q` search text, `limit`, `after`/`before` cursors,
+ *   `sort` (e.g. `lastName,-firstName`, or `country,city` for the primary address), `fields` projection,
+ *   `locale` for name collation, and `city`, `region`, `postalCode` (its start) and `country` to keep the contacts
+ *   with an address there.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with `data`, `page` ({ limit, total, nextCursor, prevCursor }) and `links`;
+ *   search results also carry `score` and `matchedFields`.
+ */
+app.get('/contacts', authorizeContacts('read'), async (req, res) => {
+    const { q } = req.query;
+    const searching = typeof q === 'string' && q.trim() !== '';
+    let options;
+    try {
+        options = parseListQuery(req.query, { searching, acceptLanguage: req.get('Accept-Language') });
+    } catch (err) {
+        if (!(err instanceof QueryError)) throw err;
+        logger.warn('GET /contacts - Invalid query parameters', err.details);
+        metrics.recordValidationFailures(err.details);
+        return res.status(400).json({ error: err.message, details: err.details });
+    }
+    try {
+        // Search results are ranked in memory; plain listings are paged by the database
+        const page = searching
+            ? paginate(searchContacts((await repository.listContacts(ownerFilter(req))).filter(createAddressFilter(options.filters, options.locale)), q), options)
+            : pageResponse(await repository.listContactsPage(ownerFilter(req), options), options);
+        logger.info('GET /contacts - Retrieved contacts', { q, ...options.filters, count: page.data.length, total: page.total });
+        res.json({
+            data: page.data,
+            page: { limit: options.limit, total: page.total, nextCursor: page.nextCursor, prevCursor: page.prevCursor },
+            links: buildLinks('/contacts', req.query, page)
+        });
+    } catch (err) {
+        logger.error('GET /contacts error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
 });
 
-const PORT = process.env.PORT || 3000;
-(async () => {
-    await initializeDatabase();
+/**
+ * Handles GET request to download contacts as CSV, JSON Lines, XLSX, vCard or mailing labels. Takes the same `q`,
+ * `sort`, `fields`, `locale` and address filter parameters as GET /contacts, but returns every matching contact
+ * rather than one page. Without `q`, rows stream from storage, sorted and filtered there, and are never all held in
+ * memory; ranking search results by relevance needs every match before the first can be written, so only the
+ * matches are collected.
+ * Labels leave the country off addresses in DEFAULT_PHONE_REGION, where the mail is taken to be sent from.
+ * @param {Object} req.query - `format` (csv, jsonl, xlsx, vcf or labels; default csv), `version` of the vCards
+ *   (3.0 or 4.0; default 3.0), `profile` to write the CSV in Google Contacts or Outlook columns (google or outlook)
+ *   plus the list filters.
+ * @param {Object} res - Response object.
+ * @returns {Object} File download, one contact per row or card.
+ */
+app.get('/contacts/export', authorizeContacts('read'), async (req, res) => {
+    const { q, format = 'csv', version: vcardVersion = '3.0', profile } = req.query;
+    const searching = typeof q === 'string' && q.trim() !== '';
+    let options;
+    try {
+        options = parseListQuery(req.query, { searching, acceptLanguage: req.get('Accept-Language') });
+        if (!EXPORT_FORMATS[format]) {
+            throw new QueryError({ format: `Format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        if (format === 'vcf' && !VCARD_VERSIONS.includes(vcardVersion)) {
+            throw new QueryError({ version: `Version must be one of ${VCARD_VERSIONS.join(', ')}` });
+        }
+        if (profile !== undefined && (format !== 'csv' || !CSV_PROFILES[profile])) {
+            throw new QueryError({ profile: `Profile must be one of ${Object.keys(CSV_PROFILES).join(', ')}, with format csv` });
+        }
+    } catch (err) {
+        if (!(err instanceof QueryError)) throw err;
+        logger.warn('GET /contacts/export - Invalid query parameters', err.details);
+        metrics.recordValidationFailures(err.details);
+        return res.status(400).json({ error: err.message, details: err.details });
+    }
+
+    // Spreadsheets get the single phone, email and address, the columns POST /contacts/import reads back
+    const fields = options.fields || (format === 'jsonl' ? [...CONTACT_FIELDS, ...COLLECTION_FIELDS] : CONTACT_FIELDS);
+    let count = 0;
+    try {
+        let rows;
+        if (searching) {
+            // Relevance is only known once a contact is matched, so storage reads the filtered contacts in ID order
+            const match = createMatcher(q);
+            const matches = [];
+            const listed = repository.streamContacts(ownerFilter(req), { ...options, sort: [{ field: 'id', direction: 'asc' }] });
+            for await (const row of listed) {
+                const ranking = match(row);
+                if (ranking) matches.push({ ...row, ...ranking });
+            }
+            rows = matches.sort(createComparator(options.sort, options.locale));
+        } else {
+            rows = repository.streamContacts(ownerFilter(req), options);
+        }
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.attachment(`contacts-${profile ? `${profile}-` : ''}${new Date().toISOString().slice(0, 10)}.${extension}`);
+        res.set('Content-Type', contentType);
+        const writer = createExportWriter(format, res, fields, {
+            vcardVersion,
+            profile: profile ? CSV_PROFILES[profile] : null,
+            homeCountry: DEFAULT_PHONE_REGION
+        });
+        for await (const row of rows) {
+            if (res.destroyed) break;
+            await writer.write(row);
+            count++;
+        }
+        await writer.end();
+        logger.info('GET /contacts/export - Exported contacts', { format, profile, q, ...options.filters, count, aborted: res.destroyed });
+    } catch (err) {
+        logger.error('GET /contacts/export error:', err);
+        // Once the file has started there is no way to report an error but to cut it short
+        if (res.headersSent) res.destroy(err);
+        else res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to add a new contact. The ID may be left out, and the server allocates one; the new
+ * contact's URL is sent in the Location header.
+ * @param {Object} req.body - Contact data, with an optional `id`.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the contact's `id` and `version`.
+ */
+app.post('/contacts', requirePermission('contacts:create'), async (req, res) => {
+    const input = contactInput(req.body || {});
+    const validationErrors = validateContact(input);
+    if (Object.keys(validationErrors).length > 0) {
+        logger.warn('POST /contacts - Validation failed', contactSchema.errorCodes(validationErrors));
+        metrics.recordValidationFailures(validationErrors);
+        return contactValidationFailed(res, validationErrors);
+    }
+    try {
+        const contact = await repository.transaction(async () => {
+            const created = await createContact(normalizeContact(input), req.user.id);
+            await recordHistory(req, {
+                contactId: created.id,
+                ownerId: req.user.id,
+                action: 'create',
+                before: null,
+                after: snapshotContact(created)
+            });
+            return created;
+        });
+        logger.info('POST /contacts - Contact added', { id: contact.id });
+        res.status(201).location(contactPath(contact.id)).set('ETag', contactETag(1))
+            .json({ message: 'Contact added successfully', id: contact.id, version: 1 });
+    } catch (err) {
+        if (err instanceof DuplicateError) {
+            logger.warn('POST /contacts - Duplicate ID', { id: input.id });
+            return res.status(409).json({ error: 'Duplicate ID' });
+        }
+        logger.error('POST /contacts error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+const BATCH_MODES = ['atomic', 'best-effort'];
+const BATCH_OPS = ['create', 'update', 'delete'];
+
+// Thrown inside the batch transaction to undo the operations that already ran
+const batchRollback = new Error('Batch rolled back');
+
+/**
+ * Checks one batch operation before anything runs: its shape, the caller's permission for it and,
+ * for create and update, the same contact validation as POST and PUT.
+ * @param {Object} req - Authenticated request.
+ * @param {Object} operation - { op, id, contact, version } from the request body.
+ * @returns {Object} Field name to error message; empty when the operation may run.
+ */
+const validateBatchOperation = (req, operation) => {
+    if (!operation || typeof operation !== 'object' || !BATCH_OPS.includes(operation.op)) {
+        return { op: `op must be one of ${BATCH_OPS.join(', ')}` };
+    }
+    const { op } = operation;
+    const contact = operation.contact || {};
+    const permitted = op === 'create'
+        ? req.user.permissions.includes('contacts:create')
+        : contactScope(req.user.permissions, op) !== null;
+    if (!permitted) return { op: `Insufficient permissions to ${op} contacts` };
+
+    const errors = {};
+    if (op !== 'create' && (typeof operation.id !== 'string' || !operation.id)) errors.id = 'ID is required';
+    if (op !== 'delete') {
+        const id = op === 'create' ? contact.id : operation.id;
+        Object.assign(errors, contactSchema.errorMessages(validateContact({ ...contactInput(contact), id })));
+    }
+    if (op !== 'create' && operation.version !== undefined && !Number.isInteger(operation.version)) {
+        errors.version = 'Version must be an integer';
+    }
+    return errors;
+};
+
+/**
+ * Runs one validated batch operation, recording it in the contact's history like the single-contact routes do,
+ * in a transaction of its own or the one of an atomic batch. Update and delete only go ahead while the contact is
+ * at `version`, when one is given.
+ * @param {Object} req - Authenticated request.
+ * @param {Object} operation - Operation that passed validateBatchOperation.
+ * @returns {Promise<Object>} { id, status, version } on success, or { id, status, error } when the operation failed.
+ */
+const runBatchOperation = (req, operation) => repository.transaction(async () => {
+    const { op } = operation;
+    if (op === 'create') {
+        const input = contactInput(operation.contact);
+        let contact;
+        try {
+            contact = await createContact(normalizeContact(input), req.user.id);
+        } catch (err) {
+            if (err instanceof DuplicateError) return { id: input.id, status: 409, error: 'Duplicate ID' };
+            throw err;
+        }
+        await recordHistory(req, { contactId: contact.id, ownerId: req.user.id, action: 'create', before: null, after: snapshotContact(contact) });
+        return { id: contact.id, status: 201, version: 1 };
+    }
+
+    const { id, version } = operation;
+    const owner = contactScope(req.user.permissions, op) === 'own' ? req.user.id : null;
+    const existing = await repository.findContact(id, owner);
+    if (!existing) return { id, status: 404, error: 'Contact not found' };
+    const changed = { id, status: 412, error: 'Contact was changed by someone else', version: existing.version };
+    if (version !== undefined && version !== existing.version) return changed;
+
+    if (op === 'update') {
+        const fields = normalizeContact({ ...contactInput(operation.contact), id }, existing);
+        if (!(await repository.updateContact(id, fields, owner, existing.version))) return changed;
+        await recordHistory(req, {
+            contactId: id,
+            ownerId: existing.ownerId,
+            action: 'update',
+            before: snapshotContact(existing),
+            after: snapshotContact(fields)
+        });
+        return { id, status: 200, version: existing.version + 1 };
+    }
+
+    if (!(await repository.deleteContact(id, owner, existing.version))) return changed;
+    await recordHistory(req, { contactId: id, ownerId: existing.ownerId, action: 'delete', before: snapshotContact(existing), after: null });
+    return { id, status: 200 };
+});
+
+/**
+ * Handles POST request to create, update and delete many contacts at once.
+ * In `atomic` mode (the default) every operation is validated first and nothing runs unless all are valid;
+ * they then run in one transaction that is rolled back if any of them fails. In `best-effort` mode each
+ * operation stands alone and the ones that fail are reported without affecting the rest.
+ * @param {Object} req.body - `mode` and `operations`: up to BATCH_MAX_OPERATIONS of
+ *   { op: 'create', contact }, { op: 'update', id, contact, version? } or { op: 'delete', id, version? }.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with one result per operation ({ index, op, id, status, version, error, details }).
+ *   Validation errors are keyed by operation index.
+ */
+app.post('/contacts/batch', async (req, res) => {
+    const { mode = 'atomic', operations } = req.body || {};
+    const requestErrors = {};
+    if (!BATCH_MODES.includes(mode)) requestErrors.mode = `Mode must be one of ${BATCH_MODES.join(', ')}`;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        requestErrors.operations = 'Operations must be a non-empty array';
+    } else if (operations.length > BATCH_MAX_OPERATIONS) {
+        requestErrors.operations = `A batch can hold at most ${BATCH_MAX_OPERATIONS} operations`;
+    }
+    if (Object.keys(requestErrors).length > 0) {
+        logger.warn('POST /contacts/batch - Invalid batch', requestErrors);
+        metrics.recordValidationFailures(requestErrors);
+        return res.status(400).json({ error: 'Validation failed', details: requestErrors });
+    }
+
+    const validationErrors = {};
+    operations.forEach((operation, index) => {
+        const errors = validateBatchOperation(req, operation);
+        if (Object.keys(errors).length > 0) {
+            validationErrors[index] = errors;
+            metrics.recordValidationFailures(errors);
+        }
+    });
+    const describe = (operation, index) => ({ index, op: operation && operation.op, id: operation && (operation.id ?? (operation.contact || {}).id) });
+
+    try {
+        if (mode === 'atomic') {
+            if (Object.keys(validationErrors).length > 0) {
+                logger.warn('POST /contacts/batch - Validation failed', { invalid: Object.keys(validationErrors).length });
+                return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+            }
+            const results = [];
+            try {
+                await repository.transaction(async () => {
+                    for (const [index, operation] of operations.entries()) {
+                        const result = { ...describe(operation, index), ...(await runBatchOperation(req, operation)) };
+                        results.push(result);
+                        if (result.error) throw batchRollback;
+                    }
+                });
+            } catch (err) {
+                if (err !== batchRollback) throw err;
+                const failed = results[results.length - 1];
+                logger.warn('POST /contacts/batch - Rolled back', { index: failed.index, status: failed.status, error: failed.error });
+                return res.status(409).json({
+                    error: `Operation ${failed.index} failed; no changes were saved`,
+                    mode,
+                    committed: false,
+                    results
+                });
+            }
+            logger.info('POST /contacts/batch - Batch committed', { mode, count: results.length });
+            return res.json({ mode, committed: true, results });
+        }
+
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            if (validationErrors[index]) {
+                results.push({ ...describe(operation, index), status: 400, error: 'Validation failed', details: validationErrors[index] });
+                continue;
+            }
+            try {
+                results.push({ ...describe(operation, index), ...(await runBatchOperation(req, operation)) });
+            } catch (err) {
+                logger.error('POST /contacts/batch operation error:', err);
+                results.push({ ...describe(operation, index), status: 500, error: 'Database error' });
+            }
+        }
+        const failed = results.filter(result => result.error).length;
+        logger.info('POST /contacts/batch - Batch processed', { mode, succeeded: results.length - failed, failed });
+        res.status(failed > 0 ? 207 : 200).json({ mode, succeeded: results.length - failed, failed, results });
+    } catch (err) {
+        logger.error('POST /contacts/batch error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+const IMPORT_CONFLICT_POLICIES = ['skip', 'overwrite', 'fail'];
+
+// Thrown inside the import transaction to undo a dry run or an import stopped by an ID conflict
+const importRollback = new Error('Import rolled back');
+
+/**
+ * Reads the options every import route takes from the query string.
+ * @param {Object} req - Authenticated request.
+ * @returns {{onConflict: string, dryRun: boolean, updateScope: string|null, errors: Object}} Options, the caller's
+ *   scope for overwriting contacts, and field name to error message (empty when the options are valid).
+ */
+const parseImportOptions = (req) => {
+    const { onConflict = 'fail' } = req.query;
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const updateScope = contactScope(req.user.permissions, 'update');
+    const errors = {};
+    if (!IMPORT_CONFLICT_POLICIES.includes(onConflict)) {
+        errors.onConflict = `onConflict must be one of ${IMPORT_CONFLICT_POLICIES.join(', ')}`;
+    } else if (onConflict === 'overwrite' && !updateScope) {
+        errors.onConflict = 'Insufficient permissions to overwrite contacts';
+    }
+    return { onConflict, dryRun, updateScope, errors };
+};
+
+/**
+ * Saves imported contacts in one transaction. Records that fail validation are reported and left out;
+ * records whose ID already exists are skipped, overwritten or reported as conflicts according to `onConflict`.
+ * The transaction is rolled back on a dry run, and when any conflict stops the import.
+ * @param {Object} req - Authenticated request.
+ * @param {Object[]} records - { line, contact, error } per record, where `error` (optional) rejects the record
+ *   as it is; any other properties are copied to the record's report row.
+ * @param {Object} options - From parseImportOptions.
+ * @returns {Promise<Object[]>} One row per record: { line, id, action: insert|update|skip|conflict|error, duplicate, details }.
+ */
+const importContacts = async (req, records, { onConflict, dryRun, updateScope }) => {
+    // Conflicts are looked for among the contacts the caller can see
+    const lookupOwner = contactScope(req.user.permissions, 'read') === 'any' ? null : req.user.id;
+    const rows = [];
+    try {
+        await repository.transaction(async () => {
+            const seen = new Map();
+            for (const { line, contact: record, error, ...extra } of records) {
+                const { id } = record;
+                const report = (fields) => rows.push({ line, id, ...fields, ...extra });
+                const details = error ? { ...error } : contactSchema.errorMessages(validateContact(record));
+                if (id && seen.has(id)) details.id = `Same ID as line ${seen.get(id)}`;
+                if (Object.keys(details).length > 0) {
+                    metrics.recordValidationFailures(details);
+                    report({ action: 'error', duplicate: Boolean(id) && seen.has(id), details });
+                    continue;
+                }
+                if (id) seen.set(id, line);
+
+                // Records without an ID are always new contacts, under an ID the server allocates
+                const existing = id ? await repository.findContact(id, lookupOwner) : null;
+                if (existing && onConflict !== 'overwrite') {
+                    report({ action: onConflict === 'skip' ? 'skip' : 'conflict', duplicate: true });
+                } else if (existing) {
+                    if (updateScope === 'own' && existing.ownerId !== req.user.id) {
+                        report({ action: 'error', duplicate: true, details: { id: 'Insufficient permissions to overwrite this contact' } });
+                        continue;
+                    }
+                    // Records with only the single phone, email and address fields keep the contact's other entries
+                    const contact = normalizeContact(record, existing);
+                    if (!(await repository.updateContact(id, contact, null, existing.version))) {
+                        report({ action: 'error', duplicate: true, details: { id: 'Contact was changed or deleted during the import; import it again' } });
+                        continue;
+                    }
+                    await recordHistory(req, { contactId: id, ownerId: existing.ownerId, action: 'update', before: snapshotContact(existing), after: snapshotContact(contact) });
+                    report({ action: 'update', duplicate: true });
+                } else {
+                    let created;
+                    try {
+                        created = await createContact(normalizeContact(record), req.user.id);
+                    } catch (err) {
+                        if (!(err instanceof DuplicateError)) throw err;
+                        // Taken by a contact the caller cannot see, or one in the trash, so it can never be overwritten
+                        const action = { skip: 'skip', fail: 'conflict', overwrite: 'error' }[onConflict];
+                        report({ action, duplicate: true, details: { id: 'ID is already in use' } });
+                        continue;
+                    }
+                    await recordHistory(req, { contactId: created.id, ownerId: req.user.id, action: 'create', before: null, after: snapshotContact(created) });
+                    report({ action: 'insert', duplicate: false, id: created.id });
+                }
+            }
+            if (dryRun || rows.some(row => row.action === 'conflict')) throw importRollback;
+        });
+    } catch (err) {
+        if (err !== importRollback) throw err;
+    }
+    return rows;
+};
+
+/**
+ * Sends the report of an import: 200 when it was saved or was a dry run, 409 when a conflict stopped it.
+ * @param {Object} req - Authenticated request.
+ * @param {Object} res - Response object.
+ * @param {Object[]} rows - From importContacts.
+ * @param {Object} options - From parseImportOptions.
+ * @param {Object} [details] - Route-specific members for the report, placed before the summary.
+ */
+const sendImportReport = (req, res, rows, { onConflict, dryRun }, details = {}) => {
+    const count = (action) => rows.filter(row => row.action === action).length;
+    const conflicts = count('conflict');
+    const report = {
+        dryRun,
+        committed: !dryRun && conflicts === 0,
+        onConflict,
+        ...details,
+        summary: {
+            rows: rows.length,
+            inserted: count('insert'),
+            updated: count('update'),
+            skipped: count('skip'),
+            conflicts,
+            duplicates: rows.filter(row => row.duplicate).length,
+            errors: count('error')
+        },
+        rows
+    };
+    logger.info(`POST ${req.path} - Import processed`, { dryRun, committed: report.committed, ...report.summary });
+    if (conflicts > 0 && !dryRun) {
+        return res.status(409).json({ error: `Nothing was imported: ${conflicts} ${conflicts === 1 ? 'row has an ID' : 'rows have IDs'} that already exist`, ...report });
+    }
+    res.json(report);
+};
+
+/**
+ * Handles POST request to import contacts from a CSV file sent as the request body (Content-Type: text/csv).
+ * The first record is the header row. Columns are matched to contact fields by header name unless `mapping` says otherwise.
+ * Files exported by Google Contacts or Outlook are read with that application's profile (see lib/csvProfiles.js),
+ * which is picked from the header row unless `profile` names it.
+ * Rows that fail validation are reported and left out; everything else is saved in one transaction.
+ * @param {Object} req.query - `mapping` (JSON object of header to contact field, or to null to ignore a column),
+ *   `profile` (google or outlook; not with `mapping`),
+ *   `onConflict` (what to do with rows whose ID already exists: skip, overwrite or fail; default fail)
+ *   and `dryRun` (true to report what would happen without saving anything).
+ * @param {string} req.body - CSV text (RFC 4180).
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON report with the profile or mapping used, a summary and one entry per row:
+ *   { line, id, action: insert|update|skip|conflict|error, duplicate, details }. With a profile, each row also lists
+ *   the values that were left out in `unmapped` ({ column, value, reason }).
+ */
+app.post('/contacts/import', requirePermission('contacts:create'), express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_SIZE }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+    const options = parseImportOptions(req);
+    const optionErrors = options.errors;
+    let requestedMapping = {};
+    if (req.query.mapping !== undefined) {
+        try {
+            requestedMapping = JSON.parse(req.query.mapping);
+        } catch (err) {
+            requestedMapping = null;
+        }
+        if (!requestedMapping || typeof requestedMapping !== 'object' || Array.isArray(requestedMapping)) {
+            optionErrors.mapping = 'Mapping must be a JSON object of column header to contact field';
+        }
+    }
+    const { profile: requestedProfile } = req.query;
+    if (requestedProfile !== undefined && !CSV_PROFILES[requestedProfile]) {
+        optionErrors.profile = `Profile must be one of ${Object.keys(CSV_PROFILES).join(', ')}`;
+    } else if (requestedProfile !== undefined && req.query.mapping !== undefined) {
+        optionErrors.profile = 'Use either profile or mapping, not both';
+    }
+    if (Object.keys(optionErrors).length > 0) {
+        logger.warn('POST /contacts/import - Invalid options', optionErrors);
+        metrics.recordValidationFailures(optionErrors);
+        return res.status(400).json({ error: 'Validation failed', details: optionErrors });
+    }
+
+    let records;
+    let profile = null;
+    let columns;
+    let mapping = null;
+    try {
+        records = parseCsv(req.body);
+        if (records.length === 0) return res.status(400).json({ error: 'The file is empty' });
+        const headers = records[0].fields;
+        profile = requestedProfile || (req.query.mapping === undefined ? detectProfile(headers) : null);
+        if (!profile) ({ columns, mapping } = resolveMapping(headers, requestedMapping));
+    } catch (err) {
+        if (err instanceof CsvError) {
+            logger.warn('POST /contacts/import - Malformed CSV', { error: err.message });
+            return res.status(400).json({ error: 'Malformed CSV', details: { line: err.line, message: err.message } });
+        }
+        if (err instanceof MappingError) {
+            logger.warn('POST /contacts/import - Invalid mapping', err.details);
+            return res.status(400).json({ error: err.message, details: err.details });
+        }
+        throw err;
+    }
+
+    const [header, ...data] = records;
+    const entries = profile
+        ? data.map(({ line, fields }) => ({ line, ...profileRecordToContact(profile, header.fields, fields) }))
+        : data.map(({ line, fields }) => ({ line, contact: recordToContact(fields, columns) }));
+    let rows;
+    try {
+        rows = await importContacts(req, entries, options);
+    } catch (err) {
+        logger.error('POST /contacts/import error:', err);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    sendImportReport(req, res, rows, options, { profile, mapping });
+});
+
+/**
+ * Handles POST request to import contacts from vCards (3.0 or 4.0) sent as the request body (Content-Type: text/vcard).
+ * N, FN, TEL, EMAIL and ADR fill the contact fields; the UID becomes the ID when it is 10 characters or less,
+ * and is otherwise hashed into one, so a card imported twice is recognized. Anything else on a card is listed
+ * in its row's `unmapped` rather than silently dropped. Cards that fail validation are reported and left out;
+ * everything else is saved in one transaction.
+ * @param {Object} req.query - `onConflict` (skip, overwrite or fail; default fail) and `dryRun`, as for POST /contacts/import.
+ * @param {string} req.body - One or more vCards.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON report with a summary, a count of unmapped values per property, and one entry per card:
+ *   { line, id, uid, action, duplicate, details, unmapped: [{ property, line, value, reason }] }.
+ */
+app.post('/contacts/import/vcard', requirePermission('contacts:create'), express.text({ type: ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'], limit: IMPORT_MAX_SIZE }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Send the vCards as the request body with Content-Type: text/vcard' });
+    }
+    const options = parseImportOptions(req);
+    if (Object.keys(options.errors).length > 0) {
+        logger.warn('POST /contacts/import/vcard - Invalid options', options.errors);
+        metrics.recordValidationFailures(options.errors);
+        return res.status(400).json({ error: 'Validation failed', details: options.errors });
+    }
+
+    let cards;
+    try {
+        cards = parseVCards(req.body);
+    } catch (err) {
+        if (!(err instanceof VCardError)) throw err;
+        logger.warn('POST /contacts/import/vcard - Malformed vCard', { error: err.message });
+        return res.status(400).json({ error: 'Malformed vCard', details: { line: err.line, message: err.message } });
+    }
+    if (cards.length === 0) return res.status(400).json({ error: 'The file has no vCards' });
+
+    const records = cards.map(card => {
+        const { uid, contact, unmapped } = cardToContact(card);
+        const error = VCARD_VERSIONS.includes(card.version)
+            ? undefined
+            : { version: `vCard version ${card.version || '(none)'} is not supported; use ${VCARD_VERSIONS.join(' or ')}` };
+        return { line: card.line, contact, error, uid, unmapped };
+    });
+    const unmappedProperties = {};
+    records.forEach(record => record.unmapped.forEach(({ property }) => {
+        unmappedProperties[property] = (unmappedProperties[property] || 0) + 1;
+    }));
+
+    let rows;
+    try {
+        rows = await importContacts(req, records, options);
+    } catch (err) {
+        logger.error('POST /contacts/import/vcard error:', err);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    sendImportReport(req, res, rows, options, { unmappedProperties });
+});
+
+/**
+ * Handles GET request to find contacts that are probably the same person: the same email (ignoring case), the same
+ * phone number (ignoring formatting), or names alike enough to be typos of each other (see lib/duplicates.js).
+ * Registered before the /contacts/:id routes so "duplicates" is not taken for a contact ID.
+ * @param {Object} req.query - `minConfidence` (0 to 1; default 0.6), the lowest confidence that links two contacts.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with `data`: groups of { confidence, contacts, pairs }, most confident first,
+ *   where each pair is { ids, confidence, matchedFields } and contacts carry their `version`.
+ */
+app.get('/contacts/duplicates', authorizeContacts('read'), async (req, res) => {
+    const minConfidence = req.query.minConfidence === undefined ? DEFAULT_MIN_CONFIDENCE : Number(req.query.minConfidence);
+    if (!(minConfidence >= 0 && minConfidence <= 1)) {
+        const details = { minConfidence: 'minConfidence must be a number from 0 to 1' };
+        metrics.recordValidationFailures(details);
+        return res.status(400).json({ error: 'Invalid query parameters', details });
+    }
+    try {
+        const rows = await repository.listContacts(ownerFilter(req));
+        const groups = findDuplicates(rows, minConfidence).map(group => ({
+            ...group,
+            contacts: group.contacts.map(contact => ({ ...snapshotContact(contact), version: contact.version }))
+        }));
+        logger.info('GET /contacts/duplicates - Found duplicates', { minConfidence, groups: groups.length });
+        res.json({ minConfidence, data: groups });
+    } catch (err) {
+        logger.error('GET /contacts/duplicates error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Thrown inside the merge transaction when a contact changes before the merge is saved
+const mergeConflict = new Error('Contact changed during merge');
+
+/**
+ * Checks a merge request's shape: a target, at least one other contact, field choices naming one of them,
+ * and optional expected versions.
+ * @param {Object} body - Request body.
+ * @returns {Object} Field name to error message; empty when the request is valid.
+ */
+const validateMergeRequest = ({ targetId, sourceIds, fields = {}, versions = {} }) => {
+    const errors = {};
+    if (typeof targetId !== 'string' || !targetId) errors.targetId = 'targetId must be a contact ID';
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some(id => typeof id !== 'string' || !id)) {
+        errors.sourceIds = 'sourceIds must be a non-empty array of contact IDs';
+    } else if (new Set(sourceIds).size !== sourceIds.length || sourceIds.includes(targetId)) {
+        errors.sourceIds = 'sourceIds must be distinct and must not include targetId';
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        errors.fields = 'fields must be an object of field name to contact ID';
+    } else {
+        const ids = [targetId, ...(Array.isArray(sourceIds) ? sourceIds : [])];
+        Object.entries(fields).forEach(([field, id]) => {
+            if (!MERGE_FIELDS.includes(field) && !MERGE_FIELD_ALIASES[field]) errors[`fields.${field}`] = 'Unknown field';
+            else if (!ids.includes(id)) errors[`fields.${field}`] = 'Must be targetId or one of sourceIds';
+        });
+    }
+    if (!versions || typeof versions !== 'object' || Array.isArray(versions)) {
+        errors.versions = 'versions must be an object of contact ID to version';
+    } else {
+        Object.entries(versions).filter(([, version]) => !Number.isInteger(version) || version < 1).forEach(([id]) => {
+            errors[`versions.${id}`] = 'Version must be a positive integer';
+        });
+    }
+    return errors;
+};
+
+/**
+ * Handles POST request to merge duplicates into one contact. The target keeps its ID and takes each field from the
+ * contact `fields` names for it, or keeps its own value (taking the first non-empty one of the others when its own
+ * is empty). Phones, emails and addresses also gain those of the other contacts that the chosen one lacks, and
+ * `fields` may name them by the single field (phone, email, address). The other contacts move to the trash.
+ * The merge is recorded in the history of every contact involved, with action `merge` and the other contacts in
+ * `mergedWith`, so each can be reverted afterwards.
+ * Needs permission to update the target and to delete the others; nothing is saved if any contact has changed
+ * since the version given for it in `versions`, or changes while the merge runs.
+ * @param {Object} req.body - { targetId, sourceIds, fields, versions }.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the merged `contact` (carrying its new contact `version`), the `merged` IDs,
+ *   and `historyVersion`, the number of the target's history entry recorded for the merge.
+ */
+app.post('/contacts/merge', authorizeContacts('update'), async (req, res) => {
+    const deleteScope = contactScope(req.user.permissions, 'delete');
+    if (!deleteScope) {
+        logger.warn('Permission denied', { userId: req.user.id, role: req.user.role, permission: 'contacts:delete', method: req.method, url: req.originalUrl });
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    const body = req.body || {};
+    const validationErrors = validateMergeRequest(body);
+    if (Object.keys(validationErrors).length > 0) {
+        logger.warn('POST /contacts/merge - Validation failed', validationErrors);
+        metrics.recordValidationFailures(validationErrors);
+        return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+    const { targetId, sourceIds, fields = {}, versions = {} } = body;
+    // The target is updated and the others deleted, so the narrower of the two scopes applies to all of them
+    const ownerId = req.contactScope === 'own' || deleteScope === 'own' ? req.user.id : null;
+    try {
+        const contacts = await Promise.all([targetId, ...sourceIds].map(id => repository.findContact(id, ownerId)));
+        const missing = [targetId, ...sourceIds].filter((id, index) => !contacts[index]);
+        if (missing.length > 0) {
+            logger.warn('POST /contacts/merge - Contact not found', { missing });
+            return res.status(404).json({ error: 'Contact not found', details: { missing } });
+        }
+        const stale = contacts.filter(contact => versions[contact.id] !== undefined && versions[contact.id] !== contact.version);
+        const mergeStale = () => res.status(412).json({
+            error: 'Contact was changed by someone else',
+            current: contacts.map(contact => ({ ...snapshotContact(contact), version: contact.version }))
+        });
+        if (stale.length > 0) {
+            logger.warn('POST /contacts/merge - Precondition failed', { stale: stale.map(contact => contact.id) });
+            return mergeStale();
+        }
+
+        const [target, ...sources] = contacts;
+        const combined = { id: targetId, ...mergeContacts(target, sources, fields) };
+        const mergedErrors = validateContact(combined);
+        if (Object.keys(mergedErrors).length > 0) {
+            logger.warn('POST /contacts/merge - Merged contact is invalid', contactSchema.errorCodes(mergedErrors));
+            metrics.recordValidationFailures(mergedErrors);
+            return contactValidationFailed(res, mergedErrors);
+        }
+        const merged = normalizeContact(combined);
+
+        let historyVersion;
+        try {
+            await repository.transaction(async () => {
+                if (!(await repository.updateContact(targetId, merged, ownerId, target.version))) {
+                    throw mergeConflict;
+                }
+                for (const source of sources) {
+                    if (!(await repository.deleteContact(source.id, ownerId, source.version))) throw mergeConflict;
+                }
+                historyVersion = await recordHistory(req, {
+                    contactId: targetId,
+                    ownerId: target.ownerId,
+                    action: 'merge',
+                    before: snapshotContact(target),
+                    after: snapshotContact(merged),
+                    mergedWith: sourceIds
+                });
+                for (const source of sources) {
+                    await recordHistory(req, {
+                        contactId: source.id,
+                        ownerId: source.ownerId,
+                        action: 'merge',
+                        before: snapshotContact(source),
+                        after: null,
+                        mergedWith: [targetId]
+                    });
+                }
+            });
+        } catch (err) {
+            if (err !== mergeConflict) throw err;
+            logger.warn('POST /contacts/merge - Contact changed during merge', { targetId, sourceIds });
+            return mergeStale();
+        }
+        const version = target.version + 1;
+        logger.info('POST /contacts/merge - Contacts merged', { targetId, sourceIds, version });
+        res.set('ETag', contactETag(version)).json({
+            message: `Merged ${sourceIds.length + 1} contacts`,
+            contact: { ...snapshotContact(merged), version },
+            merged: sourceIds,
+            historyVersion
+        });
+    } catch (err) {
+        logger.error('POST /contacts/merge error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Permanently removes trashed contacts and records their removal in their history, in one transaction.
+ * @param {Object} filter - { id, ownerId, deletedBefore } for purgeDeletedContacts.
+ * @param {Object} actor - { actorId, actorName } responsible for the purge.
+ * @returns {Promise<Object[]>} Contacts that were removed.
+ */
+const purgeContacts = (filter, actor) => repository.transaction(async () => {
+    const purged = await repository.purgeDeletedContacts(filter);
+    for (const contact of purged) {
+        await repository.addContactHistory({ contactId: contact.id, ownerId: contact.ownerId, action: 'purge', ...actor, before: null, after: null });
+    }
+    return purged;
+});
+
+/**
+ * Permanently removes contacts that have been in the trash for longer than TRASH_RETENTION_DAYS.
+ * Runs on a timer; failures are logged and retried on the next run.
+ */
+const purgeExpiredTrash = async () => {
+    try {
+        const purged = await purgeContacts({ deletedBefore: new Date(Date.now() - TRASH_RETENTION_MS) }, { actorId: null, actorName: 'trash retention' });
+        if (purged.length > 0) {
+            logger.info(`Purged ${purged.length} contacts from the trash`, { ids: purged.map(contact => contact.id), retentionDays: TRASH_RETENTION_DAYS });
+        }
+    } catch (err) {
+        logger.error('Trash purge error:', err);
+    }
+};
+
+const toTrashResponse = ({ deletedAt, ...contact }) => ({
+    ...contact,
+    deletedAt,
+    purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_MS)
+});
+
+/**
+ * Handles GET request to list the contacts in the trash, most recently deleted first.
+ * Registered before the /contacts/:id routes so "trash" is not taken for a contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with `retentionDays` and `data`: contacts with `deletedAt` and `purgeAt`.
+ */
+app.get('/contacts/trash', authorizeContacts('delete'), async (req, res) => {
+    try {
+        const rows = await repository.listDeletedContacts(ownerFilter(req));
+        logger.info('GET /contacts/trash - Retrieved trash', { count: rows.length });
+        res.json({ retentionDays: TRASH_RETENTION_DAYS, data: rows.map(toTrashResponse) });
+    } catch (err) {
+        logger.error('GET /contacts/trash error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to move a contact from the trash back into the address book.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the restored contact.
+ */
+app.post('/contacts/trash/:id/restore', authorizeContacts('delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const contact = await repository.transaction(async () => {
+            const restored = await repository.restoreContact(id, ownerFilter(req)) && await repository.findContact(id, ownerFilter(req));
+            if (restored) {
+                await recordHistory(req, { contactId: id, ownerId: restored.ownerId, action: 'restore', before: null, after: snapshotContact(restored) });
+            }
+            return restored;
+        });
+        if (!contact) {
+            logger.warn('POST /contacts/trash/:id/restore - Contact not in trash', { id });
+            return res.status(404).json({ error: 'Contact not found in trash' });
+        }
+        logger.info('POST /contacts/trash/:id/restore - Contact restored', { id });
+        res.set('ETag', contactETag(contact.version))
+            .json({ message: 'Contact restored successfully', contact: { ...snapshotContact(contact), version: contact.version } });
+    } catch (err) {
+        logger.error('POST /contacts/trash/:id/restore error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles DELETE request to permanently remove one contact from the trash.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response.
+ */
+app.delete('/contacts/trash/:id', authorizeContacts('delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const purged = await purgeContacts({ id, ownerId: ownerFilter(req) }, { actorId: req.user.id, actorName: req.user.username });
+        if (purged.length === 0) {
+            logger.warn('DELETE /contacts/trash/:id - Contact not in trash', { id });
+            return res.status(404).json({ error: 'Contact not found in trash' });
+        }
+        logger.info('DELETE /contacts/trash/:id - Contact purged', { id });
+        res.json({ message: 'Contact permanently deleted' });
+    } catch (err) {
+        logger.error('DELETE /contacts/trash/:id error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles DELETE request to empty the trash: every trashed contact the caller may delete is removed for good.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the number of contacts `purged`.
+ */
+app.delete('/contacts/trash', authorizeContacts('delete'), async (req, res) => {
+    try {
+        const purged = await purgeContacts({ ownerId: ownerFilter(req) }, { actorId: req.user.id, actorName: req.user.username });
+        logger.info('DELETE /contacts/trash - Trash emptied', { count: purged.length });
+        res.json({ message: 'Trash emptied', purged: purged.length });
+    } catch (err) {
+        logger.error('DELETE /contacts/trash error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles GET request for a single contact as a vCard. Declared before GET /contacts/:id, which would
+ * otherwise take the ".vcf" as part of the ID.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} req.query - `version` of the vCard (3.0 or 4.0; default 3.0).
+ * @param {Object} res - Response object.
+ * @returns {Object} vCard download.
+ */
+app.get('/contacts/:id.vcf', authorizeContacts('read'), async (req, res) => {
+    const { id } = req.params;
+    const { version = '3.0' } = req.query;
+    if (!VCARD_VERSIONS.includes(version)) {
+        const details = { version: `Version must be one of ${VCARD_VERSIONS.join(', ')}` };
+        logger.warn('GET /contacts/:id.vcf - Invalid query parameters', details);
+        metrics.recordValidationFailures(details);
+        return res.status(400).json({ error: 'Invalid query parameters', details });
+    }
+    try {
+        const contact = await repository.findContact(id, ownerFilter(req));
+        if (!contact) {
+            logger.warn('GET /contacts/:id.vcf - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.attachment(`${id}.vcf`);
+        res.set('Content-Type', EXPORT_FORMATS.vcf.contentType);
+        res.send(formatVCard(contact, version));
+    } catch (err) {
+        logger.error('GET /contacts/:id.vcf error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles GET request for a single contact. The ETag carries the contact's version; send it back in
+ * If-Match on PUT or DELETE to avoid overwriting someone else's changes, or in If-None-Match to revalidate.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the contact and its `version`.
+ */
+app.get('/contacts/:id', authorizeContacts('read'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const contact = await repository.findContact(id, ownerFilter(req));
+        if (!contact) {
+            logger.warn('GET /contacts/:id - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.set('ETag', contactETag(contact.version));
+        res.json({ ...snapshotContact(contact), version: contact.version });
+    } catch (err) {
+        logger.error('GET /contacts/:id error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles PUT request to update a contact. With an If-Match header the update only goes through
+ * while the contact is still at that version; otherwise it answers 412 with the current copy.
+ * A body with the single phone, email or address field instead of its collection replaces only the
+ * primary entry of that collection.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} req.body - Updated contact data.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the new `version`.
+ */
+app.put('/contacts/:id', authorizeContacts('update'), async (req, res) => {
+    const { id } = req.params;
+    const input = { ...contactInput(req.body || {}), id };
+    const validationErrors = validateContact(input);
+    if (Object.keys(validationErrors).length > 0) {
+        logger.warn('PUT /contacts/:id - Validation failed', contactSchema.errorCodes(validationErrors));
+        metrics.recordValidationFailures(validationErrors);
+        return contactValidationFailed(res, validationErrors);
+    }
+    try {
+        const existing = await repository.findContact(id, ownerFilter(req));
+        if (!existing) {
+            logger.warn('PUT /contacts/:id - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        const conditional = req.get('If-Match') !== undefined;
+        if (!ifMatchSatisfied(req.get('If-Match'), existing.version)) {
+            logger.warn('PUT /contacts/:id - Precondition failed', { id, ifMatch: req.get('If-Match'), version: existing.version });
+            return preconditionFailed(res, existing);
+        }
+        const contact = normalizeContact(input, existing);
+        const updated = await repository.transaction(async () => {
+            if (!(await repository.updateContact(id, contact, ownerFilter(req), conditional ? existing.version : undefined))) return false;
+            await recordHistory(req, {
+                contactId: id,
+                ownerId: existing.ownerId,
+                action: 'update',
+                before: snapshotContact(existing),
+                after: snapshotContact(contact)
+            });
+            return true;
+        });
+        if (!updated) {
+            // Changed or deleted between the read and the write
+            const current = await repository.findContact(id, ownerFilter(req));
+            logger.warn('PUT /contacts/:id - Contact changed during update', { id });
+            return current ? preconditionFailed(res, current) : res.status(404).json({ error: 'Contact not found' });
+        }
+        const version = existing.version + 1;
+        logger.info('PUT /contacts/:id - Contact updated', { id, version });
+        res.set('ETag', contactETag(version)).json({ message: 'Contact updated successfully', version });
+    } catch (err) {
+        logger.error('PUT /contacts/:id error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Reads a patched contact the way PUT reads a body. A collection the patch removed, or left as it was while
+ * changing the single field it mirrors, is dropped, so that the single field's new value replaces the primary
+ * entry instead of being overwritten by it.
+ * @param {Object} patched - Patched contact snapshot.
+ * @param {Object} existing - Contact the patch was applied to.
+ * @returns {Object} Contact to validate and save.
+ */
+const patchedInput = (patched, existing) => {
+    const input = { ...patched };
+    Object.entries(contactSchema.CONTACT_COLLECTIONS).forEach(([name, { field }]) => {
+        const untouched = JSON.stringify(patched[name]) === JSON.stringify(existing[name]);
+        if (patched[name] === undefined || patched[name] === null || (untouched && patched[field] !== existing[field])) {
+            delete input[name];
+        }
+    });
+    return input;
+};
+
+/**
+ * Checks the contact a patch produced: it must keep its ID, have no unknown members, and pass the same
+ * validation as a full update.
+ * @param {Object} patched - Patched contact snapshot.
+ * @param {string} id - Contact ID from the URL.
+ * @param {Object} existing - Contact the patch was applied to.
+ * @returns {Object} Field name to { code, message }; empty when the contact is valid.
+ */
+const validatePatchedContact = (patched, id, existing) => {
+    if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+        return { contact: { code: 'type', message: 'Patch must leave a contact object' } };
+    }
+    const errors = {};
+    const known = Object.keys(snapshotContact({}));
+    Object.keys(patched).filter(field => !known.includes(field)).forEach(field => {
+        errors[field] = { code: 'unknown', message: 'Unknown field' };
+    });
+    if (Object.keys(errors).length > 0) return errors;
+    if (patched.id !== id) return { id: { code: 'read_only', message: 'ID cannot be changed' } };
+    return validateContact(patchedInput(patched, existing));
+};
+
+/**
+ * Handles PATCH request to change some fields of a contact. Accepts a JSON Merge Patch
+ * (application/merge-patch+json, or plain application/json) or a JSON Patch (application/json-patch+json)
+ * applied to the contact as returned by GET /contacts/:id, without `version`. Only the resulting contact
+ * is validated. Changing the phone, email or address field replaces the primary entry of its collection, as
+ * in PUT. Honors If-Match like PUT.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object|Object[]} req.body - Patch document.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the updated contact and its `version`.
+ */
+app.patch('/contacts/:id', authorizeContacts('update'), async (req, res) => {
+    const { id } = req.params;
+    if (!req.is([MERGE_PATCH, JSON_PATCH, 'application/json'])) {
+        res.set('Accept-Patch', `${MERGE_PATCH}, ${JSON_PATCH}`);
+        return res.status(415).json({ error: `Content-Type must be ${MERGE_PATCH} or ${JSON_PATCH}` });
+    }
+    try {
+        const existing = await repository.findContact(id, ownerFilter(req));
+        if (!existing) {
+            logger.warn('PATCH /contacts/:id - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        if (!ifMatchSatisfied(req.get('If-Match'), existing.version)) {
+            logger.warn('PATCH /contacts/:id - Precondition failed', { id, ifMatch: req.get('If-Match'), version: existing.version });
+            return preconditionFailed(res, existing);
+        }
+
+        let patched;
+        try {
+            patched = applyPatch(req.get('Content-Type'), snapshotContact(existing), req.body);
+        } catch (err) {
+            if (!(err instanceof PatchError)) throw err;
+            logger.warn('PATCH /contacts/:id - Patch could not be applied', { id, error: err.message });
+            return res.status(err.status).json({ error: err.message });
+        }
+        const validationErrors = validatePatchedContact(patched, id, existing);
+        if (Object.keys(validationErrors).length > 0) {
+            logger.warn('PATCH /contacts/:id - Validation failed', contactSchema.errorCodes(validationErrors));
+            metrics.recordValidationFailures(validationErrors);
+            return contactValidationFailed(res, validationErrors);
+        }
+
+        // The patch was applied to this version, so the write must not land on a newer one
+        const contact = snapshotContact(normalizeContact(patchedInput(snapshotContact(patched), existing), existing));
+        const updated = await repository.transaction(async () => {
+            if (!(await repository.updateContact(id, contact, ownerFilter(req), existing.version))) return false;
+            await recordHistory(req, {
+                contactId: id,
+                ownerId: existing.ownerId,
+                action: 'update',
+                before: snapshotContact(existing),
+                after: contact
+            });
+            return true;
+        });
+        if (!updated) {
+            const current = await repository.findContact(id, ownerFilter(req));
+            logger.warn('PATCH /contacts/:id - Contact changed during update', { id });
+            if (!current) return res.status(404).json({ error: 'Contact not found' });
+            if (req.get('If-Match') !== undefined) return preconditionFailed(res, current);
+            return res.status(409).json({ error: 'Contact was changed while the patch was applied; retry the request' });
+        }
+        const version = existing.version + 1;
+        logger.info('PATCH /contacts/:id - Contact updated', { id, version });
+        res.set('ETag', contactETag(version)).json({ ...contact, version });
+    } catch (err) {
+        logger.error('PATCH /contacts/:id error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles DELETE request to move a contact to the trash. It can be restored until it is purged
+ * TRASH_RETENTION_DAYS later. Honors If-Match like PUT.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the date the contact will be purged.
+ */
+app.delete('/contacts/:id', authorizeContacts('delete'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const existing = await repository.findContact(id, ownerFilter(req));
+        if (!existing) {
+            logger.warn('DELETE /contacts/:id - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        const conditional = req.get('If-Match') !== undefined;
+        if (!ifMatchSatisfied(req.get('If-Match'), existing.version)) {
+            logger.warn('DELETE /contacts/:id - Precondition failed', { id, ifMatch: req.get('If-Match'), version: existing.version });
+            return preconditionFailed(res, existing);
+        }
+        const deleted = await repository.transaction(async () => {
+            if (!(await repository.deleteContact(id, ownerFilter(req), conditional ? existing.version : undefined))) return false;
+            await recordHistory(req, {
+                contactId: id,
+                ownerId: existing.ownerId,
+                action: 'delete',
+                before: snapshotContact(existing),
+                after: null
+            });
+            return true;
+        });
+        if (!deleted) {
+            const current = await repository.findContact(id, ownerFilter(req));
+            logger.warn('DELETE /contacts/:id - Contact changed during delete', { id });
+            return current ? preconditionFailed(res, current) : res.status(404).json({ error: 'Contact not found' });
+        }
+        logger.info('DELETE /contacts/:id - Contact moved to trash', { id });
+        res.json({ message: 'Contact moved to trash', purgeAt: new Date(Date.now() + TRASH_RETENTION_MS) });
+    } catch (err) {
+        logger.error('DELETE /contacts/:id error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles GET request for a contact's change history, newest first. Deleted contacts keep their history.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with `contactId` and `data`: one entry per version with the actor,
+ *   timestamp, field-level `changes` ({ field, from, to }) and the resulting `contact` (null after a delete).
+ */
+app.get('/contacts/:id/history', authorizeContacts('read'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const entries = await repository.listContactHistory(id, ownerFilter(req));
+        if (entries.length === 0) {
+            logger.warn('GET /contacts/:id/history - Contact not found', { id });
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        logger.info('GET /contacts/:id/history - Retrieved history', { id, count: entries.length });
+        res.json({ contactId: id, data: entries.reverse().map(toHistoryResponse) });
+    } catch (err) {
+        logger.error('GET /contacts/:id/history error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+/**
+ * Handles POST request to restore a contact to the values it had at an earlier version.
+ * A deleted contact is brought back from the trash, or recreated if it has been purged;
+ * either also requires the contacts:create permission.
+ * @param {Object} req.params - Contact ID.
+ * @param {Object} req.body - `version` to revert to.
+ * @param {Object} res - Response object.
+ * @returns {Object} JSON response with the restored contact, carrying its new contact `version`, and
+ *   `historyVersion`, the number of the history entry recorded for the revert.
+ */
+app.post('/contacts/:id/revert', authorizeContacts('update'), async (req, res) => {
+    const { id } = req.params;
+    const version = Number((req.body || {}).version);
+    if (!Number.isInteger(version) || version < 1) {
+        const details = { version: 'Version must be a positive integer' };
+        metrics.recordValidationFailures(details);
+        return res.status(400).json({ error: 'Validation failed', details });
+    }
+    try {
+        const entries = await repository.listContactHistory(id, ownerFilter(req));
+        const target = entries.find(entry => entry.version === version);
+        if (!target) {
+            logger.warn('POST /contacts/:id/revert - Version not found', { id, version });
+            return res.status(404).json({ error: entries.length === 0 ? 'Contact not found' : 'Version not found' });
+        }
+        if (!target.after) {
+            return res.status(400).json({ error: `Version ${version} removed the contact; revert to an earlier version instead` });
+        }
+
+        const existing = await repository.findContact(id, ownerFilter(req));
+        if (!existing && !req.user.permissions.includes('contacts:create')) {
+            logger.warn('Permission denied', { userId: req.user.id, role: req.user.role, permission: 'contacts:create', method: req.method, url: req.originalUrl });
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        // Versions saved before contacts had collections give just their single phone, email and address
+        const restored = snapshotContact(normalizeContact(target.after));
+        const ownerId = existing ? existing.ownerId : target.ownerId;
+        // Null when the contact changed or went away between reading it and writing it back
+        const historyVersion = await repository.transaction(async () => {
+            if (existing) {
+                if (!(await repository.updateContact(id, restored, ownerFilter(req), existing.version))) return null;
+            } else if (await repository.restoreContact(id, ownerFilter(req))) {
+                if (!(await repository.updateContact(id, restored, ownerFilter(req)))) return null;
+            } else {
+                await repository.createContact(restored, ownerId);
+            }
+            return recordHistory(req, {
+                contactId: id,
+                ownerId,
+                action: 'revert',
+                before: snapshotContact(existing),
+                after: restored,
+                revertedTo: version
+            });
+        });
+        if (historyVersion === null) {
+            logger.warn('POST /contacts/:id/revert - Contact changed during revert', { id, version });
+            return res.status(409).json({ error: 'Contact was changed while it was reverted; retry the request' });
+        }
+        const saved = await repository.findContact(id, ownerFilter(req));
+        logger.info('POST /contacts/:id/revert - Contact reverted', { id, version, historyVersion });
+        res.set('ETag', contactETag(saved.version)).json({
+            message: `Contact reverted to version ${version}`,
+            historyVersion,
+            contact: { ...restored, version: saved.version }
+        });
+    } catch (err) {
+        // The ID of a purged contact can be taken by another, which the caller may not be able to see
+        if (err instanceof DuplicateError) {
+            logger.warn('POST /contacts/:id/revert - Duplicate ID', { id, version });
+            return res.status(409).json({ error: 'Duplicate ID' });
+        }
+        logger.error('POST /contacts/:id/revert error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// CardDAV: one address book per caller, holding the contacts they can read
+const CARDDAV_PRINCIPAL = '/carddav/principal/';
+const CARDDAV_HOME = '/carddav/addressbooks/';
+const CARDDAV_BOOK = '/carddav/addressbooks/contacts/';
+const CARDDAV_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, REPORT';
+const VCARD_CONTENT_TYPE = 'text/vcard; charset=utf-8';
+const XML_CONTENT_TYPE = 'application/xml; charset=utf-8';
+// Basic username that signs in to CardDAV with an API key as the password; validateCredentials refuses it for accounts
+const DAV_API_KEY_USERNAME = '~apikey';
+// Longest resource name and UID kept for a card a client created, as migrations/014 stores them
+const DAV_CARD_MAX_LENGTH = 255;
+
+/**
+ * Sends a failed DAV request: a DAV:error body naming the precondition when there is one, plain text otherwise.
+ * @param {Object} res - Response object.
+ * @param {DavError} err - What went wrong.
+ */
+const sendDavError = (res, err) => {
+    if (err.condition) return res.status(err.status).type(XML_CONTENT_TYPE).send(errorBody(err.condition));
+    res.status(err.status).type('text/plain').send(err.message);
+};
+
+/**
+ * Authenticates CardDAV clients, which sign in with HTTP Basic: a username and password, or an API key as the
+ * password with an empty username or DAV_API_KEY_USERNAME, neither of which can be an account's. Any other username
+ * signs in with its password, whatever that looks like. Bearer tokens and X-API-Key headers work as on the other routes.
+ * @param {Object} req - Request object.
+ * @param {Object} res - Response object.
+ * @param {Function} next - Next middleware.
+ */
+const authenticateDav = async (req, res, next) => {
+    const challenge = () => res.status(401).set('WWW-Authenticate', 'Basic realm="Contacts", charset="UTF-8"').type('text/plain').send('Authentication required');
+    const credentials = parseBasicCredentials(req.get('Authorization'));
+    if (!credentials) {
+        if (req.get('X-API-Key') || parseBearerToken(req.get('Authorization'))) return authenticate(req, res, next);
+        logger.warn('Authentication required', { method: req.method, url: req.originalUrl });
+        return challenge();
+    }
+    if (['', DAV_API_KEY_USERNAME].includes(credentials.username)) return authenticateApiKey(req, res, next, credentials.password);
+    try {
+        const user = await repository.findUserByUsername(credentials.username);
+        if (!user || !(await verifyPassword(credentials.password, user.passwordHash))) {
+            logger.warn('CardDAV - Invalid credentials', { username: credentials.username });
+            return challenge();
+        }
+        req.user = toUserResponse(user);
+        next();
+    } catch (err) {
+        logger.error('CardDAV authentication error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+};
+
+app.use('/carddav', (req, res, next) => {
+    res.set('DAV', '1, 3, addressbook');
+    next();
+});
+
+/**
+ * Handles OPTIONS requests, which CardDAV clients send to find out that this is an address book server.
+ * Answered without authentication, like a CORS preflight.
+ */
+app.options('/carddav{/*path}', (req, res) => {
+    res.set('Allow', CARDDAV_METHODS).sendStatus(200);
+});
+
+/**
+ * Points clients that were only given the host name at the CardDAV root (RFC 6764).
+ */
+app.all('/.well-known/carddav', (req, res) => {
+    res.redirect(301, '/carddav/');
+});
+
+app.use('/carddav', authenticateDav, authorizeContacts('read'), express.text({ type: ['application/xml', 'text/xml', 'text/vcard', 'text/x-vcard'], limit: '1mb' }));
+
+/**
+ * Finds the card a resource name refers to. Cards a client created keep the name and UID it gave them, and are
+ * saved as a contact whose ID is derived from the name. Any other name is that of one of our own cards, named after
+ * the contact ID.
+ * @param {string} name - Resource name without ".vcf".
+ * @returns {Promise<Object>} { contactId, name, uid }; uid is null for our own cards.
+ */
+const findCard = async (name) => (await repository.findDavCard(name)) || { contactId: contactIdFor(name), name, uid: null };
+
+/**
+ * Reads the names and UIDs of the cards clients created, for listing the address book.
+ * @returns {Promise<Map>} Contact ID to { contactId, name, uid }.
+ */
+const davCardsByContact = async () => new Map((await repository.listDavCards()).map(card => [card.contactId, card]));
+
+const cardHref = (id, cards) => `${CARDDAV_BOOK}${encodeURIComponent(cards.has(id) ? cards.get(id).name : id)}.vcf`;
+
+// Gives a contact the UID of the card it was created from, for formatVCard to write
+const asCard = (contact, card) => (card && card.uid ? { ...contact, uid: card.uid } : contact);
+
+/**
+ * Works out which card a card URL in a multiget refers to.
+ * @param {string} href - Absolute URL or path, percent-encoded.
+ * @returns {string|null} Resource name without ".vcf", or null when the URL is not a card in the address book.
+ */
+const hrefCardName = (href) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(href, 'http://localhost').pathname);
+    } catch (err) {
+        return null;
+    }
+    if (!pathname.startsWith(CARDDAV_BOOK) || !pathname.endsWith('.vcf')) return null;
+    const name = pathname.slice(CARDDAV_BOOK.length, -'.vcf'.length);
+    return name && !name.includes('/') ? name : null;
+};
+
+const davHref = (href) => element(DAV, 'href', href);
+const principalProp = () => element(DAV, 'current-user-principal', [davHref(CARDDAV_PRINCIPAL)]);
+
+/**
+ * Lists the DAV privileges the caller has on the address book, so clients can tell a read-only book apart.
+ * @param {Object} req - Authenticated request.
+ * @returns {Object} DAV:current-user-privilege-set element.
+ */
+const privilegeSet = (req) => {
+    const privileges = ['read'];
+    if (req.user.permissions.includes('contacts:create')) privileges.push('bind');
+    if (contactScope(req.user.permissions, 'update')) privileges.push('write-content');
+    if (contactScope(req.user.permissions, 'delete')) privileges.push('unbind');
+    return element(DAV, 'current-user-privilege-set', privileges.map(name => element(DAV, 'privilege', [element(DAV, name)])));
+};
+
+/**
+ * Lists the properties of the address book collection.
+ * @param {Object} req - Authenticated request.
+ * @param {Object[]} contacts - Contacts in the address book.
+ * @returns {Object[]} Property elements.
+ */
+const addressBookProps = (req, contacts) => [
+    element(DAV, 'resourcetype', [element(DAV, 'collection'), element(CARDDAV, 'addressbook')]),
+    element(DAV, 'displayname', 'Contacts'),
+    element(CALENDARSERVER, 'getctag', collectionTag(contacts)),
+    principalProp(),
+    element(DAV, 'owner', [davHref(CARDDAV_PRINCIPAL)]),
+    privilegeSet(req),
+    element(DAV, 'supported-report-set', ['addressbook-multiget', 'addressbook-query'].map(report => element(DAV, 'supported-report', [
+        element(DAV, 'report', [element(CARDDAV, report)])
+    ]))),
+    element(CARDDAV, 'supported-address-data', VCARD_VERSIONS.map(version => element(CARDDAV, 'address-data-type', [], { 'content-type': 'text/vcard', version })))
+];
+
+/**
+ * Lists the properties of a card. address-data, the card itself, is only offered to REPORT.
+ * @param {Object} contact - Contact the card holds, with the UID of the card from asCard.
+ * @param {Object} [addressData] - { version, properties } from parseReport.
+ * @returns {Object[]} Property elements.
+ */
+const cardProps = (contact, addressData) => [
+    element(DAV, 'resourcetype'),
+    element(DAV, 'getetag', contactETag(contact.version)),
+    element(DAV, 'getcontenttype', VCARD_CONTENT_TYPE),
+    element(DAV, 'getcontentlength', String(Buffer.byteLength(formatVCard(contact)))),
+    ...(addressData ? [element(CARDDAV, 'address-data', formatVCard(contact, addressData.version, addressData.properties))] : [])
+];
+
+const sendMultistatus = (res, responses) => res.status(207).type(XML_CONTENT_TYPE).send(multistatus(responses));
+
+/**
+ * Handles PROPFIND requests for the collections above the cards: the root, the principal, the address book home
+ * and the address book. Clients walk these to discover the address book. A Depth of 1 (or infinity, which is
+ * treated as 1) also lists each collection's members.
+ * @param {string} req.body - DAV:propfind XML; empty for all properties.
+ * @param {Object} res - Response object.
+ * @returns {Object} 207 Multi-Status.
+ */
+app.propfind(['/carddav', CARDDAV_PRINCIPAL, CARDDAV_HOME, CARDDAV_BOOK], async (req, res) => {
+    const deep = req.get('Depth') !== '0';
+    try {
+        const request = parsePropfind(req.body);
+        const collection = req.path.endsWith('/') ? req.path : `${req.path}/`;
+        const contacts = collection === CARDDAV_HOME || collection === CARDDAV_BOOK ? await repository.listContacts(ownerFilter(req)) : [];
+        const resources = {
+            '/carddav/': () => [element(DAV, 'resourcetype', [element(DAV, 'collection')]), principalProp()],
+            [CARDDAV_PRINCIPAL]: () => [
+                element(DAV, 'resourcetype', [element(DAV, 'principal')]),
+                element(DAV, 'displayname', req.user.username),
+                principalProp(),
+                element(DAV, 'principal-URL', [davHref(CARDDAV_PRINCIPAL)]),
+                element(CARDDAV, 'addressbook-home-set', [davHref(CARDDAV_HOME)])
+            ],
+            [CARDDAV_HOME]: () => [element(DAV, 'resourcetype', [element(DAV, 'collection')]), principalProp()],
+            [CARDDAV_BOOK]: () => addressBookProps(req, contacts)
+        };
+        const members = { '/carddav/': [CARDDAV_PRINCIPAL, CARDDAV_HOME], [CARDDAV_HOME]: [CARDDAV_BOOK] }[collection] || [];
+
+        const responses = [collection, ...(deep ? members : [])].map(href => ({ href, propstats: propstatsFor(request, resources[href]()) }));
+        if (deep && collection === CARDDAV_BOOK) {
+            const cards = await davCardsByContact();
+            contacts.forEach(contact => responses.push({
+                href: cardHref(contact.id, cards),
+                propstats: propstatsFor(request, cardProps(asCard(contact, cards.get(contact.id))))
+            }));
+        }
+        sendMultistatus(res, responses);
+    } catch (err) {
+        if (err instanceof DavError) return sendDavError(res, err);
+        logger.error('PROPFIND /carddav error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+/**
+ * Handles PROPFIND request for a single card.
+ * @param {Object} req.params - Card name, without ".vcf".
+ * @param {string} req.body - DAV:propfind XML; empty for all properties.
+ * @param {Object} res - Response object.
+ * @returns {Object} 207 Multi-Status.
+ */
+app.propfind(`${CARDDAV_BOOK}:name.vcf`, async (req, res) => {
+    try {
+        const request = parsePropfind(req.body);
+        const card = await findCard(req.params.name);
+        const contact = await repository.findContact(card.contactId, ownerFilter(req));
+        if (!contact) return res.status(404).type('text/plain').send('Card not found');
+        sendMultistatus(res, [{ href: req.path, propstats: propstatsFor(request, cardProps(asCard(contact, card))) }]);
+    } catch (err) {
+        if (err instanceof DavError) return sendDavError(res, err);
+        logger.error('PROPFIND /carddav card error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+/**
+ * Handles REPORT requests on the address book. addressbook-multiget fetches the cards at the listed URLs;
+ * addressbook-query returns the cards matching a filter on their vCard properties, up to `nresults`.
+ * @param {string} req.body - CARDDAV:addressbook-multiget or CARDDAV:addressbook-query XML.
+ * @param {Object} res - Response object.
+ * @returns {Object} 207 Multi-Status with each card's requested properties, usually getetag and address-data.
+ */
+app.report(CARDDAV_BOOK, async (req, res) => {
+    try {
+        const report = parseReport(req.body);
+        const owner = ownerFilter(req);
+        const responses = [];
+        if (report.type === 'addressbook-multiget') {
+            for (const href of report.hrefs) {
+                const name = hrefCardName(href);
+                const card = name && await findCard(name);
+                const contact = card && await repository.findContact(card.contactId, owner);
+                responses.push(contact ? { href, propstats: propstatsFor(report.request, cardProps(asCard(contact, card), report.addressData)) } : { href, status: 404 });
+            }
+        } else {
+            const cards = await davCardsByContact();
+            for await (const listed of repository.streamContacts(owner)) {
+                const contact = asCard(listed, cards.get(listed.id));
+                if (!matchesFilter(report.filter, parseVCards(formatVCard(contact, report.addressData.version))[0])) continue;
+                // 507 tells the client there were more matches than it asked for
+                if (report.limit !== null && responses.length === report.limit) {
+                    responses.push({ href: CARDDAV_BOOK, status: 507 });
+                    break;
+                }
+                responses.push({ href: cardHref(contact.id, cards), propstats: propstatsFor(report.request, cardProps(contact, report.addressData)) });
+            }
+        }
+        logger.info('REPORT /carddav - Report processed', { report: report.type, count: responses.length });
+        sendMultistatus(res, responses);
+    } catch (err) {
+        if (err instanceof DavError) return sendDavError(res, err);
+        logger.error('REPORT /carddav error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+/**
+ * Handles GET request for a card.
+ * @param {Object} req.params - Card name, without ".vcf".
+ * @param {Object} res - Response object.
+ * @returns {Object} vCard 3.0 with the contact's version as its ETag.
+ */
+app.get(`${CARDDAV_BOOK}:name.vcf`, async (req, res) => {
+    try {
+        const card = await findCard(req.params.name);
+        const contact = await repository.findContact(card.contactId, ownerFilter(req));
+        if (!contact) return res.status(404).type('text/plain').send('Card not found');
+        res.set('ETag', contactETag(contact.version)).type(VCARD_CONTENT_TYPE).send(formatVCard(asCard(contact, card)));
+    } catch (err) {
+        logger.error('GET /carddav card error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+/**
+ * Handles PUT request to create or replace a card. The card is mapped to a contact like POST /contacts/import/vcard
+ * does and must pass the same validation. If-Match and If-None-Match: * work as usual, and the write only lands
+ * on the version that was checked. A card created under a name other than a contact ID, such as a UUID, is saved as
+ * a contact with an ID derived from the name, and keeps its name and UID: it is listed and served under the URL it
+ * was put to, with the UID it was sent with.
+ * @param {Object} req.params - Card name, without ".vcf".
+ * @param {string} req.body - A single vCard 3.0 or 4.0.
+ * @param {Object} res - Response object.
+ * @returns {Object} 201 when the card was created, 204 when it was replaced.
+ */
+app.put(`${CARDDAV_BOOK}:name.vcf`, async (req, res) => {
+    const { name } = req.params;
+    if (!req.is(['text/vcard', 'text/x-vcard'])) return res.status(415).type('text/plain').send('Content-Type must be text/vcard');
+    if (name.length > DAV_CARD_MAX_LENGTH) return res.status(400).type('text/plain').send('Card name is too long');
+    try {
+        let cards;
+        try {
+            cards = parseVCards(req.body || '');
+        } catch (err) {
+            if (!(err instanceof VCardError)) throw err;
+            throw new DavError(400, err.message, { ns: CARDDAV, name: 'valid-address-data' });
+        }
+        if (cards.length !== 1) throw new DavError(400, 'Send exactly one vCard', { ns: CARDDAV, name: 'valid-address-data' });
+        if (!VCARD_VERSIONS.includes(cards[0].version)) throw new DavError(415, 'Unsupported vCard version', { ns: CARDDAV, name: 'supported-address-data' });
+        const { uid, contact: mapped, unmapped } = cardToContact(cards[0]);
+        if (uid.length > DAV_CARD_MAX_LENGTH) throw new DavError(400, 'UID is too long', { ns: CARDDAV, name: 'valid-address-data' });
+        const card = await findCard(name);
+        const id = card.contactId;
+        // Our own cards are named after the contact and carry its ID as their UID; anything else has to be kept
+        const keepsCard = name !== id || (uid !== '' && uid !== id);
+        const saveCard = () => (keepsCard ? repository.saveDavCard({ contactId: id, name, uid: uid || card.uid || id }) : undefined);
+        const validationErrors = validateContact({ ...mapped, id });
+        if (Object.keys(validationErrors).length > 0) {
+            logger.warn('PUT /carddav - Validation failed', { id, ...contactSchema.errorCodes(validationErrors) });
+            metrics.recordValidationFailures(validationErrors);
+            throw new DavError(403, 'Validation failed', { ns: CARDDAV, name: 'valid-address-data' });
+        }
+        const contact = normalizeContact({ ...mapped, id });
+
+        const existing = await repository.findContact(id, ownerFilter(req));
+        const ifMatch = req.get('If-Match');
+        if ((existing && req.get('If-None-Match') === '*') || (!existing && ifMatch !== undefined)
+            || (existing && !ifMatchSatisfied(ifMatch, existing.version))) {
+            logger.warn('PUT /carddav - Precondition failed', { id, ifMatch, version: existing ? existing.version : undefined });
+            return res.status(412).type('text/plain').send('Card was changed by someone else');
+        }
+        if (existing) {
+            const updateScope = contactScope(req.user.permissions, 'update');
+            if (!updateScope || (updateScope === 'own' && existing.ownerId !== req.user.id)) {
+                return res.status(403).type('text/plain').send('Insufficient permissions');
+            }
+            const updated = await repository.transaction(async () => {
+                if (!(await repository.updateContact(id, contact, null, existing.version))) return false;
+                await saveCard();
+                await recordHistory(req, { contactId: id, ownerId: existing.ownerId, action: 'update', before: snapshotContact(existing), after: snapshotContact(contact) });
+                return true;
+            });
+            if (!updated) return res.status(412).type('text/plain').send('Card was changed by someone else');
+        } else {
+            if (!req.user.permissions.includes('contacts:create')) return res.status(403).type('text/plain').send('Insufficient permissions');
+            try {
+                await repository.transaction(async () => {
+                    await repository.createContact(contact, req.user.id);
+                    await saveCard();
+                    await recordHistory(req, { contactId: id, ownerId: req.user.id, action: 'create', before: null, after: snapshotContact(contact) });
+                });
+            } catch (err) {
+                if (!(err instanceof DuplicateError)) throw err;
+                return res.status(409).type('text/plain').send('ID is already in use');
+            }
+        }
+        logger.info(`PUT /carddav - Contact ${existing ? 'updated' : 'added'}`, { id, unmapped: unmapped.map(({ property }) => property) });
+        // No ETag: what is stored is not the card that was sent, so the client has to fetch it again (RFC 6352 section 6.3.2.3)
+        res.status(existing ? 204 : 201).end();
+    } catch (err) {
+        if (err instanceof DavError) return sendDavError(res, err);
+        logger.error('PUT /carddav error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+/**
+ * Handles DELETE request for a card, which moves the contact to the trash. Honors If-Match.
+ * @param {Object} req.params - Card name, without ".vcf".
+ * @param {Object} res - Response object.
+ * @returns {Object} 204 when the card was deleted.
+ */
+app.delete(`${CARDDAV_BOOK}:name.vcf`, async (req, res) => {
+    const deleteScope = contactScope(req.user.permissions, 'delete');
+    if (!deleteScope) return res.status(403).type('text/plain').send('Insufficient permissions');
+    const owner = deleteScope === 'own' ? req.user.id : null;
+    try {
+        const { contactId: id } = await findCard(req.params.name);
+        const existing = await repository.findContact(id, owner);
+        if (!existing) return res.status(404).type('text/plain').send('Card not found');
+        const deleted = ifMatchSatisfied(req.get('If-Match'), existing.version) && await repository.transaction(async () => {
+            if (!(await repository.deleteContact(id, owner, existing.version))) return false;
+            await recordHistory(req, { contactId: id, ownerId: existing.ownerId, action: 'delete', before: snapshotContact(existing), after: null });
+            return true;
+        });
+        if (!deleted) {
+            logger.warn('DELETE /carddav - Precondition failed', { id, ifMatch: req.get('If-Match'), version: existing.version });
+            return res.status(412).type('text/plain').send('Card was changed by someone else');
+        }
+        logger.info('DELETE /carddav - Contact moved to trash', { id });
+        res.status(204).end();
+    } catch (err) {
+        logger.error('DELETE /carddav error:', err);
+        res.status(500).type('text/plain').send('Database error');
+    }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    logger.error('Unhandled error', { error: err.message, stack: err.stack, url: req.url, method: req.method });
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+const PORT = process.env.PORT || 3000;
+(async () => {
+    if (!(await initializeDatabase())) {
+        await repository.close();
+        process.exitCode = 1;
+        return;
+    }
     await loadTestData();
     app.listen(PORT, () => {
         logger.info('Server running on port ' + PORT);
         console.log('Server running on port ' + PORT);
     });
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
 })();
\ No newline at end of file
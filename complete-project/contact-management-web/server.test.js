@@ -0,0 +1,938 @@
+// Behaviour of the API routes, against the server running in a child process on the in-memory backend
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ulid } = require('./lib/contactIds');
+
+// How long the server gets to load its test data and start listening
+const STARTUP_TIMEOUT_MS = 20000;
+
+/**
+ * Finds a TCP port nothing is listening on.
+ * @returns {Promise<number>} Port number.
+ */
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Starts server.js on the in-memory backend, with TestData.txt loaded. It runs in a scratch directory, where it
+ * writes its logs.
+ * @param {Object} [env] - Extra environment variables.
+ * @returns {Promise<Object>} { url, stop }.
+ */
+const startServer = async (env = {}) => {
+    const port = await freePort();
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'contacts-test-'));
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        cwd,
+        env: { ...process.env, STORAGE_BACKEND: 'memory', PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+        // The server logs every request to stdout, which has to be read for it to keep going
+        child.stdout.on('data', (chunk) => {
+            if (output.includes(`Server running on port ${port}`)) return;
+            output += chunk;
+            if (output.includes(`Server running on port ${port}`)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop: async () => {
+            child.removeAllListeners('exit');
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+            fs.rmSync(cwd, { recursive: true, force: true });
+        }
+    };
+};
+
+/**
+ * Sends a request to the server.
+ * @param {Object} server - Started server.
+ * @param {string} method - HTTP method.
+ * @param {string} urlPath - Path and query.
+ * @param {Object} [options] - { token, body, headers }; a body that is not a string is sent as JSON.
+ * @returns {Promise<Object>} { status, headers, body }, the body parsed when it is JSON.
+ */
+const request = async (server, method, urlPath, { token, body, headers = {} } = {}) => {
+    const json = body !== undefined && typeof body !== 'string';
+    const response = await fetch(`${server.url}${urlPath}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(json ? { 'Content-Type': 'application/json' } : {}),
+            ...headers
+        },
+        body: json ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+};
+
+/**
+ * Registers an account; the first one registered is the administrator and owns the test data.
+ * @param {Object} server - Started server.
+ * @param {string} username - Username.
+ * @returns {Promise<Object>} { token, user }.
+ */
+const signUp = async (server, username) => {
+    const { status, body } = await request(server, 'POST', '/auth/register', { body: { username, password: 'correct horse battery' } });
+    assert.equal(status, 201, JSON.stringify(body));
+    return { token: body.accessToken, user: body.user };
+};
+
+const newContact = (id, fields = {}) => ({
+    id, firstName: 'Test', lastName: `Contact ${id}`, phone: '2025550143', address: '1 Main St', email: `c${id}@example.com`, ...fields
+});
+
+let server;
+let admin;
+
+before(async () => {
+    // Every test signs in from the same address, more often than the default limit allows
+    server = await startServer({ AUTH_RATE_LIMIT: '1000' });
+    admin = await signUp(server, 'admin');
+});
+
+after(async () => {
+    if (server) await server.stop();
+});
+
+describe('POST /contacts/batch', () => {
+    test('atomic batch saves every operation', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', {
+            token: admin.token,
+            body: { operations: [{ op: 'create', contact: newContact('b100') }, { op: 'update', id: '12345', contact: newContact('12345', { firstName: 'Jon' }) }] }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.committed, true);
+        assert.deepEqual(body.results.map(result => result.status), [201, 200]);
+        assert.equal((await request(server, 'GET', '/contacts/12345', { token: admin.token })).body.firstName, 'Jon');
+    });
+
+    test('atomic batch rolls back the operations before the one that failed', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', {
+            token: admin.token,
+            body: {
+                operations: [
+                    { op: 'create', contact: newContact('b200') },
+                    { op: 'update', id: '12346', contact: newContact('12346', { firstName: 'Changed' }) },
+                    { op: 'delete', id: 'missing' }
+                ]
+            }
+        });
+        assert.equal(status, 409);
+        assert.equal(body.committed, false);
+        assert.deepEqual(body.results.map(result => result.status), [201, 200, 404]);
+        assert.equal((await request(server, 'GET', '/contacts/b200', { token: admin.token })).status, 404);
+        assert.equal((await request(server, 'GET', '/contacts/12346', { token: admin.token })).body.firstName, 'Jane');
+        const history = await request(server, 'GET', '/contacts/12346/history', { token: admin.token });
+        assert.deepEqual(history.body.data.map(entry => entry.action), ['create']);
+    });
+
+    test('atomic batch runs nothing when an operation is invalid', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', {
+            token: admin.token,
+            body: { operations: [{ op: 'create', contact: newContact('b300') }, { op: 'create', contact: newContact('b301', { email: 'nope' }) }] }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(Object.keys(body.details), ['1']);
+        assert.ok(body.details[1].email);
+        assert.equal((await request(server, 'GET', '/contacts/b300', { token: admin.token })).status, 404);
+    });
+
+    test('atomic batch rolls back on a stale version', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', {
+            token: admin.token,
+            body: { operations: [{ op: 'delete', id: '12347' }, { op: 'delete', id: '12348', version: 7 }] }
+        });
+        assert.equal(status, 409);
+        assert.equal(body.results[1].status, 412);
+        assert.equal((await request(server, 'GET', '/contacts/12347', { token: admin.token })).status, 200);
+    });
+
+    test('best-effort batch keeps the operations that succeeded', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', {
+            token: admin.token,
+            body: {
+                mode: 'best-effort',
+                operations: [
+                    { op: 'create', contact: newContact('b400') },
+                    { op: 'create', contact: newContact('b401', { email: 'nope' }) },
+                    { op: 'create', contact: newContact('b400') },
+                    { op: 'delete', id: 'missing' }
+                ]
+            }
+        });
+        assert.equal(status, 207);
+        assert.equal(body.succeeded, 1);
+        assert.deepEqual(body.results.map(result => result.status), [201, 400, 409, 404]);
+        assert.equal((await request(server, 'GET', '/contacts/b400', { token: admin.token })).status, 200);
+    });
+
+    test('rejects a batch without operations', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts/batch', { token: admin.token, body: { mode: 'all', operations: [] } });
+        assert.equal(status, 400);
+        assert.deepEqual(Object.keys(body.details).sort(), ['mode', 'operations']);
+    });
+});
+
+describe('GET /contacts', () => {
+    test('pages through the contacts by following the links', async () => {
+        const seen = [];
+        let next = '/contacts?limit=20&sort=-lastName&fields=lastName';
+        while (next) {
+            const { status, body } = await request(server, 'GET', next, { token: admin.token });
+            assert.equal(status, 200);
+            assert.ok(body.data.length <= 20);
+            seen.push(...body.data);
+            next = body.links.next;
+        }
+        const { body: first } = await request(server, 'GET', '/contacts?limit=1', { token: admin.token });
+        assert.equal(seen.length, first.page.total);
+        assert.equal(new Set(seen.map(row => row.id)).size, seen.length);
+        const names = seen.map(row => row.lastName);
+        assert.deepEqual(names, [...names].sort((a, b) => b.localeCompare(a, 'en', { sensitivity: 'base' })));
+    });
+
+    test('ranks search results', async () => {
+        const { status, body } = await request(server, 'GET', '/contacts?q=jon&fields=firstName,score', { token: admin.token });
+        assert.equal(status, 200);
+        assert.ok(body.data.length > 0);
+        assert.ok(body.data.every((row, index) => index === 0 || body.data[index - 1].score >= row.score));
+    });
+
+    test('rejects a cursor from another sort order', async () => {
+        const { body: page } = await request(server, 'GET', '/contacts?limit=2&sort=firstName', { token: admin.token });
+        const { status, body } = await request(server, 'GET', `/contacts?limit=2&sort=lastName&after=${page.page.nextCursor}`, { token: admin.token });
+        assert.equal(status, 400);
+        assert.ok(body.details.cursor);
+    });
+});
+
+describe('sessions', () => {
+    test('sign in, refresh once and sign out', async () => {
+        await signUp(server, 'session-user');
+        assert.equal((await request(server, 'GET', '/contacts')).status, 401);
+        assert.equal((await request(server, 'POST', '/auth/login', { body: { username: 'session-user', password: 'wrong horse battery' } })).status, 401);
+
+        const { status, body: login } = await request(server, 'POST', '/auth/login', { body: { username: 'session-user', password: 'correct horse battery' } });
+        assert.equal(status, 200);
+        const me = await request(server, 'GET', '/auth/me', { token: login.accessToken });
+        assert.equal(me.body.user.username, 'session-user');
+        assert.equal(me.body.user.role, 'member');
+        assert.deepEqual(me.body.schemaOptions, { defaultRegion: 'US' });
+
+        const { body: refreshed } = await request(server, 'POST', '/auth/refresh', { body: { refreshToken: login.refreshToken } });
+        assert.equal((await request(server, 'GET', '/auth/me', { token: login.accessToken })).status, 401);
+        assert.equal((await request(server, 'POST', '/auth/refresh', { body: { refreshToken: login.refreshToken } })).status, 401);
+        assert.equal((await request(server, 'GET', '/auth/me', { token: refreshed.accessToken })).status, 200);
+
+        assert.equal((await request(server, 'POST', '/auth/logout', { token: refreshed.accessToken })).status, 200);
+        assert.equal((await request(server, 'GET', '/auth/me', { token: refreshed.accessToken })).status, 401);
+        assert.equal((await request(server, 'POST', '/auth/refresh', { body: { refreshToken: refreshed.refreshToken } })).status, 401);
+    });
+
+    test('refuses a taken username and malformed credentials', async () => {
+        const taken = await request(server, 'POST', '/auth/register', { body: { username: 'admin', password: 'correct horse battery' } });
+        assert.equal(taken.status, 409);
+        const invalid = await request(server, 'POST', '/auth/register', { body: { username: 'x', password: 'short' } });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.details), ['username', 'password']);
+        assert.equal((await request(server, 'POST', '/auth/login', { body: {} })).status, 400);
+    });
+
+    test('makes only one of the accounts registered at once on a fresh install an admin, and limits attempts', async () => {
+        const fresh = await startServer({ AUTH_RATE_LIMIT: '6' });
+        try {
+            const registered = await Promise.all(['ann', 'ben', 'cyd', 'dina', 'eddy'].map(username => request(fresh, 'POST', '/auth/register', {
+                body: { username, password: 'correct horse battery' }
+            })));
+            assert.deepEqual(registered.map(({ status }) => status), [201, 201, 201, 201, 201]);
+            assert.equal(registered.filter(({ body }) => body.user.role === 'admin').length, 1);
+
+            const login = () => request(fresh, 'POST', '/auth/login', { body: { username: 'ann', password: 'wrong horse battery' } });
+            assert.equal((await login()).status, 401);
+            const limited = await login();
+            assert.equal(limited.status, 429);
+            assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+        } finally {
+            await fresh.stop();
+        }
+    });
+});
+
+describe('roles', () => {
+    let member;
+    let other;
+
+    before(async () => {
+        member = await signUp(server, 'member');
+        other = await signUp(server, 'other');
+    });
+
+    test('members only see and change their own contacts', async () => {
+        const created = await request(server, 'POST', '/contacts', { token: member.token, body: newContact('r100') });
+        assert.equal(created.status, 201);
+        const { body } = await request(server, 'GET', '/contacts?limit=200', { token: member.token });
+        assert.deepEqual(body.data.map(row => row.id), ['r100']);
+        assert.equal((await request(server, 'GET', '/contacts/r100', { token: other.token })).status, 404);
+        assert.equal((await request(server, 'GET', '/contacts/12345', { token: member.token })).status, 404);
+        assert.equal((await request(server, 'DELETE', '/contacts/r100', { token: other.token })).status, 404);
+        assert.equal((await request(server, 'GET', '/contacts/r100', { token: admin.token })).status, 200);
+    });
+
+    test('viewers read everything and change nothing', async () => {
+        const viewer = await signUp(server, 'viewer');
+        const assigned = await request(server, 'PUT', `/admin/users/${viewer.user.id}/role`, { token: admin.token, body: { role: 'viewer' } });
+        assert.equal(assigned.status, 200);
+        assert.equal((await request(server, 'GET', '/contacts/r100', { token: viewer.token })).status, 200);
+        assert.equal((await request(server, 'POST', '/contacts', { token: viewer.token, body: newContact('r200') })).status, 403);
+        assert.equal((await request(server, 'PUT', '/contacts/r100', { token: viewer.token, body: newContact('r100') })).status, 403);
+        assert.equal((await request(server, 'DELETE', '/contacts/r100', { token: viewer.token })).status, 403);
+    });
+
+    test('only admins manage users, and the last admin stays one', async () => {
+        assert.equal((await request(server, 'GET', '/admin/users', { token: member.token })).status, 403);
+        const { status, body } = await request(server, 'PUT', `/admin/users/${admin.user.id}/role`, { token: admin.token, body: { role: 'editor' } });
+        assert.equal(status, 409);
+        assert.equal(body.error, 'Cannot remove the last admin');
+        assert.equal((await request(server, 'PUT', `/admin/users/${other.user.id}/role`, { token: admin.token, body: { role: 'owner' } })).status, 400);
+    });
+});
+
+describe('API keys', () => {
+    const issue = async (body) => {
+        const { status, body: created } = await request(server, 'POST', '/admin/api-keys', { token: admin.token, body });
+        assert.equal(status, 201, JSON.stringify(created));
+        return created;
+    };
+    const withKey = (key) => ({ headers: { 'X-API-Key': key } });
+
+    test('a key can do what its scopes allow on the whole address book', async () => {
+        const { key, apiKey } = await issue({ name: 'reader', scopes: ['read'] });
+        assert.deepEqual(apiKey.scopes, ['read']);
+        assert.ok(key.startsWith(apiKey.prefix));
+        const listed = await request(server, 'GET', '/contacts?limit=1', withKey(key));
+        assert.equal(listed.status, 200);
+        assert.equal(listed.headers.get('x-ratelimit-limit'), '60');
+        assert.equal((await request(server, 'POST', '/contacts', { ...withKey(key), body: newContact('k100') })).status, 403);
+        assert.equal((await request(server, 'DELETE', '/contacts/12349', withKey(key))).status, 403);
+    });
+
+    test('a key is held to its rate limit', async () => {
+        const { key } = await issue({ name: 'limited', scopes: ['read'], rateLimit: 2 });
+        assert.equal((await request(server, 'GET', '/contacts?limit=1', withKey(key))).status, 200);
+        assert.equal((await request(server, 'GET', '/contacts?limit=1', withKey(key))).status, 200);
+        const limited = await request(server, 'GET', '/contacts?limit=1', withKey(key));
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    });
+
+    test('a revoked key stops working', async () => {
+        const { key, apiKey } = await issue({ name: 'writer', scopes: ['read', 'write'] });
+        assert.equal((await request(server, 'POST', '/contacts', { ...withKey(key), body: newContact('k200') })).status, 201);
+        assert.equal((await request(server, 'DELETE', `/admin/api-keys/${apiKey.id}`, { token: admin.token })).status, 200);
+        assert.equal((await request(server, 'GET', '/contacts?limit=1', withKey(key))).status, 401);
+        assert.equal((await request(server, 'GET', '/contacts?limit=1', withKey('ck_made-up'))).status, 401);
+    });
+
+    test('keys need valid scopes and an administrator to issue them', async () => {
+        const { status, body } = await request(server, 'POST', '/admin/api-keys', { token: admin.token, body: { name: '', scopes: ['everything'], rateLimit: 0 } });
+        assert.equal(status, 400);
+        assert.deepEqual(Object.keys(body.details).sort(), ['name', 'rateLimit', 'scopes']);
+        const member = await signUp(server, 'keyless');
+        assert.equal((await request(server, 'POST', '/admin/api-keys', { token: member.token, body: { name: 'mine', scopes: ['read'] } })).status, 403);
+    });
+});
+
+describe('health probes', () => {
+    test('report the backend as reachable without signing in', async () => {
+        const live = await request(server, 'GET', '/healthz');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.status, 'ok');
+        assert.deepEqual({ ...live.body.database, latencyMs: 0 }, { backend: 'memory', reachable: true, latencyMs: 0, pool: null });
+        const ready = await request(server, 'GET', '/readyz');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'ready');
+    });
+});
+
+describe('GET /metrics', () => {
+    test('reports requests by route, storage calls and rejected fields', async () => {
+        await request(server, 'GET', '/contacts/12345', { token: admin.token });
+        await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('m100', { email: 'nope' }) });
+        const { status, headers, body } = await request(server, 'GET', '/metrics');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain/);
+        assert.match(body, /http_requests_total\{method="GET",route="\/contacts\/:id",status="200"\} \d+/);
+        assert.match(body, /db_query_duration_seconds_count\{operation="findContact",outcome="success"\} \d+/);
+        assert.match(body, /validation_failures_total\{field="email"\} \d+/);
+        assert.match(body, /process_cpu_seconds_total/);
+    });
+});
+
+describe('contact history', () => {
+    let sqliteServer;
+    let historian;
+    let directory;
+    let filename;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contacts-db-'));
+        filename = path.join(directory, 'contacts.sqlite');
+        sqliteServer = await startServer({ STORAGE_BACKEND: 'sqlite', SQLITE_FILE: filename, AUTO_MIGRATE: 'true' });
+        historian = await signUp(sqliteServer, 'historian');
+    });
+
+    after(async () => {
+        if (sqliteServer) await sqliteServer.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('numbers the entries of concurrent changes one after another', async () => {
+        const names = ['Ann', 'Ben', 'Cy', 'Di', 'Ed'];
+        const responses = await Promise.all(names.map(firstName => request(sqliteServer, 'PUT', '/contacts/12350', {
+            token: historian.token,
+            body: newContact('12350', { firstName })
+        })));
+        assert.deepEqual(responses.map(({ status }) => status), names.map(() => 200));
+        const { body } = await request(sqliteServer, 'GET', '/contacts/12350/history', { token: historian.token });
+        assert.deepEqual(body.data.map(entry => entry.version), [6, 5, 4, 3, 2, 1]);
+    });
+
+    test('fails a change whose history entry cannot be saved, and keeps neither', async () => {
+        const Database = require('better-sqlite3');
+        const db = new Database(filename);
+        db.exec("CREATE TRIGGER refuse_history BEFORE INSERT ON contact_history BEGIN SELECT RAISE(ABORT, 'history unavailable'); END");
+        try {
+            const updated = await request(sqliteServer, 'PUT', '/contacts/12351', { token: historian.token, body: newContact('12351', { firstName: 'Lost' }) });
+            assert.equal(updated.status, 500);
+            assert.equal((await request(sqliteServer, 'DELETE', '/contacts/12351', { token: historian.token })).status, 500);
+            assert.equal((await request(sqliteServer, 'POST', '/contacts', { token: historian.token, body: newContact('h100') })).status, 500);
+        } finally {
+            db.exec('DROP TRIGGER refuse_history');
+            db.close();
+        }
+        const { status, body } = await request(sqliteServer, 'GET', '/contacts/12351', { token: historian.token });
+        assert.equal(status, 200);
+        assert.notEqual(body.firstName, 'Lost');
+        assert.equal(body.version, 1);
+        assert.equal((await request(sqliteServer, 'GET', '/contacts/h100', { token: historian.token })).status, 404);
+    });
+});
+
+describe('trash', () => {
+    test('restores a deleted contact and purges it for good', async () => {
+        await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('t100') });
+        const deleted = await request(server, 'DELETE', '/contacts/t100', { token: admin.token });
+        assert.equal(deleted.status, 200);
+        assert.equal((await request(server, 'GET', '/contacts/t100', { token: admin.token })).status, 404);
+
+        const { body: trash } = await request(server, 'GET', '/contacts/trash', { token: admin.token });
+        const entry = trash.data.find(row => row.id === 't100');
+        assert.equal(Date.parse(entry.purgeAt) - Date.parse(entry.deletedAt), trash.retentionDays * 24 * 60 * 60 * 1000);
+
+        const restored = await request(server, 'POST', '/contacts/trash/t100/restore', { token: admin.token });
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.contact.lastName, 'Contact t100');
+        assert.equal((await request(server, 'POST', '/contacts/trash/t100/restore', { token: admin.token })).status, 404);
+
+        await request(server, 'DELETE', '/contacts/t100', { token: admin.token });
+        assert.equal((await request(server, 'DELETE', '/contacts/trash/t100', { token: admin.token })).status, 200);
+        assert.equal((await request(server, 'DELETE', '/contacts/trash/t100', { token: admin.token })).status, 404);
+        const history = await request(server, 'GET', '/contacts/t100/history', { token: admin.token });
+        assert.deepEqual(history.body.data.map(row => row.action), ['purge', 'delete', 'restore', 'delete', 'create']);
+    });
+
+    test('empties only the trash of the caller', async () => {
+        const member = await signUp(server, 'trash-member');
+        await request(server, 'POST', '/contacts', { token: member.token, body: newContact('t200') });
+        await request(server, 'DELETE', '/contacts/t200', { token: member.token });
+        await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('t201') });
+        await request(server, 'DELETE', '/contacts/t201', { token: admin.token });
+
+        assert.deepEqual((await request(server, 'GET', '/contacts/trash', { token: member.token })).body.data.map(row => row.id), ['t200']);
+        assert.equal((await request(server, 'POST', '/contacts/trash/t201/restore', { token: member.token })).status, 404);
+        const { body } = await request(server, 'DELETE', '/contacts/trash', { token: member.token });
+        assert.equal(body.purged, 1);
+        assert.ok((await request(server, 'GET', '/contacts/trash', { token: admin.token })).body.data.some(row => row.id === 't201'));
+    });
+
+    test('answers 409 to reverting a purged contact whose ID another contact has taken', async () => {
+        const member = await signUp(server, 'trash-reverter');
+        await request(server, 'POST', '/contacts', { token: member.token, body: newContact('t300') });
+        await request(server, 'DELETE', '/contacts/t300', { token: member.token });
+        assert.equal((await request(server, 'DELETE', '/contacts/trash/t300', { token: member.token })).status, 200);
+        assert.equal((await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('t300', { firstName: 'Taken' }) })).status, 201);
+
+        const { status, body } = await request(server, 'POST', '/contacts/t300/revert', { token: member.token, body: { version: 1 } });
+        assert.equal(status, 409);
+        assert.equal(body.error, 'Duplicate ID');
+        assert.equal((await request(server, 'GET', '/contacts/t300', { token: admin.token })).body.firstName, 'Taken');
+        const history = await request(server, 'GET', '/contacts/t300/history', { token: member.token });
+        assert.deepEqual(history.body.data.map(row => row.action), ['purge', 'delete', 'create']);
+    });
+});
+
+describe('POST and PUT /contacts', () => {
+    test('answer 400 to a request without a JSON body', async () => {
+        for (const [method, path] of [['POST', '/contacts'], ['PUT', '/contacts/12347']]) {
+            const empty = await request(server, method, path, { token: admin.token });
+            assert.equal(empty.status, 400, `${method} ${path}`);
+            assert.equal(empty.body.error, 'Validation failed');
+            assert.ok(empty.body.details.firstName);
+            const text = await request(server, method, path, { token: admin.token, headers: { 'Content-Type': 'text/plain' }, body: 'firstName=Ada' });
+            assert.equal(text.status, 400, `${method} ${path}`);
+        }
+    });
+
+    test('answer the messages and codes of the shared contact schema', async () => {
+        const { status, body } = await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('n103', { firstName: '', email: 'nope' }) });
+        assert.equal(status, 400);
+        assert.deepEqual(body.codes, { firstName: 'required', email: 'invalid_email' });
+        assert.deepEqual(body.details, { firstName: 'First name is required', email: 'Please enter a valid email address' });
+    });
+
+    test('give contacts created without an ID the next one in sequence', async () => {
+        const { id, ...fields } = newContact('');
+        const first = await request(server, 'POST', '/contacts', { token: admin.token, body: fields });
+        assert.equal(first.status, 201, JSON.stringify(first.body));
+        assert.match(first.body.id, /^\d+$/);
+        await request(server, 'DELETE', `/contacts/${first.body.id}`, { token: admin.token });
+        await request(server, 'DELETE', `/contacts/trash/${first.body.id}`, { token: admin.token });
+        const second = await request(server, 'POST', '/contacts', { token: admin.token, body: { ...fields, id } });
+        assert.equal(second.body.id, String(Number(first.body.id) + 1));
+        assert.equal(second.headers.get('location'), `/contacts/${second.body.id}`);
+    });
+
+    test('keep the other entries of a collection when a client sends only its single field', async () => {
+        const phones = [{ label: 'home', value: '2025550100' }, { label: 'mobile', value: '2025550143', primary: true }];
+        assert.equal((await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('n104', { phones }) })).status, 201);
+        const older = newContact('n104', { phone: '2025550199' });
+        assert.equal((await request(server, 'PUT', '/contacts/n104', { token: admin.token, body: older })).status, 200);
+        const { body } = await request(server, 'GET', '/contacts/n104', { token: admin.token });
+        assert.equal(body.phone, '+12025550199');
+        assert.deepEqual(body.phones.map(({ label, value, primary }) => [label, value, primary]), [
+            ['home', '+12025550100', false],
+            ['mobile', '+12025550199', true]
+        ]);
+        const empty = await request(server, 'PUT', '/contacts/n104', { token: admin.token, body: { ...older, phones: [] } });
+        assert.deepEqual(empty.body.details, { phones: 'Phone number is required' });
+    });
+
+    test('store phone numbers in E.164 and reject those that cannot be dialled', async () => {
+        for (const [id, phone, e164] of [['n100', '(202) 555-0155', '+12025550155'], ['n101', '+44 20 7946 0958', '+442079460958']]) {
+            const created = await request(server, 'POST', '/contacts', { token: admin.token, body: newContact(id, { phone }) });
+            assert.equal(created.status, 201, JSON.stringify(created.body));
+            assert.equal((await request(server, 'GET', `/contacts/${id}`, { token: admin.token })).body.phone, e164);
+        }
+        for (const phone of ['12', '202 555 0143 ext 12']) {
+            const rejected = await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('n102', { phone }) });
+            assert.equal(rejected.status, 400, phone);
+            assert.ok(rejected.body.details.phone, phone);
+        }
+    });
+});
+
+describe('versions and If-Match', () => {
+    test('a write only goes ahead while its If-Match names the current version', async () => {
+        const read = await request(server, 'GET', '/contacts/12360', { token: admin.token });
+        assert.equal(read.headers.get('etag'), '"1"');
+        const updated = await request(server, 'PUT', '/contacts/12360', {
+            token: admin.token,
+            headers: { 'If-Match': '"1"' },
+            body: newContact('12360', { firstName: 'First' })
+        });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.version, 2);
+        assert.equal(updated.headers.get('etag'), '"2"');
+
+        const stale = await request(server, 'PUT', '/contacts/12360', {
+            token: admin.token,
+            headers: { 'If-Match': '"1"' },
+            body: newContact('12360', { firstName: 'Second' })
+        });
+        assert.equal(stale.status, 412);
+        assert.equal(stale.headers.get('etag'), '"2"');
+        assert.equal(stale.body.current.firstName, 'First');
+        assert.equal(stale.body.current.version, 2);
+        assert.equal((await request(server, 'DELETE', '/contacts/12360', { token: admin.token, headers: { 'If-Match': 'W/"2"' } })).status, 412);
+        assert.equal((await request(server, 'DELETE', '/contacts/12360', { token: admin.token, headers: { 'If-Match': '"2"' } })).status, 200);
+    });
+
+    test('a patch honors If-Match', async () => {
+        const patch = (ifMatch) => request(server, 'PATCH', '/contacts/12361', {
+            token: admin.token,
+            headers: { 'If-Match': ifMatch, 'Content-Type': 'application/merge-patch+json' },
+            body: JSON.stringify({ firstName: 'Patched' })
+        });
+        assert.equal((await patch('"2"')).status, 412);
+        const patched = await patch('"1"');
+        assert.equal(patched.status, 200);
+        assert.equal(patched.body.firstName, 'Patched');
+        assert.equal(patched.headers.get('etag'), '"2"');
+    });
+
+    test('merge and revert answer the contact version and the history version apart', async () => {
+        await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('v100', { firstName: 'Dana' }) });
+        await request(server, 'POST', '/contacts', { token: admin.token, body: newContact('v101', { firstName: 'Dana', email: 'dana@example.com' }) });
+        await request(server, 'PUT', '/contacts/v100', { token: admin.token, body: newContact('v100', { firstName: 'Dane' }) });
+        // Trashing and restoring adds history entries without changing the contact's version
+        await request(server, 'DELETE', '/contacts/v100', { token: admin.token });
+        await request(server, 'POST', '/contacts/trash/v100/restore', { token: admin.token });
+
+        const merged = await request(server, 'POST', '/contacts/merge', {
+            token: admin.token,
+            body: { targetId: 'v100', sourceIds: ['v101'], versions: { v100: 2, v101: 1 } }
+        });
+        assert.equal(merged.status, 200);
+        assert.equal(merged.body.contact.version, 3);
+        assert.equal(merged.body.historyVersion, 5);
+        assert.equal(merged.headers.get('etag'), '"3"');
+        assert.equal(merged.body.version, undefined);
+
+        const reverted = await request(server, 'POST', '/contacts/v100/revert', { token: admin.token, body: { version: 1 } });
+        assert.equal(reverted.status, 200);
+        assert.equal(reverted.body.contact.firstName, 'Dana');
+        assert.equal(reverted.body.contact.version, 4);
+        assert.equal(reverted.body.historyVersion, 6);
+        assert.equal(reverted.headers.get('etag'), '"4"');
+        assert.equal(reverted.body.version, undefined);
+    });
+});
+
+describe('PATCH /contacts/:id', () => {
+    const patch = (id, contentType, body) => request(server, 'PATCH', `/contacts/${id}`, {
+        token: admin.token,
+        headers: { 'Content-Type': contentType },
+        body: JSON.stringify(body)
+    });
+
+    test('applies a JSON Patch to the contact as GET returns it', async () => {
+        const { status, body } = await patch('12362', 'application/json-patch+json', [
+            { op: 'test', path: '/id', value: '12362' },
+            { op: 'add', path: '/phones/-', value: { label: 'work', value: '2025550155' } },
+            { op: 'replace', path: '/email', value: 'patched@example.com' }
+        ]);
+        assert.equal(status, 200);
+        assert.equal(body.email, 'patched@example.com');
+        assert.deepEqual(body.phones.map(phone => [phone.label, phone.value]).slice(-1), [['work', '+12025550155']]);
+        assert.equal(body.emails.find(email => email.primary).value, 'patched@example.com');
+    });
+
+    test('answers a failed test with 409 and an invalid result with 400', async () => {
+        const failed = await patch('12363', 'application/json-patch+json', [{ op: 'test', path: '/firstName', value: 'Nobody' }]);
+        assert.equal(failed.status, 409);
+        const invalid = await patch('12363', 'application/merge-patch+json', { email: 'nope' });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.details.email);
+        const readOnly = await patch('12363', 'application/merge-patch+json', { version: 9 });
+        assert.equal(readOnly.status, 400);
+        assert.equal((await request(server, 'GET', '/contacts/12363', { token: admin.token })).body.version, 1);
+    });
+
+    test('refuses paths into the prototype of the contact', async () => {
+        for (const path of ['/__proto__/isAdmin', '/constructor/prototype/isAdmin']) {
+            const { status, body } = await patch('12363', 'application/json-patch+json', [{ op: 'add', path, value: true }]);
+            assert.equal(status, 400);
+            assert.match(body.error, /Invalid JSON Pointer/);
+        }
+        assert.equal((await request(server, 'GET', '/contacts/12363', { token: admin.token })).body.version, 1);
+    });
+
+    test('refuses other media types', async () => {
+        const { status, headers } = await patch('12363', 'text/plain', 'firstName=Nobody');
+        assert.equal(status, 415);
+        assert.match(headers.get('accept-patch'), /json-patch\+json/);
+    });
+});
+
+describe('POST /contacts/import', () => {
+    const importCsv = (query, csv) => request(server, 'POST', `/contacts/import${query}`, {
+        token: admin.token,
+        headers: { 'Content-Type': 'text/csv' },
+        body: csv
+    });
+    const CSV = [
+        'Contact ID,Given Name,Surname,Tel,Mail',
+        'i100,Ada,Lovelace,2025550143,ada@example.com',
+        'i101,"Grace, RAdm",Hopper,2025550144,not-an-email',
+        '12364,Taken,Already,2025550145,taken@example.com'
+    ].join('\r\n');
+
+    test('a dry run reports every row and saves nothing', async () => {
+        const { status, body } = await importCsv('?dryRun=true&onConflict=skip', CSV);
+        assert.equal(status, 200);
+        assert.equal(body.committed, false);
+        assert.deepEqual(body.rows.map(row => [row.line, row.action]), [[2, 'insert'], [3, 'error'], [4, 'skip']]);
+        assert.ok(body.rows[1].details.email);
+        assert.equal((await request(server, 'GET', '/contacts/i100', { token: admin.token })).status, 404);
+    });
+
+    test('an existing ID stops the whole import unless it is skipped or overwritten', async () => {
+        const conflict = await importCsv('', CSV);
+        assert.equal(conflict.status, 409);
+        assert.equal(conflict.body.summary.conflicts, 1);
+        assert.equal((await request(server, 'GET', '/contacts/i100', { token: admin.token })).status, 404);
+
+        const overwritten = await importCsv('?onConflict=overwrite', CSV);
+        assert.equal(overwritten.status, 200);
+        assert.deepEqual(overwritten.body.summary, { rows: 3, inserted: 1, updated: 1, skipped: 0, conflicts: 0, duplicates: 1, errors: 1 });
+        assert.equal((await request(server, 'GET', '/contacts/i100', { token: admin.token })).body.lastName, 'Lovelace');
+        assert.equal((await request(server, 'GET', '/contacts/12364', { token: admin.token })).body.firstName, 'Taken');
+    });
+
+    test('rejects malformed CSV and mappings that leave out required fields', async () => {
+        const malformed = await importCsv('', 'id,firstName\r\n"open,x');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.details.line, 2);
+        const unmapped = await importCsv(`?mapping=${encodeURIComponent(JSON.stringify({ Mail: null }))}`, CSV);
+        assert.equal(unmapped.status, 400);
+        assert.ok(unmapped.body.details.email);
+    });
+
+    test('reads Google and Outlook files in their layout without being told which it is', async () => {
+        const google = await importCsv('?dryRun=true', 'Given Name,Family Name,Phone 1 - Label,Phone 1 - Value,E-mail 1 - Value\r\nAda,Byron,* Mobile,2025550143,byron@example.com');
+        assert.equal(google.body.profile, 'google');
+        assert.equal(google.body.summary.inserted, 1);
+        const outlook = await importCsv('?dryRun=true', 'First Name,Last Name,E-mail Address,Mobile Phone,Home City\r\nGrace,Hopper,grace@example.com,2025550143,Arlington');
+        assert.equal(outlook.body.profile, 'outlook');
+        assert.deepEqual(outlook.body.rows.map(row => [row.action, row.unmapped]), [['insert', []]]);
+    });
+});
+
+describe('GET /contacts/export', () => {
+    let exporter;
+
+    before(async () => {
+        exporter = await signUp(server, 'exporter');
+        for (const contact of [
+            newContact('x100', { firstName: '=HYPERLINK("http://example.com")', lastName: 'Baker' }),
+            newContact('x101', { firstName: 'Ada', lastName: 'Carter' }),
+            newContact('x102', { firstName: 'Grace', lastName: 'Adams' })
+        ]) {
+            assert.equal((await request(server, 'POST', '/contacts', { token: exporter.token, body: contact })).status, 201);
+        }
+    });
+
+    const exported = (query) => request(server, 'GET', `/contacts/export${query}`, { token: exporter.token });
+    const idsOf = (csv) => csv.trim().split('\r\n').slice(1).map(line => line.split(',')[0]);
+
+    test('writes the contacts in the order asked for', async () => {
+        const { status, headers, body } = await exported('?sort=-lastName&fields=id,lastName');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/csv/);
+        assert.equal(body, 'id,lastName\r\nx101,Carter\r\nx100,Baker\r\nx102,Adams\r\n');
+        assert.deepEqual(idsOf((await exported('?fields=id')).body), ['x100', 'x101', 'x102']);
+    });
+
+    test('ranks search results by relevance', async () => {
+        const { body } = await exported('?q=ada&fields=id');
+        assert.deepEqual(idsOf(body), ['x101', 'x102']);
+    });
+
+    test('writes formulas as text, in plain CSV and the Google Contacts columns', async () => {
+        const plain = await exported('?fields=id,firstName,phone');
+        assert.match(plain.body, /\r\nx100,"'=HYPERLINK\(""http:\/\/example\.com""\)",'\+12025550143\r\n/);
+        const google = await exported('?profile=google&sort=lastName');
+        assert.match(google.body, /\r\nGrace,Adams,/);
+        assert.match(google.body, /\r\n"'=HYPERLINK\(""http:\/\/example\.com""\)",Baker,/);
+    });
+
+    test('exports a file that imports back unchanged, phones included', async () => {
+        const { body } = await exported('?q=grace');
+        const imported = await request(server, 'POST', '/contacts/import?onConflict=overwrite', {
+            token: exporter.token,
+            headers: { 'Content-Type': 'text/csv' },
+            body
+        });
+        assert.equal(imported.status, 200, JSON.stringify(imported.body));
+        assert.equal(imported.body.summary.updated, 1);
+        const contact = (await request(server, 'GET', '/contacts/x102', { token: exporter.token })).body;
+        assert.equal(contact.phone, '+12025550143');
+        assert.equal(contact.lastName, 'Adams');
+    });
+});
+
+describe('vCards', () => {
+    const importCards = (query, cards) => request(server, 'POST', `/contacts/import/vcard${query}`, {
+        token: admin.token,
+        headers: { 'Content-Type': 'text/vcard' },
+        body: cards
+    });
+    const CARDS = [
+        'BEGIN:VCARD', 'VERSION:3.0', 'UID:vc100', 'N:Hopper;Grace;;;', 'TEL;TYPE=CELL:2025550143',
+        'EMAIL:grace@example.com', 'NOTE:Admiral', 'END:VCARD',
+        'BEGIN:VCARD', 'VERSION:2.1', 'UID:vc101', 'N:Old;Card;;;', 'END:VCARD'
+    ].join('\r\n');
+
+    test('imports cards, reporting unsupported versions and unmapped properties', async () => {
+        const { status, body } = await importCards('?onConflict=skip', CARDS);
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.deepEqual(body.rows.map(row => [row.line, row.id, row.action]), [[1, 'vc100', 'insert'], [9, 'vc101', 'error']]);
+        assert.ok(body.rows[1].details.version);
+        assert.deepEqual(body.rows[0].unmapped.map(({ property, line }) => [property, line]), [['NOTE', 7]]);
+        assert.deepEqual(body.unmappedProperties, { NOTE: 1 });
+    });
+
+    test('downloads a contact as the card it was imported from', async () => {
+        const { status, headers, body } = await request(server, 'GET', '/contacts/vc100.vcf?version=4.0', { token: admin.token });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/vcard/);
+        assert.match(body, /\r\nUID:vc100\r\n/);
+        assert.match(body, /\r\nTEL;VALUE=uri;TYPE=cell:tel:\+12025550143\r\n/);
+        assert.equal((await request(server, 'GET', '/contacts/vc100.vcf?version=2.1', { token: admin.token })).status, 400);
+    });
+
+    test('rejects text that is not a vCard', async () => {
+        const { status, body } = await importCards('', 'BEGIN:VCARD\r\nFN:Never ended');
+        assert.equal(status, 400);
+        assert.equal(body.details.line, 1);
+    });
+});
+
+describe('CardDAV', () => {
+    const BOOK = '/carddav/addressbooks/contacts/';
+    const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    const dav = (method, urlPath, body, headers = {}) => request(server, method, urlPath, {
+        headers: { Authorization: basic('admin', 'correct horse battery'), ...(body ? { 'Content-Type': 'application/xml' } : {}), ...headers },
+        body
+    });
+    const hrefsOf = (xml) => [...xml.matchAll(/<(?:\w+:)?href>([^<]*)<\/(?:\w+:)?href>/g)].map(([, href]) => href);
+
+    test('serves a card a client created under its own name and UID, as clients sync it', async () => {
+        const uid = '6f2b4c1e-3a7d-4e8f-9b0a-1c2d3e4f5a6b';
+        const href = `${BOOK}${uid}.vcf`;
+        const card = ['BEGIN:VCARD', 'VERSION:3.0', `UID:${uid}`, 'N:Sync;Client;;;', 'FN:Client Sync',
+            'TEL;TYPE=CELL:2025550143', 'EMAIL:client.sync@example.com', 'END:VCARD', ''].join('\r\n');
+
+        // The client finds the address book, then creates the card, refusing to overwrite one already there
+        const home = await dav('PROPFIND', '/carddav/principal/', '<propfind xmlns="DAV:" xmlns:C="urn:ietf:params:xml:ns:carddav"><prop><C:addressbook-home-set/></prop></propfind>', { Depth: '0' });
+        assert.equal(home.status, 207);
+        assert.ok(hrefsOf(home.body).includes('/carddav/addressbooks/'));
+        const created = await dav('PUT', href, card, { 'Content-Type': 'text/vcard', 'If-None-Match': '*' });
+        assert.equal(created.status, 201);
+
+        // On its next sync it lists the hrefs and ETags, and fetches the cards it does not have yet
+        const listing = await dav('PROPFIND', BOOK, '<propfind xmlns="DAV:"><prop><getetag/></prop></propfind>', { Depth: '1' });
+        assert.equal(listing.status, 207);
+        assert.ok(hrefsOf(listing.body).includes(href), 'the card is listed under the URL it was put to');
+        const multiget = await dav('REPORT', BOOK, `<C:addressbook-multiget xmlns="DAV:" xmlns:C="urn:ietf:params:xml:ns:carddav"><prop><getetag/><C:address-data/></prop><href>${href}</href></C:addressbook-multiget>`, { Depth: '1' });
+        assert.equal(multiget.status, 207);
+        assert.match(multiget.body, new RegExp(`UID:${uid}`));
+        assert.doesNotMatch(multiget.body, /<(?:\w+:)?status>HTTP\/1\.1 404/);
+
+        // Changing and deleting the card work on the same URL, with the ETag the server gave
+        const fetched = await dav('GET', href);
+        assert.equal(fetched.status, 200);
+        assert.match(fetched.body, new RegExp(`\r\nUID:${uid}\r\n`));
+        const changed = await dav('PUT', href, card.replace('N:Sync;Client', 'N:Sync;Changed'), { 'Content-Type': 'text/vcard', 'If-Match': fetched.headers.get('etag') });
+        assert.equal(changed.status, 204);
+        assert.match((await dav('GET', href)).body, /\r\nN:Sync;Changed;;;\r\n/);
+        assert.equal((await dav('PUT', href, card, { 'Content-Type': 'text/vcard', 'If-Match': fetched.headers.get('etag') })).status, 412);
+        assert.equal((await dav('DELETE', href)).status, 204);
+        assert.equal((await dav('GET', href)).status, 404);
+    });
+
+    test('takes an API key as the password only with an empty or reserved username', async () => {
+        const { body: { key } } = await request(server, 'POST', '/admin/api-keys', { token: admin.token, body: { name: 'dav', scopes: ['read'] } });
+        const propfind = (authorization) => request(server, 'PROPFIND', BOOK, { headers: { Authorization: authorization, Depth: '0' } });
+        assert.equal((await propfind(basic('', key))).status, 207);
+        assert.equal((await propfind(basic('~apikey', key))).status, 207);
+        assert.equal((await propfind(basic('admin', key))).status, 401);
+
+        // A password that happens to look like a key is still a password
+        const registered = await request(server, 'POST', '/auth/register', { body: { username: 'keylike', password: 'ck_correct horse battery' } });
+        assert.equal(registered.status, 201);
+        assert.equal((await propfind(basic('keylike', 'ck_correct horse battery'))).status, 207);
+        assert.equal((await request(server, 'POST', '/auth/register', { body: { username: '~apikey', password: 'correct horse battery' } })).status, 400);
+    });
+
+    test('serves contacts of its own under their IDs', async () => {
+        const fetched = await dav('GET', `${BOOK}12346.vcf`);
+        assert.equal(fetched.status, 200);
+        assert.match(fetched.body, /\r\nUID:12346\r\n/);
+    });
+
+    test('finds contacts with a ULID for an ID under that ID', async () => {
+        const id = ulid();
+        const contact = newContact(id, { firstName: 'Ulid', lastName: 'Card', email: 'ulid.card@example.com', phone: '2025550161' });
+        assert.equal((await request(server, 'POST', '/contacts', { token: admin.token, body: contact })).status, 201);
+        const href = `${BOOK}${id}.vcf`;
+        const fetched = await dav('GET', href);
+        assert.equal(fetched.status, 200);
+        assert.match(fetched.body, new RegExp(`\r\nUID:${id}\r\n`));
+        const changed = await dav('PUT', href, fetched.body.replace('N:Card;Ulid', 'N:Card;Changed'), { 'Content-Type': 'text/vcard', 'If-Match': fetched.headers.get('etag') });
+        assert.equal(changed.status, 204);
+        assert.equal((await request(server, 'GET', `/contacts/${id}`, { token: admin.token })).body.firstName, 'Changed');
+        assert.equal((await dav('DELETE', href)).status, 204);
+        assert.equal((await request(server, 'GET', `/contacts/${id}`, { token: admin.token })).status, 404);
+    });
+});
+
+describe('duplicates', () => {
+    let member;
+
+    before(async () => {
+        member = await signUp(server, 'deduper');
+        for (const contact of [
+            newContact('d100', { firstName: 'Dana', lastName: 'Scully', email: 'dana@example.com', phone: '2025550171' }),
+            newContact('d101', { firstName: 'Dana', lastName: 'Scully', email: 'DANA@example.com', phone: '(202) 555-0172' }),
+            newContact('d102', { firstName: 'Fox', lastName: 'Mulder', email: 'fox@example.com', phone: '2025550173' })
+        ]) {
+            assert.equal((await request(server, 'POST', '/contacts', { token: member.token, body: contact })).status, 201);
+        }
+    });
+
+    test('finds contacts that are probably the same person', async () => {
+        const { status, body } = await request(server, 'GET', '/contacts/duplicates', { token: member.token });
+        assert.equal(status, 200);
+        assert.equal(body.data.length, 1);
+        assert.deepEqual(body.data[0].contacts.map(contact => [contact.id, contact.version]), [['d100', 1], ['d101', 1]]);
+        assert.deepEqual(body.data[0].pairs[0].matchedFields, ['email', 'name']);
+        assert.equal((await request(server, 'GET', '/contacts/duplicates?minConfidence=2', { token: member.token })).status, 400);
+    });
+
+    test('merges them field by field and moves the others to the trash', async () => {
+        const stale = await request(server, 'POST', '/contacts/merge', {
+            token: member.token,
+            body: { targetId: 'd100', sourceIds: ['d101'], versions: { d101: 2 } }
+        });
+        assert.equal(stale.status, 412);
+
+        const { status, body } = await request(server, 'POST', '/contacts/merge', {
+            token: member.token,
+            body: { targetId: 'd100', sourceIds: ['d101'], fields: { phone: 'd101' }, versions: { d100: 1, d101: 1 } }
+        });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.deepEqual(body.merged, ['d101']);
+        assert.deepEqual(body.contact.phones.map(({ value, primary }) => [value, primary]), [['+12025550172', true], ['+12025550171', false]]);
+        assert.deepEqual(body.contact.emails.map(({ value }) => value), ['dana@example.com']);
+        assert.equal((await request(server, 'GET', '/contacts/d101', { token: member.token })).status, 404);
+        const { body: history } = await request(server, 'GET', '/contacts/d101/history', { token: member.token });
+        assert.deepEqual(history.data.map(entry => entry.action), ['merge', 'create']);
+    });
+});
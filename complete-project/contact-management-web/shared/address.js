@@ -0,0 +1,318 @@
+// Postal addresses: postal code rules and address layouts per country, and a best-effort parser for free-text addresses
+const { getCountries } = require('libphonenumber-js/max');
+
+// ISO 3166 codes of the countries an address can be in: every country with a telephone numbering plan
+const COUNTRIES = getCountries();
+
+// Parts of a structured address, in the order they are written
+const ADDRESS_COMPONENTS = ['street', 'city', 'region', 'postalCode', 'country'];
+
+// Most lines a street can have, as Outlook and most address forms allow
+const MAX_STREET_LINES = 3;
+
+// Country names people write that are not the English name of the country
+const COUNTRY_ALIASES = {
+    usa: 'US',
+    'u.s.a': 'US',
+    'u.s': 'US',
+    'united states of america': 'US',
+    america: 'US',
+    uk: 'GB',
+    'u.k': 'GB',
+    'great britain': 'GB',
+    england: 'GB',
+    scotland: 'GB',
+    wales: 'GB',
+    'northern ireland': 'GB',
+    deutschland: 'DE',
+    holland: 'NL',
+    'the netherlands': 'NL',
+    nederland: 'NL',
+    españa: 'ES',
+    italia: 'IT',
+    österreich: 'AT',
+    schweiz: 'CH',
+    suisse: 'CH',
+    brasil: 'BR',
+    méxico: 'MX',
+    'republic of ireland': 'IE'
+};
+
+/**
+ * Rewrites a postal code typed without its separator, e.g. 1234AB as 1234 AB.
+ * @param {number} at - Position of the separator; negative positions count from the end.
+ * @param {string} [separator=' '] - Separator to put there.
+ * @returns {Function} Rewrites a postal code.
+ */
+const withSeparator = (at, separator = ' ') => (code) => {
+    const compact = code.replace(/[\s-]/g, '');
+    const index = at < 0 ? compact.length + at : at;
+    return `${compact.slice(0, index)}${separator}${compact.slice(index)}`;
+};
+
+// Address layout per country. postalCode is the pattern a postal code must match once `normalize` has put it in
+// the form the country writes it in, and example a code that does. lines is the template of what follows the street
+// lines; the country's name, when written, comes last. regionLabel and postalCodeLabel name the fields on forms.
+// Countries without an entry use DEFAULT_FORMAT and accept any postal code
+const ADDRESS_FORMATS = {
+    US: { postalCode: /^\d{5}(?:-\d{4})?$/, example: '62701', lines: ['{city}, {region} {postalCode}'], regionLabel: 'State', postalCodeLabel: 'ZIP code' },
+    CA: {
+        postalCode: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, example: 'K1A 0B1', normalize: withSeparator(3),
+        lines: ['{city} {region} {postalCode}'], regionLabel: 'Province'
+    },
+    GB: {
+        postalCode: /^(?:[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}|GIR 0AA)$/, example: 'SW1A 1AA', normalize: withSeparator(-3),
+        lines: ['{city}', '{postalCode}'], regionLabel: 'County', postalCodeLabel: 'Postcode'
+    },
+    IE: {
+        postalCode: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) [0-9AC-FHKNPRTV-Y]{4}$/, example: 'D02 X285', normalize: withSeparator(3),
+        lines: ['{city}', '{region}', '{postalCode}'], regionLabel: 'County', postalCodeLabel: 'Eircode'
+    },
+    AU: { postalCode: /^\d{4}$/, example: '2000', lines: ['{city} {region} {postalCode}'], regionLabel: 'State', postalCodeLabel: 'Postcode' },
+    NZ: { postalCode: /^\d{4}$/, example: '6011', lines: ['{city} {postalCode}'], postalCodeLabel: 'Postcode' },
+    DE: { postalCode: /^\d{5}$/, example: '10115', lines: ['{postalCode} {city}'], regionLabel: 'State' },
+    FR: { postalCode: /^\d{5}$/, example: '75008', lines: ['{postalCode} {city}'] },
+    IT: { postalCode: /^\d{5}$/, example: '00144', lines: ['{postalCode} {city} {region}'], regionLabel: 'Province' },
+    ES: { postalCode: /^\d{5}$/, example: '28013', lines: ['{postalCode} {city}', '{region}'], regionLabel: 'Province' },
+    PT: { postalCode: /^\d{4}-\d{3}$/, example: '1000-001', normalize: withSeparator(4, '-'), lines: ['{postalCode} {city}'] },
+    NL: { postalCode: /^\d{4} [A-Z]{2}$/, example: '1012 JS', normalize: withSeparator(4), lines: ['{postalCode} {city}'], regionLabel: 'Province' },
+    BE: { postalCode: /^\d{4}$/, example: '1000', lines: ['{postalCode} {city}'] },
+    CH: { postalCode: /^\d{4}$/, example: '8001', lines: ['{postalCode} {city}'], regionLabel: 'Canton' },
+    AT: { postalCode: /^\d{4}$/, example: '1010', lines: ['{postalCode} {city}'], regionLabel: 'State' },
+    DK: { postalCode: /^\d{4}$/, example: '1050', lines: ['{postalCode} {city}'] },
+    NO: { postalCode: /^\d{4}$/, example: '0150', lines: ['{postalCode} {city}'] },
+    SE: { postalCode: /^\d{3} \d{2}$/, example: '114 55', normalize: withSeparator(3), lines: ['{postalCode} {city}'] },
+    FI: { postalCode: /^\d{5}$/, example: '00100', lines: ['{postalCode} {city}'] },
+    PL: { postalCode: /^\d{2}-\d{3}$/, example: '00-950', normalize: withSeparator(2, '-'), lines: ['{postalCode} {city}'], regionLabel: 'Voivodeship' },
+    JP: { postalCode: /^\d{3}-\d{4}$/, example: '100-0001', normalize: withSeparator(3, '-'), lines: ['{city}, {region} {postalCode}'], regionLabel: 'Prefecture' },
+    CN: { postalCode: /^\d{6}$/, example: '100000', lines: ['{city}, {region} {postalCode}'], regionLabel: 'Province' },
+    IN: { postalCode: /^\d{6}$/, example: '110001', normalize: withSeparator(6, ''), lines: ['{city} {postalCode}', '{region}'], regionLabel: 'State', postalCodeLabel: 'PIN code' },
+    BR: { postalCode: /^\d{5}-\d{3}$/, example: '01310-100', normalize: withSeparator(5, '-'), lines: ['{city} - {region}', '{postalCode}'], regionLabel: 'State', postalCodeLabel: 'CEP' },
+    MX: { postalCode: /^\d{5}$/, example: '06600', lines: ['{postalCode} {city}, {region}'], regionLabel: 'State' },
+    ZA: { postalCode: /^\d{4}$/, example: '0001', lines: ['{city}', '{postalCode}'], regionLabel: 'Province' }
+};
+
+const DEFAULT_FORMAT = { postalCode: null, example: null, lines: ['{city} {region} {postalCode}'] };
+
+/**
+ * Looks up the address layout of a country.
+ * @param {string} [country] - ISO 3166 code.
+ * @returns {Object} Entry of ADDRESS_FORMATS, or DEFAULT_FORMAT.
+ */
+const addressFormat = (country) => ADDRESS_FORMATS[country] || DEFAULT_FORMAT;
+
+const displayNames = {};
+
+/**
+ * Names a country in a language, e.g. "Germany" for DE in English.
+ * @param {string} code - ISO 3166 code.
+ * @param {string} [locale='en'] - Language of the name.
+ * @returns {string} Name, or the code itself where the runtime has no names.
+ */
+const countryName = (code, locale = 'en') => {
+    try {
+        displayNames[locale] = displayNames[locale] || new Intl.DisplayNames([locale], { type: 'region' });
+        return displayNames[locale].of(code) || code;
+    } catch (err) {
+        return code;
+    }
+};
+
+let countriesByName = null;
+
+/**
+ * Works out the country a name or code stands for, e.g. US for "United States", "USA" or "us".
+ * @param {string} text - English country name, common alias or ISO 3166 code.
+ * @returns {string|null} ISO 3166 code, or null when the text names no known country.
+ */
+const countryCode = (text) => {
+    const key = String(text || '').trim().toLowerCase().replace(/\.$/, '');
+    if (COUNTRY_ALIASES[key]) return COUNTRY_ALIASES[key];
+    if (/^[a-z]{2}$/.test(key)) return COUNTRIES.includes(key.toUpperCase()) ? key.toUpperCase() : null;
+    if (!countriesByName) {
+        countriesByName = new Map(COUNTRIES.map(code => [countryName(code).toLowerCase(), code]));
+    }
+    return countriesByName.get(key) || null;
+};
+
+/**
+ * Puts a postal code in the form its country writes it in: upper case, with single spaces, and with the separator
+ * the country uses when it was typed without one (e.g. sw1a1aa as SW1A 1AA).
+ * @param {string} code - Postal code as typed.
+ * @param {string} [country] - ISO 3166 code of the address.
+ * @returns {string} Postal code.
+ */
+const normalizePostalCode = (code, country) => {
+    const text = String(code || '').trim().toUpperCase().replace(/\s+/g, ' ');
+    const format = addressFormat(country);
+    if (!text || !format.normalize) return text;
+    const rewritten = format.normalize(text);
+    return format.postalCode.test(rewritten) ? rewritten : text;
+};
+
+/**
+ * Checks a postal code against the pattern of its country.
+ * @param {string} code - Postal code as typed.
+ * @param {string} [country] - ISO 3166 code of the address.
+ * @returns {boolean} Whether the code is valid there; always true for countries without a known pattern.
+ */
+const isValidPostalCode = (code, country) => {
+    const { postalCode } = addressFormat(country);
+    return !postalCode || postalCode.test(normalizePostalCode(code, country));
+};
+
+/**
+ * Writes a structured address with its country's template. Parts that are missing are left out together with the
+ * commas and dashes next to them, and so are empty lines.
+ * @param {Object} address - { street, city, region, postalCode, country }; street is a list of lines.
+ * @param {Object} [options] - Formatting options.
+ * @param {string} [options.separator='\n'] - Joins the lines, e.g. ', ' for one line.
+ * @param {string} [options.defaultCountry] - Country whose template addresses without a country use.
+ * @param {string} [options.omitCountry] - Country whose name is left out, such as the one mail is sent from.
+ * @param {string} [options.locale='en'] - Language of the country name.
+ * @returns {string} Formatted address; '' when it has no parts.
+ */
+const formatAddress = (address, { separator = '\n', defaultCountry, omitCountry, locale = 'en' } = {}) => {
+    const { street = [], country = '' } = address;
+    const values = { city: address.city || '', region: address.region || '', postalCode: address.postalCode || '' };
+    const lines = addressFormat(country || defaultCountry).lines.map(line => line
+        .replace(/\{(\w+)\}/g, (placeholder, name) => values[name])
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,-]+|[\s,-]+$/g, ''));
+    return [...street, ...lines, country && country !== omitCountry ? countryName(country, locale) : '']
+        .map(line => String(line).trim())
+        .filter(Boolean)
+        .join(separator);
+};
+
+/**
+ * Fits street lines into MAX_STREET_LINES: trimmed, without empty lines, and with any beyond the limit joined into the
+ * last one.
+ * @param {string[]} lines - Street lines.
+ * @returns {string[]} Street lines.
+ */
+const fitStreetLines = (lines) => {
+    const kept = lines.map(line => String(line || '').trim()).filter(Boolean);
+    return kept.length > MAX_STREET_LINES
+        ? [...kept.slice(0, MAX_STREET_LINES - 1), kept.slice(MAX_STREET_LINES - 1).join(', ')]
+        : kept;
+};
+
+/**
+ * Builds a structured address from the parts of an address in another format, such as a vCard ADR or the address
+ * columns of a CSV file. Street lines are fitted with fitStreetLines, and the country, given by name or code, becomes
+ * its ISO 3166 code.
+ * @param {Object} parts - { street, city, region, postalCode, country }, street being a list of lines that may
+ *   contain line breaks; missing parts count as empty.
+ * @returns {Object|null} { street, city, region, postalCode, country }, with country '' when it names no known
+ *   country; null when every part is empty.
+ */
+const addressFromParts = ({ street = [], city = '', region = '', postalCode = '', country = '' }) => {
+    const address = {
+        street: fitStreetLines(street.flatMap(line => String(line || '').split(/\r\n|\n|\r/))),
+        city: city.trim(),
+        region: region.trim(),
+        postalCode: postalCode.trim(),
+        country: countryCode(country) || ''
+    };
+    const empty = address.street.length === 0 && !address.city && !address.region && !address.postalCode && !country.trim();
+    return empty ? null : address;
+};
+
+/**
+ * Searches a line for a postal code of a country.
+ * @param {string} line - Line of an address.
+ * @param {Object} format - Entry of ADDRESS_FORMATS.
+ * @returns {{code: string, rest: string}|null} The code as found and the line without it, or null.
+ */
+const findPostalCode = (line, format) => {
+    // The pattern without its anchors, with the separators a typist may leave out made optional
+    const source = format.postalCode.source
+        .replace(/^\^|\$$/g, '')
+        .replace(/\[[^\]]*\]|[ -]/g, token => token.length > 1 ? token : '[ -]?');
+    const match = new RegExp(`(?:^|[\\s,])(${source})(?=$|[\\s,])`, 'i').exec(line);
+    if (!match) return null;
+    const start = match.index + match[0].length - match[1].length;
+    return { code: match[1], rest: `${line.slice(0, start)} ${line.slice(start + match[1].length)}`.replace(/\s+/g, ' ').replace(/^[\s,-]+|[\s,-]+$/g, '') };
+};
+
+/**
+ * Splits a free-text address such as "123 Elm St" or "1 Main St, Springfield, IL 62701, USA" into its parts, as well
+ * as the text allows. Lines, or comma-separated parts of a single line, are read from the end: a country name, then
+ * a postal code of that country (or of defaultCountry) with the city and region around it as the country's template
+ * places them, and the rest as street lines. Nothing is dropped: text that fits nowhere else stays in the street.
+ * @param {string} text - Address as typed.
+ * @param {string} [defaultCountry] - Country whose postal codes are looked for when the text names no country.
+ * @returns {Object} { street, city, region, postalCode, country }, with '' for parts not found; country is only set
+ *   when the text names one.
+ */
+const parseAddress = (text, defaultCountry) => {
+    const address = { street: [], city: '', region: '', postalCode: '', country: '' };
+    const rawLines = String(text || '').split(/\r\n|\n|\r/).map(line => line.trim()).filter(Boolean);
+    let lines = rawLines.length > 1 ? rawLines : (rawLines[0] || '').split(',').map(part => part.trim()).filter(Boolean);
+
+    // Only names count: two letters at the end are more often a state, such as CA or DE, unless they are UK
+    const last = lines[lines.length - 1] || '';
+    const named = lines.length > 1 && (last.length > 2 || COUNTRY_ALIASES[last.toLowerCase()]) ? countryCode(last) : null;
+    if (named) {
+        address.country = named;
+        lines = lines.slice(0, -1);
+    }
+
+    // A single line is a street; otherwise the postal code is in one of the last two lines, never the first
+    const format = addressFormat(address.country || defaultCountry);
+    let found = null;
+    let at = -1;
+    for (let index = lines.length - 1; format.postalCode && !found && index >= Math.max(1, lines.length - 2); index--) {
+        found = findPostalCode(lines[index], format);
+        if (found) at = index;
+    }
+
+    let streetEnd = lines.length;
+    if (!found) {
+        if (lines.length > 1) {
+            address.city = lines[lines.length - 1];
+            streetEnd = lines.length - 1;
+        }
+    } else {
+        address.postalCode = normalizePostalCode(found.code, address.country || defaultCountry);
+        streetEnd = at;
+        const postalLine = format.lines.find(line => line.includes('{postalCode}'));
+        const regionBeforeCode = /\{region\}\s*\{postalCode\}/.test(postalLine);
+        const pieces = found.rest.split(',').map(piece => piece.trim()).filter(Boolean);
+        const takePrevious = () => {
+            if (at < 2) return '';
+            streetEnd = at - 1;
+            return lines[at - 1];
+        };
+        if (pieces.length > 1) {
+            address.region = pieces.pop();
+            address.city = pieces.join(', ');
+        } else if (pieces.length === 1 && regionBeforeCode) {
+            // "Springfield IL 62701", or "IL 62701" with the city on the line before
+            const split = /^(.+?)\s+([A-Z]{2,3})$/.exec(pieces[0]);
+            if (split) [, address.city, address.region] = split;
+            else if (/^[A-Z]{2,3}$/.test(pieces[0]) || at >= 2) [address.region, address.city] = [pieces[0], takePrevious()];
+            else address.city = pieces[0];
+        } else if (pieces.length === 1) {
+            address.city = pieces[0];
+        } else {
+            // The city is on a line of its own, or shares it with the region as in "São Paulo - SP"
+            const [city, region = ''] = takePrevious().split(/\s+-\s+/);
+            address.city = city;
+            address.region = region;
+        }
+        lines.slice(at + 1).forEach(line => {
+            if (!address.region) address.region = line;
+            else address.city = [address.city, line].filter(Boolean).join(', ');
+        });
+    }
+
+    address.street = fitStreetLines(lines.slice(0, streetEnd));
+    return address;
+};
+
+module.exports = {
+    COUNTRIES, ADDRESS_COMPONENTS, ADDRESS_FORMATS, MAX_STREET_LINES,
+    addressFormat, countryName, countryCode, normalizePostalCode, isValidPostalCode, formatAddress, addressFromParts, parseAddress
+};
@@ -0,0 +1,77 @@
+// Postal code rules, address layouts per country and the free-text address parser
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    countryCode, normalizePostalCode, isValidPostalCode, formatAddress, addressFromParts, parseAddress
+} = require('./address');
+
+describe('countryCode', () => {
+    test('reads English names, common aliases and codes', () => {
+        assert.equal(countryCode('United Kingdom'), 'GB');
+        assert.equal(countryCode('U.S.A.'), 'US');
+        assert.equal(countryCode('Deutschland'), 'DE');
+        assert.equal(countryCode('fr'), 'FR');
+        assert.equal(countryCode('Atlantis'), null);
+        assert.equal(countryCode('XX'), null);
+    });
+});
+
+describe('postal codes', () => {
+    test('puts codes typed without a separator in the form their country writes them', () => {
+        assert.equal(normalizePostalCode('sw1a1aa', 'GB'), 'SW1A 1AA');
+        assert.equal(normalizePostalCode('1012js', 'NL'), '1012 JS');
+        assert.equal(normalizePostalCode('1000001', 'PT'), '1000-001');
+        assert.equal(normalizePostalCode('  abc  12 ', 'XX'), 'ABC 12');
+    });
+
+    test('checks codes against the pattern of their country', () => {
+        assert.equal(isValidPostalCode('62701-1234', 'US'), true);
+        assert.equal(isValidPostalCode('6270', 'US'), false);
+        assert.equal(isValidPostalCode('k1a0b1', 'CA'), true);
+        assert.equal(isValidPostalCode('anything', 'AQ'), true);
+    });
+});
+
+describe('formatAddress', () => {
+    const address = { street: ['10 Downing St'], city: 'London', region: '', postalCode: 'SW1A 2AA', country: 'GB' };
+
+    test('writes an address with its country template, leaving out missing parts', () => {
+        assert.equal(formatAddress(address), '10 Downing St\nLondon\nSW1A 2AA\nUnited Kingdom');
+        assert.equal(
+            formatAddress({ street: ['1 Main St'], city: 'Springfield', region: 'IL', postalCode: '62701', country: '' }, { separator: ', ', defaultCountry: 'US' }),
+            '1 Main St, Springfield, IL 62701'
+        );
+    });
+
+    test('leaves out the country mail is sent from and names the others in the language asked for', () => {
+        assert.equal(formatAddress(address, { separator: ', ', omitCountry: 'GB' }), '10 Downing St, London, SW1A 2AA');
+        assert.match(formatAddress(address, { locale: 'de' }), /\nVereinigtes Königreich$/);
+    });
+});
+
+describe('addressFromParts', () => {
+    test('fits the street in three lines and reads the country by name', () => {
+        assert.deepEqual(addressFromParts({ street: ['Flat 2', 'Block B\n1 High St', 'Estate'], city: ' Leeds ', country: 'England' }), {
+            street: ['Flat 2', 'Block B', '1 High St, Estate'], city: 'Leeds', region: '', postalCode: '', country: 'GB'
+        });
+        assert.equal(addressFromParts({ street: ['', ' '] }), null);
+    });
+});
+
+describe('parseAddress', () => {
+    test('reads a one-line US address from the end', () => {
+        assert.deepEqual(parseAddress('1 Main St, Apt 2, Springfield, IL 62701, USA', 'US'), {
+            street: ['1 Main St', 'Apt 2'], city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US'
+        });
+    });
+
+    test('reads a postal code before the city, as the country writes it', () => {
+        assert.deepEqual(parseAddress('Unter den Linden 77\n10117 Berlin\nGermany', 'US'), {
+            street: ['Unter den Linden 77'], city: 'Berlin', region: '', postalCode: '10117', country: 'DE'
+        });
+    });
+
+    test('keeps text it cannot place in the street', () => {
+        assert.deepEqual(parseAddress('123 Elm St', 'US'), { street: ['123 Elm St'], city: '', region: '', postalCode: '', country: '' });
+    });
+});
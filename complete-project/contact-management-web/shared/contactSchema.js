@@ -0,0 +1,307 @@
+// The contact fields and their rules, shared by the API and the React form so both accept the same contacts
+// and reject the rest with the same error codes and messages
+const { parsePhone, toE164 } = require('./phone');
+const {
+    COUNTRIES, ADDRESS_COMPONENTS, MAX_STREET_LINES, addressFormat, countryName, normalizePostalCode, isValidPostalCode,
+    formatAddress, parseAddress
+} = require('./address');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Label of entries that come without one, such as those made from the single phone, email and address fields
+const DEFAULT_LABEL = 'other';
+
+// Rules per field. maxLength is the size of the database column (migrations 001, 005 and 011), so a contact that
+// passes always fits; `format` names a further check of the trimmed value in FORMATS. The ID is optional because
+// the server allocates one for new contacts that come without it
+const CONTACT_SCHEMA = {
+    id: { label: 'ID', required: false, maxLength: 26 },
+    firstName: { label: 'First name', required: true, maxLength: 50 },
+    lastName: { label: 'Last name', required: true, maxLength: 50 },
+    phone: { label: 'Phone number', required: true, maxLength: 30, format: 'phone' },
+    email: { label: 'Email address', required: true, maxLength: 100, format: 'email' },
+    address: { label: 'Address', required: false, maxLength: 200 }
+};
+
+// Labeled values a contact can have several of. Each entry is { label, value, primary } and its value follows the
+// rule of `field`; a required field needs at least one entry. The primary entry's value is also kept in `field`, so
+// sorting, search and clients that only know the single fields keep working. maxEntries is checked by the schema
+// only; contact_methods (migration 012) has no limit
+const CONTACT_COLLECTIONS = {
+    phones: { label: 'Phone numbers', field: 'phone', labels: ['mobile', 'home', 'work', 'other'], maxEntries: 10 },
+    emails: { label: 'Email addresses', field: 'email', labels: ['home', 'work', 'other'], maxEntries: 10 },
+    addresses: { label: 'Addresses', field: 'address', labels: ['home', 'work', 'other'], maxEntries: 10 }
+};
+
+// Rules of the parts of a structured address (migration 013). An address entry that has any of them is made from
+// them, and its value is the address written on one line, which must fit the address rule. The postal code is checked
+// against the entry's country, or the default region when it has none
+const ADDRESS_SCHEMA = {
+    street: { label: 'Street lines', maxEntries: MAX_STREET_LINES, line: { label: 'Street line', required: false, maxLength: 200 } },
+    city: { label: 'City', required: false, maxLength: 100 },
+    region: { label: 'Region', required: false, maxLength: 100 },
+    postalCode: { label: 'Postal code', required: false, maxLength: 20, format: 'postalCode' },
+    country: { label: 'Country', required: false, maxLength: 2, format: 'country' }
+};
+
+// Single field to the collection it mirrors, e.g. phone to phones
+const COLLECTION_OF_FIELD = Object.fromEntries(Object.entries(CONTACT_COLLECTIONS).map(([name, { field }]) => [field, name]));
+
+// Error code to its message, built from the rule of the field that failed
+const CONTACT_ERRORS = {
+    type: ({ label }) => `${label} must be text`,
+    required: ({ label }) => `${label} is required`,
+    too_long: ({ label, maxLength }) => `${label} must be ${maxLength} characters or less`,
+    invalid_email: () => 'Please enter a valid email address',
+    invalid_phone: () => 'Please enter a valid phone number, with the country code if it is from another country (e.g., +44 20 7946 0958)',
+    phone_extension: () => 'Phone extensions are not supported',
+    not_a_list: ({ label }) => `${label} must be a list`,
+    too_many: ({ label, maxEntries }) => `${label} are limited to ${maxEntries}`,
+    invalid_entry: () => 'Each entry must be an object with a label, a value and an optional primary flag',
+    invalid_label: ({ labels }) => `Label must be one of ${labels.join(', ')}`,
+    several_primary: ({ label }) => `Only one of the ${label.toLowerCase()} can be primary`,
+    invalid_postal_code: ({ country, example }) => `Please enter a valid postal code for ${countryName(country)} (e.g., ${example})`,
+    invalid_country: () => 'Country must be a two-letter ISO 3166 code such as US or GB',
+    incomplete_address: () => 'An address needs a street or a city'
+};
+
+// Format checks; each returns an error code, or null when the value is well formed
+const FORMATS = {
+    email: (value) => EMAIL_PATTERN.test(value) ? null : 'invalid_email',
+    phone: (value, { defaultRegion }) => parsePhone(value, defaultRegion).error || null,
+    postalCode: (value, { defaultRegion, country }) => isValidPostalCode(value, country || defaultRegion) ? null : 'invalid_postal_code',
+    country: (value) => COUNTRIES.includes(value.toUpperCase()) ? null : 'invalid_country'
+};
+
+// Rewrites a trimmed value of a format in the form it is stored in
+const NORMALIZERS = {
+    phone: (value, { defaultRegion }) => toE164(value, defaultRegion)
+};
+
+/**
+ * Tells whether an address entry has any of the parts of a structured address.
+ * @param {Object} entry - Entry of a contact's addresses.
+ * @returns {boolean} Whether it has a non-empty street, city, region, postal code or country.
+ */
+const hasAddressParts = (entry) => ADDRESS_COMPONENTS.some(part => {
+    const value = entry[part];
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+});
+
+/**
+ * Gives an address entry its parts in the form they are stored in: trimmed, without empty street lines, with the
+ * country in upper case and the postal code written as its country writes it. An entry without parts has its value
+ * parsed instead.
+ * @param {Object} entry - Address entry that passed checkAddress.
+ * @param {Object} options - See validateContact.
+ * @returns {Object} { street, city, region, postalCode, country }.
+ */
+const addressParts = (entry, options) => {
+    if (!hasAddressParts(entry)) return parseAddress(entry.value, options.defaultRegion);
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const country = text(entry.country).toUpperCase();
+    return {
+        street: (entry.street || []).map(text).filter(Boolean),
+        city: text(entry.city),
+        region: text(entry.region),
+        postalCode: normalizePostalCode(text(entry.postalCode), country || options.defaultRegion),
+        country
+    };
+};
+
+/**
+ * Checks one field against its rule. Values are trimmed first, so a name of only spaces counts as missing.
+ * @param {Object} rule - Entry of CONTACT_SCHEMA.
+ * @param {*} value - Field value; null and undefined count as missing.
+ * @param {Object} options - See validateContact.
+ * @returns {string|null} Error code, or null when the value is valid.
+ */
+const checkField = (rule, value, options) => {
+    if (value !== undefined && value !== null && typeof value !== 'string') return 'type';
+    const text = (value || '').trim();
+    if (!text) return rule.required ? 'required' : null;
+    if (text.length > rule.maxLength) return 'too_long';
+    return rule.format ? FORMATS[rule.format](text, options) : null;
+};
+
+/**
+ * Checks the parts of a structured address entry, and that written on one line they fit the address field.
+ * @param {Object} entry - Address entry with parts.
+ * @param {Object} rule - CONTACT_SCHEMA rule of the address field.
+ * @param {Object} options - See validateContact.
+ * @returns {Object} [code, rule of the message] per key: '' for the entry as a whole, or .part (e.g. .postalCode,
+ *   .street.1 for a street line). Empty when the parts are valid.
+ */
+const checkAddress = (entry, rule, options) => {
+    const errors = {};
+    const streetRule = ADDRESS_SCHEMA.street;
+    const street = entry.street === undefined || entry.street === null ? [] : entry.street;
+    if (!Array.isArray(street)) errors['.street'] = ['not_a_list', streetRule];
+    else if (street.length > streetRule.maxEntries) errors['.street'] = ['too_many', streetRule];
+    else street.forEach((line, index) => {
+        const code = checkField(streetRule.line, line, options);
+        if (code) errors[`.street.${index}`] = [code, streetRule.line];
+    });
+
+    const countryCode = checkField(ADDRESS_SCHEMA.country, entry.country, options);
+    const country = !countryCode && entry.country ? entry.country.trim().toUpperCase() : '';
+    ['city', 'region', 'postalCode', 'country'].forEach(part => {
+        const code = checkField(ADDRESS_SCHEMA[part], entry[part], { ...options, country });
+        const { example } = addressFormat(country || options.defaultRegion);
+        if (code) errors[`.${part}`] = [code, { ...ADDRESS_SCHEMA[part], country: country || options.defaultRegion, example }];
+    });
+    if (Object.keys(errors).length > 0) return errors;
+
+    const parts = addressParts(entry, options);
+    if (parts.street.length === 0 && !parts.city) return { '': ['incomplete_address', rule] };
+    if (formatAddress(parts, { separator: ', ', defaultCountry: options.defaultRegion }).length > rule.maxLength) {
+        return { '.value': ['too_long', rule] };
+    }
+    return {};
+};
+
+/**
+ * Checks the entries of one collection. Entries are required to have a value even where the single field is
+ * optional, since an empty entry says nothing; address entries can have the parts of ADDRESS_SCHEMA instead.
+ * @param {Object} collection - Entry of CONTACT_COLLECTIONS.
+ * @param {Object} rule - CONTACT_SCHEMA rule of the collection's field.
+ * @param {*} entries - Collection as received.
+ * @param {Object} options - See validateContact.
+ * @returns {Object} [code, rule of the message] per key: '' for the collection as a whole, or .index.member (e.g.
+ *   .1.value, or .0.postalCode for an address) for one entry. Empty when the collection is valid.
+ */
+const checkCollection = (collection, rule, entries, options) => {
+    if (!Array.isArray(entries)) return { '': ['not_a_list', collection] };
+    if (entries.length === 0) return rule.required ? { '': ['required', rule] } : {};
+    if (entries.length > collection.maxEntries) return { '': ['too_many', collection] };
+    const errors = {};
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || (entry.primary !== undefined && typeof entry.primary !== 'boolean')) {
+            errors[`.${index}`] = ['invalid_entry', rule];
+            return;
+        }
+        if (entry.label !== undefined && entry.label !== null && !collection.labels.includes(entry.label)) {
+            errors[`.${index}.label`] = ['invalid_label', collection];
+        }
+        if (collection.field === 'address' && hasAddressParts(entry)) {
+            Object.entries(checkAddress(entry, rule, options)).forEach(([key, error]) => { errors[`.${index}${key}`] = error; });
+            return;
+        }
+        const code = checkField({ ...rule, required: true }, entry.value, options);
+        if (code) errors[`.${index}.value`] = [code, rule];
+    });
+    if (entries.filter(entry => entry && entry.primary === true).length > 1) errors[''] = ['several_primary', collection];
+    return errors;
+};
+
+/**
+ * Validates a contact against CONTACT_SCHEMA and CONTACT_COLLECTIONS. A collection that is left out is taken from
+ * its single field, which is then checked instead, so contacts in the form older clients send stay valid. Members
+ * the schema does not know are ignored.
+ * @param {Object} contact - Contact as entered or received.
+ * @param {Object} options - { defaultRegion }: ISO 3166 country of phone numbers without a country code.
+ * @returns {Object} Field name to { code, message } for each invalid field; empty when the contact is valid. Errors in
+ *   a collection are keyed as checkCollection describes.
+ */
+const validateContact = (contact, options) => {
+    const errors = {};
+    Object.entries(CONTACT_SCHEMA).forEach(([field, rule]) => {
+        const name = COLLECTION_OF_FIELD[field];
+        if (name && contact[name] !== undefined) {
+            Object.entries(checkCollection(CONTACT_COLLECTIONS[name], rule, contact[name], options)).forEach(([key, [code, messageRule]]) => {
+                errors[name + key] = { code, message: CONTACT_ERRORS[code](messageRule) };
+            });
+            return;
+        }
+        const code = checkField(rule, contact[field], options);
+        if (code) errors[field] = { code, message: CONTACT_ERRORS[code](rule) };
+    });
+    return errors;
+};
+
+/**
+ * Makes a collection from its single field: the value replaces that of the primary entry in the entries the
+ * contact had, keeping the others and the primary entry's label, and an empty value removes the primary entry.
+ * @param {*} value - Value of the single field.
+ * @param {Object[]} [entries] - The contact's current entries, if it exists.
+ * @returns {Object[]} Entries.
+ */
+const entriesFromField = (value, entries = []) => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    const primary = Math.max(0, entries.findIndex(entry => entry.primary));
+    if (!text) return entries.filter((entry, index) => index !== primary);
+    if (entries.length === 0) return [{ label: DEFAULT_LABEL, value: text, primary: true }];
+    return entries.map((entry, index) => index === primary ? { label: entry.label, value: text, primary: true } : entry);
+};
+
+/**
+ * Gives a valid contact the form it is stored in: every field trimmed, phone numbers in E.164, addresses with their
+ * parts (see addressParts) and written on one line as their value, every collection with exactly one primary entry
+ * (the first, when none is flagged) and each single field holding the value of its collection's primary entry, or ''
+ * when the collection is empty. A parsed address that would no longer fit the address field keeps its value as typed.
+ * @param {Object} contact - Contact that passed validateContact with the same options.
+ * @param {Object} options - { defaultRegion }, as for validateContact.
+ * @param {Object} [existing] - Stored contact being replaced, whose entries a collection left out builds on.
+ * @returns {Object} Copy of the contact with its schema fields and collections rewritten.
+ */
+const normalizeContact = (contact, options, existing = null) => {
+    const normalized = { ...contact };
+    Object.keys(CONTACT_SCHEMA).filter(field => typeof contact[field] === 'string').forEach(field => {
+        normalized[field] = contact[field].trim();
+    });
+    Object.entries(CONTACT_COLLECTIONS).forEach(([name, { field }]) => {
+        const { format } = CONTACT_SCHEMA[field];
+        const given = Array.isArray(contact[name]) ? contact[name] : entriesFromField(contact[field], existing ? existing[name] : []);
+        const entries = given.map((entry) => {
+            const { label, primary } = entry;
+            if (field === 'address') {
+                const parts = addressParts(entry, options);
+                const formatted = formatAddress(parts, { separator: ', ', defaultCountry: options.defaultRegion });
+                const value = hasAddressParts(entry) || formatted.length <= CONTACT_SCHEMA.address.maxLength ? formatted : entry.value.trim();
+                return { label: label || DEFAULT_LABEL, value, primary: primary === true, ...parts };
+            }
+            const text = entry.value.trim();
+            return { label: label || DEFAULT_LABEL, value: NORMALIZERS[format] ? NORMALIZERS[format](text, options) : text, primary: primary === true };
+        });
+        const primary = Math.max(0, entries.findIndex(entry => entry.primary));
+        entries.forEach((entry, index) => { entry.primary = index === primary; });
+        normalized[name] = entries;
+        normalized[field] = entries.length > 0 ? entries[primary].value : '';
+    });
+    return normalized;
+};
+
+/**
+ * Lists the values of one of a contact's collections, primary first, falling back on the single field for
+ * contacts stored before collections existed.
+ * @param {Object} contact - Contact or history snapshot.
+ * @param {string} name - Key of CONTACT_COLLECTIONS.
+ * @returns {string[]} Values.
+ */
+const collectionValues = (contact, name) => {
+    const entries = contact[name];
+    if (!Array.isArray(entries)) {
+        const value = contact[CONTACT_COLLECTIONS[name].field];
+        return value ? [value] : [];
+    }
+    return [...entries].sort((a, b) => Number(b.primary) - Number(a.primary)).map(entry => entry.value);
+};
+
+/**
+ * Reduces validation errors to their messages, the form API responses carry in `details`.
+ * @param {Object} errors - From validateContact.
+ * @returns {Object} Field name to message.
+ */
+const errorMessages = (errors) => Object.fromEntries(Object.entries(errors).map(([field, { message }]) => [field, message]));
+
+/**
+ * Reduces validation errors to their codes, the form API responses carry in `codes`.
+ * @param {Object} errors - From validateContact.
+ * @returns {Object} Field name to error code.
+ */
+const errorCodes = (errors) => Object.fromEntries(Object.entries(errors).map(([field, { code }]) => [field, code]));
+
+module.exports = {
+    CONTACT_SCHEMA, CONTACT_COLLECTIONS, ADDRESS_SCHEMA, CONTACT_ERRORS, DEFAULT_LABEL,
+    validateContact, normalizeContact, collectionValues, errorMessages, errorCodes
+};
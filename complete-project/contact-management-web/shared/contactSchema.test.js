@@ -0,0 +1,117 @@
+// The contact rules the API and the React form share
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTACT_SCHEMA, validateContact, normalizeContact, collectionValues, errorMessages, errorCodes } = require('./contactSchema');
+
+const OPTIONS = { defaultRegion: 'US' };
+
+const ada = { firstName: 'Ada', lastName: 'Lovelace', phone: '2025550143', email: 'ada@example.com' };
+
+describe('validateContact', () => {
+    test('accepts a contact without the optional fields and ignores members it does not know', () => {
+        assert.deepEqual(validateContact({ ...ada, nickname: 42 }, OPTIONS), {});
+    });
+
+    test('reports one code and message per invalid field', () => {
+        const errors = validateContact({ firstName: ' ', lastName: 'x'.repeat(51), phone: '12', email: 'nope', address: 5 }, OPTIONS);
+        assert.deepEqual(errorCodes(errors), {
+            firstName: 'required',
+            lastName: 'too_long',
+            phone: 'invalid_phone',
+            email: 'invalid_email',
+            address: 'type'
+        });
+        assert.equal(errorMessages(errors).lastName, 'Last name must be 50 characters or less');
+        assert.equal(errorMessages(errors).address, 'Address must be text');
+    });
+
+    test('reads phone numbers without a country code as numbers of the default region', () => {
+        assert.deepEqual(validateContact({ ...ada, phone: '020 7946 0958' }, { defaultRegion: 'GB' }), {});
+        assert.deepEqual(errorCodes(validateContact({ ...ada, phone: '020 7946 0958' }, OPTIONS)), { phone: 'invalid_phone' });
+    });
+
+    test('keeps every length within its database column', () => {
+        assert.deepEqual(
+            Object.fromEntries(Object.entries(CONTACT_SCHEMA).map(([field, { maxLength }]) => [field, maxLength])),
+            { id: 26, firstName: 50, lastName: 50, phone: 30, email: 100, address: 200 }
+        );
+    });
+});
+
+describe('collections', () => {
+    test('report errors of the list as a whole and of each entry under its position', () => {
+        const errors = validateContact({
+            ...ada,
+            phones: [
+                { label: 'pager', value: '2025550143' },
+                { label: 'home', value: '12', primary: true },
+                { label: 'work', value: '2025550155', primary: true }
+            ],
+            emails: 'ada@example.com'
+        }, OPTIONS);
+        assert.deepEqual(errorCodes(errors), {
+            'phones.0.label': 'invalid_label',
+            'phones.1.value': 'invalid_phone',
+            phones: 'several_primary',
+            emails: 'not_a_list'
+        });
+    });
+
+    test('need an entry for a required field and keep to their limit', () => {
+        assert.deepEqual(errorMessages(validateContact({ ...ada, phones: [] }, OPTIONS)), { phones: 'Phone number is required' });
+        assert.deepEqual(validateContact({ ...ada, addresses: [] }, OPTIONS), {});
+        const many = Array.from({ length: 11 }, () => ({ label: 'home', value: '2025550143' }));
+        assert.deepEqual(errorMessages(validateContact({ ...ada, phones: many }, OPTIONS)), { phones: 'Phone numbers are limited to 10' });
+    });
+
+    test('check the postal code of an address against its country', () => {
+        const address = { label: 'home', street: ['1 Main St'], city: 'Springfield', postalCode: '1234', country: 'US' };
+        assert.deepEqual(errorCodes(validateContact({ ...ada, addresses: [address] }, OPTIONS)), { 'addresses.0.postalCode': 'invalid_postal_code' });
+        assert.deepEqual(validateContact({ ...ada, addresses: [{ ...address, country: 'AT' }] }, OPTIONS), {});
+    });
+
+    test('list their values primary first, or the single field of contacts stored before them', () => {
+        assert.deepEqual(collectionValues({ phones: [{ value: 'a', primary: false }, { value: 'b', primary: true }] }, 'phones'), ['b', 'a']);
+        assert.deepEqual(collectionValues({ phone: '+12025550143' }, 'phones'), ['+12025550143']);
+        assert.deepEqual(collectionValues({ phone: '' }, 'phones'), []);
+    });
+});
+
+describe('normalizeContact', () => {
+    test('trims every field and stores the phone number in E.164', () => {
+        const normalized = normalizeContact({ ...ada, firstName: ' Ada ', phone: '(202) 555-0143 ', email: ' ada@example.com' }, OPTIONS);
+        assert.equal(normalized.firstName, 'Ada');
+        assert.equal(normalized.phone, '+12025550143');
+        assert.equal(normalized.email, 'ada@example.com');
+        assert.equal(normalized.address, '');
+    });
+
+    test('makes the first entry primary when none is flagged and mirrors the primary one in the single field', () => {
+        const normalized = normalizeContact({ ...ada, phones: [{ label: 'work', value: '202 555 0155' }, { value: '(202) 555-0143' }] }, OPTIONS);
+        assert.deepEqual(normalized.phones, [
+            { label: 'work', value: '+12025550155', primary: true },
+            { label: 'other', value: '+12025550143', primary: false }
+        ]);
+        assert.equal(normalized.phone, '+12025550155');
+    });
+
+    test('replaces only the primary entry when an older client sends the single field', () => {
+        const existing = {
+            phones: [{ label: 'home', value: '+12025550100', primary: false }, { label: 'mobile', value: '+12025550143', primary: true }],
+            emails: [],
+            addresses: []
+        };
+        assert.deepEqual(normalizeContact({ ...ada, phone: '2025550199' }, OPTIONS, existing).phones, [
+            { label: 'home', value: '+12025550100', primary: false },
+            { label: 'mobile', value: '+12025550199', primary: true }
+        ]);
+    });
+
+    test('splits an address given as text into its parts', () => {
+        const [address] = normalizeContact({ ...ada, address: '1 Main St, Springfield, IL 62701' }, OPTIONS).addresses;
+        assert.deepEqual(address, {
+            label: 'other', value: '1 Main St, Springfield, IL 62701', primary: true,
+            street: ['1 Main St'], city: 'Springfield', region: 'IL', postalCode: '62701', country: ''
+        });
+    });
+});
@@ -0,0 +1,6 @@
+// Code used by both the server and the React client
+const contactSchema = require('./contactSchema');
+const phone = require('./phone');
+const address = require('./address');
+
+module.exports = { ...contactSchema, ...phone, ...address };
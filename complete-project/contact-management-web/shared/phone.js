@@ -0,0 +1,65 @@
+// Phone numbers: parsed against each country's numbering plan, stored in E.164, formatted for display and classified by type
+const { parsePhoneNumberFromString, isSupportedCountry, getCountryCallingCode } = require('libphonenumber-js/max');
+
+// libphonenumber's number types, as the API reports them
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'fixed',
+    FIXED_LINE_OR_MOBILE: 'fixed-or-mobile',
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium-rate',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+/**
+ * Parses a phone number as typed, e.g. "020 7946 0958" or "+49 30 901820". Numbers without a country code are
+ * read as numbers of defaultRegion. A number is accepted when its length is possible in its country; only numbers
+ * that are also in an assigned range get a type, so made-up test numbers such as 555 numbers are kept as 'unknown'.
+ * @param {string} input - Phone number in any common notation.
+ * @param {string} defaultRegion - ISO 3166 country code, e.g. US or GB.
+ * @returns {{e164: string, region: string|null, type: string}|{error: string}} The number in E.164 with its
+ *   country and type, or the contact schema's error code saying why it was rejected.
+ */
+const parsePhone = (input, defaultRegion) => {
+    const text = String(input || '').trim();
+    if (!text) return { error: 'required' };
+    const number = parsePhoneNumberFromString(text, defaultRegion);
+    if (!number || !number.isPossible()) return { error: 'invalid_phone' };
+    if (number.ext) return { error: 'phone_extension' };
+    return {
+        e164: number.number,
+        region: number.country || null,
+        type: number.isValid() ? PHONE_TYPES[number.getType()] || 'unknown' : 'unknown'
+    };
+};
+
+/**
+ * Rewrites a phone number in E.164, leaving text that is not a phone number as it is.
+ * @param {string} input - Phone number in any common notation.
+ * @param {string} defaultRegion - Country of numbers without a country code.
+ * @returns {string} E.164 number, e.g. +442079460958.
+ */
+const toE164 = (input, defaultRegion) => parsePhone(input, defaultRegion).e164 || input;
+
+/**
+ * Formats a stored phone number for a viewer: in national format when it has the calling code of the viewer's
+ * country, in international format otherwise.
+ * @param {string} phone - Stored phone number, normally E.164.
+ * @param {string} viewerRegion - ISO 3166 country of the viewer.
+ * @returns {{text: string, type: string|null}} Number to show, and its type when the number is in an assigned range.
+ */
+const formatPhone = (phone, viewerRegion) => {
+    const number = parsePhoneNumberFromString(phone || '', viewerRegion);
+    if (!number || !number.isPossible()) return { text: phone, type: null };
+    return {
+        text: number.countryCallingCode === getCountryCallingCode(viewerRegion) ? number.formatNational() : number.formatInternational(),
+        type: number.isValid() ? PHONE_TYPES[number.getType()] || null : null
+    };
+};
+
+module.exports = { PHONE_TYPES, parsePhone, toE164, formatPhone, isSupportedCountry };
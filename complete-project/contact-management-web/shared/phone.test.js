@@ -0,0 +1,37 @@
+// Parsing phone numbers per country, storing them in E.164 and formatting them for a viewer
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, toE164, formatPhone } = require('./phone');
+
+describe('parsePhone', () => {
+    test('reads national numbers in the default country and international ones in their own', () => {
+        assert.deepEqual(parsePhone('020 7946 0958', 'GB'), { e164: '+442079460958', region: 'GB', type: 'fixed' });
+        assert.deepEqual(parsePhone('+49 30 901820', 'US'), { e164: '+4930901820', region: 'DE', type: 'fixed' });
+        assert.equal(parsePhone('(202) 555-0143', 'US').e164, '+12025550143');
+    });
+
+    test('keeps a number of possible length outside the assigned ranges, without a type', () => {
+        assert.deepEqual(parsePhone('07700 900123', 'GB'), { e164: '+447700900123', region: 'GB', type: 'unknown' });
+    });
+
+    test('answers the error code of an empty, impossible or extended number', () => {
+        assert.deepEqual(parsePhone('  ', 'US'), { error: 'required' });
+        assert.deepEqual(parsePhone('12', 'US'), { error: 'invalid_phone' });
+        assert.deepEqual(parsePhone('202 555 0143 ext 12', 'US'), { error: 'phone_extension' });
+    });
+});
+
+describe('toE164', () => {
+    test('rewrites phone numbers and leaves other text as it is', () => {
+        assert.equal(toE164('202-555-0143', 'US'), '+12025550143');
+        assert.equal(toE164('call me', 'US'), 'call me');
+    });
+});
+
+describe('formatPhone', () => {
+    test('writes numbers of the viewer\'s country in national format and the others in international format', () => {
+        assert.deepEqual(formatPhone('+442079460958', 'GB'), { text: '020 7946 0958', type: 'fixed' });
+        assert.deepEqual(formatPhone('+442079460958', 'US'), { text: '+44 20 7946 0958', type: 'fixed' });
+        assert.deepEqual(formatPhone('not a phone', 'US'), { text: 'not a phone', type: null });
+    });
+});